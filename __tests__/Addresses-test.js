@@ -0,0 +1,192 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import { WalletBackend, Daemon } from 'plenteum-wallet-backend';
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+import { Transaction } from 'plenteum-wallet-backend/dist/lib/Types';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { saveToDatabase } from '../src/Database';
+import {
+    createAddress, getWalletAddresses, getAddressLabel, renameAddress,
+    transactionInvolvesAddress, restoreAddresses, getAddressCount,
+} from '../src/Addresses';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+    Text: 'Text',
+    ToastAndroid: {},
+    Alert: {},
+}));
+
+jest.mock('react-navigation', () => ({
+    StackActions: {},
+    NavigationActions: {},
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Database', () => ({
+    saveToDatabase: jest.fn(),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        addressLabels: [],
+        logger: { addLogMessage: jest.fn() },
+        saveAddressLabel(addressLabel) {
+            this.addressLabels = this.addressLabels.filter((item) => item.address !== addressLabel.address);
+            this.addressLabels.push(addressLabel);
+        },
+    },
+}));
+
+function makeTransaction(transfers) {
+    return new Transaction(new Map(transfers), '0'.repeat(64), 0, 1, 1, '', 0, false);
+}
+
+beforeEach(() => {
+    Globals.addressLabels = [];
+    Globals.wallet = WalletBackend.createWallet(new Daemon('127.0.0.1', 44016), Config);
+    saveToDatabase.mockClear();
+});
+
+test('a new wallet only has its main address', () => {
+    expect(getWalletAddresses()).toEqual([{
+        address: Globals.wallet.getPrimaryAddress(),
+        label: 'Main address',
+        primary: true,
+        unlockedBalance: 0,
+        lockedBalance: 0,
+    }]);
+});
+
+test('created addresses share the view key, and are saved', async () => {
+    const [address, error] = await createAddress('  Customer one ');
+
+    expect(error).toBeUndefined();
+
+    const primary = CryptoUtils(Config).decodeAddress(Globals.wallet.getPrimaryAddress());
+    const created = CryptoUtils(Config).decodeAddress(address);
+
+    expect(created.publicViewKey).toBe(primary.publicViewKey);
+    expect(created.publicSpendKey).not.toBe(primary.publicSpendKey);
+
+    expect(Globals.wallet.getAddresses()).toContain(address);
+    expect(Globals.wallet.subWallets.getPublicSpendKeys()).toContain(created.publicSpendKey);
+
+    expect(getWalletAddresses()[1]).toEqual({
+        address,
+        label: 'Customer one',
+        primary: false,
+        unlockedBalance: 0,
+        lockedBalance: 0,
+    });
+
+    expect(saveToDatabase).toHaveBeenCalledWith(Globals.wallet);
+});
+
+test('created addresses come back when the wallet is restored', async () => {
+    const [address] = await createAddress('Customer one');
+
+    const [restored, error] = WalletBackend.loadWalletFromJSON(
+        new Daemon('127.0.0.1', 44016), Globals.wallet.toJSONString(), Config,
+    );
+
+    expect(error).toBeUndefined();
+
+    Globals.wallet = restored;
+
+    expect(getWalletAddresses().map((item) => item.address)).toEqual([
+        restored.getPrimaryAddress(),
+        address,
+    ]);
+
+    const [, privateSpendKey] = restored.getSpendKeys(address);
+
+    expect(privateSpendKey).not.toBe('0'.repeat(64));
+});
+
+test('created addresses come back when restoring from the seed or keys', async () => {
+    const [first] = await createAddress('Customer one');
+    const [second] = await createAddress('Customer two');
+
+    expect(Globals.addressLabels.map((item) => item.index)).toEqual([1, 2]);
+    expect(getAddressCount()).toBe(2);
+
+    const [seed] = Globals.wallet.getMnemonicSeed();
+    const [privateSpendKey, privateViewKey] = Globals.wallet.getPrimaryAddressPrivateKeys();
+
+    const [fromSeed] = WalletBackend.importWalletFromSeed(new Daemon('127.0.0.1', 44016), 0, seed, Config);
+    const [fromKeys] = WalletBackend.importWalletFromKeys(
+        new Daemon('127.0.0.1', 44016), 0, privateViewKey, privateSpendKey, Config,
+    );
+
+    for (const restored of [fromSeed, fromKeys]) {
+        Globals.wallet = restored;
+
+        restoreAddresses(2, 0);
+
+        expect(restored.getAddresses()).toEqual(expect.arrayContaining([first, second]));
+        expect(restored.getSpendKeys(second)[1]).not.toBe('0'.repeat(64));
+        expect(getAddressCount()).toBe(2);
+    }
+});
+
+test('new addresses carry on from the ones restored', async () => {
+    const [privateSpendKey, privateViewKey] = Globals.wallet.getPrimaryAddressPrivateKeys();
+
+    await createAddress('Customer one');
+    const [second] = await createAddress('Customer two');
+
+    Globals.wallet = WalletBackend.importWalletFromKeys(
+        new Daemon('127.0.0.1', 44016), 0, privateViewKey, privateSpendKey, Config,
+    )[0];
+
+    restoreAddresses(1, 0);
+
+    const [address] = await createAddress('Customer two');
+
+    expect(address).toBe(second);
+});
+
+test('addresses can be renamed', async () => {
+    const [address] = await createAddress('Customer one');
+
+    renameAddress(address, 'Customer two');
+
+    expect(getAddressLabel(address)).toBe('Customer two');
+    expect(Globals.addressLabels[0].index).toBe(1);
+
+    renameAddress(address, '');
+
+    expect(getAddressLabel(address)).toBe('Unlabelled address');
+});
+
+test('transactions are matched to the addresses they involve', async () => {
+    const [address] = await createAddress('Customer one');
+
+    const primaryKey = CryptoUtils(Config).decodeAddress(Globals.wallet.getPrimaryAddress()).publicSpendKey;
+    const createdKey = CryptoUtils(Config).decodeAddress(address).publicSpendKey;
+
+    const toCreated = makeTransaction([[createdKey, 100]]);
+    const toPrimary = makeTransaction([[primaryKey, 100]]);
+
+    expect(transactionInvolvesAddress(toCreated, address)).toBe(true);
+    expect(transactionInvolvesAddress(toPrimary, address)).toBe(false);
+    expect(transactionInvolvesAddress(toPrimary, Globals.wallet.getPrimaryAddress())).toBe(true);
+});
+
+test('view wallets can not create addresses', async () => {
+    Globals.wallet.subWallets.isViewWallet = true;
+
+    const [address, error] = await createAddress('Customer one');
+
+    expect(address).toBeUndefined();
+    expect(error).toMatch(/view only/);
+    expect(Globals.wallet.getAddresses().length).toBe(1);
+});
@@ -0,0 +1,167 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import ParsedTransaction from 'plenteum-utils/lib/transaction';
+
+import { WalletBackend, Daemon } from 'plenteum-wallet-backend';
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { sendTransactionWithOptions } from '../src/AdvancedSend';
+import { getTransactionPrivateKey } from '../src/PaymentProofs';
+
+import { receive, useStandInDaemon } from './helpers/Wallet';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Nodes', () => ({
+    makeDaemon: jest.fn(),
+    getActiveNode: jest.fn(),
+}));
+
+jest.mock('../src/Database', () => ({
+    saveToDatabase: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        logger: { addLogMessage: jest.fn() },
+        addPendingTransaction: jest.fn(),
+    },
+}));
+
+const cryptoUtils = CryptoUtils(Config);
+
+const networkHeight = 100;
+
+const unlockTime = 5000;
+
+/* What the stand in daemon was asked to relay */
+let relayed;
+
+function getUnlockTime(rawTransaction) {
+    const tx = new ParsedTransaction();
+
+    tx.blob = rawTransaction;
+
+    return tx.unlockTime;
+}
+
+beforeEach(() => {
+    Globals.wallet = WalletBackend.createWallet(new Daemon('127.0.0.1', 44016), Config);
+
+    relayed = useStandInDaemon(Globals.wallet, networkHeight);
+
+    Globals.addPendingTransaction.mockClear();
+});
+
+test('the unlock time is set on the transaction sent, and the one stored', async () => {
+    await receive(Globals.wallet, 600000);
+
+    const createdtx = jest.fn();
+
+    Globals.wallet.on('createdtx', createdtx);
+
+    const [hash, error] = await sendTransactionWithOptions(
+        [[cryptoUtils.createNewAddress().address, 100000]], '', { mixin: 0, unlockTime },
+    );
+
+    expect(error).toBeUndefined();
+    expect(relayed.length).toBe(1);
+    expect(getUnlockTime(relayed[0])).toBe(unlockTime);
+
+    const [stored] = Globals.wallet.subWallets.getUnconfirmedTransactions();
+
+    expect(stored.hash).toBe(hash);
+    expect(stored.unlockTime).toBe(unlockTime);
+    expect(stored.totalAmount()).toBe(-100000 - Config.minimumFee);
+
+    expect(createdtx).toHaveBeenCalledWith(stored);
+
+    /* The change is on its way back to us, and the input can't be spent
+       again */
+    const [unlocked, locked] = Globals.wallet.getBalance();
+
+    expect(unlocked).toBe(0);
+    expect(locked).toBe(600000 - 100000 - Config.minimumFee);
+});
+
+test('transactions sent at the same time are not timelocked', async () => {
+    await receive(Globals.wallet, 600000);
+    await receive(Globals.wallet, 700000);
+
+    const [[, timelockedError], [, error]] = await Promise.all([
+        sendTransactionWithOptions(
+            [[cryptoUtils.createNewAddress().address, 100000]], '', { mixin: 0, unlockTime },
+        ),
+        sendTransactionWithOptions(
+            [[cryptoUtils.createNewAddress().address, 100000]], '', { mixin: 0 },
+        ),
+    ]);
+
+    expect(timelockedError).toBeUndefined();
+    expect(error).toBeUndefined();
+
+    expect(relayed.map(getUnlockTime).sort()).toEqual([0, unlockTime]);
+});
+
+test('no unlock time sends as normal', async () => {
+    await receive(Globals.wallet, 600000);
+
+    const [, error] = await sendTransactionWithOptions(
+        [[cryptoUtils.createNewAddress().address, 100000]], '', { mixin: 0, unlockTime: 0 },
+    );
+
+    expect(error).toBeUndefined();
+    expect(getUnlockTime(relayed[0])).toBe(0);
+});
+
+test('the key and raw transaction are kept for transactions we send', async () => {
+    await receive(Globals.wallet, 600000);
+
+    const [hash, error] = await sendTransactionWithOptions(
+        [[cryptoUtils.createNewAddress().address, 100000]], '', { mixin: 0 },
+    );
+
+    expect(error).toBeUndefined();
+    expect(getTransactionPrivateKey(hash)).toBeDefined();
+    expect(Globals.addPendingTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ hash, rawTransaction: relayed[0] }),
+    );
+});
+
+test('nothing is kept for transactions which fail to relay', async () => {
+    await receive(Globals.wallet, 600000);
+
+    Globals.wallet.daemon.sendTransaction.mockResolvedValue(false);
+
+    const [hash, error] = await sendTransactionWithOptions(
+        [[cryptoUtils.createNewAddress().address, 100000]], '', { mixin: 0 },
+    );
+
+    expect(hash).toBeUndefined();
+    expect(error).toBeDefined();
+    expect(Globals.wallet.subWallets.transactionPrivateKeys.size).toBe(0);
+    expect(Globals.addPendingTransaction).not.toHaveBeenCalled();
+});
+
+test('sending more than we have fails', async () => {
+    await receive(Globals.wallet, 600000);
+
+    const [hash, error] = await sendTransactionWithOptions(
+        [[cryptoUtils.createNewAddress().address, 700000]], '', { mixin: 0, unlockTime },
+    );
+
+    expect(hash).toBeUndefined();
+    expect(error.toString()).toMatch(/Not enough unlocked funds/);
+    expect(relayed).toEqual([]);
+    expect(Globals.wallet.currentlyTransacting).toBe(false);
+});
@@ -0,0 +1,98 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import { WalletBackend, Daemon } from 'plenteum-wallet-backend';
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { saveKeyImagesToDatabase, loadKeyImagesFromDatabase } from '../src/Database';
+import { exportKeyImages, importKeyImages } from '../src/KeyImages';
+
+import * as Helpers from './helpers/Wallet';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Database', () => ({
+    saveKeyImagesToDatabase: jest.fn(),
+    loadKeyImagesFromDatabase: jest.fn(),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        logger: { addLogMessage: jest.fn() },
+    },
+}));
+
+const cryptoUtils = CryptoUtils(Config);
+
+let fullWallet;
+
+let viewWallet;
+
+/**
+ * Give both wallets an output of amount, as if someone had sent it to us.
+ * Returns the key image of the output.
+ */
+async function receive(amount) {
+    const input = await Helpers.receive(fullWallet, amount);
+
+    await Helpers.receive(viewWallet, amount, { transactionPublicKey: input.transactionPublicKey });
+
+    return input.keyImage;
+}
+
+beforeEach(() => {
+    fullWallet = WalletBackend.createWallet(new Daemon('127.0.0.1', 44016), Config);
+
+    [viewWallet] = WalletBackend.importViewWallet(
+        new Daemon('127.0.0.1', 44016), 0, fullWallet.getPrivateViewKey(), fullWallet.getPrimaryAddress(), Config,
+    );
+
+    saveKeyImagesToDatabase.mockClear();
+});
+
+test('inputs in unmined transactions are exported as unspent', async () => {
+    const { publicSpendKey } = cryptoUtils.decodeAddress(fullWallet.getPrimaryAddress());
+
+    const unspentKeyImage = await receive(100);
+    const lockedKeyImage = await receive(200);
+    const spentKeyImage = await receive(300);
+
+    fullWallet.subWallets.markInputAsLocked(publicSpendKey, lockedKeyImage);
+    fullWallet.subWallets.markInputAsSpent(publicSpendKey, spentKeyImage, 50);
+
+    Globals.wallet = fullWallet;
+
+    const [exported, error] = await exportKeyImages();
+
+    expect(error).toBeUndefined();
+
+    const byKeyImage = (keyImage) => exported.keyImages.find((item) => item.keyImage === keyImage);
+
+    expect(byKeyImage(unspentKeyImage)).toMatchObject({ spent: false, spendHeight: 0 });
+    expect(byKeyImage(lockedKeyImage)).toMatchObject({ spent: false, spendHeight: 0 });
+    expect(byKeyImage(spentKeyImage)).toMatchObject({ spent: true, spendHeight: 50 });
+
+    /* The view wallet keeps the pending input in its balance, and drops the
+       spent one */
+    Globals.wallet = viewWallet;
+
+    loadKeyImagesFromDatabase.mockResolvedValue(
+        exported.keyImages.map((item) => ({ ...item, created: exported.created })),
+    );
+
+    const [markedSpent, importError] = await importKeyImages(JSON.parse(JSON.stringify(exported)));
+
+    expect(importError).toBeUndefined();
+    expect(markedSpent).toBe(1);
+    expect(saveKeyImagesToDatabase).toHaveBeenCalledWith(exported.keyImages, exported.created);
+    expect(viewWallet.subWallets.getBalance(100)).toEqual([300, 0]);
+});
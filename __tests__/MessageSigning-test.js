@@ -0,0 +1,106 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import Base58 from 'plenteum-utils/lib/base58';
+import PlenteumCrypto from 'plenteum-utils/lib/plenteum-crypto';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { signMessage, verifyMessage } from '../src/MessageSigning';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        logger: { addLogMessage: jest.fn() },
+    },
+}));
+
+/* Fixed keys, so the signatures below stay valid */
+const privateSpendKey = 'a0515b2146c53f311d187d88a617b388d72b10e39c271ad75e5fe412372a7303';
+const privateViewKey = 'd41530f966a8bc53bb973d6476947d004d202dfd673b4a965035249302985104';
+const publicSpendKey = '83b9972808c513eeeacd06d053d5158cd97a1a925e21659aaf15444b4306b38a';
+
+const address = 'PLeaqhAmiUwZxuKr3EeFAzceBeCGudA856azX2AvCJzE281ewJmWBr6C3TZUk2oqHEYFinkXBYmhYa3oJdYrAb5738gVdfjTHQ';
+
+/* Made by signMessage() in src/MessageSigning.js, with the keys above, when
+   it was written - not by a CLI wallet. They follow the CLI wallet format as
+   we understand it: SigV1, then the base58 of the signature of the fast hash
+   of the raw message bytes, made with the spend key. They haven't been
+   checked against a CLI wallet, so they guard against our format changing,
+   not against it being wrong. If you check them, or replace them with
+   signatures from a CLI wallet, note the version and command used here.
+
+   Signatures are randomised, so these check we can read the format, not
+   that we write the same bytes. */
+const knownSignatures = [
+    ['', 'SigV1fSgSydNgGMZjLEBMKu36RqUh3ZvQWz3458wGjLLkgUNS8zhKDYjog3VQoDDKCZ6Edf9Qk51tVGS7W44mUXw1Cyp6'],
+    ['Hello, Plenteum!', 'SigV1YnJce1odbNoXsMiRukq2aURfNmXzPUHtbDQYjsCGd3bQa9cbQbqNNJAfXNMfjmSwQ9fPoDTMjLUd4HzaebNBnv4U'],
+    ['Ünïcödé ✓ 💸', 'SigV1LpcvJjr6mkjVWA5DwCTseVQ4VS4SaPSDJXVtYT51ibFfAzq1M4CZQQ1i2r2UB9LvSYVURrXLa47cbULSTHDS3QQz'],
+];
+
+beforeEach(() => {
+    Globals.wallet = {
+        subWallets: { isViewWallet: false },
+        getPrimaryAddress: () => address,
+        getPrimaryAddressPrivateKeys: () => [privateSpendKey, privateViewKey],
+    };
+});
+
+test('fixture keys match the fixture address', () => {
+    const cryptoUtils = CryptoUtils(Config);
+
+    expect(cryptoUtils.privateKeyToPublicKey(privateSpendKey)).toBe(publicSpendKey);
+    expect(cryptoUtils.encodeAddress(cryptoUtils.privateKeyToPublicKey(privateViewKey), publicSpendKey)).toBe(address);
+});
+
+test.each(knownSignatures)('known signature of %j verifies', (message, signature) => {
+    expect(verifyMessage(message, address, signature)).toEqual([true, undefined]);
+});
+
+test.each(knownSignatures)('known signature of %j is over the fast hash of the message bytes', (message, signature) => {
+    /* Check it with the crypto module directly, rather than our code */
+    const hash = CryptoUtils(Config).cnFastHash(Buffer.from(message, 'utf8').toString('hex'));
+
+    const decoded = Base58.decode(signature.substr('SigV1'.length));
+
+    expect(PlenteumCrypto().crypto.checkSignature(hash, publicSpendKey, decoded)).toBe(true);
+});
+
+test('known signatures do not verify for a different message or address', () => {
+    const [, signature] = knownSignatures[1];
+
+    expect(verifyMessage('Hello, Plenteum?', address, signature)).toEqual([false, undefined]);
+    expect(verifyMessage('Hello, Plenteum!', Config.devFeeAddress, signature)).toEqual([false, undefined]);
+});
+
+test('new signatures verify', () => {
+    const [signature, error] = signMessage('Hello, Plenteum!');
+
+    expect(error).toBeUndefined();
+    expect(signature.startsWith('SigV1')).toBe(true);
+    expect(verifyMessage('Hello, Plenteum!', address, signature)).toEqual([true, undefined]);
+});
+
+test('corrupted signatures are rejected', () => {
+    const [, signature] = knownSignatures[1];
+
+    expect(verifyMessage('Hello, Plenteum!', address, signature.substr(0, 40))[1]).toMatch(/corrupted/);
+    expect(verifyMessage('Hello, Plenteum!', address, signature.substr(5))[1]).toMatch(/not a message signature/);
+    expect(verifyMessage('Hello, Plenteum!', 'PLe123', signature)[1]).toMatch(/address is not valid/);
+});
+
+test('view wallets can not sign', () => {
+    Globals.wallet.subWallets.isViewWallet = true;
+
+    expect(signMessage('Hello')).toEqual([undefined, 'This wallet is view only, so it can\'t sign messages.']);
+});
@@ -0,0 +1,163 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import initSqlJs from 'sql.js/dist/sql-asm';
+
+import {
+    migrations, latestDatabaseVersion, getDatabaseVersion, migrateDatabase,
+} from '../src/Migrations';
+
+/**
+ * Wraps an in-memory sql.js database in the parts of the
+ * react-native-sqlite-storage promise API the migrations use
+ */
+function makeDatabase(SQL) {
+    const db = new SQL.Database();
+
+    const executeSql = (query, params = []) => {
+        const rows = [];
+        const statement = db.prepare(query);
+
+        statement.bind(params);
+
+        while (statement.step()) {
+            rows.push(statement.getAsObject());
+        }
+
+        statement.free();
+
+        return [{
+            rows: {
+                length: rows.length,
+                item: (i) => rows[i],
+            },
+        }];
+    };
+
+    return {
+        db,
+
+        executeSql: async (query, params) => executeSql(query, params),
+
+        transaction: async (fn) => {
+            db.run('BEGIN');
+
+            try {
+                fn({ executeSql });
+                db.run('COMMIT');
+            } catch (err) {
+                db.run('ROLLBACK');
+                throw err;
+            }
+        },
+    };
+}
+
+function getSchema(db) {
+    const schema = {};
+
+    /* No result set at all when there are no tables */
+    const [tables = { values: [] }] = db.exec(
+        `SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`
+    );
+
+    for (const [table] of tables.values) {
+        const [columns] = db.exec(`PRAGMA table_info(${table})`);
+        schema[table] = columns.values.map((column) => column[1]);
+    }
+
+    return schema;
+}
+
+let SQL;
+
+beforeAll(async () => {
+    SQL = await initSqlJs();
+});
+
+test('a new database has version 0', async () => {
+    const database = makeDatabase(SQL);
+
+    expect(await getDatabaseVersion(database)).toBe(0);
+});
+
+test('every migration applies to a new database', async () => {
+    const database = makeDatabase(SQL);
+
+    await migrateDatabase(database);
+
+    expect(latestDatabaseVersion).toBe(migrations.length);
+    expect(await getDatabaseVersion(database)).toBe(latestDatabaseVersion);
+
+    expect(getSchema(database.db)).toEqual({
+        addresslabels: ['address', 'label', 'walletid', 'addressindex'],
+        keyimages: ['key', 'keyimage', 'spent', 'spendheight', 'created', 'walletid'],
+        nodes: ['host', 'port', 'ssl'],
+        offlinespentinputs: ['key', 'walletid'],
+        payees: ['nickname', 'address', 'paymentid', 'walletid'],
+        payment_requests: [
+            'paymentid', 'amount', 'label', 'created', 'expiry', 'received',
+            'status', 'hashes', 'walletid',
+        ],
+        pendingtransactions: ['hash', 'rawtransaction', 'sentat', 'sentheight', 'walletid'],
+        preferences: [
+            'id', 'currency', 'notificationsenabled', 'scancoinbasetransactions',
+            'limitdata', 'theme', 'pinconfirmation', 'autooptimize', 'authmethod',
+            'nodehost', 'nodeport', 'nodessl',
+        ],
+        publicnodes: ['name', 'host', 'port', 'ssl', 'fee'],
+        scheduledpayments: [
+            'id', 'nickname', 'address', 'paymentid', 'amount', 'memo',
+            'frequency', 'start', 'nextrun', 'lastattempt', 'lasthash',
+            'lasterror', 'reminded', 'walletid',
+        ],
+        transactiondetails: [
+            'hash', 'memo', 'address', 'payee', 'walletid', 'mixin', 'fee',
+            'unlocktime',
+        ],
+        wallet: ['id', 'json', 'name'],
+    });
+});
+
+test('migrating an up to date database does nothing', async () => {
+    const database = makeDatabase(SQL);
+
+    await migrateDatabase(database);
+
+    const schema = getSchema(database.db);
+
+    await migrateDatabase(database);
+
+    expect(await getDatabaseVersion(database)).toBe(latestDatabaseVersion);
+    expect(getSchema(database.db)).toEqual(schema);
+});
+
+test('a database part way through is migrated from where it was', async () => {
+    const partial = makeDatabase(SQL);
+    const fresh = makeDatabase(SQL);
+
+    /* Bring it up to version 1 by hand, like an older app would have */
+    await partial.transaction((tx) => {
+        migrations[0](tx);
+        tx.executeSql('PRAGMA user_version = 1');
+    });
+
+    await migrateDatabase(partial);
+    await migrateDatabase(fresh);
+
+    expect(await getDatabaseVersion(partial)).toBe(latestDatabaseVersion);
+    expect(getSchema(partial.db)).toEqual(getSchema(fresh.db));
+});
+
+test('a database newer than the app is refused', async () => {
+    const database = makeDatabase(SQL);
+
+    database.db.run(`PRAGMA user_version = ${latestDatabaseVersion + 1}`);
+
+    await expect(migrateDatabase(database)).rejects.toThrow(/newer than the latest version/);
+
+    /* And left alone */
+    expect(await getDatabaseVersion(database)).toBe(latestDatabaseVersion + 1);
+    expect(getSchema(database.db)).toEqual({});
+});
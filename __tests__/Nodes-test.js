@@ -0,0 +1,199 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import request from 'request-promise-native';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import {
+    loadNodesFromDatabase, loadPublicNodesFromDatabase, savePublicNodesToDatabase,
+} from '../src/Database';
+import {
+    checkNodes, getActiveNode, getCurrentNode, isSameNode, nodeToString, startNodeMonitor,
+    updatePublicNodeList,
+} from '../src/Nodes';
+
+jest.mock('request-promise-native', () => jest.fn());
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+}));
+
+jest.mock('plenteum-wallet-backend', () => ({
+    ...jest.requireActual('plenteum-wallet-backend'),
+    Daemon: jest.fn(function(host, port, cacheApi, ssl) {
+        this.host = host;
+        this.port = port;
+        this.ssl = ssl;
+    }),
+}));
+
+jest.mock('../src/NativeCode', () => ({
+    makePostRequest: jest.fn(),
+}));
+
+jest.mock('../src/Database', () => ({
+    savePreferencesToDatabase: jest.fn(),
+    loadNodesFromDatabase: jest.fn(),
+    saveNodeToDatabase: jest.fn(),
+    savePublicNodesToDatabase: jest.fn(),
+    loadPublicNodesFromDatabase: jest.fn(),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        preferences: {},
+        logger: { addLogMessage: jest.fn() },
+        wallet: undefined,
+        nodeHealthTimer: 1,
+    },
+}));
+
+const bundledNodes = [
+    { host: 'bundled-one.test', port: 443, ssl: true },
+    { host: 'bundled-two.test', port: 44016, ssl: false },
+];
+
+const userNode = { host: 'user.test', port: 44016, ssl: false };
+
+const publicNode = { name: 'Public', host: 'public.test', port: 44016, ssl: false, fee: 0 };
+
+const networkHeight = 1000;
+
+/* Nodes which answer /info, and the height they're at */
+let onlineNodes = {};
+
+function setOnline(node, height = networkHeight) {
+    onlineNodes[nodeToString(node)] = height;
+}
+
+beforeEach(() => {
+    onlineNodes = {};
+
+    Config.nodeList = bundledNodes;
+
+    loadNodesFromDatabase.mockResolvedValue([userNode]);
+    loadPublicNodesFromDatabase.mockResolvedValue([publicNode]);
+
+    request.mockImplementation(async ({ url }) => {
+        const node = url.replace(/\/info$/, '');
+
+        if (onlineNodes[node] === undefined) {
+            throw new Error('ECONNREFUSED');
+        }
+
+        return { height: onlineNodes[node], network_height: networkHeight };
+    });
+
+    Globals.wallet = {
+        getSyncStatus: () => [networkHeight, networkHeight, networkHeight],
+        swapNode: jest.fn(),
+        on: jest.fn(),
+    };
+
+    startNodeMonitor();
+});
+
+test('stays on the chosen node while it is healthy', async () => {
+    setOnline(getCurrentNode());
+    bundledNodes.forEach((node) => setOnline(node));
+
+    await checkNodes();
+
+    expect(Globals.wallet.swapNode).not.toHaveBeenCalled();
+    expect(isSameNode(getActiveNode(), getCurrentNode())).toBe(true);
+});
+
+test('fails over to a bundled node when the chosen node is down', async () => {
+    setOnline(bundledNodes[1]);
+
+    await checkNodes();
+
+    expect(Globals.wallet.swapNode).toHaveBeenCalledTimes(1);
+    expect(getActiveNode()).toEqual(bundledNodes[1]);
+});
+
+test('falls through the bundled nodes to user and public nodes', async () => {
+    setOnline(publicNode);
+
+    await checkNodes();
+
+    expect(getActiveNode()).toEqual({ host: 'public.test', port: 44016, ssl: false });
+
+    /* Public node dies too, user node comes up */
+    delete onlineNodes[nodeToString(publicNode)];
+    setOnline(userNode);
+
+    await checkNodes();
+
+    expect(getActiveNode()).toEqual(userNode);
+});
+
+test('skips nodes which are too far behind the network', async () => {
+    setOnline(bundledNodes[0], networkHeight - Config.maxNodeHeightLag - 1);
+    setOnline(bundledNodes[1]);
+
+    await checkNodes();
+
+    expect(getActiveNode()).toEqual(bundledNodes[1]);
+});
+
+test('swaps back to the chosen node once it recovers', async () => {
+    setOnline(bundledNodes[0]);
+
+    await checkNodes();
+
+    expect(getActiveNode()).toEqual(bundledNodes[0]);
+
+    setOnline(getCurrentNode());
+
+    await checkNodes();
+
+    expect(isSameNode(getActiveNode(), getCurrentNode())).toBe(true);
+    expect(Globals.wallet.swapNode).toHaveBeenCalledTimes(2);
+});
+
+test('stays put when there is nothing healthy to swap to', async () => {
+    await checkNodes();
+
+    expect(Globals.wallet.swapNode).not.toHaveBeenCalled();
+    expect(isSameNode(getActiveNode(), getCurrentNode())).toBe(true);
+});
+
+test('public node list is parsed and cached', async () => {
+    request.mockResolvedValue({
+        nodes: [
+            { name: 'Node one', url: 'one.test', port: 44016, ssl: false, fee: 0 },
+            { name: 'Node two', url: 'two.test', port: '443', ssl: true, fee: { address: 'PLe', amount: 5000 } },
+            { name: 'No port', url: 'bad.test' },
+            { name: 'Duplicate', url: 'one.test', port: 44016, ssl: false },
+        ],
+    });
+
+    expect(await updatePublicNodeList(true)).toBeUndefined();
+
+    expect(savePublicNodesToDatabase).toHaveBeenLastCalledWith([
+        { name: 'Node one', host: 'one.test', port: 44016, ssl: false, fee: 0 },
+        { name: 'Node two', host: 'two.test', port: 443, ssl: true, fee: 5000 },
+    ]);
+});
+
+test('a failed or empty public node list fetch keeps the cached copy', async () => {
+    savePublicNodesToDatabase.mockClear();
+
+    request.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+    expect(await updatePublicNodeList(true)).toBe('getaddrinfo ENOTFOUND');
+
+    request.mockResolvedValue({ nodes: [] });
+
+    expect(await updatePublicNodeList(true)).toBe('Node list does not contain any valid nodes');
+
+    request.mockResolvedValue('<html>Not found</html>');
+
+    expect(await updatePublicNodeList(true)).toBe('Node list is not in the expected format');
+
+    expect(savePublicNodesToDatabase).not.toHaveBeenCalled();
+});
@@ -0,0 +1,207 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import ParsedTransaction from 'plenteum-utils/lib/transaction';
+
+import { WalletBackend, Daemon } from 'plenteum-wallet-backend';
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { makeDaemon } from '../src/Nodes';
+import {
+    saveOfflineSpentInputsToDatabase, loadOfflineSpentInputsFromDatabase,
+} from '../src/Database';
+import {
+    createUnsignedTransaction, signTransaction, relayTransaction,
+} from '../src/OfflineSigning';
+
+import * as Helpers from './helpers/Wallet';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+    Text: 'Text',
+    ToastAndroid: {},
+    Alert: {},
+}));
+
+jest.mock('react-navigation', () => ({
+    StackActions: {},
+    NavigationActions: {},
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Nodes', () => ({
+    makeDaemon: jest.fn(),
+    getActiveNode: jest.fn(),
+}));
+
+jest.mock('../src/Database', () => ({
+    saveOfflineSpentInputsToDatabase: jest.fn(),
+    loadOfflineSpentInputsFromDatabase: jest.fn(),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        logger: { addLogMessage: jest.fn() },
+    },
+}));
+
+const cryptoUtils = CryptoUtils(Config);
+
+const networkHeight = 100;
+
+/* The offline device, which has the spend key */
+let offlineWallet;
+
+/* The online device, which only has the view key */
+let onlineWallet;
+
+/* What the stand in daemon was asked to relay */
+let relayed;
+
+/**
+ * Give the view wallet an output of amount, as if someone had sent it to us
+ */
+function receive(amount) {
+    return Helpers.receive(onlineWallet, amount, { globalOutputIndex: _.random(1, 100000) });
+}
+
+/**
+ * The outputs in the raw transaction, and which of them belong to the address
+ */
+function scanRawTransaction(rawTransaction, address, privateViewKey) {
+    const tx = new ParsedTransaction();
+
+    tx.blob = rawTransaction;
+
+    const outputs = tx.outputs.map((output, index) => {
+        return {
+            index,
+            key: output.key,
+            amount: output.amount,
+        };
+    });
+
+    const { publicKey } = tx.extra.find((tag) => tag.tag === 1);
+    const { publicSpendKey } = cryptoUtils.decodeAddress(address);
+
+    return [
+        outputs,
+        cryptoUtils.scanTransactionOutputs(publicKey, outputs.map((output) => ({ ...output })), privateViewKey, publicSpendKey),
+    ];
+}
+
+beforeEach(() => {
+    offlineWallet = WalletBackend.createWallet(new Daemon('127.0.0.1', 44016), Config);
+
+    const [, privateViewKey] = offlineWallet.getPrimaryAddressPrivateKeys();
+
+    [onlineWallet] = WalletBackend.importViewWallet(
+        new Daemon('127.0.0.1', 44016), 0, privateViewKey, offlineWallet.getPrimaryAddress(), Config,
+    );
+
+    jest.spyOn(onlineWallet, 'getSyncStatus').mockReturnValue([networkHeight, networkHeight, networkHeight]);
+
+    relayed = [];
+
+    makeDaemon.mockReturnValue({
+        init: jest.fn(),
+        getRandomOutputsByAmount: jest.fn(),
+        sendTransaction: jest.fn(async (rawTransaction) => {
+            relayed.push(rawTransaction);
+            return true;
+        }),
+    });
+
+    loadOfflineSpentInputsFromDatabase.mockResolvedValue([]);
+    saveOfflineSpentInputsToDatabase.mockClear();
+});
+
+test('unsigned transactions include the dev fee, and are signed and relayed', async () => {
+    const recipient = cryptoUtils.createNewAddress();
+
+    const amount = 1000000;
+    const devFee = 20000;
+
+    await receive(600000);
+    await receive(700000);
+
+    Globals.wallet = onlineWallet;
+
+    const [unsigned, createError] = await createUnsignedTransaction([[recipient.address, amount]], devFee, '');
+
+    expect(createError).toBeUndefined();
+    expect(unsigned.payments).toContainEqual([Config.devFeeAddress, devFee]);
+    expect(unsigned.change).toBe(1300000 - amount - devFee - Config.minimumFee);
+
+    /* Carried across to the offline device */
+    Globals.wallet = offlineWallet;
+
+    const [signed, signError] = await signTransaction(JSON.parse(JSON.stringify(unsigned)));
+
+    expect(signError).toBeUndefined();
+
+    Globals.wallet = onlineWallet;
+
+    const [hash, relayError] = await relayTransaction(JSON.parse(JSON.stringify(signed)));
+
+    expect(relayError).toBeUndefined();
+    expect(hash).toBe(signed.hash);
+    expect(relayed).toEqual([signed.rawTransaction]);
+    expect(saveOfflineSpentInputsToDatabase).toHaveBeenCalledWith(unsigned.inputs.map((input) => input.key));
+
+    /* Check what actually went on chain */
+    const [outputs, recipientOutputs] = scanRawTransaction(
+        signed.rawTransaction, recipient.address, recipient.view.privateKey,
+    );
+
+    const [, privateViewKey] = offlineWallet.getPrimaryAddressPrivateKeys();
+
+    const [, changeOutputs] = scanRawTransaction(
+        signed.rawTransaction, offlineWallet.getPrimaryAddress(), privateViewKey,
+    );
+
+    const total = _.sumBy(outputs, 'amount');
+
+    expect(total).toBe(1300000 - Config.minimumFee);
+    expect(_.sumBy(recipientOutputs, 'amount')).toBe(amount);
+    expect(_.sumBy(changeOutputs, 'amount')).toBe(unsigned.change);
+
+    /* Everything else is the dev fee */
+    expect(total - amount - unsigned.change).toBe(devFee);
+});
+
+test('no dev fee output is added when there is no dev fee', async () => {
+    const recipient = cryptoUtils.createNewAddress();
+
+    await receive(600000);
+
+    Globals.wallet = onlineWallet;
+
+    const [unsigned, error] = await createUnsignedTransaction([[recipient.address, 100000]], 0, '');
+
+    expect(error).toBeUndefined();
+    expect(unsigned.payments.map(([address]) => address)).not.toContain(Config.devFeeAddress);
+});
+
+test('inputs already spent offline are not used again', async () => {
+    await receive(600000);
+
+    Globals.wallet = onlineWallet;
+
+    const [first] = await createUnsignedTransaction([[cryptoUtils.createNewAddress().address, 100000]], 0, '');
+
+    loadOfflineSpentInputsFromDatabase.mockResolvedValue(first.inputs.map((input) => input.key));
+
+    const [unsigned, error] = await createUnsignedTransaction([[cryptoUtils.createNewAddress().address, 100000]], 0, '');
+
+    expect(unsigned).toBeUndefined();
+    expect(error).toMatch(/Not enough unlocked funds/);
+});
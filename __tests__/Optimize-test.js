@@ -0,0 +1,113 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import ParsedTransaction from 'plenteum-utils/lib/transaction';
+
+import { WalletBackend, Daemon } from 'plenteum-wallet-backend';
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { makeDaemon } from '../src/Nodes';
+import { getMixinLimits, sendTransactionWithOptions } from '../src/AdvancedSend';
+import { estimateTransactionSize, getOutputStats, getMaxSendable } from '../src/Optimize';
+
+import { receive, useStandInDaemon } from './helpers/Wallet';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Nodes', () => ({
+    makeDaemon: jest.fn(),
+    getActiveNode: jest.fn(),
+}));
+
+jest.mock('../src/Database', () => ({
+    saveToDatabase: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        logger: { addLogMessage: jest.fn() },
+        addPendingTransaction: jest.fn(),
+    },
+}));
+
+const cryptoUtils = CryptoUtils(Config);
+
+const networkHeight = 100;
+
+/* What the stand in daemon was asked to relay */
+let relayed;
+
+beforeEach(() => {
+    Globals.wallet = WalletBackend.createWallet(new Daemon('127.0.0.1', 44016), Config);
+
+    relayed = useStandInDaemon(Globals.wallet, networkHeight);
+
+    /* Outputs far apart, with big global indexes, so the ring member offsets
+       take up as much room as they can */
+    makeDaemon.mockReturnValue({
+        init: jest.fn(),
+        getRandomOutputsByAmount: jest.fn(async (amounts, count) => {
+            return amounts.map((amount) => [
+                amount,
+                _.range(1, count + 1).map((index) => [index * 2 ** 31, cryptoUtils.createNewAddress().spend.publicKey]),
+            ]);
+        }),
+    });
+});
+
+test('transactions are never bigger than estimated', async () => {
+    const [, maxMixin] = getMixinLimits();
+
+    /* Every digit non zero, so amounts split into as many outputs as they
+       can */
+    for (let i = 0; i < 40; i++) {
+        await receive(Globals.wallet, 987654321987);
+    }
+
+    const destinations = _.range(3).map(() => [cryptoUtils.createNewAddress().address, 9876543219876]);
+
+    const [, error] = await sendTransactionWithOptions(destinations, '1'.repeat(64), {
+        mixin: maxMixin,
+        unlockTime: 499999999,
+    });
+
+    expect(error).toBeUndefined();
+    expect(relayed.length).toBe(1);
+
+    const tx = new ParsedTransaction();
+
+    tx.blob = relayed[0];
+
+    expect(tx.inputs.length).toBeGreaterThan(1);
+    expect(relayed[0].length / 2).toBeLessThanOrEqual(estimateTransactionSize(tx.inputs.length, maxMixin));
+});
+
+test('the whole balance can be sent when every output fits', async () => {
+    await receive(Globals.wallet, 600000);
+    await receive(Globals.wallet, 700000);
+
+    expect(getOutputStats().fragmented).toBe(false);
+    expect(getMaxSendable()).toEqual([1300000, false]);
+});
+
+test('no amount is offered when there are more outputs than fit', async () => {
+    const { maxInputs } = getOutputStats();
+
+    for (let i = 0; i <= maxInputs; i++) {
+        await receive(Globals.wallet, 100);
+    }
+
+    expect(getOutputStats().fragmented).toBe(true);
+    expect(getMaxSendable()).toEqual([undefined, true]);
+});
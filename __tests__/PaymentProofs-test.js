@@ -0,0 +1,242 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import Base58 from 'plenteum-utils/lib/base58';
+import PlenteumCrypto from 'plenteum-utils/lib/plenteum-crypto';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { saveToDatabase } from '../src/Database';
+import {
+    storeTransactionPrivateKey, getTransactionPrivateKey, createPaymentProof, verifyPaymentProof,
+    getTransactionPublicKey,
+} from '../src/PaymentProofs';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Nodes', () => ({
+    getActiveNode: () => ({ host: 'node.test', port: 44016, ssl: false }),
+    nodeToString: () => 'http://node.test:44016',
+}));
+
+jest.mock('../src/Database', () => ({
+    saveToDatabase: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        logger: { addLogMessage: jest.fn() },
+    },
+}));
+
+const crypto = PlenteumCrypto();
+
+const cryptoUtils = CryptoUtils(Config);
+
+const hash = 'ab'.repeat(32);
+
+const recipient = cryptoUtils.createNewAddress();
+
+const someoneElse = cryptoUtils.createNewAddress();
+
+/* The transaction we're proving, paying 1000 + 500 to the recipient and 250
+   to someone else */
+const { spend: transactionKeys } = cryptoUtils.createNewAddress();
+
+function makeOutput(address, index, amount) {
+    const [, derivation] = crypto.generateKeyDerivation(address.view.publicKey, transactionKeys.privateKey);
+    const [, key] = crypto.derivePublicKey(derivation, index, address.spend.publicKey);
+
+    return { amount, key };
+}
+
+const outputs = [
+    makeOutput(recipient, 0, 1000),
+    makeOutput(someoneElse, 1, 250),
+    makeOutput(recipient, 2, 500),
+];
+
+/* A payment ID nonce before the public key, like the backend makes */
+const extra = '022100' + 'cd'.repeat(32) + '01' + transactionKeys.publicKey;
+
+function jsonResponse(data, status = 200) {
+    return Promise.resolve({
+        ok: status === 200,
+        status,
+        json: () => Promise.resolve(data),
+    });
+}
+
+/* A conventional daemon */
+function daemonFetch(url) {
+    if (url === 'http://node.test:44016/json_rpc') {
+        return jsonResponse({
+            jsonrpc: '2.0',
+            result: {
+                block: { height: 90 },
+                tx: {
+                    extra,
+                    vout: outputs.map((output) => ({ amount: output.amount, target: { data: { key: output.key } } })),
+                },
+            },
+        });
+    }
+
+    return jsonResponse({}, 404);
+}
+
+/* A blockchain cache API */
+function cacheFetch(url) {
+    if (url === `http://node.test:44016/transaction/${hash}`) {
+        return jsonResponse({
+            block: { height: 95 },
+            tx: { hash, publicKey: transactionKeys.publicKey },
+            outputs,
+        });
+    }
+
+    return jsonResponse({}, 404);
+}
+
+beforeEach(() => {
+    global.fetch = jest.fn(daemonFetch);
+
+    Globals.wallet = {
+        getSyncStatus: () => [100, 100, 100],
+    };
+});
+
+test('transaction public key is found past other extra fields', () => {
+    const publicKey = transactionKeys.publicKey;
+
+    expect(getTransactionPublicKey('01' + publicKey)).toBe(publicKey);
+    expect(getTransactionPublicKey(extra)).toBe(publicKey);
+
+    /* Padding, merge mining tag, additional public keys tag, and a long
+       minergate tag with a two byte length */
+    expect(getTransactionPublicKey(
+        '0000' + '0302' + 'ffff' + '0401' + '11' + 'de' + '8001' + '22'.repeat(128) + '01' + publicKey,
+    )).toBe(publicKey);
+
+    expect(getTransactionPublicKey('02')).toBeUndefined();
+    expect(getTransactionPublicKey('05' + publicKey)).toBeUndefined();
+    expect(getTransactionPublicKey('')).toBeUndefined();
+});
+
+test('proofs are in the ProofV1 format, and do not contain the transaction key', () => {
+    const [proof, error] = createPaymentProof(hash, recipient.address, transactionKeys.privateKey);
+
+    expect(error).toBeUndefined();
+    expect(proof.startsWith('ProofV1')).toBe(true);
+
+    const decoded = Base58.decode(proof.substr('ProofV1'.length));
+
+    expect(decoded.length).toBe(192);
+    expect(decoded).not.toContain(transactionKeys.privateKey);
+
+    /* rA, as the Karbo wallets use */
+    const rA = crypto.crypto.scalarmultKey(recipient.view.publicKey, transactionKeys.privateKey);
+
+    expect(decoded.substr(0, 64)).toBe(rA);
+});
+
+test('a proof verifies against a daemon, and counts only the outputs to the address', async () => {
+    const [proof] = createPaymentProof(hash, recipient.address, transactionKeys.privateKey);
+
+    const [result, error] = await verifyPaymentProof(hash, recipient.address, proof);
+
+    expect(error).toBeUndefined();
+    expect(result).toEqual({
+        hash,
+        address: recipient.address,
+        amount: 1500,
+        confirmations: 11,
+    });
+});
+
+test('a proof verifies against a cache API', async () => {
+    global.fetch = jest.fn(cacheFetch);
+
+    const [proof] = createPaymentProof(hash, someoneElse.address, transactionKeys.privateKey);
+
+    const [result, error] = await verifyPaymentProof(hash, someoneElse.address, proof);
+
+    expect(error).toBeUndefined();
+    expect(result.amount).toBe(250);
+    expect(result.confirmations).toBe(6);
+});
+
+test('proofs for another address or transaction are rejected', async () => {
+    const [proof] = createPaymentProof(hash, recipient.address, transactionKeys.privateKey);
+
+    const [, wrongAddress] = await verifyPaymentProof(hash, someoneElse.address, proof);
+
+    expect(wrongAddress).toMatch(/not for this transaction and address/);
+
+    /* Made with some other key than the one in the transaction */
+    const [forged] = createPaymentProof(hash, recipient.address, cryptoUtils.createNewAddress().spend.privateKey);
+
+    const [, forgedError] = await verifyPaymentProof(hash, recipient.address, forged);
+
+    expect(forgedError).toMatch(/not for this transaction and address/);
+
+    /* Made for a different transaction */
+    const [otherHash] = createPaymentProof('cd'.repeat(32), recipient.address, transactionKeys.privateKey);
+
+    const [, otherHashError] = await verifyPaymentProof(hash, recipient.address, otherHash);
+
+    expect(otherHashError).toMatch(/not for this transaction and address/);
+});
+
+test('corrupted proofs are rejected', async () => {
+    const [proof] = createPaymentProof(hash, recipient.address, transactionKeys.privateKey);
+
+    const [, notProof] = await verifyPaymentProof(hash, recipient.address, 'PleProofV1' + proof.substr(7));
+    const [, truncated] = await verifyPaymentProof(hash, recipient.address, proof.substr(0, proof.length - 11));
+
+    expect(notProof).toMatch(/not a proof of payment/);
+    expect(truncated).toMatch(/corrupted/);
+});
+
+test('missing transactions and unreachable nodes are reported', async () => {
+    const [proof] = createPaymentProof(hash, recipient.address, transactionKeys.privateKey);
+
+    global.fetch = jest.fn(() => jsonResponse({ jsonrpc: '2.0', error: { message: 'not found' } }));
+
+    const [, notFound] = await verifyPaymentProof(hash, recipient.address, proof);
+
+    expect(notFound).toMatch(/Transaction not found/);
+
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Network request failed')));
+
+    const [, offline] = await verifyPaymentProof(hash, recipient.address, proof);
+
+    expect(offline).toMatch(/Failed to get the transaction/);
+});
+
+test('transaction keys are stored in the wallet, and saved', () => {
+    const transactionPrivateKeys = new Map();
+
+    Globals.wallet = {
+        subWallets: {
+            transactionPrivateKeys,
+            storeTxPrivateKey: (privateKey, txHash) => transactionPrivateKeys.set(txHash, privateKey),
+        },
+    };
+
+    expect(getTransactionPrivateKey(hash)).toBeUndefined();
+
+    storeTransactionPrivateKey(hash, transactionKeys.privateKey);
+
+    expect(getTransactionPrivateKey(hash)).toBe(transactionKeys.privateKey);
+    expect(saveToDatabase).toHaveBeenCalledWith(Globals.wallet);
+});
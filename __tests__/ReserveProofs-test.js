@@ -0,0 +1,149 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import { WalletBackend, Daemon } from 'plenteum-wallet-backend';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { makeDaemon } from '../src/Nodes';
+import { createReserveProof, verifyReserveProof } from '../src/ReserveProofs';
+
+import * as Helpers from './helpers/Wallet';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Nodes', () => ({
+    makeDaemon: jest.fn(),
+    getActiveNode: jest.fn(),
+}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        wallet: undefined,
+        logger: { addLogMessage: jest.fn() },
+    },
+}));
+
+/* Transactions the stand in daemon knows about, by hash */
+let transactions;
+
+/* The outputs were received this far back */
+const outputsHeight = 1000;
+
+const networkHeight = outputsHeight + Config.reserveProofMaxScanBlocks * 2;
+
+/* Heights the daemon was asked for blocks from */
+let requestedHeights;
+
+/**
+ * Give the wallet an output of amount, in a block at blockHeight
+ */
+async function receive(amount, blockHeight = outputsHeight) {
+    const { parentTransactionHash, key } = await Helpers.receive(
+        Globals.wallet, amount, { blockHeight },
+    );
+
+    transactions[parentTransactionHash] = {
+        block: { height: blockHeight },
+        tx: { vout: [{ amount, target: { data: { key } } }] },
+    };
+}
+
+beforeEach(() => {
+    Globals.wallet = WalletBackend.createWallet(new Daemon('127.0.0.1', 44016), Config);
+
+    transactions = {};
+    requestedHeights = [];
+
+    makeDaemon.mockReturnValue({
+        init: jest.fn(),
+        getNetworkBlockCount: () => networkHeight,
+        makePostRequest: jest.fn(async (endpoint, { params }) => {
+            return { result: transactions[params.hash] };
+        }),
+        getWalletSyncData: jest.fn(async (checkpoints, startHeight, startTimestamp, blockCount) => {
+            requestedHeights.push(startHeight);
+
+            const blocks = [];
+
+            for (let height = startHeight; height < startHeight + blockCount && height <= networkHeight; height++) {
+                blocks.push({ blockHeight: height, transactions: [] });
+            }
+
+            return [blocks, true];
+        }),
+    });
+});
+
+test('old outputs are only checked for spends in the most recent blocks', async () => {
+    await receive(1000);
+    await receive(2000);
+
+    const [proof, error] = await createReserveProof(0, 'Audit');
+
+    expect(error).toBeUndefined();
+
+    const onProgress = jest.fn();
+
+    const [result, verifyError] = await verifyReserveProof(proof, onProgress);
+
+    expect(verifyError).toBeUndefined();
+    expect(result).toMatchObject({
+        message: 'Audit',
+        total: 3000,
+        unspent: 0,
+        unverified: 3000,
+        spent: 0,
+        outputs: 2,
+        spentOutputs: 0,
+        outputsHeight,
+        scannedFromHeight: networkHeight - Config.reserveProofMaxScanBlocks,
+    });
+
+    expect(requestedHeights[0]).toBe(networkHeight - Config.reserveProofMaxScanBlocks);
+    expect(requestedHeights.length).toBeLessThanOrEqual(Config.reserveProofMaxScanBlocks / 100 + 1);
+
+    expect(onProgress).toHaveBeenCalledWith(0, Config.reserveProofMaxScanBlocks);
+});
+
+test('only outputs checked since they were made count as unspent', async () => {
+    await receive(1000);
+    await receive(2000, networkHeight - 10);
+
+    const [proof] = await createReserveProof(0, '');
+
+    const [result, error] = await verifyReserveProof(proof);
+
+    expect(error).toBeUndefined();
+    expect(result).toMatchObject({
+        total: 3000,
+        unspent: 2000,
+        unverified: 1000,
+        spent: 0,
+        outputsHeight,
+    });
+});
+
+test('verification stops when cancelled', async () => {
+    await receive(1000);
+
+    const [proof] = await createReserveProof(0, '');
+
+    let cancelled = false;
+
+    const [result, error] = await verifyReserveProof(proof, (blocksChecked) => {
+        if (blocksChecked >= 500) {
+            cancelled = true;
+        }
+    }, () => cancelled);
+
+    expect(result).toBeUndefined();
+    expect(error).toMatch(/cancelled/);
+    expect(requestedHeights.length).toBe(6);
+});
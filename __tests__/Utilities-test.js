@@ -0,0 +1,161 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from '../src/Config';
+
+import { Globals } from '../src/Globals';
+import { createPaymentURI, parseURI, generatePaymentID, toCsvRow } from '../src/Utilities';
+
+jest.mock('react-native', () => ({
+    Platform: { OS: 'ios' },
+    Text: 'Text',
+    ToastAndroid: {},
+    Alert: {},
+}));
+
+jest.mock('react-navigation', () => ({
+    StackActions: {},
+    NavigationActions: {},
+}));
+
+jest.mock('../src/NativeCode', () => ({}));
+
+jest.mock('../src/Globals', () => ({
+    Globals: {
+        payees: [],
+        addPayee: jest.fn(),
+        wallet: undefined,
+    },
+}));
+
+const address = Config.devFeeAddress;
+
+const paymentID = generatePaymentID();
+
+const integratedAddress = CryptoUtils(Config).createIntegratedAddress(address, paymentID);
+
+/* 12.34 PLE */
+const amount = 1234 * (10 ** (Config.decimalPlaces - 2));
+
+beforeEach(() => {
+    Globals.payees = [];
+    Globals.addPayee.mockClear();
+
+    Globals.wallet = {
+        getBalance: () => [1000000 * (10 ** Config.decimalPlaces), 0],
+        getNodeFee: () => ['', 0],
+    };
+});
+
+test('integrated address fixture is valid', () => {
+    expect(integratedAddress.length).toBe(Config.integratedAddressLength);
+});
+
+test('plain address round trips', () => {
+    const uri = createPaymentURI(address);
+
+    expect(uri).toBe(Config.uriPrefix + address);
+
+    expect(parseURI(uri)).toEqual({
+        valid: true,
+        address,
+        paymentID: '',
+        amount: undefined,
+        suggestedAction: 'NewPayee',
+    });
+});
+
+test('address with payment ID round trips', () => {
+    const result = parseURI(createPaymentURI(address, undefined, paymentID));
+
+    expect(result.valid).toBe(true);
+    expect(result.address).toBe(address);
+    expect(result.paymentID).toBe(paymentID);
+});
+
+test('integrated address round trips', () => {
+    const result = parseURI(createPaymentURI(integratedAddress));
+
+    expect(result.valid).toBe(true);
+    expect(result.address).toBe(integratedAddress);
+    expect(result.paymentID).toBe('');
+});
+
+test('integrated address with a name is saved split into address and payment ID', () => {
+    const result = parseURI(createPaymentURI(integratedAddress, undefined, undefined, 'Coffee Shop'));
+
+    expect(result.valid).toBe(true);
+    expect(result.suggestedAction).toBe('Transfer');
+    expect(result.payee).toEqual({
+        nickname: 'Coffee Shop',
+        address,
+        paymentID,
+    });
+    expect(Globals.addPayee).toHaveBeenCalledWith(result.payee);
+});
+
+test('amount round trips', () => {
+    const result = parseURI(createPaymentURI(address, amount));
+
+    expect(result.valid).toBe(true);
+    expect(result.address).toBe(address);
+    expect(result.amount).toBe('12.34');
+});
+
+test('amount, payment ID and name round trip to a confirmation', () => {
+    const result = parseURI(createPaymentURI(address, amount, paymentID, 'Starbucks Coffee'));
+
+    expect(result.valid).toBe(true);
+    expect(result.suggestedAction).toBe('Confirm');
+    expect(result.payee).toEqual({
+        nickname: 'Starbucks Coffee',
+        address,
+        paymentID,
+    });
+
+    /* Recipient gets exactly what was asked for */
+    expect(result.amount.remainingAtomic).toBe(amount);
+});
+
+test('integrated address and payment ID together are rejected', () => {
+    const result = parseURI(createPaymentURI(integratedAddress, undefined, paymentID));
+
+    expect(result.valid).toBe(false);
+});
+
+test('invalid payment ID is rejected', () => {
+    const result = parseURI(createPaymentURI(address, undefined, 'not a payment id'));
+
+    expect(result.valid).toBe(false);
+});
+
+test('name clashing with a different saved payee asks for a new name', () => {
+    Globals.payees = [{ nickname: 'Coffee Shop', address, paymentID: '' }];
+
+    const result = parseURI(createPaymentURI(address, undefined, paymentID, 'Coffee Shop'));
+
+    expect(result).toEqual({
+        valid: true,
+        address,
+        paymentID,
+        amount: undefined,
+        suggestedAction: 'NewPayee',
+    });
+    expect(Globals.addPayee).not.toHaveBeenCalled();
+});
+
+test('csv fields are quoted when needed', () => {
+    expect(toCsvRow(['a', 'b,c', 'say "hi"', undefined, 5])).toBe('a,"b,c","say ""hi""",,5');
+});
+
+test('csv text which would run as a formula is escaped, but numbers are not', () => {
+    expect(toCsvRow(['=HYPERLINK("x")', '+1+cmd', '-2+3', '@SUM(A1)', '\tlabel'])).toBe(
+        '"\'=HYPERLINK(""x"")",\'+1+cmd,\'-2+3,\'@SUM(A1),\'\tlabel',
+    );
+
+    expect(toCsvRow(['-1.50', -2, '+3', 'memo - note'])).toBe('-1.50,-2,+3,memo - note');
+});
+
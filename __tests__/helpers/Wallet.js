@@ -0,0 +1,76 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import PlenteumCrypto from 'plenteum-utils/lib/plenteum-crypto';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+import { TransactionInput } from 'plenteum-wallet-backend/dist/lib/Types';
+import { generateKeyImage } from 'plenteum-wallet-backend/dist/lib/CryptoWrapper';
+
+import Config from '../../src/Config';
+
+const crypto = PlenteumCrypto();
+
+const cryptoUtils = CryptoUtils(Config);
+
+/**
+ * Give the primary address of wallet an output of amount, as if someone had
+ * sent it to us. View wallets get it without a key image, like they would
+ * when syncing.
+ *
+ * Pass the transactionPublicKey of an output received before to give
+ * another wallet with the same keys the same output.
+ *
+ * Returns the input stored.
+ */
+export async function receive(wallet, amount, {
+    blockHeight = 1,
+    globalOutputIndex = 1,
+    transactionPublicKey = cryptoUtils.createNewAddress().spend.publicKey,
+} = {}) {
+    const [privateSpendKey, privateViewKey] = wallet.getPrimaryAddressPrivateKeys();
+    const { publicSpendKey } = cryptoUtils.decodeAddress(wallet.getPrimaryAddress());
+
+    const [, derivation] = crypto.generateKeyDerivation(transactionPublicKey, privateViewKey);
+    const [, key] = crypto.derivePublicKey(derivation, 0, publicSpendKey);
+
+    const isViewWallet = wallet.subWallets.isViewWallet;
+
+    let keyImage = '';
+
+    if (!isViewWallet) {
+        [keyImage] = await generateKeyImage(
+            transactionPublicKey, privateViewKey, publicSpendKey, privateSpendKey, 0, Config,
+        );
+    }
+
+    const input = new TransactionInput(
+        keyImage, amount, blockHeight, transactionPublicKey, 0, globalOutputIndex, key, 0, 0,
+        cryptoUtils.cnFastHash(transactionPublicKey),
+    );
+
+    wallet.subWallets.subWallets.get(publicSpendKey).storeTransactionInput(input, isViewWallet);
+
+    return input;
+}
+
+/**
+ * Stand in for the daemon of wallet, at networkHeight, and take any
+ * transactions it's asked to relay.
+ *
+ * Returns the raw transactions it was asked to relay, as they come in.
+ */
+export function useStandInDaemon(wallet, networkHeight) {
+    const relayed = [];
+
+    jest.spyOn(wallet, 'getSyncStatus').mockReturnValue([networkHeight, networkHeight, networkHeight]);
+    jest.spyOn(wallet.daemon, 'getNetworkBlockCount').mockReturnValue(networkHeight);
+
+    jest.spyOn(wallet.daemon, 'sendTransaction').mockImplementation(async (rawTransaction) => {
+        relayed.push(rawTransaction);
+        return true;
+    });
+
+    return relayed;
+}
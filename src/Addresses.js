@@ -0,0 +1,202 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+/* Not exported from the index. The backend can hold several subwallets - one
+   per address, sharing the view key - but has no way to add one yet. */
+import { SubWallet } from 'plenteum-wallet-backend/dist/lib/SubWallet';
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { isViewWallet } from './Utilities';
+import { saveToDatabase } from './Database';
+import { hashToScalar, scalarmultBase } from './Ed25519';
+
+/* "plenteum address" in hex, hashed in with the main spend key so the keys
+   we make can't be mistaken for any other use of it */
+const ADDRESS_KEY_DOMAIN = '706c656e7465756d2061646472657373';
+
+/**
+ * The label the user gave the address, or a description of it if they
+ * haven't given it one
+ */
+export function getAddressLabel(address) {
+    const addressLabel = Globals.addressLabels.find((item) => item.address === address);
+
+    if (addressLabel !== undefined && addressLabel.label !== '') {
+        return addressLabel.label;
+    }
+
+    return address === Globals.wallet.getPrimaryAddress()
+        ? 'Main address'
+        : 'Unlabelled address';
+}
+
+/**
+ * Every address in the wallet, main address first, then the oldest first.
+ *
+ * Returns a list of { address, label, primary, unlockedBalance, lockedBalance }
+ */
+export function getWalletAddresses() {
+    const primaryAddress = Globals.wallet.getPrimaryAddress();
+
+    const addresses = [
+        primaryAddress,
+        ...Globals.wallet.getAddresses().filter((address) => address !== primaryAddress),
+    ];
+
+    return addresses.map((address) => {
+        const [unlockedBalance, lockedBalance] = Globals.wallet.getBalance([address]);
+
+        return {
+            address,
+            label: getAddressLabel(address),
+            primary: address === primaryAddress,
+            unlockedBalance,
+            lockedBalance,
+        };
+    });
+}
+
+/**
+ * The spend keys of the extra address with the given index. They're made
+ * from the main private spend key, so restoring the wallet from its seed or
+ * keys can make the same addresses again.
+ *
+ * Returns { publicKey, privateKey }
+ */
+export function deriveAddressKeys(index) {
+    const [privateSpendKey] = Globals.wallet.getPrimaryAddressPrivateKeys();
+
+    /* Index as 4 little endian bytes */
+    const indexHex = index.toString(16).padStart(8, '0').match(/../g).reverse().join('');
+
+    const privateKey = hashToScalar(ADDRESS_KEY_DOMAIN + privateSpendKey + indexHex);
+
+    return {
+        publicKey: scalarmultBase(privateKey),
+        privateKey,
+    };
+}
+
+function getAddressForIndex(index) {
+    const { publicViewKey } = CryptoUtils(Config).decodeAddress(Globals.wallet.getPrimaryAddress());
+
+    const keys = deriveAddressKeys(index);
+
+    return [CryptoUtils(Config).encodeAddress(publicViewKey, keys.publicKey), keys];
+}
+
+/**
+ * Add the address with the given index to the wallet, scanning for
+ * transactions to it from scanHeight. It shares our view key, so the wallet
+ * picks up transactions to it as it syncs, and it's saved in the wallet file
+ * along with the rest of the wallet.
+ */
+function addAddress(index, scanHeight) {
+    const subWallets = Globals.wallet.subWallets;
+
+    const [address, keys] = getAddressForIndex(index);
+
+    const subWallet = new SubWallet(
+        subWallets.config, address, scanHeight, 0, keys.publicKey, keys.privateKey,
+    );
+
+    subWallet.primaryAddress = false;
+
+    subWallets.subWallets.set(keys.publicKey, subWallet);
+    subWallets.publicSpendKeys.push(keys.publicKey);
+
+    return address;
+}
+
+/**
+ * The lowest index we haven't made an address for yet. Indexes start at 1,
+ * the main address being 0.
+ */
+function getNextAddressIndex() {
+    const addresses = Globals.wallet.getAddresses();
+
+    let index = 1;
+
+    while (addresses.includes(getAddressForIndex(index)[0])) {
+        index++;
+    }
+
+    return index;
+}
+
+/**
+ * How many extra addresses need restoring to get all of ours back
+ */
+export function getAddressCount() {
+    return getNextAddressIndex() - 1;
+}
+
+/**
+ * Adds a new address to the wallet, with the given label.
+ *
+ * Returns [address, undefined] or [undefined, error]
+ */
+export async function createAddress(label) {
+    if (isViewWallet()) {
+        return [undefined, 'This is a view only wallet, so it can\'t create new addresses.'];
+    }
+
+    const index = getNextAddressIndex();
+
+    /* Nothing can have been sent to it yet, so no need to scan any earlier */
+    const [walletHeight] = Globals.wallet.getSyncStatus();
+
+    const address = addAddress(index, walletHeight);
+
+    Globals.saveAddressLabel({
+        address,
+        label: label.trim(),
+        index,
+    });
+
+    try {
+        await saveToDatabase(Globals.wallet);
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to save wallet after creating address: ' + err);
+    }
+
+    Globals.logger.addLogMessage(`Created address ${address}`);
+
+    return [address, undefined];
+}
+
+/**
+ * Make the first count extra addresses again, for a wallet just restored from
+ * its seed or keys. Call before the wallet starts syncing, so it picks up
+ * their transactions from scanHeight on.
+ */
+export function restoreAddresses(count, scanHeight) {
+    for (let index = 1; index <= count; index++) {
+        const address = addAddress(index, scanHeight);
+
+        Globals.logger.addLogMessage(`Restored address ${address}`);
+    }
+}
+
+export function renameAddress(address, label) {
+    const addressLabel = Globals.addressLabels.find((item) => item.address === address);
+
+    Globals.saveAddressLabel({
+        ...addressLabel,
+        address,
+        label: label.trim(),
+    });
+}
+
+/**
+ * Whether the transaction sent funds to, or spent funds from, the address
+ */
+export function transactionInvolvesAddress(transaction, address) {
+    const { publicSpendKey } = CryptoUtils(Config).decodeAddress(address);
+
+    return transaction.transfers.has(publicSpendKey);
+}
@@ -0,0 +1,307 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import QRCode from 'react-native-qrcode-svg';
+
+import { NavigationEvents } from 'react-navigation';
+
+import { View, Text, ScrollView, Alert } from 'react-native';
+
+import { Input } from 'react-native-elements';
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+import ListItem from './ListItem';
+import List from './ListContainer';
+
+import { Globals } from './Globals';
+import { isViewWallet, toastPopUp } from './Utilities';
+import { CopyButton, BottomButton } from './SharedComponents';
+import {
+    getWalletAddresses, getAddressLabel, createAddress, renameAddress, getAddressCount,
+} from './Addresses';
+
+const inputProps = (theme) => {
+    return {
+        containerStyle: {
+            width: '90%',
+            marginLeft: 20,
+            marginBottom: 20,
+        },
+        inputContainerStyle: {
+            borderColor: theme.notVeryVisibleColour,
+            borderWidth: 1,
+            borderRadius: 2,
+        },
+        labelStyle: {
+            marginBottom: 5,
+            marginRight: 2,
+            color: theme.slightlyMoreVisibleColour,
+        },
+        inputStyle: {
+            color: theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        },
+        autoCapitalize: 'sentences',
+        autoCorrect: false,
+        maxLength: 50,
+    };
+};
+
+function describeBalance(address) {
+    let description = `${prettyPrintAmount(address.unlockedBalance, Config)} available`;
+
+    if (address.lockedBalance > 0) {
+        description += `, ${prettyPrintAmount(address.lockedBalance, Config)} locked`;
+    }
+
+    return description;
+}
+
+/**
+ * The addresses in the wallet, with their balances, and making new ones -
+ * e.g. one per customer, so you can see who has paid
+ */
+export class AddressesScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            addresses: getWalletAddresses(),
+            label: '',
+            creating: false,
+        };
+    }
+
+    componentDidMount() {
+        this.interval = setInterval(() => {
+            this.setState({
+                addresses: getWalletAddresses(),
+            });
+        }, 10000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.interval);
+    }
+
+    async createAddress() {
+        this.setState({
+            creating: true,
+        });
+
+        const [address, error] = await createAddress(this.state.label);
+
+        if (error) {
+            Alert.alert(
+                'Failed to create address',
+                error,
+                [
+                    {text: 'OK'},
+                ]
+            );
+
+            this.setState({
+                creating: false,
+            });
+
+            return;
+        }
+
+        toastPopUp('Address created');
+
+        this.setState({
+            addresses: getWalletAddresses(),
+            label: '',
+            creating: false,
+        });
+
+        this.props.navigation.navigate('AddressDetails', { address });
+    }
+
+    render() {
+        const viewWallet = isViewWallet();
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <NavigationEvents
+                    onWillFocus={() => {
+                        /* Label may have changed */
+                        this.setState({
+                            addresses: getWalletAddresses(),
+                        });
+                    }}
+                />
+
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Your addresses
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Give each customer their own address to see who has paid. Funds sent to any of them
+                            are part of your balance.
+                        </Text>
+
+                        {this.state.addresses.length > 1 &&
+                            <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15, marginTop: 10 }}>
+                                To get them back when restoring from your seed or keys, enter that you have
+                                made {getAddressCount()} extra addresses. Their labels are only kept in backup files.
+                            </Text>
+                        }
+                    </View>
+
+                    <List style={{
+                        backgroundColor: this.props.screenProps.theme.backgroundColour,
+                        marginHorizontal: 20,
+                        marginBottom: 20,
+                    }}>
+                        {this.state.addresses.map((address) => (
+                            <ListItem
+                                key={address.address}
+                                title={address.label}
+                                subtitle={`${address.address.substr(0, 15)}...\n${describeBalance(address)}`}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                }}
+                                subtitleStyle={{
+                                    color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                                }}
+                                onPress={() => this.props.navigation.navigate('AddressDetails', { address: address.address })}
+                            />
+                        ))}
+                    </List>
+
+                    {!viewWallet &&
+                        <Input
+                            {...inputProps(this.props.screenProps.theme)}
+                            label={'Label for a new address'}
+                            value={this.state.label}
+                            onChangeText={(text) => {
+                                this.setState({
+                                    label: text,
+                                });
+                            }}
+                        />
+                    }
+                </ScrollView>
+
+                {!viewWallet &&
+                    <BottomButton
+                        title={this.state.creating ? 'Creating...' : 'Create Address'}
+                        onPress={() => this.createAddress()}
+                        disabled={this.state.creating || this.state.label.trim() === ''}
+                        {...this.props}
+                    />
+                }
+            </View>
+        );
+    }
+}
+
+/**
+ * One of our addresses, to share or rename
+ */
+export class AddressDetailsScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        const { address } = this.props.navigation.state.params;
+
+        this.state = {
+            label: Globals.addressLabels.some((item) => item.address === address)
+                ? getAddressLabel(address)
+                : '',
+        };
+    }
+
+    render() {
+        const { address } = this.props.navigation.state.params;
+
+        const details = getWalletAddresses().find((item) => item.address === address);
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            {getAddressLabel(address)}
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            {describeBalance(details)}
+                        </Text>
+                    </View>
+
+                    <View style={{ alignItems: 'center' }}>
+                        <View style={{ padding: 5, backgroundColor: this.props.screenProps.theme.qrCode.backgroundColour }}>
+                            <QRCode
+                                value={address}
+                                size={200}
+                                backgroundColor={this.props.screenProps.theme.qrCode.backgroundColour}
+                                color={this.props.screenProps.theme.qrCode.foregroundColour}
+                            />
+                        </View>
+
+                        <Text selectable style={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            fontSize: 15,
+                            textAlign: 'center',
+                            marginTop: 10,
+                            marginHorizontal: 20,
+                        }}>
+                            {address}
+                        </Text>
+
+                        <CopyButton
+                            data={address}
+                            name='Address'
+                            {...this.props}
+                        />
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Label'}
+                        value={this.state.label}
+                        onChangeText={(text) => {
+                            this.setState({
+                                label: text,
+                            });
+                        }}
+                    />
+                </ScrollView>
+
+                <BottomButton
+                    title="Save Label"
+                    onPress={() => {
+                        renameAddress(address, this.state.label);
+                        toastPopUp('Label saved');
+                        this.props.navigation.goBack();
+                    }}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
@@ -0,0 +1,341 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import { WalletError, WalletErrorCode, SUCCESS } from 'plenteum-wallet-backend';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+import { Transaction, UnconfirmedInput } from 'plenteum-wallet-backend/dist/lib/Types';
+import {
+    generateKeyImage, generateKeyDerivation, underivePublicKey,
+} from 'plenteum-wallet-backend/dist/lib/CryptoWrapper';
+import {
+    splitAmountIntoDenominations, getMaxTxSize, prettyPrintBytes,
+} from 'plenteum-wallet-backend/dist/lib/Utilities';
+import {
+    validateDestinations, validateIntegratedAddresses, validateAmount, validateMixin, validatePaymentID,
+} from 'plenteum-wallet-backend/dist/lib/ValidateParameters';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { toAtomic } from './Fee';
+import { getRandomOuts } from './OfflineSigning';
+import { storeTransactionPrivateKey } from './PaymentProofs';
+import { addPendingTransaction } from './PendingTransactions';
+
+/* Unlock times below this are block heights, above are unix timestamps */
+const UNLOCK_TIME_TIMESTAMP_CUTOFF = 500000000;
+
+/**
+ * The [minimum, maximum] mixin the network allows right now
+ */
+export function getMixinLimits() {
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    return Config.mixinLimits.getMixinLimitsByHeight(networkHeight);
+}
+
+/**
+ * The mixin we use if the user doesn't pick one
+ */
+export function getDefaultMixin() {
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    return Config.mixinLimits.getDefaultMixinByHeight(networkHeight);
+}
+
+export function checkMixin(mixin) {
+    const numMixin = Number(mixin);
+
+    if (mixin === '' || !Number.isInteger(numMixin)) {
+        return [false, 'Mixin is not a whole number!'];
+    }
+
+    const [minMixin, maxMixin] = getMixinLimits();
+
+    if (numMixin < minMixin || numMixin > maxMixin) {
+        return [false, `Mixin must be between ${minMixin} and ${maxMixin}!`];
+    }
+
+    return [true, ''];
+}
+
+export function checkFee(fee) {
+    const numFee = Number(fee.replace(/,/g, ''));
+
+    if (fee === '' || isNaN(numFee)) {
+        return [false, 'Fee is not a number!'];
+    }
+
+    if (toAtomic(numFee) < Config.minimumFee) {
+        return [false, 'Fee is below the network minimum!'];
+    }
+
+    return [true, ''];
+}
+
+/**
+ * Blank means no unlock time
+ */
+export function checkUnlockTime(unlockTime) {
+    if (unlockTime === '') {
+        return [true, ''];
+    }
+
+    const numUnlockTime = Number(unlockTime);
+
+    if (!Number.isInteger(numUnlockTime) || numUnlockTime < 0) {
+        return [false, 'Unlock height is not a whole number!'];
+    }
+
+    if (numUnlockTime >= UNLOCK_TIME_TIMESTAMP_CUTOFF) {
+        return [false, 'Unlock height is too large!'];
+    }
+
+    return [true, ''];
+}
+
+/**
+ * Send a transaction with the given mixin, network fee (atomic), and unlock
+ * time. Any left undefined use the defaults. Every transaction we send goes
+ * through here.
+ *
+ * Returns [hash, undefined] or [undefined, error], like the backend
+ */
+export async function sendTransactionWithOptions(payments, paymentID, { mixin, fee, unlockTime } = {}) {
+    /* Don't let the backend auto optimize while we're spending inputs */
+    Globals.wallet.currentlyTransacting = true;
+
+    try {
+        return await makeAndSendTransaction(payments, paymentID, mixin, fee, unlockTime);
+    } finally {
+        Globals.wallet.currentlyTransacting = false;
+    }
+}
+
+/**
+ * The same checks the wallet backend makes before sending.
+ *
+ * Returns SUCCESS, or the first WalletError found
+ */
+function validateTransaction(payments, paymentID, mixin, fee, networkHeight) {
+    const subWallets = Globals.wallet.subWallets;
+
+    const checks = [
+        () => validateDestinations(payments, Config),
+        () => validateIntegratedAddresses(payments, paymentID, Config),
+        () => validateAmount(payments, fee, subWallets.getAddresses(), subWallets, networkHeight, Config),
+        () => validateMixin(mixin, networkHeight, Config),
+        () => validatePaymentID(paymentID),
+    ];
+
+    for (const check of checks) {
+        const error = check();
+
+        if (!_.isEqual(error, SUCCESS)) {
+            return error;
+        }
+    }
+
+    return SUCCESS;
+}
+
+/**
+ * We make and send transactions ourselves, the same way the wallet backend
+ * does, since it has no way to set the unlock time of a transaction, and
+ * throws away the transactions it makes once they're sent. We keep the
+ * private key, so we can prove payment, and the raw transaction, so we can
+ * send it again if it gets stuck.
+ *
+ * The unlock time is only ever given to this one transaction, and is kept on
+ * the transaction we store, so the wallet shows it as locked until then.
+ */
+async function makeAndSendTransaction(payments, paymentID = '', mixin, fee, unlockTime = 0) {
+    const subWallets = Globals.wallet.subWallets;
+
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    if (mixin === undefined) {
+        mixin = getDefaultMixin();
+    }
+
+    if (fee === undefined) {
+        fee = Config.minimumFee;
+    }
+
+    payments = payments.slice();
+
+    const [feeAddress, feeAmount] = Globals.wallet.getNodeFee();
+
+    /* Add the node fee, if it exists */
+    if (feeAmount > 0) {
+        payments.push([feeAddress, feeAmount]);
+    }
+
+    const error = validateTransaction(payments, paymentID, mixin, fee, networkHeight);
+
+    if (!_.isEqual(error, SUCCESS)) {
+        return [undefined, error];
+    }
+
+    const totalAmount = _.sumBy(payments, ([, amount]) => amount) + fee;
+
+    let inputs;
+    let foundMoney;
+
+    try {
+        [inputs, foundMoney] = subWallets.getTransactionInputsForAmount(
+            totalAmount, subWallets.getAddresses(), networkHeight,
+        );
+    } catch (err) {
+        return [undefined, new WalletError(WalletErrorCode.NOT_ENOUGH_BALANCE)];
+    }
+
+    const changeRequired = foundMoney - totalAmount;
+
+    if (changeRequired > 0) {
+        payments.push([subWallets.getPrimaryAddress(), changeRequired]);
+    }
+
+    const cryptoUtils = CryptoUtils(Config);
+
+    const transfers = [];
+
+    for (const [address, amount] of payments) {
+        const keys = cryptoUtils.decodeAddress(address);
+
+        /* Use the payment ID from an integrated address, if there is one */
+        if (keys.paymentId !== '') {
+            paymentID = keys.paymentId;
+        }
+
+        for (const denomination of splitAmountIntoDenominations(amount)) {
+            transfers.push({
+                amount: denomination,
+                keys,
+            });
+        }
+    }
+
+    const [randomOuts, randomOutsError] = await getRandomOuts(inputs.map((input) => input.input), mixin);
+
+    if (randomOutsError) {
+        return [undefined, new WalletError(WalletErrorCode.NOT_ENOUGH_FAKE_OUTPUTS, randomOutsError)];
+    }
+
+    let tx;
+
+    try {
+        const ourOutputs = await Promise.all(inputs.map(async (input) => {
+            const [keyImage, privateEphemeral] = await generateKeyImage(
+                input.input.transactionPublicKey, subWallets.getPrivateViewKey(),
+                input.publicSpendKey, input.privateSpendKey,
+                input.input.transactionIndex, Config,
+            );
+
+            return {
+                amount: input.input.amount,
+                globalIndex: input.input.globalOutputIndex,
+                index: input.input.transactionIndex,
+                input: {
+                    privateEphemeral,
+                },
+                key: input.input.key,
+                keyImage,
+            };
+        }));
+
+        tx = await cryptoUtils.createTransactionAsync(
+            transfers, ourOutputs, randomOuts, mixin, fee, paymentID, unlockTime,
+        );
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to create transaction: ' + err);
+        return [undefined, new WalletError(WalletErrorCode.UNKNOWN_ERROR, err.toString())];
+    }
+
+    /* Divided by two because it's represented as hex */
+    const txSize = tx.rawTransaction.length / 2;
+    const maxTxSize = getMaxTxSize(networkHeight, Config.blockTargetTime);
+
+    if (txSize > maxTxSize) {
+        return [undefined, new WalletError(
+            WalletErrorCode.TOO_MANY_INPUTS_TO_FIT_IN_BLOCK,
+            `Transaction is too large: (${prettyPrintBytes(txSize)}). Max allowed size is ` +
+            `${prettyPrintBytes(maxTxSize)}. Decrease the amount you are sending, or ` +
+            'perform some fusion transactions.',
+        )];
+    }
+
+    let relaySuccess;
+
+    try {
+        relaySuccess = await Globals.wallet.daemon.sendTransaction(tx.rawTransaction);
+    } catch (err) {
+        return [undefined, new WalletError(WalletErrorCode.DAEMON_OFFLINE)];
+    }
+
+    if (!relaySuccess) {
+        return [undefined, new WalletError(WalletErrorCode.DAEMON_ERROR)];
+    }
+
+    const transaction = await storeSentTransaction(tx, fee, paymentID, unlockTime, inputs);
+
+    /* Lock the inputs for spending till confirmed/cancelled */
+    for (const input of inputs) {
+        subWallets.markInputAsLocked(input.publicSpendKey, input.input.keyImage);
+    }
+
+    storeTransactionPrivateKey(tx.hash, tx.transaction.transactionKeys.privateKey);
+
+    addPendingTransaction(tx.hash, tx.rawTransaction);
+
+    Globals.wallet.emit('createdtx', transaction);
+
+    Globals.logger.addLogMessage('Sent transaction ' + tx.hash);
+
+    return [tx.hash, undefined];
+}
+
+/**
+ * Add the transaction we just sent to the wallet, along with any change
+ * coming back to us, so it shows up and the balance updates before it makes
+ * it into a block
+ */
+async function storeSentTransaction(tx, fee, paymentID, unlockTime, inputs) {
+    const subWallets = Globals.wallet.subWallets;
+
+    const transfers = new Map();
+
+    const derivation = await generateKeyDerivation(
+        tx.transaction.transactionKeys.publicKey, subWallets.getPrivateViewKey(), Config,
+    );
+
+    const spendKeys = subWallets.getPublicSpendKeys();
+
+    for (const [outputIndex, output] of tx.transaction.outputs.entries()) {
+        const derivedSpendKey = await underivePublicKey(derivation, outputIndex, output.key, Config);
+
+        if (!spendKeys.includes(derivedSpendKey)) {
+            continue;
+        }
+
+        subWallets.storeUnconfirmedIncomingInput(
+            new UnconfirmedInput(output.amount, output.key, tx.hash), derivedSpendKey,
+        );
+
+        transfers.set(derivedSpendKey, output.amount + (transfers.get(derivedSpendKey) || 0));
+    }
+
+    for (const input of inputs) {
+        transfers.set(input.publicSpendKey, -input.input.amount + (transfers.get(input.publicSpendKey) || 0));
+    }
+
+    const transaction = new Transaction(transfers, tx.hash, fee, 0, 0, paymentID, unlockTime, false);
+
+    subWallets.addUnconfirmedTransaction(transaction);
+
+    return transaction;
+}
@@ -8,7 +8,7 @@ import SimpleLineIcons from 'react-native-vector-icons/SimpleLineIcons';
 
 import React from 'react';
 
-import { View } from 'react-native';
+import { View, Text } from 'react-native';
 
 import {
     createStackNavigator, createAppContainer, createBottomTabNavigator,
@@ -22,10 +22,23 @@ import { Globals } from './Globals';
 import { MainScreen } from './MainScreen';
 import { SplashScreen } from './SplashScreen';
 import { DisclaimerScreen } from './DisclaimerScreen';
+import { NodeScreen } from './NodeScreen';
+import { IntegratedAddressScreen } from './IntegratedAddressScreen';
+import { KeyImagesScreen } from './KeyImagesScreen';
+import { PaymentProofScreen, VerifyPaymentProofScreen } from './PaymentProofScreen';
+import { ReserveProofScreen, VerifyReserveProofScreen } from './ReserveProofScreen';
+import { SignMessageScreen, VerifyMessageScreen } from './MessageSigningScreen';
+import { OptimizeScreen } from './OptimizeScreen';
+import { SchedulePaymentScreen, ScheduledPaymentsScreen } from './ScheduledPaymentsScreen';
+import { RequestPaymentScreen, PaymentRequestsScreen } from './RequestPaymentScreen';
+import { AddressesScreen, AddressDetailsScreen } from './AddressesScreen';
+import { WalletsScreen, ModifyWalletScreen, OpenWalletScreen } from './Wallets';
 import { loadPreferencesFromDatabase, openDB } from './Database';
 import { ModifyPayeeScreen, RecipientsScreen } from './Recipients';
 import { WalletOptionScreen, CreateWalletScreen } from './CreateScreen';
-import { TransactionsScreen, TransactionDetailsScreen } from './TransactionsScreen';
+import {
+    TransactionsScreen, TransactionDetailsScreen, ExportTransactionsScreen,
+} from './TransactionsScreen';
 
 import {
     SetPinScreen, RequestPinScreen, ForgotPinScreen, RequestHardwareAuthScreen,
@@ -34,6 +47,7 @@ import {
 
 import {
     SettingsScreen, SwapCurrencyScreen, ExportKeysScreen, LoggingScreen, FaqScreen,
+    ExportBackupScreen,
 } from './SettingsScreen';
 
 import {
@@ -45,9 +59,15 @@ import {
     QrScannerScreen, SendTransactionScreen,
 } from './TransferScreen';
 
+import { BatchSendScreen, SendBatchTransactionScreen } from './BatchSendScreen';
+import { CsvImportScreen, SendCsvPaymentsScreen } from './CsvImportScreen';
+import {
+    CreateUnsignedTransactionScreen, SignTransactionScreen, AnimatedQrScannerScreen,
+} from './OfflineSigningScreen';
+
 import { 
     ImportWalletScreen, ImportKeysOrSeedScreen, ImportSeedScreen, 
-    ImportKeysScreen,
+    ImportKeysScreen, ImportViewWalletScreen, RestoreBackupScreen,
 } from './ImportScreen';
 
 /* Transactions screen and more info on transactions */
@@ -55,6 +75,7 @@ const TransactionNavigator = createStackNavigator(
     {
         Transactions: TransactionsScreen,
         TransactionDetails: TransactionDetailsScreen,
+        PaymentProof: PaymentProofScreen,
     },
     {
         initialRouteName: 'Transactions',
@@ -87,6 +108,12 @@ const TransferNavigator = createStackNavigator(
         Confirm: ConfirmScreen,
         QrScanner: QrScannerScreen,
         SendTransaction: SendTransactionScreen,
+        BatchSend: BatchSendScreen,
+        SendBatchTransaction: SendBatchTransactionScreen,
+        CsvImport: CsvImportScreen,
+        SendCsvPayments: SendCsvPaymentsScreen,
+        CreateUnsignedTransaction: CreateUnsignedTransactionScreen,
+        AnimatedQrScanner: AnimatedQrScannerScreen,
         RequestPin: RequestPinScreen,
         RequestHardwareAuth: RequestHardwareAuthScreen,
     },
@@ -121,6 +148,10 @@ const SettingsNavigator = createStackNavigator(
         Settings: SettingsScreen,
         SwapCurrency: SwapCurrencyScreen,
         ExportKeys: ExportKeysScreen,
+        ReserveProof: ReserveProofScreen,
+        VerifyReserveProof: VerifyReserveProofScreen,
+        ExportBackup: ExportBackupScreen,
+        ExportTransactions: ExportTransactionsScreen,
         Logging: LoggingScreen,
         Faq: FaqScreen,
         RequestPin: RequestPinScreen,
@@ -128,6 +159,19 @@ const SettingsNavigator = createStackNavigator(
         SetPin: SetPinScreen,
         ChooseAuthMethod: ChooseAuthMethodScreen,
         RequestHardwareAuth: RequestHardwareAuthScreen,
+        Wallets: WalletsScreen,
+        ModifyWallet: ModifyWalletScreen,
+        ChooseNode: NodeScreen,
+        IntegratedAddress: IntegratedAddressScreen,
+        SignTransaction: SignTransactionScreen,
+        KeyImages: KeyImagesScreen,
+        VerifyPaymentProof: VerifyPaymentProofScreen,
+        SignMessage: SignMessageScreen,
+        Optimize: OptimizeScreen,
+        ScheduledPayments: ScheduledPaymentsScreen,
+        VerifyMessage: VerifyMessageScreen,
+        AnimatedQrScanner: AnimatedQrScannerScreen,
+        QrScanner: QrScannerScreen,
     },
     {
         initialRouteName: 'Settings',
@@ -157,6 +201,7 @@ const RecipientNavigator = createStackNavigator(
         Recipients: RecipientsScreen,
         ModifyPayee: ModifyPayeeScreen,
         NewPayee: NewPayeeScreen,
+        SchedulePayment: SchedulePaymentScreen,
     },
     {
         initialRouteName: '',
@@ -181,10 +226,45 @@ RecipientNavigator.navigationOptions = ({ navigation, screenProps }) => ({
     }
 });
 
+const MainNavigator = createStackNavigator(
+    {
+        Main: MainScreen,
+        RequestPayment: RequestPaymentScreen,
+        PaymentRequests: PaymentRequestsScreen,
+        Addresses: AddressesScreen,
+        AddressDetails: AddressDetailsScreen,
+        RequestPin: RequestPinScreen,
+        RequestHardwareAuth: RequestHardwareAuthScreen,
+    },
+    {
+        initialRouteName: 'Main',
+        headerLayoutPreset: 'center',
+        defaultNavigationOptions: {
+            headerTitleStyle: {
+                fontWeight: 'bold',
+                color: Themes.darkMode.primaryColour,
+            },
+            headerTransparent: true,
+            headerTintColor: Themes.darkMode.primaryColour,
+        },
+    }
+);
+
+MainNavigator.navigationOptions = ({ navigation, screenProps }) => ({
+    tabBarLabel: 'Home',
+    tabBarVisible: navigation.state.index === 0, /* Only show tab bar on Main */
+    tabBarOptions: {
+        activeBackgroundColor: screenProps.theme.backgroundColour,
+        inactiveBackgroundColor: screenProps.theme.backgroundColour,
+        activeTintColor: screenProps.theme.primaryColour,
+        inactiveTintColor: screenProps.theme.slightlyMoreVisibleColour,
+    }
+});
+
 /* Main screen for a logged in wallet */
 const HomeNavigator = createBottomTabNavigator(
     {
-        Main: MainScreen,
+        Main: MainNavigator,
         Transactions: TransactionNavigator,
         Transfer: TransferNavigator,
         Recipients: RecipientNavigator,
@@ -249,6 +329,9 @@ const LoginNavigator = createStackNavigator(
         /* Import a wallet */
         ImportWallet: ImportWalletScreen,
 
+        /* Open one of our existing wallets */
+        OpenWallet: OpenWalletScreen,
+
         /* Pick between seed or keys */
         ImportKeysOrSeed: ImportKeysOrSeedScreen,
 
@@ -258,6 +341,12 @@ const LoginNavigator = createStackNavigator(
         /* Import with a set of keys */
         ImportKeys: ImportKeysScreen,
 
+        /* Import a view only wallet with an address and view key */
+        ImportViewWallet: ImportViewWalletScreen,
+
+        /* Restore an encrypted backup file */
+        RestoreBackup: RestoreBackupScreen,
+
         /* Pick a month to start the wallet scanning from */
         PickMonth: PickMonthScreen,
 
@@ -320,7 +409,17 @@ export default class App extends React.Component {
     }
 
     async init() {
-        await openDB();
+        const dbError = await openDB();
+
+        /* Can't do anything without the DB - most likely it was made by a
+           newer version of the app */
+        if (dbError) {
+            this.setState({
+                dbError,
+            });
+
+            return;
+        }
 
         const prefs = await loadPreferencesFromDatabase();
 
@@ -348,9 +447,26 @@ export default class App extends React.Component {
         const loadedComponent = <AppContainer screenProps={this.state.screenProps}/>;
         const notLoadedComponent = <View></View>;
 
+        const dbErrorComponent =
+            <View style={{
+                flex: 1,
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: this.state.screenProps.theme.backgroundColour,
+            }}>
+                <Text style={{
+                    color: this.state.screenProps.theme.primaryColour,
+                    fontSize: 20,
+                    marginHorizontal: 30,
+                    textAlign: 'center',
+                }}>
+                    Failed to open your wallet database: {this.state.dbError}
+                </Text>
+            </View>;
+
         return(
             <View style={{ flex: 1 }}>
-                {this.state.loaded ? loadedComponent : notLoadedComponent}
+                {this.state.dbError ? dbErrorComponent : this.state.loaded ? loadedComponent : notLoadedComponent}
             </View>
         );
     }
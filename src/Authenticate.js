@@ -21,7 +21,7 @@ import Config from './Config';
 import { Styles } from './Styles';
 import { Globals } from './Globals';
 import { FadeView } from './FadeView';
-import { setHaveWallet, savePreferencesToDatabase } from './Database';
+import { removeAllWalletsFromDatabase, savePreferencesToDatabase } from './Database';
 import { BottomButton } from './SharedComponents';
 import { navigateWithDisabledBack } from './Utilities';
 
@@ -428,22 +428,24 @@ export class ForgotPinScreen extends React.Component {
                         marginLeft: 30,
                         marginBottom: 20,
                     }}>
-                        Your wallet is encrypted with your pin, so unfortunately, if you have forgotten your pin, it cannot be recovered.
+                        Your wallet is encrypted with a key which never leaves this device. The app can use it without your pin, for example to sync in the background, but your pin is the only way into the app, so unfortunately, if you have forgotten it, it cannot be recovered.
                     </Text>
                     <Text style={{
                         color: this.props.screenProps.theme.primaryColour,
                         fontSize: 25,
                         marginLeft: 30
                     }}>
-                        However, you can delete your wallet if you wish to create a new one.
+                        However, you can delete your wallets if you wish to create a new one, or restore them from your seeds or keys.
                     </Text>
                 </View>
 
                 <BottomButton
-                    title='Delete Wallet'
+                    title='Delete Wallets'
                     onPress={() => {
                         (async () => {
-                            await setHaveWallet(false);
+                            /* The pin protects every wallet, so we can't
+                               keep any of them */
+                            await removeAllWalletsFromDatabase();
 
                             await deleteUserPinCode();
 
@@ -15,13 +15,18 @@ import NetInfo from '@react-native-community/netinfo';
 import Config from './Config';
 
 import { Globals } from './Globals';
+import { getDaemon } from './Nodes';
+import { isViewWallet } from './Utilities';
 
 import { sendNotification } from './MainScreen';
+import { matchPaymentRequest } from './PaymentRequests';
+import { runDueScheduledPaymentsInBackground } from './ScheduledPayments';
 
-import { processBlockOutputs, makePostRequest } from './NativeCode';
+import { processBlockOutputs } from './NativeCode';
 
 import {
-    saveToDatabase, haveWallet, loadWallet, openDB, loadPreferencesFromDatabase
+    saveToDatabase, haveWallet, loadWallet, openDB, loadPreferencesFromDatabase,
+    loadPaymentRequestsFromDatabase, loadScheduledPaymentsFromDatabase,
 } from './Database';
 
 /* Note: headless/start on boot not enabled, since we don't have the pin
@@ -115,7 +120,12 @@ async function fromHeadlessJSInit() {
         return false;
     }
 
-    await openDB();
+    const openError = await openDB();
+
+    if (openError) {
+        Globals.logger.addLogMessage('[Background Sync] Failed to open DB. Not starting background sync.');
+        return false;
+    }
 
     const prefs = await loadPreferencesFromDatabase();
 
@@ -132,7 +142,7 @@ async function fromHeadlessJSInit() {
     }
 
     const [wallet, walletError] = WalletBackend.loadWalletFromJSON(
-        Config.defaultDaemon, walletData, Config
+        getDaemon(), walletData, Config
     );
 
     if (walletError) {
@@ -143,10 +153,14 @@ async function fromHeadlessJSInit() {
     Globals.wallet = wallet;
 
     Globals.wallet.scanCoinbaseTransactions(Globals.preferences.scanCoinbaseTransactions);
-    Globals.wallet.enableAutoOptimization(Globals.preferences.autoOptimize);
+    Globals.wallet.enableAutoOptimization(Globals.preferences.autoOptimize && !isViewWallet());
+
+    Globals.paymentRequests = await loadPaymentRequestsFromDatabase();
+
+    Globals.scheduledPayments = await loadScheduledPaymentsFromDatabase();
 
     Globals.wallet.on('incomingtx', (transaction) => {
-        sendNotification(transaction);
+        sendNotification(transaction, matchPaymentRequest(transaction));
     });
 
     Globals.wallet.setLoggerCallback((prettyMessage, message) => {
@@ -159,9 +173,6 @@ async function fromHeadlessJSInit() {
     /* TODO: iOS support */
     if (Platform.OS === 'android') {
         Globals.wallet.setBlockOutputProcessFunc(processBlockOutputs);
-        /* Override with our native makePostRequest implementation which can
-           actually cancel requests part way through */
-        Config.defaultDaemon.makePostRequest = makePostRequest;
     }
 
     PushNotification.configure({
@@ -243,5 +254,10 @@ export async function backgroundSync() {
         secsRunning = (new Date() - startTime) / 1000;
     }
 
+    /* Send any scheduled payments that are due, now we're synced */
+    if (!State.shouldStop) {
+        await runDueScheduledPaymentsInBackground();
+    }
+
     finishBackgroundSync();
 }
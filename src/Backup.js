@@ -0,0 +1,304 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import moment from 'moment';
+
+import RNFS from 'react-native-fs';
+
+import { Platform, PermissionsAndroid } from 'react-native';
+
+import { WalletBackend } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+import Constants from './Constants';
+
+import { Globals } from './Globals';
+import { getDaemon } from './Nodes';
+
+import {
+    deriveKeyFromPassword, generateSalt, encryptData, decryptData,
+} from './Encryption';
+
+import {
+    saveToDatabase, savePayeeToDatabase, saveTransactionDetailsToDatabase,
+    renameWalletInDatabase, getCurrentWalletId, loadWalletsFromDatabase,
+    savePaymentRequestToDatabase, saveAddressLabelToDatabase,
+} from './Database';
+
+/* Identifies a file as one of our backups */
+const backupFileIdentifier = Config.appName + ' Backup';
+
+/* pbkdf2 iterations used to stretch the backup password */
+const backupKeyIterations = 100000;
+
+/* The most iterations we'll run when reading a backup. The count comes from
+   the file, and a huge one would freeze the app. */
+const maxBackupKeyIterations = backupKeyIterations * 10;
+
+/* Backup files we write, and look for when restoring */
+const backupFileExtension = `.${Config.ticker.toLowerCase()}backup`;
+
+/* Anything bigger than this isn't one of our backups, don't read it in */
+const maxBackupFileSize = 50 * 1024 * 1024;
+
+/**
+ * Where backup files are written to, and restored from. Downloads can be
+ * reached from a file manager or a computer, and the documents directory
+ * shows up in the iOS Files app.
+ */
+export function getBackupDirectory() {
+    return Platform.OS === 'android'
+        ? RNFS.DownloadDirectoryPath
+        : RNFS.DocumentDirectoryPath;
+}
+
+/**
+ * Only android needs permission to use shared storage
+ */
+async function requestStoragePermission(permission) {
+    if (Platform.OS !== 'android') {
+        return true;
+    }
+
+    const result = await PermissionsAndroid.request(permission, {
+        title: 'Storage permission',
+        message: `${Config.appName} needs access to your downloads folder to save and restore backups.`,
+        buttonPositive: 'OK',
+    });
+
+    return result === PermissionsAndroid.RESULTS.GRANTED;
+}
+
+/**
+ * Creates an encrypted backup of the open wallet, and everything we store
+ * alongside it - payees, transaction details, address labels, and
+ * preferences.
+ *
+ * Returns a string, suitable for writing to a file.
+ */
+export async function createBackup(password) {
+    const wallets = await loadWalletsFromDatabase();
+
+    const currentWallet = wallets.find((w) => w.id === getCurrentWalletId());
+
+    const contents = {
+        walletName: currentWallet ? currentWallet.name : undefined,
+        wallet: Globals.wallet.toJSONString(),
+        payees: Globals.payees,
+        transactionDetails: Globals.transactionDetails,
+        paymentRequests: Globals.paymentRequests,
+        addressLabels: Globals.addressLabels,
+        preferences: Globals.preferences,
+    };
+
+    const salt = generateSalt();
+
+    const key = deriveKeyFromPassword(password, salt, backupKeyIterations);
+
+    return JSON.stringify({
+        identifier: backupFileIdentifier,
+        version: Constants.backupFileFormatVersion,
+        coinName: Config.coinName,
+        createdAt: Date.now(),
+        salt: salt.toString('hex'),
+        iterations: backupKeyIterations,
+        data: encryptData(JSON.stringify(contents), key),
+    });
+}
+
+/**
+ * Writes an encrypted backup of the open wallet to a new file in the backup
+ * directory.
+ *
+ * Returns [path, undefined] or [undefined, error]
+ */
+export async function writeBackupFile(password) {
+    if (!await requestStoragePermission(PermissionsAndroid.PERMISSIONS.WRITE_EXTERNAL_STORAGE)) {
+        return [undefined, 'Storage permission is needed to save the backup file.'];
+    }
+
+    const backup = await createBackup(password);
+
+    const path = `${getBackupDirectory()}/${Config.appName}-${moment().format('YYYY-MM-DD-HHmmss')}${backupFileExtension}`;
+
+    try {
+        await RNFS.writeFile(path, backup, 'utf8');
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to write backup file: ' + err);
+        return [undefined, 'Failed to write the backup file: ' + err.toString()];
+    }
+
+    return [path, undefined];
+}
+
+/**
+ * The backup files in the backup directory, newest first.
+ *
+ * Returns [files, undefined] or [undefined, error], where files is a list of
+ * { name, path, modified }
+ */
+export async function findBackupFiles() {
+    if (!await requestStoragePermission(PermissionsAndroid.PERMISSIONS.READ_EXTERNAL_STORAGE)) {
+        return [undefined, 'Storage permission is needed to find your backup files.'];
+    }
+
+    let items;
+
+    try {
+        items = await RNFS.readDir(getBackupDirectory());
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to list backup files: ' + err);
+        return [undefined, 'Failed to look for backup files: ' + err.toString()];
+    }
+
+    const files = _.sortBy(
+        items.filter((item) => item.isFile() && item.name.endsWith(backupFileExtension)),
+        (item) => item.mtime ? -item.mtime.getTime() : 0,
+    ).map((item) => ({
+        name: item.name,
+        path: item.path,
+        modified: item.mtime,
+    }));
+
+    return [files, undefined];
+}
+
+/**
+ * Reads, decrypts and verifies a backup file written by writeBackupFile().
+ *
+ * Returns [contents, undefined] or [undefined, error]
+ */
+export async function readBackupFile(path, password) {
+    let backupData;
+
+    try {
+        const { size } = await RNFS.stat(path);
+
+        if (Number(size) > maxBackupFileSize) {
+            return [undefined, 'This is not a valid backup file.'];
+        }
+
+        backupData = await RNFS.readFile(path, 'utf8');
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to read backup file: ' + err);
+        return [undefined, 'Failed to read the backup file: ' + err.toString()];
+    }
+
+    return readBackup(backupData, password);
+}
+
+/**
+ * Decrypts and verifies a backup created with createBackup().
+ *
+ * Returns [contents, undefined] or [undefined, error]
+ */
+export function readBackup(backupData, password) {
+    let backup;
+
+    try {
+        backup = JSON.parse(backupData.trim());
+    } catch (err) {
+        return [undefined, 'This is not a valid backup file.'];
+    }
+
+    if (!_.isPlainObject(backup) || backup.identifier !== backupFileIdentifier) {
+        return [undefined, 'This is not a valid backup file.'];
+    }
+
+    if (backup.coinName !== Config.coinName) {
+        return [undefined, `This backup is for ${backup.coinName}, not ${Config.coinName}.`];
+    }
+
+    if (backup.version > Constants.backupFileFormatVersion) {
+        return [undefined, 'This backup was made by a newer version of the app. Please update the app.'];
+    }
+
+    if (!_.isString(backup.salt) || !_.isString(backup.data)) {
+        return [undefined, 'Backup file is corrupted.'];
+    }
+
+    if (!Number.isInteger(backup.iterations) || backup.iterations < 1 || backup.iterations > maxBackupKeyIterations) {
+        return [undefined, 'Backup file is corrupted.'];
+    }
+
+    const key = deriveKeyFromPassword(password, Buffer.from(backup.salt, 'hex'), backup.iterations);
+
+    const [json, decryptError] = decryptData(backup.data, key);
+
+    if (decryptError) {
+        return [undefined, 'Incorrect password, or the backup file is corrupted.'];
+    }
+
+    let contents;
+
+    try {
+        contents = JSON.parse(json);
+    } catch (err) {
+        return [undefined, 'Backup file is corrupted.'];
+    }
+
+    if (!_.isString(contents.wallet) ||
+        !_.isArray(contents.payees) ||
+        !_.isArray(contents.transactionDetails) ||
+        !_.isPlainObject(contents.preferences)) {
+        return [undefined, 'Backup file is corrupted.'];
+    }
+
+    return [contents, undefined];
+}
+
+/**
+ * Restores a backup read with readBackup(), as a new wallet, and opens it.
+ *
+ * Returns an error, or undefined on success.
+ */
+export async function restoreBackup(contents) {
+    const [wallet, walletError] = WalletBackend.loadWalletFromJSON(
+        getDaemon(), contents.wallet, Config
+    );
+
+    if (walletError) {
+        return 'Failed to load wallet from backup: ' + walletError.toString();
+    }
+
+    /* Keep any preferences that have been added since the backup was made */
+    Globals.preferences = {
+        ...Globals.preferences,
+        ...contents.preferences,
+    };
+
+    Globals.wallet = wallet;
+
+    /* Makes a new wallet in the DB, and saves the preferences with it */
+    await saveToDatabase(Globals.wallet);
+
+    if (contents.walletName) {
+        await renameWalletInDatabase(getCurrentWalletId(), contents.walletName);
+    }
+
+    for (const payee of contents.payees) {
+        await savePayeeToDatabase(payee);
+    }
+
+    for (const txDetails of contents.transactionDetails) {
+        await saveTransactionDetailsToDatabase(txDetails);
+    }
+
+    /* Not present in older backups */
+    for (const paymentRequest of contents.paymentRequests || []) {
+        await savePaymentRequestToDatabase(paymentRequest);
+    }
+
+    for (const addressLabel of contents.addressLabels || []) {
+        await saveAddressLabelToDatabase(addressLabel);
+    }
+
+    if (Globals.updateTheme) {
+        Globals.updateTheme();
+    }
+
+    return undefined;
+}
@@ -0,0 +1,599 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import * as _ from 'lodash';
+
+import * as Animatable from 'react-native-animatable';
+
+import { View, Text, ScrollView, Platform } from 'react-native';
+
+import { Input, Button } from 'react-native-elements';
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+import ListItem from './ListItem';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { Authenticate } from './Authenticate';
+import { CrossButton } from './TransferScreen';
+import { Hr, BottomButton } from './SharedComponents';
+import { toAtomic, fromAtomic, addFee } from './Fee';
+import { sendTransactionWithOptions } from './AdvancedSend';
+
+import {
+    getArrivalTime, navigateWithDisabledBack, delay, validAmount,
+} from './Utilities';
+
+/**
+ * Send a single transaction paying all the recipients given, plus the dev fee.
+ * Each recipient is { address, paymentID, nickname, memo, amountAtomic }.
+ * All recipients must share the same payment ID, if any.
+ *
+ * Returns [hash, undefined] or [undefined, WalletError]
+ */
+export async function sendToRecipients(recipients, devFeeAtomic) {
+    const payments = recipients.map((recipient) => [
+        recipient.address, recipient.amountAtomic,
+    ]);
+
+    /* Dev payment */
+    if (devFeeAtomic > 0) {
+        payments.push([Config.devFeeAddress, devFeeAtomic]);
+    }
+
+    const paymentID = recipients.map((recipient) => recipient.paymentID)
+                                .find((id) => id !== undefined && id !== '') || '';
+
+    /* Leaving everything else as default, minus payments and paymentID */
+    const [hash, error] = await sendTransactionWithOptions(payments, paymentID);
+
+    if (error) {
+        return [undefined, error];
+    }
+
+    /* One entry per recipient, so we know who we paid, and why */
+    for (const recipient of recipients) {
+        Globals.addTransactionDetails({
+            hash,
+            memo: recipient.memo,
+            address: recipient.address,
+            payee: recipient.nickname,
+        });
+    }
+
+    return [hash, undefined];
+}
+
+/**
+ * Returns an error if the recipients have differing payment IDs, since a
+ * transaction can only have one.
+ */
+export function checkPaymentIDs(recipients) {
+    const paymentIDs = _.uniq(
+        recipients.map((recipient) => recipient.paymentID)
+                  .filter((id) => id !== undefined && id !== '')
+    );
+
+    if (paymentIDs.length > 1) {
+        return 'Recipients have different payment IDs - a transaction can only have one. Send to them separately.';
+    }
+
+    return undefined;
+}
+
+/**
+ * Pay several recipients from the address book in one transaction
+ */
+export class BatchSendScreen extends React.Component {
+    static navigationOptions = ({ navigation }) => {
+        return {
+            title: '',
+            headerRight: (
+                <CrossButton navigation={navigation}/>
+            ),
+        }
+    };
+
+    constructor(props) {
+        super(props);
+
+        const [unlockedBalance] = Globals.wallet.getBalance();
+
+        this.state = {
+            unlockedBalance,
+            recipients: [],
+        };
+    }
+
+    addRecipient(payee) {
+        this.setState({
+            recipients: [
+                ...this.state.recipients,
+                {
+                    payee,
+                    amount: '',
+                    amountError: '',
+                    memo: '',
+                },
+            ],
+        });
+    }
+
+    removeRecipient(index) {
+        this.setState({
+            recipients: this.state.recipients.filter((_recipient, i) => i !== index),
+        });
+    }
+
+    updateRecipient(index, update) {
+        this.setState({
+            recipients: this.state.recipients.map((recipient, i) => {
+                return i === index ? { ...recipient, ...update } : recipient;
+            }),
+        });
+    }
+
+    /**
+     * Works out the combined fees, and whether we can send
+     */
+    getSummary() {
+        const recipients = this.state.recipients.map((recipient) => ({
+            address: recipient.payee.address,
+            paymentID: recipient.payee.paymentID,
+            nickname: recipient.payee.nickname,
+            memo: recipient.memo,
+            amountAtomic: toAtomic(Number(recipient.amount.replace(/,/g, ''))),
+        }));
+
+        const totalAtomic = _.sumBy(recipients, 'amountAtomic');
+
+        let errMsg = checkPaymentIDs(recipients) || '';
+
+        let valid = recipients.length > 0 &&
+                    errMsg === '' &&
+                    this.state.recipients.every((recipient) => validAmount(recipient.amount, this.state.unlockedBalance)[0]);
+
+        let feeInfo = {};
+
+        if (valid) {
+            feeInfo = addFee(totalAtomic / (10 ** Config.decimalPlaces));
+
+            const [enoughFunds, fundsError] = validAmount(feeInfo.original, this.state.unlockedBalance);
+
+            if (!enoughFunds) {
+                valid = false;
+                errMsg = fundsError;
+            }
+        }
+
+        return {
+            recipients,
+            totalAtomic,
+            feeInfo,
+            valid,
+            errMsg,
+        };
+    }
+
+    render() {
+        const { recipients, totalAtomic, feeInfo, valid, errMsg } = this.getSummary();
+
+        const availablePayees = Globals.payees.filter((payee) => {
+            return !this.state.recipients.some((recipient) => recipient.payee.nickname === payee.nickname);
+        });
+
+        const inputContainerStyle = {
+            borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+            borderWidth: 1,
+            borderRadius: 2,
+        };
+
+        const labelStyle = {
+            marginBottom: 5,
+            marginRight: 2,
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+        };
+
+        const inputStyle = {
+            color: this.props.screenProps.theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        };
+
+        const summaryTitleStyle = {
+            marginBottom: 5,
+            marginTop: 20,
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+        };
+
+        const summaryStyle = {
+            color: this.props.screenProps.theme.primaryColour,
+            fontSize: 16,
+        };
+
+        return(
+            <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
+                <ScrollView contentContainerStyle={{
+                    paddingBottom: 80,
+                }}>
+                    <View style={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginTop: 60,
+                        marginHorizontal: 30,
+                    }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Send to multiple recipients
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15, marginBottom: 20 }}>
+                            Everyone is paid in a single transaction. Available: {fromAtomic(this.state.unlockedBalance)} {Config.ticker}
+                        </Text>
+                    </View>
+
+                    {this.state.recipients.map((recipient, index) => (
+                        <View key={recipient.payee.nickname} style={{ marginBottom: 10 }}>
+                            <View style={{
+                                flexDirection: 'row',
+                                alignItems: 'center',
+                                justifyContent: 'space-between',
+                                marginHorizontal: 30,
+                            }}>
+                                <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 18, fontWeight: 'bold' }}>
+                                    {recipient.payee.nickname}
+                                </Text>
+
+                                <Button
+                                    title='Remove'
+                                    onPress={() => this.removeRecipient(index)}
+                                    titleStyle={{
+                                        color: this.props.screenProps.theme.primaryColour,
+                                        fontSize: 13
+                                    }}
+                                    type="clear"
+                                />
+                            </View>
+
+                            <Input
+                                containerStyle={{
+                                    width: '90%',
+                                    marginLeft: 20,
+                                    marginBottom: 10,
+                                }}
+                                inputContainerStyle={inputContainerStyle}
+                                label={'Amount'}
+                                labelStyle={labelStyle}
+                                inputStyle={inputStyle}
+                                keyboardType={'number-pad'}
+                                rightIcon={
+                                    <Text style={{ fontSize: 15, marginRight: 10, color: this.props.screenProps.theme.primaryColour }}>
+                                        {Config.ticker}
+                                    </Text>
+                                }
+                                value={recipient.amount}
+                                onChangeText={(text) => {
+                                    const [, amountError] = validAmount(text, this.state.unlockedBalance);
+
+                                    this.updateRecipient(index, {
+                                        amount: text,
+                                        amountError,
+                                    });
+                                }}
+                                errorMessage={recipient.amountError}
+                            />
+
+                            <Input
+                                containerStyle={{
+                                    width: '90%',
+                                    marginLeft: 20,
+                                }}
+                                inputContainerStyle={inputContainerStyle}
+                                label={'Notes'}
+                                labelStyle={labelStyle}
+                                inputStyle={inputStyle}
+                                value={recipient.memo}
+                                onChangeText={(text) => {
+                                    this.updateRecipient(index, {
+                                        memo: text,
+                                    });
+                                }}
+                            />
+
+                            <View style={{ marginHorizontal: 30 }}>
+                                <Hr/>
+                            </View>
+                        </View>
+                    ))}
+
+                    <View style={{ marginHorizontal: 30 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, marginTop: 10 }}>
+                            Add from address book
+                        </Text>
+
+                        {availablePayees.length === 0 &&
+                            <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, marginTop: 10 }}>
+                                {Globals.payees.length === 0
+                                    ? 'Your address book is empty! Add some recipients to it first.'
+                                    : 'Everyone in your address book has been added.'}
+                            </Text>
+                        }
+
+                        {availablePayees.map((payee) => (
+                            <ListItem
+                                key={payee.nickname}
+                                title={payee.nickname}
+                                subtitle={payee.address.substr(0, 15) + '...'}
+                                leftIcon={
+                                    <View style={{
+                                        width: 50,
+                                        height: 50,
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        backgroundColor: this.props.screenProps.theme.iconColour,
+                                        borderRadius: 45
+                                    }}>
+                                        <Text style={[Styles.centeredText, {
+                                            fontSize: 30,
+                                            color: this.props.screenProps.theme.primaryColour,
+                                        }]}>
+                                            {payee.nickname[0].toUpperCase()}
+                                        </Text>
+                                    </View>
+                                }
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                                }}
+                                subtitleStyle={{
+                                    color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                                    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace'
+                                }}
+                                onPress={() => this.addRecipient(payee)}
+                            />
+                        ))}
+
+                        {recipients.length > 0 && <View>
+                            <Text style={{ fontSize: 15, color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold', marginTop: 30 }}>
+                                Transfer details
+                            </Text>
+
+                            <View style={{ borderWidth: 0.7, borderColor: 'lightgrey', width: '100%' }}/>
+
+                            {errMsg !== '' &&
+                                <Text style={{ color: 'red', marginTop: 10 }}>
+                                    {errMsg}
+                                </Text>
+                            }
+
+                            <Text style={summaryTitleStyle}>
+                                Recipients get
+                            </Text>
+
+                            <Text style={summaryStyle}>
+                                {prettyPrintAmount(totalAtomic, Config)}
+                            </Text>
+
+                            {valid && <View>
+                                <Text style={summaryTitleStyle}>
+                                    You're sending
+                                </Text>
+
+                                <Text style={summaryStyle}>
+                                    {prettyPrintAmount(totalAtomic + feeInfo.totalFeeAtomic, Config)}
+                                </Text>
+
+                                <Text style={summaryTitleStyle}>
+                                    Network fee
+                                </Text>
+
+                                <Text style={summaryStyle}>
+                                    {prettyPrintAmount(feeInfo.networkFeeAtomic, Config)}
+                                </Text>
+
+                                {feeInfo.devFeeAtomic > 0 && <View>
+                                    <Text style={summaryTitleStyle}>
+                                        Developer fee
+                                    </Text>
+
+                                    <Text style={summaryStyle}>
+                                        {prettyPrintAmount(feeInfo.devFeeAtomic, Config)}
+                                    </Text>
+                                </View>}
+
+                                {feeInfo.nodeFeeAtomic > 0 && <View>
+                                    <Text style={summaryTitleStyle}>
+                                        Node fee
+                                    </Text>
+
+                                    <Text style={summaryStyle}>
+                                        {prettyPrintAmount(feeInfo.nodeFeeAtomic, Config)}
+                                    </Text>
+                                </View>}
+
+                                <Text style={summaryTitleStyle}>
+                                    Should arrive in
+                                </Text>
+
+                                <Text style={summaryStyle}>
+                                    {getArrivalTime()}
+                                </Text>
+                            </View>}
+                        </View>}
+                    </View>
+                </ScrollView>
+
+                <BottomButton
+                    title="Send Transaction"
+                    onPress={() => {
+                        const params = {
+                            recipients,
+                            devFeeAtomic: feeInfo.devFeeAtomic,
+                        };
+
+                        if (Globals.preferences.authConfirmation) {
+                            /* Verify they have the correct pin, then send the actual TX */
+                            Authenticate(
+                                this.props.navigation,
+                                'to confirm the transaction',
+                                () => {
+                                    this.props.navigation.dispatch(navigateWithDisabledBack('ChoosePayee'));
+                                    this.props.navigation.navigate('SendBatchTransaction', {...params});
+                                }
+                            );
+                        } else {
+                            /* Reset this stack to be on the transfer screen */
+                            this.props.navigation.dispatch(navigateWithDisabledBack('ChoosePayee'));
+
+                            /* Then send the actual transaction */
+                            this.props.navigation.navigate('SendBatchTransaction', {...params});
+                        }
+                    }}
+                    disabled={!valid}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+export class SendBatchTransactionScreen extends React.Component {
+    static navigationOptions = {
+        header: null,
+    }
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            errMsg: '',
+            hash: '',
+            recipients: this.props.navigation.state.params.recipients,
+            devFeeAtomic: this.props.navigation.state.params.devFeeAtomic,
+            homeEnabled: false,
+        }
+
+        /* Send the tx in the background (it's async) */
+        this.sendTransaction();
+    }
+
+    async sendTransaction() {
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const [hash, error] = await sendToRecipients(
+            this.state.recipients, this.state.devFeeAtomic,
+        );
+
+        if (error) {
+            this.setState({
+                errMsg: error.toString(),
+                homeEnabled: true,
+            });
+        } else {
+            this.setState({
+                hash,
+                homeEnabled: true,
+            });
+        }
+    }
+
+    render() {
+        const sending =
+            <Animatable.Text
+                style={{
+                    color: this.props.screenProps.theme.primaryColour,
+                    fontSize: 25,
+                }}
+                animation='pulse'
+                iterationCount='infinite'
+            >
+                Sending transaction, please wait...
+            </Animatable.Text>;
+
+        const fail =
+            <View>
+                <Animatable.Text
+                    style={{
+                        color: 'red',
+                        fontSize: 25,
+                        marginBottom: 25,
+                        fontWeight: 'bold',
+                    }}
+                    animation='shake'
+                    delay={1000}
+                >
+                    Transaction failed!
+                </Animatable.Text>
+
+                <Text style={{ fontSize: 13 }}>
+                    {this.state.errMsg}
+                </Text>
+            </View>;
+
+        const success =
+            <View>
+                <Animatable.Text style={{
+                        color: this.props.screenProps.theme.primaryColour,
+                        fontSize: 25,
+                        marginBottom: 25,
+                        fontWeight: 'bold'
+                    }}
+                    animation='tada'
+                    delay={1000}
+                >
+                    Transaction complete
+                </Animatable.Text>
+
+                {this.state.recipients.map((recipient) => (
+                    <Text key={recipient.nickname} style={{ fontSize: 13, color: this.props.screenProps.theme.slightlyMoreVisibleColour, marginBottom: 5 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold' }}>
+                            {prettyPrintAmount(recipient.amountAtomic, Config)}{' '}
+                        </Text>
+                        was sent to{' '}
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold' }}>
+                            {recipient.nickname}
+                        </Text>
+                    </Text>
+                ))}
+
+                <Text style={{ fontSize: 15, color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold', marginTop: 15 }}>
+                    Transaction hash
+                </Text>
+
+                <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour }}>
+                    {this.state.hash}
+                </Text>
+            </View>;
+
+        return(
+            <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
+                <ScrollView
+                    style={{ flex: 1 }}
+                    contentContainerStyle={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginTop: 60,
+                        marginHorizontal: 30,
+                        paddingBottom: 80,
+                    }}
+                >
+                    {this.state.hash !== '' ? success : this.state.errMsg === '' ? sending : fail}
+                </ScrollView>
+
+                <BottomButton
+                    title="Home"
+                    onPress={() => {
+                        this.props.navigation.dispatch(navigateWithDisabledBack('ChoosePayee'));
+                        this.props.navigation.navigate('Main');
+                    }}
+                    disabled={!this.state.homeEnabled}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
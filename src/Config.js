@@ -4,7 +4,7 @@
 
 import { Platform } from 'react-native';
 
-import { MixinLimit, MixinLimits, Daemon } from 'plenteum-wallet-backend';
+import { MixinLimit, MixinLimits } from 'plenteum-wallet-backend';
 
 import {
     derivePublicKey, generateKeyDerivation, generateRingSignatures,
@@ -22,6 +22,23 @@ const Config = {
      */
     uriPrefix: 'plenteum://',
 
+    /**
+     * Prefix for proofs of payment. The same as the Karbo wallets use for
+     * the same format of proof.
+     */
+    paymentProofPrefix: 'ProofV1',
+
+    /**
+     * Prefix for proofs of reserve, so we can tell them apart from other data
+     */
+    reserveProofPrefix: 'PleReserveProofV1',
+
+    /**
+     * Prefix for signed messages. Matches the CryptoNote CLI wallets, so
+     * signatures can be checked with either.
+     */
+    messageSignaturePrefix: 'SigV1',
+
     /**
      * How often to save the wallet, in milliseconds
      */
@@ -39,6 +56,18 @@ const Config = {
      */
     addressPrefix: 18181,
 
+    /**
+     * The most recipients we'll put in a single transaction when sending a
+     * batch of payments. Larger batches are split into several transactions.
+     */
+    maxRecipientsPerTransaction: 15,
+
+    /**
+     * How many days a payment request is valid for by default. Payments
+     * arriving after it expires aren't counted towards it.
+     */
+    paymentRequestExpiryDays: 7,
+
     /**
      * Request timeout for daemon operations in milliseconds
      */
@@ -64,6 +93,12 @@ const Config = {
      */
     lockedTransactionsCheckInterval: 15 * 3000,
 
+    /**
+     * How many blocks a transaction we sent can go without being included in
+     * one before we warn the user it may be stuck
+     */
+    pendingTransactionWarningBlocks: 10,
+
     /**
      * The amount of blocks to process per 'tick' of the mainloop. Note: too
      * high a value will cause the event loop to be blocked, and your interaction
@@ -175,10 +210,65 @@ const Config = {
     priceApiLink: 'https://api.coingecko.com/api/v3/simple/price',
 
     /**
-     * Default daemon to use. Can either be a BlockchainCacheApi(baseURL, SSL),
-     * or a ConventionalDaemon(url, port).
+     * Default node to use, if the user hasn't picked one themselves. Can be
+     * either a blockchain cache API, or a conventional daemon - we figure out
+     * which when we connect.
+     */
+    defaultNode: {
+        host: 'cache.pleapps.plenteum.com',
+        port: 443,
+        ssl: true,
+    },
+
+    /**
+     * Nodes we can fail over to if the node in use goes down or falls behind.
+     * The node health check works through these, then any the user has added
+     * themselves, then the public node list (see nodeListURL), swapping to
+     * the healthiest. Only list nodes run by people you trust to stay up.
+     */
+    nodeList: [
+        {
+            host: 'cache.pleapps.plenteum.com',
+            port: 443,
+            ssl: true,
+        },
+    ],
+
+    /**
+     * A JSON list of public nodes, in the same format as other CryptoNote
+     * wallets use, i.e. { "nodes": [{ "name", "url", "port", "ssl", "fee" }] }
+     * Leave blank if your coin doesn't have one.
+     */
+    nodeListURL: 'https://raw.githubusercontent.com/plenteum/plenteum-nodes-json/master/plenteum-nodes.json',
+
+    /**
+     * How often to refresh the public node list, in milliseconds
+     */
+    nodeListUpdateInterval: 6 * 60 * 60 * 1000,
+
+    /**
+     * How often to check the health of the nodes we know of, in milliseconds
+     */
+    nodeHealthCheckInterval: 60 * 1000,
+
+    /**
+     * The most extra addresses we'll make again when restoring a wallet from
+     * its seed or keys
+     */
+    maxRestoredAddresses: 1000,
+
+    /**
+     * The most blocks we look through for spends when checking a reserve
+     * proof - 30 days. Outputs older than this are only checked for spends
+     * in the last 30 days.
+     */
+    reserveProofMaxScanBlocks: 21600,
+
+    /**
+     * How many blocks a node can fall behind the network before we stop
+     * using it
      */
-    defaultDaemon: new Daemon('cache.pleapps.plenteum.com', 443),
+    maxNodeHeightLag: 5,
 
     /**
      * A link to where a bug can be reported for your wallet. Please update
@@ -5,6 +5,9 @@
 export default Constants = {
     walletFileFormatVersion: 0,
 
+    /* Bump if the contents of the backup file change */
+    backupFileFormatVersion: 1,
+
     /* Note: It falls back to USD, so I suggest not removing that */
     currencies: [
         {
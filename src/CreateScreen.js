@@ -14,7 +14,8 @@ import Config from './Config';
 
 import { Styles } from './Styles';
 import { Globals } from './Globals';
-import { saveToDatabase } from './Database';
+import { getDaemon } from './Nodes';
+import { saveToDatabase, loadWalletsFromDatabase } from './Database';
 import { updateCoinPrice } from './Currency';
 import { navigateWithDisabledBack } from './Utilities';
 import { BottomButton, SeedComponent } from './SharedComponents';
@@ -29,6 +30,18 @@ export class WalletOptionScreen extends React.Component {
 
     constructor(props) {
         super(props);
+
+        this.state = {
+            haveWallets: false,
+        };
+
+        (async () => {
+            const wallets = await loadWalletsFromDatabase();
+
+            this.setState({
+                haveWallets: wallets.length > 0,
+            });
+        })();
     }
 
     render() {
@@ -47,6 +60,15 @@ export class WalletOptionScreen extends React.Component {
                     </Text>
                 </View>
 
+                {this.state.haveWallets && <View style={[Styles.buttonContainer, {bottom: 160, position: 'absolute', alignItems: 'stretch', justifyContent: 'center', width: '100%'}]}>
+                    <Button
+                        title='Open Existing Wallet'
+                        /* Pick one of the wallets we already have */
+                        onPress={() => this.props.navigation.navigate('OpenWallet')}
+                        color={this.props.screenProps.theme.primaryColour}
+                    />
+                </View>}
+
                 <View style={[Styles.buttonContainer, {bottom: 100, position: 'absolute', alignItems: 'stretch', justifyContent: 'center', width: '100%'}]}>
                     <Button
                         title='Create New Wallet'
@@ -82,7 +104,7 @@ export class CreateWalletScreen extends React.Component {
     constructor(props) {
         super(props);
         
-        Globals.wallet = WalletBackend.createWallet(Config.defaultDaemon, Config);
+        Globals.wallet = WalletBackend.createWallet(getDaemon(), Config);
 
         /* Save wallet in DB */
         saveToDatabase(Globals.wallet);
@@ -0,0 +1,601 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import * as _ from 'lodash';
+
+import * as Animatable from 'react-native-animatable';
+
+import {
+    View, Text, ScrollView, Clipboard, Share, Platform,
+} from 'react-native';
+
+import { Input, Button } from 'react-native-elements';
+
+import {
+    validateAddresses, WalletErrorCode, validatePaymentID, prettyPrintAmount,
+} from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { Authenticate } from './Authenticate';
+import { CrossButton } from './TransferScreen';
+import { sendToRecipients } from './BatchSendScreen';
+import { BottomButton } from './SharedComponents';
+import { toAtomic, addFee } from './Fee';
+
+import {
+    navigateWithDisabledBack, delay, validAmount, toastPopUp, toCsvRow,
+} from './Utilities';
+
+/* How often to check if the change from earlier transactions has unlocked */
+const UNLOCK_CHECK_INTERVAL = 10 * 1000;
+
+/**
+ * Split a line of CSV into its fields. Fields can be quoted, so they can
+ * contain commas, with "" for a literal quote.
+ */
+function parseCsvLine(line) {
+    const fields = [];
+
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+
+        if (inQuotes) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+
+    fields.push(field.trim());
+
+    return fields;
+}
+
+/**
+ * Check a single row of the CSV, returning an error, or undefined if it's
+ * fine to send.
+ */
+function checkRow(row, unlockedBalance) {
+    const addressError = validateAddresses([row.address], true, Config);
+
+    if (addressError.errorCode !== WalletErrorCode.SUCCESS) {
+        return addressError.toString();
+    }
+
+    const [amountValid, amountError] = validAmount(row.amount, unlockedBalance);
+
+    if (!amountValid) {
+        return amountError === '' ? 'Amount is missing!' : amountError;
+    }
+
+    if (row.paymentID !== '') {
+        const paymentIDError = validatePaymentID(row.paymentID);
+
+        if (paymentIDError.errorCode !== WalletErrorCode.SUCCESS) {
+            return paymentIDError.toString();
+        }
+
+        if (row.address.length === Config.integratedAddressLength) {
+            return 'Can\'t use a payment ID with an integrated address!';
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Parses a CSV of address,amount,paymentID,memo rows, checking each one.
+ * A header row is skipped, if present.
+ *
+ * Returns an array of { line, address, amount, amountAtomic, paymentID, memo, error }
+ */
+export function parsePaymentsCsv(csv, unlockedBalance) {
+    const rows = [];
+
+    const lines = csv.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+
+        const [address = '', amount = '', paymentID = '', memo = ''] = parseCsvLine(line);
+
+        /* Header row */
+        if (rows.length === 0 && address.toLowerCase() === 'address') {
+            return;
+        }
+
+        const row = {
+            line: index + 1,
+            address,
+            amount,
+            paymentID,
+            memo,
+        };
+
+        row.error = checkRow(row, unlockedBalance);
+        row.amountAtomic = row.error ? 0 : toAtomic(Number(amount.replace(/,/g, '')));
+
+        rows.push(row);
+    });
+
+    return rows;
+}
+
+/**
+ * Groups the rows into transactions. Rows with different payment IDs have
+ * to go in different transactions, as do integrated addresses, since they
+ * carry their own payment ID. We also limit the amount of recipients per
+ * transaction, to keep the transaction size down.
+ */
+export function planTransactions(rows) {
+    const groups = _.groupBy(rows, (row) => {
+        if (row.address.length === Config.integratedAddressLength) {
+            return row.address;
+        }
+
+        return row.paymentID;
+    });
+
+    return _.flatten(
+        Object.values(groups).map((group) => _.chunk(group, Config.maxRecipientsPerTransaction))
+    );
+}
+
+function getTransactionFees(rows) {
+    const totalAtomic = _.sumBy(rows, 'amountAtomic');
+
+    return addFee(totalAtomic / (10 ** Config.decimalPlaces));
+}
+
+function rowToRecipient(row) {
+    const payee = Globals.payees.find((p) => p.address === row.address);
+
+    return {
+        address: row.address,
+        paymentID: row.paymentID,
+        nickname: payee ? payee.nickname : row.address.substr(0, 15) + '...',
+        memo: row.memo,
+        amountAtomic: row.amountAtomic,
+    };
+}
+
+/**
+ * Import a CSV of payments to send
+ */
+export class CsvImportScreen extends React.Component {
+    static navigationOptions = ({ navigation }) => {
+        return {
+            title: '',
+            headerRight: (
+                <CrossButton navigation={navigation}/>
+            ),
+        }
+    };
+
+    constructor(props) {
+        super(props);
+
+        const [unlockedBalance] = Globals.wallet.getBalance();
+
+        this.state = {
+            unlockedBalance,
+            csv: '',
+            rows: [],
+        };
+    }
+
+    checkCsv(csv) {
+        this.setState({
+            csv,
+            rows: parsePaymentsCsv(csv, this.state.unlockedBalance),
+        });
+    }
+
+    render() {
+        const validRows = this.state.rows.filter((row) => row.error === undefined);
+        const invalidRows = this.state.rows.filter((row) => row.error !== undefined);
+
+        const transactions = planTransactions(validRows);
+
+        const totalAtomic = _.sumBy(validRows, 'amountAtomic');
+
+        const totalFeeAtomic = _.sumBy(
+            transactions.map(getTransactionFees), 'totalFeeAtomic'
+        );
+
+        const [enoughFunds, fundsError] = validRows.length > 0
+            ? validAmount(((totalAtomic + totalFeeAtomic) / (10 ** Config.decimalPlaces)).toString(), this.state.unlockedBalance)
+            : [false, ''];
+
+        return(
+            <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
+                <ScrollView contentContainerStyle={{
+                    paddingBottom: 80,
+                }}>
+                    <View style={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginTop: 60,
+                        marginHorizontal: 30,
+                    }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Import payments
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15, marginBottom: 10 }}>
+                            Paste a CSV with one payment per line, in the format:
+                        </Text>
+
+                        <Text style={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            fontSize: 13,
+                            marginBottom: 10,
+                            fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+                        }}>
+                            address,amount,paymentID,memo
+                        </Text>
+
+                        <Button
+                            title='Paste from clipboard'
+                            onPress={async () => {
+                                const csv = await Clipboard.getString();
+                                this.checkCsv(csv);
+                            }}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                textDecorationLine: 'underline',
+                            }}
+                            containerStyle={{
+                                marginLeft: -8,
+                            }}
+                            type="clear"
+                        />
+                    </View>
+
+                    <Input
+                        containerStyle={{
+                            width: '90%',
+                            marginLeft: 20,
+                            marginBottom: 20,
+                        }}
+                        inputContainerStyle={{
+                            borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                            borderWidth: 1,
+                            borderRadius: 2,
+                        }}
+                        inputStyle={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            fontSize: 13,
+                            marginLeft: 5,
+                        }}
+                        multiline={true}
+                        numberOfLines={6}
+                        autoCapitalize={'none'}
+                        autoCorrect={false}
+                        value={this.state.csv}
+                        onChangeText={(text) => this.checkCsv(text)}
+                    />
+
+                    {this.state.rows.length > 0 && <View style={{ marginHorizontal: 30 }}>
+                        <Text style={{ fontSize: 15, color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold' }}>
+                            {validRows.length} of {this.state.rows.length} payments are valid
+                        </Text>
+
+                        <View style={{ borderWidth: 0.7, borderColor: 'lightgrey', width: '100%', marginBottom: 10 }}/>
+
+                        {invalidRows.map((row) => (
+                            <Text key={row.line} style={{ color: 'red', fontSize: 13, marginBottom: 5 }}>
+                                Line {row.line}: {row.error}
+                            </Text>
+                        ))}
+
+                        {validRows.length > 0 && <View>
+                            <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, marginTop: 10 }}>
+                                Recipients get
+                            </Text>
+
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
+                                {prettyPrintAmount(totalAtomic, Config)}
+                            </Text>
+
+                            <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, marginTop: 10 }}>
+                                Total fees, over {transactions.length} transaction{transactions.length === 1 ? '' : 's'}
+                            </Text>
+
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
+                                {prettyPrintAmount(totalFeeAtomic, Config)}
+                            </Text>
+
+                            {!enoughFunds && <Text style={{ color: 'red', marginTop: 10 }}>
+                                {fundsError}
+                            </Text>}
+
+                            {transactions.length > 1 && <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, marginTop: 10 }}>
+                                Note: the change from each transaction is locked until it is confirmed. If your unlocked funds run out, later transactions will wait for the change from earlier ones to confirm before sending, which can take a few minutes each. Keep this screen open until they're all sent.
+                            </Text>}
+                        </View>}
+                    </View>}
+                </ScrollView>
+
+                <BottomButton
+                    title={`Send ${validRows.length} payment${validRows.length === 1 ? '' : 's'}`}
+                    onPress={() => {
+                        const params = {
+                            transactions,
+                        };
+
+                        if (Globals.preferences.authConfirmation) {
+                            /* Verify they have the correct pin, then send the actual TX */
+                            Authenticate(
+                                this.props.navigation,
+                                'to confirm the transactions',
+                                () => {
+                                    this.props.navigation.dispatch(navigateWithDisabledBack('ChoosePayee'));
+                                    this.props.navigation.navigate('SendCsvPayments', {...params});
+                                }
+                            );
+                        } else {
+                            /* Reset this stack to be on the transfer screen */
+                            this.props.navigation.dispatch(navigateWithDisabledBack('ChoosePayee'));
+
+                            /* Then send the actual transactions */
+                            this.props.navigation.navigate('SendCsvPayments', {...params});
+                        }
+                    }}
+                    disabled={validRows.length === 0 || !enoughFunds}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+export class SendCsvPaymentsScreen extends React.Component {
+    static navigationOptions = {
+        header: null,
+    }
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            transactions: this.props.navigation.state.params.transactions,
+            results: [],
+            sent: 0,
+            done: false,
+            waiting: false,
+        };
+
+        this.stopped = false;
+
+        /* Send the txs in the background (it's async) */
+        this.sendTransactions();
+    }
+
+    componentWillUnmount() {
+        this.stopped = true;
+    }
+
+    /**
+     * Wait for enough unlocked funds to send the rows. Earlier transactions
+     * lock their change until they're confirmed, so later ones can run out.
+     * Gives up waiting if the funds are never coming, and returns false if
+     * we've left the screen.
+     */
+    async waitForFunds(rows) {
+        const feeInfo = getTransactionFees(rows);
+
+        const needed = _.sumBy(rows, 'amountAtomic') + feeInfo.totalFeeAtomic;
+
+        while (!this.stopped) {
+            const [unlockedBalance, lockedBalance] = Globals.wallet.getBalance();
+
+            if (unlockedBalance >= needed || unlockedBalance + lockedBalance < needed) {
+                break;
+            }
+
+            this.setState({
+                waiting: true,
+            });
+
+            await delay(UNLOCK_CHECK_INTERVAL);
+        }
+
+        if (this.stopped) {
+            return false;
+        }
+
+        this.setState({
+            waiting: false,
+        });
+
+        return true;
+    }
+
+    /**
+     * Send the rows in one transaction. If it's too big, split it in half,
+     * and try again.
+     *
+     * Returns an array of { row, hash, error }
+     */
+    async sendRows(rows) {
+        if (!await this.waitForFunds(rows)) {
+            return [];
+        }
+
+        const feeInfo = getTransactionFees(rows);
+
+        const [hash, error] = await sendToRecipients(
+            rows.map(rowToRecipient), feeInfo.devFeeAtomic,
+        );
+
+        if (error && error.errorCode === WalletErrorCode.TOO_MANY_INPUTS_TO_FIT_IN_BLOCK && rows.length > 1) {
+            Globals.logger.addLogMessage(`Transaction with ${rows.length} recipients too large, splitting`);
+
+            const half = Math.ceil(rows.length / 2);
+
+            return [
+                ...await this.sendRows(rows.slice(0, half)),
+                ...await this.sendRows(rows.slice(half)),
+            ];
+        }
+
+        return rows.map((row) => ({
+            row,
+            hash,
+            error: error ? error.toString() : undefined,
+        }));
+    }
+
+    async sendTransactions() {
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        for (const rows of this.state.transactions) {
+            const results = await this.sendRows(rows);
+
+            if (this.stopped) {
+                return;
+            }
+
+            this.setState((prevState) => ({
+                results: [...prevState.results, ...results],
+                sent: prevState.sent + 1,
+            }));
+        }
+
+        this.setState({
+            done: true,
+        });
+    }
+
+    exportSummary() {
+        const lines = ['line,address,amount,paymentID,memo,hash,error'];
+
+        for (const { row, hash, error } of this.state.results) {
+            lines.push(toCsvRow([
+                row.line, row.address, row.amount, row.paymentID, row.memo,
+                hash, error,
+            ]));
+        }
+
+        Share.share({
+            title: 'Payment summary',
+            message: lines.join('\n'),
+        });
+    }
+
+    render() {
+        const succeeded = this.state.results.filter((result) => result.hash !== undefined).length;
+        const failed = this.state.results.length - succeeded;
+
+        return(
+            <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
+                <ScrollView
+                    style={{ flex: 1 }}
+                    contentContainerStyle={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginTop: 60,
+                        marginHorizontal: 30,
+                        paddingBottom: 80,
+                    }}
+                >
+                    {this.state.done ?
+                        <Text style={{
+                            color: failed === 0 ? this.props.screenProps.theme.primaryColour : 'red',
+                            fontSize: 25,
+                            marginBottom: 25,
+                            fontWeight: 'bold',
+                        }}>
+                            {failed === 0 ? 'Payments complete' : `${failed} payment${failed === 1 ? '' : 's'} failed`}
+                        </Text>
+                        :
+                        <Animatable.Text
+                            style={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                fontSize: 25,
+                                marginBottom: 25,
+                            }}
+                            animation='pulse'
+                            iterationCount='infinite'
+                        >
+                            {this.state.waiting ? 'Waiting for earlier transactions to confirm before sending' : 'Sending'} transaction {Math.min(this.state.sent + 1, this.state.transactions.length)} of {this.state.transactions.length}, please wait...
+                        </Animatable.Text>
+                    }
+
+                    {this.state.results.map(({ row, hash, error }) => (
+                        <View key={row.line} style={{ marginBottom: 10 }}>
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 13 }}>
+                                Line {row.line}: {prettyPrintAmount(row.amountAtomic, Config)} to {rowToRecipient(row).nickname}
+                            </Text>
+
+                            <Text style={{ color: error ? 'red' : this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 12 }}>
+                                {error ? error : hash}
+                            </Text>
+                        </View>
+                    ))}
+
+                    {this.state.done && <View style={{ flexDirection: 'row', marginLeft: -8 }}>
+                        <Button
+                            title='Export summary'
+                            onPress={() => this.exportSummary()}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                fontSize: 13
+                            }}
+                            type="clear"
+                        />
+
+                        <Button
+                            title='Copy hashes'
+                            onPress={() => {
+                                Clipboard.setString(
+                                    this.state.results.map(({ row, hash }) => `${row.line},${hash || ''}`).join('\n')
+                                );
+                                toastPopUp('Transaction hashes copied');
+                            }}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                fontSize: 13
+                            }}
+                            type="clear"
+                        />
+                    </View>}
+                </ScrollView>
+
+                <BottomButton
+                    title="Home"
+                    onPress={() => {
+                        this.props.navigation.dispatch(navigateWithDisabledBack('ChoosePayee'));
+                        this.props.navigation.navigate('Main');
+                    }}
+                    disabled={!this.state.done}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
@@ -37,6 +37,25 @@ function getCurrencyTickers() {
     return Constants.currencies.map((currency) => currency.ticker).join('%2C');
 }
 
+/**
+ * The value of an atomic amount in the given currency, as a number, keeping
+ * the sign. Returns undefined if we don't have a price for it.
+ */
+export function coinsToFiatValue(amount, currencyTicker) {
+    const nonAtomic = amount / (10 ** Config.decimalPlaces);
+
+    const prices = Globals.coinPrice || {};
+
+    const converted = prices[currencyTicker] * nonAtomic;
+
+    if (isNaN(converted)) {
+        return undefined;
+    }
+
+    /* Enough precision for the crypto currencies, without float noise */
+    return Number(converted.toFixed(8));
+}
+
 export async function coinsToFiat(amount, currencyTicker) {
     /* Coingecko returns price with decimal places, not atomic */
     let nonAtomic = amount / (10 ** Config.decimalPlaces);
@@ -12,12 +12,20 @@ import Constants from './Constants';
 import { Globals } from './Globals';
 
 import { reportCaughtException } from './Sentry';
+import { migrateDatabase } from './Migrations';
+import {
+    getWalletKey, encryptData, decryptData, isEncrypted,
+} from './Encryption';
 
 /* Use promise based API instead of callback based */
 SQLite.enablePromise(true);
 
 let database;
 
+/* The id of the wallet we are currently using. Undefined if we are in the
+   process of creating or importing a new wallet. */
+let currentWalletId = undefined;
+
 export async function deleteDB() {
     try {
         await setHaveWallet(false);
@@ -32,6 +40,17 @@ export async function deleteDB() {
 }
 
 async function saveWallet(wallet) {
+    /* New wallet, make a row for it */
+    if (currentWalletId === undefined) {
+        const walletId = await addWalletToDatabase();
+
+        await setCurrentWallet(walletId);
+
+        /* Preferences chosen when creating the wallet haven't been saved
+           anywhere yet */
+        await savePreferencesToDatabase(Globals.preferences);
+    }
+
     await database.transaction((tx) => {
         tx.executeSql(
             `UPDATE
@@ -39,158 +58,295 @@ async function saveWallet(wallet) {
             SET
                 json = ?
             WHERE
-                id = 0`,
-            [wallet]
+                id = ?`,
+            [wallet, currentWalletId]
         );
     });
 }
 
-export async function loadWallet() {
-    try {
-        const [data] = await database.executeSql(
-            `SELECT
-                json
-            FROM
-                wallet
-            WHERE
-                id = 0`,
-        );
+async function addWalletToDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            id,
+            json
+        FROM
+            wallet`
+    );
 
-        if (data && data.rows && data.rows.length >= 1) {
-            return [ data.rows.item(0).json, undefined ];
+    let walletId = undefined;
+    let count = 0;
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+
+            if (item.json !== '') {
+                count++;
+            /* Reuse a blank row if we have one */
+            } else if (walletId === undefined) {
+                walletId = item.id;
+            }
         }
-    } catch (err) {
-        reportCaughtException(err);
-        return [ undefined, err ];
     }
 
-    return [ undefined, 'Wallet not found in database!' ];
+    const name = 'Wallet ' + (count + 1);
+
+    if (walletId !== undefined) {
+        await renameWalletInDatabase(walletId, name);
+        return walletId;
+    }
+
+    const [result] = await database.executeSql(
+        `INSERT INTO wallet
+            (name, json)
+        VALUES
+            (?, '')`,
+        [ name ]
+    );
+
+    return result.insertId;
+}
+
+export function getCurrentWalletId() {
+    return currentWalletId;
 }
 
-/* Create the tables if we haven't made them already */
-async function createTables(DB) {
-    const [dbVersionData] = await DB.executeSql(
-        `PRAGMA user_version`,
+/**
+ * Sets the wallet to open on next launch. Pass undefined to create or import
+ * a new wallet.
+ */
+export async function setCurrentWallet(walletId) {
+    currentWalletId = walletId;
+
+    try {
+        if (walletId === undefined) {
+            await AsyncStorage.removeItem(Config.coinName + 'CurrentWallet');
+        } else {
+            await AsyncStorage.setItem(Config.coinName + 'CurrentWallet', walletId.toString());
+        }
+    } catch (error) {
+        reportCaughtException(error);
+        Globals.logger.addLogMessage('Failed to save current wallet: ' + error);
+    }
+
+    await setHaveWallet(walletId !== undefined);
+}
+
+async function loadCurrentWallet() {
+    try {
+        const value = await AsyncStorage.getItem(Config.coinName + 'CurrentWallet');
+
+        if (value !== null) {
+            currentWalletId = Number(value);
+        /* Never set - we're upgrading from when we only had one wallet */
+        } else if (await haveWallet()) {
+            currentWalletId = 0;
+        } else {
+            currentWalletId = undefined;
+        }
+    } catch (error) {
+        reportCaughtException(error);
+        Globals.logger.addLogMessage('Failed to load current wallet: ' + error);
+    }
+}
+
+/**
+ * Gets the id and name of all the wallets we have stored
+ */
+export async function loadWalletsFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            id,
+            name
+        FROM
+            wallet
+        WHERE
+            json != ''
+        ORDER BY
+            id`
     );
 
-    let dbVersion = 0;
+    const res = [];
 
-    if (dbVersionData && dbVersionData.rows && dbVersionData.rows.length >= 1) {
-        dbVersion = dbVersionData.rows.item(0).user_version;
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+            res.push({
+                id: item.id,
+                name: item.name,
+            });
+        }
     }
 
-    await DB.transaction((tx) => {
-        
-        /* We get JSON out from our wallet backend, and load JSON in from our
-           wallet backend - it's a little ugly, but it's faster to just read/write
-           json to the DB rather than structuring it. */
+    return res;
+}
+
+export async function renameWalletInDatabase(walletId, name) {
+    await database.transaction((tx) => {
         tx.executeSql(
-            `CREATE TABLE IF NOT EXISTS wallet (
-                id INTEGER PRIMARY KEY,
-                json TEXT
-            )`
+            `UPDATE
+                wallet
+            SET
+                name = ?
+            WHERE
+                id = ?`,
+            [ name, walletId ]
         );
+    });
+}
 
+/**
+ * Removes the wallet, and all the data that belongs to it
+ */
+export async function removeWalletFromDatabase(walletId) {
+    await database.transaction((tx) => {
         tx.executeSql(
-            `CREATE TABLE IF NOT EXISTS preferences (
-                id INTEGER PRIMARY KEY,
-                currency TEXT,
-                notificationsenabled BOOLEAN,
-                scancoinbasetransactions BOOLEAN,
-                limitdata BOOLEAN,
-                theme TEXT,
-                pinconfirmation BOOLEAN
-            )`
+            `DELETE FROM
+                wallet
+            WHERE
+                id = ?`,
+            [ walletId ]
         );
 
-        /* Add new autooptimize column */
-        if (dbVersion === 0) {
-            tx.executeSql(
-                `ALTER TABLE
-                    preferences
-                ADD
-                    autooptimize BOOLEAN`
-            );
+        tx.executeSql(
+            `DELETE FROM
+                preferences
+            WHERE
+                id = ?`,
+            [ walletId ]
+        );
 
-            tx.executeSql(
-                `ALTER TABLE
-                    preferences
-                ADD
-                    authmethod TEXT`
-            );
-        }
+        tx.executeSql(
+            `DELETE FROM
+                payees
+            WHERE
+                walletid = ?`,
+            [ walletId ]
+        );
 
         tx.executeSql(
-            `CREATE TABLE IF NOT EXISTS payees (
-                nickname TEXT,
-                address TEXT,
-                paymentid TEXT
-            )`
+            `DELETE FROM
+                transactiondetails
+            WHERE
+                walletid = ?`,
+            [ walletId ]
         );
 
         tx.executeSql(
-            `CREATE TABLE IF NOT EXISTS transactiondetails (
-                hash TEXT,
-                memo TEXT,
-                address TEXT,
-                payee TEXT
-            )`
+            `DELETE FROM
+                payment_requests
+            WHERE
+                walletid = ?`,
+            [ walletId ]
         );
 
-        /* Enter initial wallet value that we're going to overwrite later via
-           primary key, provided it doesn't already exist */
         tx.executeSql(
-            `INSERT OR IGNORE INTO wallet
-                (id, json)
-            VALUES
-                (0, '')`
+            `DELETE FROM
+                offlinespentinputs
+            WHERE
+                walletid = ?`,
+            [ walletId ]
         );
 
-        /* Setup default preference values */
         tx.executeSql(
-            `INSERT OR IGNORE INTO preferences (
-                id,
-                currency,
-                notificationsenabled,
-                scancoinbasetransactions,
-                limitdata,
-                theme,
-                pinconfirmation,
-                autooptimize,
-                authmethod
-            )
-            VALUES (
-                0,
-                'usd',
-                1,
-                0,
-                0,
-                'darkMode',
-                0,
-                1,
-                'hardware-auth'
-            )`
+            `DELETE FROM
+                keyimages
+            WHERE
+                walletid = ?`,
+            [ walletId ]
         );
 
-        /* Set new auto optimize column if not assigned yet */
-        if (dbVersion === 0) {
-            tx.executeSql(
-                `UPDATE
-                    preferences
-                SET
-                    autooptimize = 1,
-                    authmethod = 'hardware-auth'
-                WHERE
-                    id = 0`
-            );
-        }
+        tx.executeSql(
+            `DELETE FROM
+                scheduledpayments
+            WHERE
+                walletid = ?`,
+            [ walletId ]
+        );
 
         tx.executeSql(
-            `PRAGMA user_version = 1`
+            `DELETE FROM
+                pendingtransactions
+            WHERE
+                walletid = ?`,
+            [ walletId ]
+        );
+
+        tx.executeSql(
+            `DELETE FROM
+                addresslabels
+            WHERE
+                walletid = ?`,
+            [ walletId ]
         );
     });
+
+    if (walletId === currentWalletId) {
+        await setCurrentWallet(undefined);
+    }
+}
+
+/**
+ * Removes every wallet we have stored
+ */
+export async function removeAllWalletsFromDatabase() {
+    const wallets = await loadWalletsFromDatabase();
+
+    for (const wallet of wallets) {
+        await removeWalletFromDatabase(wallet.id);
+    }
+
+    await setCurrentWallet(undefined);
+}
+
+export async function loadWallet() {
+    try {
+        const [data] = await database.executeSql(
+            `SELECT
+                json
+            FROM
+                wallet
+            WHERE
+                id = ?`,
+            [ currentWalletId ]
+        );
+
+        if (data && data.rows && data.rows.length >= 1) {
+            const walletData = data.rows.item(0).json;
+
+            const [key, keyError] = await getWalletKey();
+
+            if (keyError) {
+                return [ undefined, keyError ];
+            }
+
+            /* Wallet was saved before we encrypted at rest. Encrypt it now,
+               so we don't keep a plaintext copy around. */
+            if (!isEncrypted(walletData)) {
+                await saveWallet(encryptData(walletData, key));
+                return [ walletData, undefined ];
+            }
+
+            const [json, decryptError] = decryptData(walletData, key);
+
+            if (decryptError) {
+                return [ undefined, 'Failed to decrypt wallet: ' + decryptError ];
+            }
+
+            return [ json, undefined ];
+        }
+    } catch (err) {
+        reportCaughtException(err);
+        return [ undefined, err ];
+    }
+
+    return [ undefined, 'Wallet not found in database!' ];
 }
 
+/**
+ * Opens the database, and brings it up to date. Returns an error message if
+ * we couldn't open it, or undefined on success.
+ */
 export async function openDB() {
     try {
         database = await SQLite.openDatabase({
@@ -198,29 +354,45 @@ export async function openDB() {
             location: 'default',
         });
 
-        await createTables(database);
+        await migrateDatabase(database);
+
+        await loadCurrentWallet();
     } catch (err) {
+        reportCaughtException(err);
         Globals.logger.addLogMessage('Failed to open DB: ' + err);
+        return err.toString();
     }
+
+    return undefined;
 }
 
 export async function savePreferencesToDatabase(preferences) {
+    /* No wallet yet - we'll save them once it's created */
+    if (currentWalletId === undefined) {
+        return;
+    }
+
     await database.transaction((tx) => {
         tx.executeSql(
-            `UPDATE
-                preferences
-            SET
-                currency = ?,
-                notificationsenabled = ?,
-                scancoinbasetransactions = ?,
-                limitdata = ?,
-                theme = ?,
-                pinconfirmation = ?,
-                autooptimize = ?,
-                authmethod = ?
-            WHERE
-                id = 0`,
+            `INSERT OR REPLACE INTO preferences (
+                id,
+                currency,
+                notificationsenabled,
+                scancoinbasetransactions,
+                limitdata,
+                theme,
+                pinconfirmation,
+                autooptimize,
+                authmethod,
+                nodehost,
+                nodeport,
+                nodessl
+            )
+            VALUES (
+                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+            )`,
             [
+                currentWalletId,
                 preferences.currency,
                 preferences.notificationsEnabled ? 1 : 0,
                 preferences.scanCoinbaseTransactions ? 1 : 0,
@@ -229,6 +401,9 @@ export async function savePreferencesToDatabase(preferences) {
                 preferences.authConfirmation ? 1 : 0,
                 preferences.autoOptimize ? 1 : 0,
                 preferences.authenticationMethod,
+                preferences.node ? preferences.node.host : null,
+                preferences.node ? preferences.node.port : null,
+                preferences.node ? (preferences.node.ssl ? 1 : 0) : null,
             ]
         );
     });
@@ -244,11 +419,15 @@ export async function loadPreferencesFromDatabase() {
             theme,
             pinconfirmation,
             autooptimize,
-            authmethod
+            authmethod,
+            nodehost,
+            nodeport,
+            nodessl
         FROM
             preferences
         WHERE
-            id = 0`,
+            id = ?`,
+        [ currentWalletId ]
     );
 
     if (data && data.rows && data.rows.length >= 1) {
@@ -262,7 +441,12 @@ export async function loadPreferencesFromDatabase() {
             theme: item.theme,
             authConfirmation: item.pinconfirmation === 1,
             autoOptimize: item.autooptimize === 1,
-            authenticationMethod: item.authmethod
+            authenticationMethod: item.authmethod,
+            node: item.nodehost ? {
+                host: item.nodehost,
+                port: item.nodeport,
+                ssl: item.nodessl === 1,
+            } : undefined,
         }
     }
 
@@ -273,13 +457,14 @@ export async function savePayeeToDatabase(payee) {
     await database.transaction((tx) => {
         tx.executeSql(
             `INSERT INTO payees
-                (nickname, address, paymentid)
+                (nickname, address, paymentid, walletid)
             VALUES
-                (?, ?, ?)`,
+                (?, ?, ?, ?)`,
             [
                 payee.nickname,
                 payee.address,
                 payee.paymentID,
+                currentWalletId,
             ]
         );
     });
@@ -291,8 +476,10 @@ export async function removePayeeFromDatabase(nickname) {
             `DELETE FROM
                 payees
             WHERE
-                nickname = ?`,
-            [ nickname ]
+                nickname = ?
+            AND
+                walletid = ?`,
+            [ nickname, currentWalletId ]
         );
     });
 }
@@ -304,7 +491,10 @@ export async function loadPayeeDataFromDatabase() {
             address,
             paymentid
         FROM
-            payees`
+            payees
+        WHERE
+            walletid = ?`,
+        [ currentWalletId ]
     );
 
     if (data && data.rows && data.rows.length) {
@@ -325,9 +515,138 @@ export async function loadPayeeDataFromDatabase() {
     return undefined;
 }
 
+export async function saveNodeToDatabase(node) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `INSERT OR REPLACE INTO nodes (
+                host,
+                port,
+                ssl
+            )
+            VALUES (
+                ?, ?, ?
+            )`,
+            [
+                node.host,
+                node.port,
+                node.ssl ? 1 : 0,
+            ]
+        );
+    });
+}
+
+export async function removeNodeFromDatabase(node) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `DELETE FROM
+                nodes
+            WHERE
+                host = ?
+            AND
+                port = ?`,
+            [ node.host, node.port ]
+        );
+    });
+}
+
+export async function loadNodesFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            host,
+            port,
+            ssl
+        FROM
+            nodes`
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+            res.push({
+                host: item.host,
+                port: item.port,
+                ssl: item.ssl === 1,
+            });
+        }
+    }
+
+    return res;
+}
+
+/**
+ * Replace the cached public node list with the given nodes
+ */
+export async function savePublicNodesToDatabase(nodes) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `DELETE FROM publicnodes`
+        );
+
+        for (const node of nodes) {
+            tx.executeSql(
+                `INSERT INTO publicnodes (
+                    name,
+                    host,
+                    port,
+                    ssl,
+                    fee
+                )
+                VALUES (
+                    ?, ?, ?, ?, ?
+                )`,
+                [
+                    node.name,
+                    node.host,
+                    node.port,
+                    node.ssl ? 1 : 0,
+                    node.fee,
+                ]
+            );
+        }
+    });
+}
+
+export async function loadPublicNodesFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            name,
+            host,
+            port,
+            ssl,
+            fee
+        FROM
+            publicnodes`
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+            res.push({
+                name: item.name,
+                host: item.host,
+                port: item.port,
+                ssl: item.ssl === 1,
+                fee: item.fee,
+            });
+        }
+    }
+
+    return res;
+}
+
 export async function saveToDatabase(wallet) {
     try {
-        await saveWallet(wallet.toJSONString());
+        const [key, keyError] = await getWalletKey();
+
+        if (keyError) {
+            throw new Error(keyError);
+        }
+
+        await saveWallet(encryptData(wallet.toJSONString(), key));
         await setHaveWallet(true);
     } catch (err) {
         reportCaughtException(err);
@@ -364,14 +683,18 @@ export async function saveTransactionDetailsToDatabase(txDetails) {
     await database.transaction((tx) => {
         tx.executeSql(
             `INSERT INTO transactiondetails
-                (hash, memo, address, payee)
+                (hash, memo, address, payee, mixin, fee, unlocktime, walletid)
             VALUES
-                (?, ?, ?, ?)`,
+                (?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 txDetails.hash,
                 txDetails.memo,
                 txDetails.address,
-                txDetails.payee
+                txDetails.payee,
+                txDetails.mixin === undefined ? null : txDetails.mixin,
+                txDetails.fee === undefined ? null : txDetails.fee,
+                txDetails.unlockTime === undefined ? null : txDetails.unlockTime,
+                currentWalletId,
             ]
         );
     });
@@ -383,9 +706,15 @@ export async function loadTransactionDetailsFromDatabase() {
             hash,
             memo,
             address,
-            payee
+            payee,
+            mixin,
+            fee,
+            unlocktime
         FROM
-            transactiondetails`
+            transactiondetails
+        WHERE
+            walletid = ?`,
+        [ currentWalletId ]
     );
 
     if (data && data.rows && data.rows.length) {
@@ -398,6 +727,9 @@ export async function loadTransactionDetailsFromDatabase() {
                 memo: item.memo,
                 address: item.address,
                 payee: item.payee,
+                mixin: item.mixin === null ? undefined : item.mixin,
+                fee: item.fee === null ? undefined : item.fee,
+                unlockTime: item.unlocktime === null ? undefined : item.unlocktime,
             });
         }
 
@@ -406,3 +738,381 @@ export async function loadTransactionDetailsFromDatabase() {
 
     return undefined;
 }
+
+export async function savePaymentRequestToDatabase(paymentRequest) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `REPLACE INTO payment_requests
+                (paymentid, amount, label, created, expiry, received, status, hashes, walletid)
+            VALUES
+                (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                paymentRequest.paymentID,
+                paymentRequest.amount,
+                paymentRequest.label,
+                paymentRequest.created,
+                paymentRequest.expiry,
+                paymentRequest.received,
+                paymentRequest.status,
+                paymentRequest.hashes.join(','),
+                currentWalletId,
+            ]
+        );
+    });
+}
+
+export async function removePaymentRequestFromDatabase(paymentID) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `DELETE FROM
+                payment_requests
+            WHERE
+                paymentid = ?
+            AND
+                walletid = ?`,
+            [ paymentID, currentWalletId ]
+        );
+    });
+}
+
+export async function loadPaymentRequestsFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            paymentid,
+            amount,
+            label,
+            created,
+            expiry,
+            received,
+            status,
+            hashes
+        FROM
+            payment_requests
+        WHERE
+            walletid = ?
+        ORDER BY
+            created DESC`,
+        [ currentWalletId ]
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+            res.push({
+                paymentID: item.paymentid,
+                amount: item.amount,
+                label: item.label,
+                created: item.created,
+                expiry: item.expiry,
+                received: item.received,
+                status: item.status,
+                hashes: item.hashes ? item.hashes.split(',') : [],
+            });
+        }
+    }
+
+    return res;
+}
+
+/**
+ * Output keys of inputs spent by an offline signed transaction
+ */
+export async function saveOfflineSpentInputsToDatabase(keys) {
+    await database.transaction((tx) => {
+        for (const key of keys) {
+            tx.executeSql(
+                `REPLACE INTO offlinespentinputs
+                    (key, walletid)
+                VALUES
+                    (?, ?)`,
+                [ key, currentWalletId ]
+            );
+        }
+    });
+}
+
+export async function loadOfflineSpentInputsFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            key
+        FROM
+            offlinespentinputs
+        WHERE
+            walletid = ?`,
+        [ currentWalletId ]
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            res.push(data.rows.item(i).key);
+        }
+    }
+
+    return res;
+}
+
+/**
+ * Key images exported by the full wallet, for a view wallet
+ */
+export async function saveKeyImagesToDatabase(keyImages, created) {
+    await database.transaction((tx) => {
+        for (const keyImage of keyImages) {
+            tx.executeSql(
+                `REPLACE INTO keyimages
+                    (key, keyimage, spent, spendheight, created, walletid)
+                VALUES
+                    (?, ?, ?, ?, ?, ?)`,
+                [
+                    keyImage.key,
+                    keyImage.keyImage,
+                    keyImage.spent ? 1 : 0,
+                    keyImage.spendHeight,
+                    created,
+                    currentWalletId,
+                ]
+            );
+        }
+    });
+}
+
+export async function loadKeyImagesFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            key,
+            keyimage,
+            spent,
+            spendheight,
+            created
+        FROM
+            keyimages
+        WHERE
+            walletid = ?`,
+        [ currentWalletId ]
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+
+            res.push({
+                key: item.key,
+                keyImage: item.keyimage,
+                spent: item.spent === 1,
+                spendHeight: item.spendheight,
+                created: item.created,
+            });
+        }
+    }
+
+    return res;
+}
+
+export async function saveScheduledPaymentToDatabase(payment) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `INSERT OR REPLACE INTO scheduledpayments
+                (id, nickname, address, paymentid, amount, memo, frequency,
+                 start, nextrun, lastattempt, lasthash, lasterror, reminded,
+                 walletid)
+            VALUES
+                (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                payment.id,
+                payment.nickname,
+                payment.address,
+                payment.paymentID,
+                payment.amount,
+                payment.memo,
+                payment.frequency,
+                payment.start,
+                payment.nextRun,
+                payment.lastAttempt,
+                payment.lastHash,
+                payment.lastError,
+                payment.reminded,
+                currentWalletId,
+            ]
+        );
+    });
+}
+
+export async function removeScheduledPaymentFromDatabase(id) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `DELETE FROM
+                scheduledpayments
+            WHERE
+                id = ?
+            AND
+                walletid = ?`,
+            [ id, currentWalletId ]
+        );
+    });
+}
+
+export async function loadScheduledPaymentsFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            id,
+            nickname,
+            address,
+            paymentid,
+            amount,
+            memo,
+            frequency,
+            start,
+            nextrun,
+            lastattempt,
+            lasthash,
+            lasterror,
+            reminded
+        FROM
+            scheduledpayments
+        WHERE
+            walletid = ?
+        ORDER BY
+            nextrun ASC`,
+        [ currentWalletId ]
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+            res.push({
+                id: item.id,
+                nickname: item.nickname,
+                address: item.address,
+                paymentID: item.paymentid,
+                amount: item.amount,
+                memo: item.memo,
+                frequency: item.frequency,
+                start: item.start,
+                nextRun: item.nextrun,
+                lastAttempt: item.lastattempt,
+                lastHash: item.lasthash,
+                lastError: item.lasterror,
+                reminded: item.reminded,
+            });
+        }
+    }
+
+    return res;
+}
+
+export async function savePendingTransactionToDatabase(pending) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `REPLACE INTO pendingtransactions
+                (hash, rawtransaction, sentat, sentheight, walletid)
+            VALUES
+                (?, ?, ?, ?, ?)`,
+            [
+                pending.hash,
+                pending.rawTransaction,
+                pending.sentAt,
+                pending.sentHeight,
+                currentWalletId,
+            ]
+        );
+    });
+}
+
+export async function removePendingTransactionFromDatabase(hash) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `DELETE FROM
+                pendingtransactions
+            WHERE
+                hash = ?
+            AND
+                walletid = ?`,
+            [ hash, currentWalletId ]
+        );
+    });
+}
+
+export async function loadPendingTransactionsFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            hash,
+            rawtransaction,
+            sentat,
+            sentheight
+        FROM
+            pendingtransactions
+        WHERE
+            walletid = ?`,
+        [ currentWalletId ]
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+            res.push({
+                hash: item.hash,
+                rawTransaction: item.rawtransaction,
+                sentAt: item.sentat,
+                sentHeight: item.sentheight,
+            });
+        }
+    }
+
+    return res;
+}
+
+export async function saveAddressLabelToDatabase(addressLabel) {
+    await database.transaction((tx) => {
+        tx.executeSql(
+            `REPLACE INTO addresslabels
+                (address, label, addressindex, walletid)
+            VALUES
+                (?, ?, ?, ?)`,
+            [
+                addressLabel.address,
+                addressLabel.label,
+                addressLabel.index,
+                currentWalletId,
+            ]
+        );
+    });
+}
+
+export async function loadAddressLabelsFromDatabase() {
+    const [data] = await database.executeSql(
+        `SELECT
+            address,
+            label,
+            addressindex
+        FROM
+            addresslabels
+        WHERE
+            walletid = ?`,
+        [ currentWalletId ]
+    );
+
+    const res = [];
+
+    if (data && data.rows && data.rows.length) {
+        for (let i = 0; i < data.rows.length; i++) {
+            const item = data.rows.item(i);
+            res.push({
+                address: item.address,
+                label: item.label,
+                /* Null for addresses made before they were numbered */
+                index: item.addressindex === null ? undefined : item.addressindex,
+            });
+        }
+    }
+
+    return res;
+}
@@ -0,0 +1,207 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+/* The crypto module can multiply points by scalars, but has no way to add
+   two points together, which checking a signed proof needs. We do that bit
+   ourselves. There's no BigInt in our JS engine, so it's slow, but we only
+   add a couple of points per proof. */
+import BigInteger from 'plenteum-utils/lib/biginteger';
+import PlenteumCrypto from 'plenteum-utils/lib/plenteum-crypto';
+
+const crypto = PlenteumCrypto();
+
+/* 2^255 - 19 */
+const p = BigInteger(2).pow(255).subtract(19);
+
+/* The order of the base point */
+const l = BigInteger(2).pow(252).add(BigInteger.parse('27742317777372353535851937790883648493'));
+
+/* -121665 / 121666 */
+const d = mod(BigInteger(-121665).multiply(invert(BigInteger(121666))), p);
+
+/* A square root of -1, 2^((p - 1) / 4) */
+const sqrtMinusOne = BigInteger(2).modPow(p.subtract(1).quotient(4), p);
+
+function mod(n, modulus) {
+    const remainder = n.remainder(modulus);
+
+    return remainder.isNegative() ? remainder.add(modulus) : remainder;
+}
+
+function invert(n) {
+    return n.modPow(p.subtract(2), p);
+}
+
+function isHex64(key) {
+    return /^[0-9a-fA-F]{64}$/.test(key);
+}
+
+/**
+ * Keys and scalars are 32 bytes, little endian
+ */
+function fromHex(hex) {
+    return BigInteger.parse(hex.match(/../g).reverse().join(''), 16);
+}
+
+function toHex(n) {
+    return n.toString(16).toLowerCase().padStart(64, '0').match(/../g).reverse().join('');
+}
+
+/**
+ * Returns [x, y], or undefined if the key is not a point on the curve
+ */
+function decompress(key) {
+    if (!isHex64(key)) {
+        return undefined;
+    }
+
+    let y = fromHex(key);
+
+    /* The top bit is the sign of x */
+    const xIsOdd = parseInt(key.substr(62, 2), 16) >= 0x80;
+
+    if (xIsOdd) {
+        y = y.subtract(BigInteger(2).pow(255));
+    }
+
+    if (y.compare(p) >= 0) {
+        return undefined;
+    }
+
+    const ySquared = y.square();
+
+    /* x^2 = (y^2 - 1) / (dy^2 + 1) */
+    const xSquared = mod(ySquared.subtract(1).multiply(invert(mod(d.multiply(ySquared).add(1), p))), p);
+
+    let x = xSquared.modPow(p.add(3).quotient(8), p);
+
+    if (mod(x.square().subtract(xSquared), p).isZero() === false) {
+        x = mod(x.multiply(sqrtMinusOne), p);
+    }
+
+    if (mod(x.square().subtract(xSquared), p).isZero() === false) {
+        return undefined;
+    }
+
+    if (x.isZero() && xIsOdd) {
+        return undefined;
+    }
+
+    if (x.isOdd() !== xIsOdd) {
+        x = p.subtract(x);
+    }
+
+    return [x, y];
+}
+
+function compress([x, y]) {
+    return toHex(x.isOdd() ? y.add(BigInteger(2).pow(255)) : y);
+}
+
+/**
+ * Whether the key is a point on the curve
+ */
+export function isValidKey(key) {
+    return decompress(key) !== undefined;
+}
+
+/**
+ * a + b, or undefined if either is not a point on the curve
+ */
+export function addKeys(a, b) {
+    const pointA = decompress(a);
+    const pointB = decompress(b);
+
+    if (pointA === undefined || pointB === undefined) {
+        return undefined;
+    }
+
+    const [x1, y1] = pointA;
+    const [x2, y2] = pointB;
+
+    const dxy = mod(d.multiply(x1).multiply(x2).multiply(y1).multiply(y2), p);
+
+    const x3 = x1.multiply(y2).add(y1.multiply(x2)).multiply(invert(mod(dxy.add(1), p)));
+    const y3 = y1.multiply(y2).add(x1.multiply(x2)).multiply(invert(mod(BigInteger(1).subtract(dxy), p)));
+
+    return compress([mod(x3, p), mod(y3, p)]);
+}
+
+/**
+ * Whether the scalar is fully reduced, i.e. less than l
+ */
+export function isValidScalar(scalar) {
+    return isHex64(scalar) && fromHex(scalar).compare(l) < 0;
+}
+
+/**
+ * c - ab (mod l), like sc_mulsub in the CryptoNote code
+ */
+export function scMulSub(a, b, c) {
+    return toHex(mod(fromHex(c).subtract(fromHex(a).multiply(fromHex(b))), l));
+}
+
+/**
+ * The crypto module returns plain values when running the JS or WASM build,
+ * and [err, value] when using the C++ addon. Throws if it failed.
+ */
+export function unwrap(result) {
+    if (crypto.isNative) {
+        return result;
+    }
+
+    const [err, value] = result;
+
+    if (err) {
+        throw new Error('Crypto operation failed');
+    }
+
+    return value;
+}
+
+/**
+ * aP
+ */
+export function scalarmultKey(key, scalar) {
+    return unwrap(crypto.crypto.scalarmultKey(key, scalar));
+}
+
+/**
+ * aG
+ */
+export function scalarmultBase(scalar) {
+    return unwrap(crypto.crypto.secretKeyToPublicKey(scalar));
+}
+
+export function hashToScalar(hex) {
+    return unwrap(crypto.crypto.hashToScalar(hex));
+}
+
+export function randomScalar() {
+    const keys = unwrap(crypto.crypto.generateKeys());
+
+    return keys.SecretKey;
+}
+
+/**
+ * Sign hash with the ring of keys, where privateKey is the private key of
+ * keys[realIndex]. The wrapper, unlike the module it wraps, takes care of
+ * passing the ring to each build, and always gives back [err, signatures].
+ */
+export function generateRingSignatures(hash, keyImage, keys, privateKey, realIndex) {
+    const [err, signatures] = crypto.generateRingSignatures(hash, keyImage, keys, privateKey, realIndex);
+
+    if (err) {
+        throw new Error('Crypto operation failed');
+    }
+
+    return signatures;
+}
+
+/**
+ * Whether signatures are a valid ring signature of hash by the ring of keys
+ */
+export function checkRingSignatures(hash, keyImage, keys, signatures) {
+    return crypto.checkRingSignatures(hash, keyImage, keys, signatures) === true;
+}
@@ -0,0 +1,143 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import crypto from 'crypto';
+
+import * as Keychain from 'react-native-keychain';
+
+import Config from './Config';
+
+/* Identifies data we have encrypted, so we can tell it apart from the
+   plaintext wallet JSON we used to store */
+const encryptedDataPrefix = 'ENC1:';
+
+const cipherAlgorithm = 'aes-256-gcm';
+
+/* Keychain service we store the wallet key under */
+const keychainService = Config.coinName + 'WalletKey';
+
+/* Cache the key so we don't have to hit the keychain every time we save */
+let walletKey = undefined;
+
+/**
+ * Gets the key used to encrypt the wallet at rest. The key is a random 256
+ * bit secret, generated on first use, and stored in the Android Keystore /
+ * iOS Keychain, so it is hardware backed where the device supports it.
+ *
+ * Returns [key, undefined] or [undefined, error]
+ */
+export async function getWalletKey() {
+    if (walletKey !== undefined) {
+        return [walletKey, undefined];
+    }
+
+    try {
+        const credentials = await Keychain.getGenericPassword({
+            service: keychainService,
+        });
+
+        if (credentials) {
+            walletKey = Buffer.from(credentials.password, 'hex');
+            return [walletKey, undefined];
+        }
+
+        const newKey = crypto.randomBytes(32);
+
+        /* Need to be able to get at the key from the background sync task,
+           which can run while the phone is locked */
+        await Keychain.setGenericPassword(Config.coinName, newKey.toString('hex'), {
+            service: keychainService,
+            accessible: Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+        });
+
+        walletKey = newKey;
+
+        return [walletKey, undefined];
+    } catch (err) {
+        return [undefined, 'Failed to get wallet encryption key: ' + err];
+    }
+}
+
+/**
+ * Stretches a user supplied password into a 256 bit key, for use with
+ * encryptData() / decryptData(). Slow by design.
+ */
+export function deriveKeyFromPassword(password, salt, iterations) {
+    return crypto.pbkdf2Sync(password, salt, iterations, 32, 'sha256');
+}
+
+/**
+ * Random salt to use with deriveKeyFromPassword()
+ */
+export function generateSalt() {
+    return crypto.randomBytes(16);
+}
+
+/**
+ * Whether the given data was encrypted with encryptData()
+ */
+export function isEncrypted(data) {
+    return typeof data === 'string' && data.startsWith(encryptedDataPrefix);
+}
+
+/**
+ * Encrypts the string with the given 256 bit key, returning a string we
+ * can store in the DB
+ */
+export function encryptData(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(cipherAlgorithm, key, iv);
+
+    const ciphertext = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final(),
+    ]);
+
+    const tag = cipher.getAuthTag();
+
+    return encryptedDataPrefix + [
+        iv.toString('hex'),
+        tag.toString('hex'),
+        ciphertext.toString('base64'),
+    ].join(':');
+}
+
+/**
+ * Decrypts data produced by encryptData().
+ *
+ * Returns [plaintext, undefined] or [undefined, error]
+ */
+export function decryptData(data, key) {
+    if (!isEncrypted(data)) {
+        return [undefined, 'Data is not encrypted!'];
+    }
+
+    const parts = data.substr(encryptedDataPrefix.length).split(':');
+
+    if (parts.length !== 3) {
+        return [undefined, 'Encrypted data is corrupted!'];
+    }
+
+    const [iv, tag, ciphertext] = parts;
+
+    try {
+        const decipher = crypto.createDecipheriv(
+            cipherAlgorithm, key, Buffer.from(iv, 'hex'),
+        );
+
+        decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+        const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final(),
+        ]);
+
+        return [plaintext.toString('utf8'), undefined];
+    } catch (err) {
+        /* GCM authentication fails if the key is wrong, or the data has been
+           tampered with - either way, we can't get the data back */
+        return [undefined, 'Failed to decrypt data - the key is incorrect, or the data is corrupted.'];
+    }
+}
@@ -64,6 +64,27 @@ export function addFee(amount) {
     return removeFee(nonAtomic);
 }
 
+/**
+ * Swaps the network fee of an amount from addFee or removeFee for a custom
+ * one. The recipient gets the same, so we send more or less.
+ */
+export function withNetworkFee(amount, networkFeeAtomic) {
+    const difference = networkFeeAtomic - amount.networkFeeAtomic;
+
+    return {
+        ...amount,
+
+        networkFee: fromAtomic(networkFeeAtomic),
+        networkFeeAtomic: networkFeeAtomic,
+
+        totalFee: fromAtomic(amount.totalFeeAtomic + difference),
+        totalFeeAtomic: amount.totalFeeAtomic + difference,
+
+        original: fromAtomic(amount.originalAtomic + difference),
+        originalAtomic: amount.originalAtomic + difference,
+    };
+}
+
 /**
  * Converts a human amount to an atomic amount, for use internally
  */
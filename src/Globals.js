@@ -9,11 +9,18 @@ import { Alert } from 'react-native';
 import NetInfo from "@react-native-community/netinfo";
 
 import { Logger } from './Logger';
+import { splitPayeeAddress } from './Utilities';
 import { getCoinPriceFromAPI } from './Currency';
 
 import {
     loadPayeeDataFromDatabase, savePayeeToDatabase, removePayeeFromDatabase,
     loadTransactionDetailsFromDatabase, saveTransactionDetailsToDatabase,
+    loadPaymentRequestsFromDatabase, savePaymentRequestToDatabase,
+    removePaymentRequestFromDatabase, loadScheduledPaymentsFromDatabase,
+    saveScheduledPaymentToDatabase, removeScheduledPaymentFromDatabase,
+    loadPendingTransactionsFromDatabase, savePendingTransactionToDatabase,
+    removePendingTransactionFromDatabase, loadAddressLabelsFromDatabase,
+    saveAddressLabelToDatabase,
 } from './Database';
 
 class globals {
@@ -24,6 +31,12 @@ class globals {
         /* Need to be able to cancel the background saving if we make a new wallet */
         this.backgroundSaveTimer = undefined;
 
+        /* Periodically checks the nodes we know of, and fails over if needed */
+        this.nodeHealthTimer = undefined;
+
+        /* Periodically checks if any scheduled payments need sending */
+        this.scheduledPaymentsTimer = undefined;
+
         /* Want to cache this so we don't have to keep loading from DB/internet */
         this.coinPrice = {};
 
@@ -37,6 +50,8 @@ class globals {
             authConfirmation: false,
             autoOptimize: true,
             authenticationMethod: 'hardware-auth',
+            /* Undefined means use Config.defaultNode */
+            node: undefined,
         };
 
         /* People in our address book */
@@ -48,6 +63,22 @@ class globals {
 
         /* Mapping of tx hash to address sent, payee name, memo */
         this.transactionDetails = [];
+
+        /* Payment requests we've made, and how much has been paid to them */
+        this.paymentRequests = [];
+
+        /* Payments to send in the future, soonest first */
+        this.scheduledPayments = [];
+
+        /* Transactions we've sent that aren't in a block yet, and when we
+           sent them */
+        this.pendingTransactions = [];
+
+        /* When the key images a view wallet has imported were exported */
+        this.keyImagesImported = undefined;
+
+        /* Names the user has given the addresses in the wallet */
+        this.addressLabels = [];
     }
 
     reset() {
@@ -56,6 +87,21 @@ class globals {
         this.backgroundSaveTimer = undefined;
         this.logger = new Logger();
 
+        clearInterval(this.nodeHealthTimer);
+        this.nodeHealthTimer = undefined;
+
+        clearInterval(this.scheduledPaymentsTimer);
+        this.scheduledPaymentsTimer = undefined;
+
+        /* These belong to the wallet we just closed */
+        this.payees = [];
+        this.transactionDetails = [];
+        this.paymentRequests = [];
+        this.scheduledPayments = [];
+        this.pendingTransactions = [];
+        this.keyImagesImported = undefined;
+        this.addressLabels = [];
+
         if (this.unsubscribe) {
             this.unsubscribe();
         }
@@ -66,7 +112,70 @@ class globals {
         saveTransactionDetailsToDatabase(txDetails);
     }
 
+    /* Adds the payment request, or updates it if we already have it */
+    savePaymentRequest(paymentRequest) {
+        const index = Globals.paymentRequests.findIndex((item) => item.paymentID === paymentRequest.paymentID);
+
+        if (index === -1) {
+            Globals.paymentRequests.unshift(paymentRequest);
+        } else {
+            Globals.paymentRequests[index] = paymentRequest;
+        }
+
+        savePaymentRequestToDatabase(paymentRequest);
+    }
+
+    removePaymentRequest(paymentID) {
+        _.remove(Globals.paymentRequests, (item) => item.paymentID === paymentID);
+        removePaymentRequestFromDatabase(paymentID);
+    }
+
+    /* Adds the scheduled payment, or updates it if we already have it */
+    saveScheduledPayment(payment) {
+        const index = Globals.scheduledPayments.findIndex((item) => item.id === payment.id);
+
+        if (index === -1) {
+            Globals.scheduledPayments.push(payment);
+        } else {
+            Globals.scheduledPayments[index] = payment;
+        }
+
+        Globals.scheduledPayments = _.sortBy(Globals.scheduledPayments, 'nextRun');
+
+        saveScheduledPaymentToDatabase(payment);
+    }
+
+    removeScheduledPayment(id) {
+        _.remove(Globals.scheduledPayments, (item) => item.id === id);
+        removeScheduledPaymentFromDatabase(id);
+    }
+
+    addPendingTransaction(pending) {
+        Globals.pendingTransactions.push(pending);
+        savePendingTransactionToDatabase(pending);
+    }
+
+    removePendingTransaction(hash) {
+        _.remove(Globals.pendingTransactions, (item) => item.hash === hash);
+        removePendingTransactionFromDatabase(hash);
+    }
+
+    /* Adds the label, or updates it if the address already has one */
+    saveAddressLabel(addressLabel) {
+        const index = Globals.addressLabels.findIndex((item) => item.address === addressLabel.address);
+
+        if (index === -1) {
+            Globals.addressLabels.push(addressLabel);
+        } else {
+            Globals.addressLabels[index] = addressLabel;
+        }
+
+        saveAddressLabelToDatabase(addressLabel);
+    }
+
     addPayee(payee) {
+        payee = splitPayeeAddress(payee);
+
         Globals.payees.push(payee);
         savePayeeToDatabase(payee);
         this.update();
@@ -109,6 +218,14 @@ export async function initGlobals() {
     if (transactionDetails !== undefined) {
         Globals.transactionDetails = transactionDetails;
     }
+
+    Globals.paymentRequests = await loadPaymentRequestsFromDatabase();
+
+    Globals.scheduledPayments = await loadScheduledPaymentsFromDatabase();
+
+    Globals.pendingTransactions = await loadPendingTransactionsFromDatabase();
+
+    Globals.addressLabels = await loadAddressLabelsFromDatabase();
     
     const netInfo = await NetInfo.fetch();
 
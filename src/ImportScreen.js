@@ -4,23 +4,89 @@
 
 import React from 'react';
 
+import moment from 'moment';
+
 import { Input } from 'react-native-elements';
 
 import {
-    View, Image, Text, Button, Platform, TextInput
+    View, Image, Text, Button, Platform, TextInput, ScrollView,
 } from 'react-native';
 
 import {
     importWalletFromSeed, BlockchainCacheApi, WalletBackend, WalletError,
-    isValidMnemonic, isValidMnemonicWord,
+    isValidMnemonic, isValidMnemonicWord, validateAddresses, WalletErrorCode,
 } from 'plenteum-wallet-backend';
 
 import Config from './Config';
+import ListItem from './ListItem';
+import List from './ListContainer';
 
+import { delay, prettyPrintDate } from './Utilities';
 import { Styles } from './Styles';
 import { Globals } from './Globals';
+import { getDaemon } from './Nodes';
 import { saveToDatabase } from './Database';
+import { findBackupFiles, readBackupFile, restoreBackup } from './Backup';
 import { BottomButton } from './SharedComponents';
+import { restoreAddresses } from './Addresses';
+
+/**
+ * Returns [count, error]. Blank means no extra addresses.
+ */
+function checkAddressCount(text) {
+    if (text === '') {
+        return [0, ''];
+    }
+
+    const count = Number(text);
+
+    if (!Number.isInteger(count) || count < 0) {
+        return [undefined, 'Must be a whole number!'];
+    }
+
+    if (count > Config.maxRestoredAddresses) {
+        return [undefined, `Can restore at most ${Config.maxRestoredAddresses} addresses!`];
+    }
+
+    return [count, ''];
+}
+
+/**
+ * How many of the extra addresses made on the Addresses screen to bring
+ * back. Their keys come from the spend key, so we can make them again, but
+ * we can't tell how many there were.
+ */
+class AddressCountInput extends React.Component {
+    render() {
+        return(
+            <Input
+                containerStyle={{
+                    width: '90%',
+                    marginTop: 30,
+                }}
+                inputContainerStyle={{
+                    borderColor: 'lightgrey',
+                    borderWidth: 1,
+                    borderRadius: 2,
+                }}
+                label={'Extra addresses to restore (optional)'}
+                labelStyle={{
+                    marginBottom: 5,
+                    marginRight: 2,
+                }}
+                inputStyle={{
+                    color: this.props.screenProps.theme.primaryColour,
+                    fontSize: 15,
+                    marginLeft: 5
+                }}
+                keyboardType={'number-pad'}
+                value={this.props.value}
+                onChangeText={this.props.onChangeText}
+                errorMessage={this.props.errorMessage}
+            />
+        );
+    }
+}
 
 /**
  * Import a wallet from keys/seed
@@ -89,6 +155,14 @@ export class ImportWalletScreen extends React.Component {
                             color={this.props.screenProps.theme.primaryColour}
                         />
                     </View>
+
+                    <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                        <Button
+                            title="Restore from a backup"
+                            onPress={() => this.props.navigation.navigate('RestoreBackup')}
+                            color={this.props.screenProps.theme.primaryColour}
+                        />
+                    </View>
                 </View>
             </View>
         );
@@ -138,6 +212,14 @@ export class ImportKeysOrSeedScreen extends React.Component {
                             color={this.props.screenProps.theme.primaryColour}
                         />
                     </View>
+
+                    <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                        <Button
+                            title="View Only - Address + Private View Key"
+                            onPress={() => this.props.navigation.navigate('ImportViewWallet', { scanHeight: this.scanHeight })}
+                            color={this.props.screenProps.theme.primaryColour}
+                        />
+                    </View>
                 </View>
             </View>
         );
@@ -157,6 +239,8 @@ export class ImportSeedScreen extends React.Component {
             seed: '',
             seedError: '',
             seedIsGood: false,
+            addressCount: '',
+            addressCountError: '',
         }
 
         this.scanHeight = this.props.navigation.state.params.scanHeight || 0;
@@ -165,8 +249,11 @@ export class ImportSeedScreen extends React.Component {
     checkErrors() {
         const valid = this.checkSeedIsValid();
 
+        const [, addressCountError] = checkAddressCount(this.state.addressCount);
+
         this.setState({
-            seedIsGood: valid,
+            seedIsGood: valid && addressCountError === '',
+            addressCountError,
         });
     }
 
@@ -218,7 +305,7 @@ export class ImportSeedScreen extends React.Component {
 
     importWallet() {
         const [wallet, error] = WalletBackend.importWalletFromSeed(
-            Config.defaultDaemon, this.scanHeight, this.state.seed.toLowerCase(), Config
+            getDaemon(), this.scanHeight, this.state.seed.toLowerCase(), Config
         );
 
         if (error) {
@@ -229,6 +316,10 @@ export class ImportSeedScreen extends React.Component {
 
         Globals.wallet = wallet;
 
+        const [addressCount] = checkAddressCount(this.state.addressCount);
+
+        restoreAddresses(addressCount, this.scanHeight);
+
         saveToDatabase(Globals.wallet);
 
         this.props.navigation.navigate('Home');
@@ -288,6 +379,17 @@ export class ImportSeedScreen extends React.Component {
                         errorMessage={this.state.seedError}
                         autoCapitalize={'none'}
                     />
+
+                    <AddressCountInput
+                        value={this.state.addressCount}
+                        onChangeText={(text) => {
+                            this.setState({
+                                addressCount: text,
+                            }, () => this.checkErrors());
+                        }}
+                        errorMessage={this.state.addressCountError}
+                        {...this.props}
+                    />
                 </View>
 
                 <BottomButton
@@ -318,6 +420,8 @@ export class ImportKeysScreen extends React.Component {
             continueEnabled: false,
             spendKeyError: '',
             viewKeyError: '',
+            addressCount: '',
+            addressCountError: '',
         }
     }
 
@@ -325,10 +429,13 @@ export class ImportKeysScreen extends React.Component {
         const [spendKeyValid, spendKeyError] = this.checkKey(this.state.privateSpendKey);
         const [viewKeyValid, viewKeyError] = this.checkKey(this.state.privateViewKey);
 
+        const [, addressCountError] = checkAddressCount(this.state.addressCount);
+
         this.setState({
-            continueEnabled: spendKeyValid && viewKeyValid,
+            continueEnabled: spendKeyValid && viewKeyValid && addressCountError === '',
             spendKeyError,
-            viewKeyError
+            viewKeyError,
+            addressCountError,
         });
     }
 
@@ -358,7 +465,7 @@ export class ImportKeysScreen extends React.Component {
 
     importWallet() {
         const [wallet, error] = WalletBackend.importWalletFromKeys(
-            Config.defaultDaemon, this.scanHeight, this.state.privateViewKey,
+            getDaemon(), this.scanHeight, this.state.privateViewKey,
             this.state.privateSpendKey, Config
         );
 
@@ -370,6 +477,10 @@ export class ImportKeysScreen extends React.Component {
 
         Globals.wallet = wallet;
 
+        const [addressCount] = checkAddressCount(this.state.addressCount);
+
+        restoreAddresses(addressCount, this.scanHeight);
+
         saveToDatabase(Globals.wallet);
 
         this.props.navigation.navigate('Home');
@@ -459,6 +570,200 @@ export class ImportKeysScreen extends React.Component {
                         errorMessage={this.state.viewKeyError}
                     />
 
+                    <AddressCountInput
+                        value={this.state.addressCount}
+                        onChangeText={(text) => {
+                            this.setState({
+                                addressCount: text,
+                            }, () => this.checkErrors());
+                        }}
+                        errorMessage={this.state.addressCountError}
+                        {...this.props}
+                    />
+
+                </View>
+
+                <BottomButton
+                    title="Continue"
+                    onPress={() => this.importWallet()}
+                    disabled={!this.state.continueEnabled}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Import a view only wallet, from an address and private view key. We can see
+ * incoming funds, but can't send.
+ */
+export class ImportViewWalletScreen extends React.Component {
+    static navigationOptions = {
+        title: 'Import View Wallet',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.scanHeight = this.props.navigation.state.params.scanHeight || 0;
+
+        this.state = {
+            address: '',
+            privateViewKey: '',
+            continueEnabled: false,
+            addressError: '',
+            viewKeyError: '',
+        }
+    }
+
+    checkErrors() {
+        const [addressValid, addressError] = this.checkAddress(this.state.address);
+        const [viewKeyValid, viewKeyError] = this.checkKey(this.state.privateViewKey);
+
+        this.setState({
+            continueEnabled: addressValid && viewKeyValid,
+            addressError,
+            viewKeyError
+        });
+    }
+
+    checkAddress(address) {
+        if (address === '' || address === undefined || address === null) {
+            return [false, ''];
+        }
+
+        const addressError = validateAddresses([address], false, Config);
+
+        if (addressError.errorCode !== WalletErrorCode.SUCCESS) {
+            return [false, addressError.toString()];
+        }
+
+        return [true, ''];
+    }
+
+    checkKey(key) {
+        let errorMessage = '';
+
+        if (key === '' || key === undefined || key === null) {
+            return [false, errorMessage];
+        }
+
+        const regex = new RegExp('^[0-9a-fA-F]{64}$');
+
+        if (key.length !== 64) {
+            errorMessage = 'Key is too short/long';
+            return [false, errorMessage];
+        }
+
+        const isGood = regex.test(key);
+
+        if (!isGood) {
+            errorMessage = 'Key is not hex (a-f, 0-9)';
+            return [false, errorMessage];
+        }
+
+        return [true, ''];
+    }
+
+    importWallet() {
+        const [wallet, error] = WalletBackend.importViewWallet(
+            getDaemon(), this.scanHeight, this.state.privateViewKey,
+            this.state.address, Config
+        );
+
+        if (error) {
+            Globals.logger.addLogMessage('Failed to import view wallet: ' + error.toString());
+
+            this.setState({
+                viewKeyError: error.toString(),
+                continueEnabled: false,
+            });
+
+            return;
+        }
+
+        Globals.wallet = wallet;
+
+        saveToDatabase(Globals.wallet);
+
+        this.props.navigation.navigate('Home');
+    }
+
+    render() {
+        const inputProps = {
+            containerStyle: {
+                width: '90%',
+                marginBottom: 30,
+            },
+            inputContainerStyle: {
+                borderColor: 'lightgrey',
+                borderWidth: 1,
+                borderRadius: 2,
+            },
+            labelStyle: {
+                marginBottom: 5,
+                marginRight: 2,
+            },
+            inputStyle: {
+                color: this.props.screenProps.theme.primaryColour,
+                fontSize: 15,
+                marginLeft: 5
+            },
+            autoCapitalize: 'none',
+            autoCorrect: false,
+        };
+
+        return(
+            <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
+                <View style={{
+                    justifyContent: 'flex-start',
+                    alignItems: 'flex-start',
+                    marginTop: 60,
+                    marginLeft: 30,
+                    marginRight: 10,
+                }}>
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 5 }}>
+                        Enter your address and private view key...
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16, marginBottom: 60 }}>
+                        You'll be able to see incoming funds, but not send any. Spent funds won't be taken off your balance.
+                    </Text>
+                </View>
+
+                <View style={{
+                    justifyContent: 'flex-start',
+                    alignItems: 'flex-start',
+                    marginLeft: 20,
+                    flex: 1,
+                }}>
+                    <Input
+                        {...inputProps}
+                        maxLength={Config.standardAddressLength}
+                        multiline={true}
+                        label={'Address'}
+                        value={this.state.address}
+                        onChangeText={(text) => {
+                            this.setState({
+                                address: text.trim(),
+                            }, () => this.checkErrors());
+                        }}
+                        errorMessage={this.state.addressError}
+                    />
+
+                    <Input
+                        {...inputProps}
+                        maxLength={64}
+                        label={'Private view key'}
+                        value={this.state.privateViewKey}
+                        onChangeText={(text) => {
+                            this.setState({
+                                privateViewKey: text,
+                            }, () => this.checkErrors());
+                        }}
+                        errorMessage={this.state.viewKeyError}
+                    />
                 </View>
 
                 <BottomButton
@@ -471,3 +776,216 @@ export class ImportKeysScreen extends React.Component {
         );
     }
 }
+
+/**
+ * Restore a wallet from a backup file made in the settings screen
+ */
+export class RestoreBackupScreen extends React.Component {
+    static navigationOptions = {
+        title: 'Restore Backup',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            files: [],
+            selectedFile: undefined,
+            searching: true,
+            password: '',
+            errorMessage: '',
+            restoring: false,
+        };
+    }
+
+    componentDidMount() {
+        this.findBackups();
+    }
+
+    async findBackups() {
+        this.setState({
+            searching: true,
+            errorMessage: '',
+        });
+
+        const [files, error] = await findBackupFiles();
+
+        if (error) {
+            this.setState({
+                files: [],
+                selectedFile: undefined,
+                searching: false,
+                errorMessage: error,
+            });
+
+            return;
+        }
+
+        this.setState({
+            files,
+            /* Newest first, which is most likely the one they want */
+            selectedFile: files.length > 0 ? files[0].path : undefined,
+            searching: false,
+        });
+    }
+
+    async restoreWallet() {
+        this.setState({
+            restoring: true,
+            errorMessage: '',
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const [contents, readError] = await readBackupFile(this.state.selectedFile, this.state.password);
+
+        if (readError) {
+            this.setState({
+                restoring: false,
+                errorMessage: readError,
+            });
+
+            return;
+        }
+
+        const restoreError = await restoreBackup(contents);
+
+        if (restoreError) {
+            Globals.logger.addLogMessage(restoreError);
+
+            this.setState({
+                restoring: false,
+                errorMessage: restoreError,
+            });
+
+            return;
+        }
+
+        this.props.navigation.navigate('Home');
+    }
+
+    render() {
+        const inputContainerStyle = {
+            borderColor: 'lightgrey',
+            borderWidth: 1,
+            borderRadius: 2,
+        };
+
+        const labelStyle = {
+            marginBottom: 5,
+            marginRight: 2,
+        };
+
+        const inputStyle = {
+            color: this.props.screenProps.theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        };
+
+        const folder = Platform.OS === 'android'
+            ? 'your Downloads folder'
+            : `the ${Config.appName} folder in the Files app`;
+
+        let fileMessage = 'Looking for backups...';
+
+        if (!this.state.searching && this.state.files.length === 0) {
+            fileMessage = `No backups found. Copy your backup file into ${folder}, then refresh.`;
+        } else if (!this.state.searching) {
+            fileMessage = `Backups in ${folder}:`;
+        }
+
+        return(
+            <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
+                <View style={{
+                    justifyContent: 'flex-start',
+                    alignItems: 'flex-start',
+                    marginTop: 60,
+                    marginLeft: 30,
+                    marginRight: 10,
+                }}>
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 5 }}>
+                        Pick your backup...
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16, marginBottom: 20 }}>
+                        And enter the password you used when creating it.
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                        {fileMessage}
+                    </Text>
+                </View>
+
+                <ScrollView style={{ flex: 1, marginHorizontal: 20, marginBottom: 10 }}>
+                    <List style={{
+                        backgroundColor: this.props.screenProps.theme.backgroundColour,
+                    }}>
+                        {this.state.files.map((file) => (
+                            <ListItem
+                                key={file.path}
+                                title={file.name}
+                                subtitle={file.modified ? prettyPrintDate(moment(file.modified)) : undefined}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    fontWeight: this.state.selectedFile === file.path ? 'bold' : 'normal',
+                                }}
+                                subtitleStyle={{
+                                    color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                                }}
+                                checkmark={this.state.selectedFile === file.path}
+                                onPress={() => {
+                                    this.setState({
+                                        selectedFile: file.path,
+                                        errorMessage: '',
+                                    });
+                                }}
+                            />
+                        ))}
+                    </List>
+
+                    <Button
+                        title='Refresh'
+                        onPress={() => this.findBackups()}
+                        color={this.props.screenProps.theme.primaryColour}
+                        disabled={this.state.searching || this.state.restoring}
+                    />
+                </ScrollView>
+
+                <View style={{
+                    justifyContent: 'flex-start',
+                    alignItems: 'flex-start',
+                    marginLeft: 20,
+                    marginBottom: 90,
+                }}>
+                    <Input
+                        containerStyle={{
+                            width: '90%',
+                        }}
+                        inputContainerStyle={inputContainerStyle}
+                        label={'Backup password'}
+                        labelStyle={labelStyle}
+                        inputStyle={inputStyle}
+                        secureTextEntry={true}
+                        autoCapitalize={'none'}
+                        value={this.state.password}
+                        onChangeText={(text) => {
+                            this.setState({
+                                password: text,
+                                errorMessage: '',
+                            });
+                        }}
+                        errorMessage={this.state.errorMessage}
+                    />
+                </View>
+
+                <BottomButton
+                    title={this.state.restoring ? 'Restoring...' : 'Continue'}
+                    onPress={() => this.restoreWallet()}
+                    disabled={this.state.restoring || this.state.selectedFile === undefined || this.state.password === ''}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
@@ -0,0 +1,244 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import { View, Text, ScrollView, Button as RNEButton } from 'react-native';
+
+import { Input } from 'react-native-elements';
+
+import {
+    createIntegratedAddress, validatePaymentID, WalletErrorCode,
+} from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { Hr, CopyButton } from './SharedComponents';
+import { generatePaymentID, splitIntegratedAddress } from './Utilities';
+
+/**
+ * Create an integrated address from our address and a payment ID, or split
+ * one back into its parts
+ */
+export class IntegratedAddressScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            paymentID: generatePaymentID(),
+            paymentIDError: '',
+            integratedAddress: '',
+            integratedAddressError: '',
+        };
+    }
+
+    checkPaymentID(paymentID) {
+        const paymentIDError = validatePaymentID(paymentID);
+
+        if (paymentIDError.errorCode !== WalletErrorCode.SUCCESS) {
+            return [false, paymentIDError.toString()];
+        }
+
+        return [true, ''];
+    }
+
+    render() {
+        const [paymentIDValid] = this.checkPaymentID(this.state.paymentID);
+
+        const createdAddress = paymentIDValid
+            ? createIntegratedAddress(Globals.wallet.getPrimaryAddress(), this.state.paymentID, Config)
+            : undefined;
+
+        const [split] = this.state.integratedAddress === ''
+            ? [undefined]
+            : splitIntegratedAddress(this.state.integratedAddress.trim());
+
+        const inputProps = {
+            containerStyle: {
+                width: '90%',
+                marginLeft: 20,
+                marginBottom: 10,
+            },
+            inputContainerStyle: {
+                borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                borderWidth: 1,
+                borderRadius: 2,
+            },
+            labelStyle: {
+                marginBottom: 5,
+                marginRight: 2,
+                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            },
+            inputStyle: {
+                color: this.props.screenProps.theme.primaryColour,
+                fontSize: 15,
+                marginLeft: 5
+            },
+            autoCapitalize: 'none',
+            autoCorrect: false,
+        };
+
+        const headingStyle = {
+            color: this.props.screenProps.theme.primaryColour,
+            fontSize: 20,
+            marginBottom: 10,
+        };
+
+        const labelStyle = {
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            fontSize: 15,
+            marginTop: 10,
+        };
+
+        const valueStyle = {
+            color: this.props.screenProps.theme.primaryColour,
+            fontSize: 14,
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Integrated addresses
+                        </Text>
+
+                        <Text style={labelStyle}>
+                            An integrated address combines an address and a payment ID, so the sender can't forget to include it.
+                        </Text>
+                    </View>
+
+                    <View style={{ marginHorizontal: 30 }}>
+                        <Text style={headingStyle}>
+                            Create
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps}
+                        label={'Payment ID'}
+                        value={this.state.paymentID}
+                        onChangeText={(text) => {
+                            const [, paymentIDError] = this.checkPaymentID(text);
+
+                            this.setState({
+                                paymentID: text,
+                                paymentIDError,
+                            });
+                        }}
+                        errorMessage={this.state.paymentIDError}
+                    />
+
+                    <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                        <RNEButton
+                            title="Generate a random payment ID"
+                            onPress={() => {
+                                this.setState({
+                                    paymentID: generatePaymentID(),
+                                    paymentIDError: '',
+                                });
+                            }}
+                            color={this.props.screenProps.theme.primaryColour}
+                        />
+                    </View>
+
+                    {createdAddress !== undefined &&
+                        <View style={{ marginHorizontal: 30 }}>
+                            <Text style={labelStyle}>
+                                Your integrated address
+                            </Text>
+
+                            <Text selectable style={valueStyle}>
+                                {createdAddress}
+                            </Text>
+
+                            <CopyButton
+                                data={createdAddress}
+                                name='Integrated address'
+                                {...this.props}
+                            />
+                        </View>
+                    }
+
+                    <View style={{ width: '100%', alignItems: 'center', marginVertical: 20 }}>
+                        <Hr width={'85%'}/>
+                    </View>
+
+                    <View style={{ marginHorizontal: 30 }}>
+                        <Text style={headingStyle}>
+                            Decode
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps}
+                        label={'Integrated address'}
+                        multiline={true}
+                        value={this.state.integratedAddress}
+                        onChangeText={(text) => {
+                            let integratedAddressError = '';
+
+                            if (text.trim() !== '') {
+                                const [, error] = splitIntegratedAddress(text.trim());
+
+                                if (error) {
+                                    integratedAddressError = error;
+                                } else if (text.trim().length !== Config.integratedAddressLength) {
+                                    integratedAddressError = 'This is a standard address, not an integrated address.';
+                                }
+                            }
+
+                            this.setState({
+                                integratedAddress: text,
+                                integratedAddressError,
+                            });
+                        }}
+                        errorMessage={this.state.integratedAddressError}
+                    />
+
+                    {split !== undefined && split.paymentID !== '' &&
+                        <View style={{ marginHorizontal: 30, marginBottom: 30 }}>
+                            <Text style={labelStyle}>
+                                Address
+                            </Text>
+
+                            <Text selectable style={valueStyle}>
+                                {split.address}
+                            </Text>
+
+                            <CopyButton
+                                data={split.address}
+                                name='Address'
+                                {...this.props}
+                            />
+
+                            <Text style={labelStyle}>
+                                Payment ID
+                            </Text>
+
+                            <Text selectable style={valueStyle}>
+                                {split.paymentID}
+                            </Text>
+
+                            <CopyButton
+                                data={split.paymentID}
+                                name='Payment ID'
+                                {...this.props}
+                            />
+                        </View>
+                    }
+                </ScrollView>
+            </View>
+        );
+    }
+}
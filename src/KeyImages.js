@@ -0,0 +1,149 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import { generateKeyImage } from 'plenteum-wallet-backend/dist/lib/CryptoWrapper';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { saveKeyImagesToDatabase, loadKeyImagesFromDatabase } from './Database';
+
+/* Bump this if the format of the exported key images changes */
+const KEY_IMAGE_EXPORT_VERSION = 1;
+
+/**
+ * Work out the key image of every output the full wallet has received, and
+ * whether it has been spent, so a view only copy of the wallet can correct
+ * its balance.
+ *
+ * Returns [keyImages, undefined] or [undefined, error]
+ */
+export async function exportKeyImages() {
+    if (Globals.wallet.subWallets.isViewWallet) {
+        return [undefined, 'This wallet is view only, so it can\'t work out its key images.'];
+    }
+
+    const privateViewKey = Globals.wallet.getPrivateViewKey();
+
+    const keyImages = [];
+
+    try {
+        for (const subWallet of Globals.wallet.subWallets.subWallets.values()) {
+            const inputs = [
+                ...subWallet.unspentInputs.map((input) => [input, false]),
+                /* Locked inputs are in a transaction that hasn't been mined
+                   yet. It may never be, so they're not spent until it is -
+                   export again once it has been */
+                ...subWallet.lockedInputs.map((input) => [input, false]),
+                ...subWallet.spentInputs.map((input) => [input, true]),
+            ];
+
+            for (const [input, spent] of inputs) {
+                const [keyImage] = await generateKeyImage(
+                    input.transactionPublicKey, privateViewKey,
+                    subWallet.publicSpendKey, subWallet.privateSpendKey,
+                    input.transactionIndex, Config,
+                );
+
+                keyImages.push({
+                    key: input.key,
+                    keyImage,
+                    spent,
+                    spendHeight: spent ? input.spendHeight : 0,
+                });
+            }
+        }
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to export key images: ' + err);
+        return [undefined, err.toString()];
+    }
+
+    return [{
+        type: 'keyimages',
+        version: KEY_IMAGE_EXPORT_VERSION,
+        coinName: Config.coinName,
+        address: Globals.wallet.getPrimaryAddress(),
+        created: Date.now(),
+        keyImages,
+    }, undefined];
+}
+
+/**
+ * Store key images from exportKeyImages in a view wallet, and mark the
+ * outputs they spend as spent.
+ *
+ * Returns [numberOfOutputsMarkedSpent, undefined] or [undefined, error]
+ */
+export async function importKeyImages(exported) {
+    if (exported.type !== 'keyimages' || exported.coinName !== Config.coinName) {
+        return [undefined, 'This is not a key image export.'];
+    }
+
+    if (exported.version !== KEY_IMAGE_EXPORT_VERSION) {
+        return [undefined, 'These key images were exported by a different version of the wallet.'];
+    }
+
+    if (exported.address !== Globals.wallet.getPrimaryAddress()) {
+        return [undefined, 'These key images are from a different wallet.'];
+    }
+
+    if (!Globals.wallet.subWallets.isViewWallet) {
+        return [undefined, 'This wallet already knows its key images.'];
+    }
+
+    await saveKeyImagesToDatabase(exported.keyImages, exported.created);
+
+    return [await applyKeyImages(), undefined];
+}
+
+/**
+ * Mark the outputs of the view wallet which our imported key images say are
+ * spent as spent, so they're no longer in the balance. Needs running again
+ * whenever the wallet forgets them, e.g. on a rescan or reopening.
+ *
+ * Returns the number of outputs marked spent
+ */
+export async function applyKeyImages() {
+    if (Globals.wallet === undefined || !Globals.wallet.subWallets.isViewWallet) {
+        return 0;
+    }
+
+    const keyImages = await loadKeyImagesFromDatabase();
+
+    Globals.keyImagesImported = keyImages.length > 0
+        ? _.maxBy(keyImages, 'created').created
+        : undefined;
+
+    const keyImagesByKey = new Map(keyImages.map((keyImage) => [keyImage.key, keyImage]));
+
+    let markedSpent = 0;
+
+    for (const [publicSpendKey, subWallet] of Globals.wallet.subWallets.subWallets) {
+        /* Copy, since marking as spent removes from these arrays */
+        const inputs = subWallet.unspentInputs.concat(subWallet.lockedInputs);
+
+        for (const input of inputs) {
+            const keyImage = keyImagesByKey.get(input.key);
+
+            if (keyImage === undefined) {
+                continue;
+            }
+
+            /* View wallets can't work this out for themselves */
+            input.keyImage = keyImage.keyImage;
+
+            if (keyImage.spent) {
+                Globals.wallet.subWallets.markInputAsSpent(
+                    publicSpendKey, keyImage.keyImage, keyImage.spendHeight,
+                );
+
+                markedSpent++;
+            }
+        }
+    }
+
+    return markedSpent;
+}
@@ -0,0 +1,165 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import { View, Text, ScrollView, Button as RNEButton } from 'react-native';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { delay, isViewWallet } from './Utilities';
+import { parseOfflineTransaction } from './OfflineSigning';
+import { exportKeyImages, importKeyImages } from './KeyImages';
+import { ShowOfflineData, LoadOfflineData } from './OfflineSigningScreen';
+
+/**
+ * Export key images from the full wallet, or import them into a view only
+ * copy so it can see which outputs have been spent
+ */
+export class KeyImagesScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            exported: undefined,
+            working: false,
+            error: '',
+            result: '',
+        };
+    }
+
+    async export() {
+        this.setState({
+            working: true,
+            error: '',
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const [exported, error] = await exportKeyImages();
+
+        this.setState({
+            exported,
+            error: error || '',
+            working: false,
+        });
+    }
+
+    async import(text) {
+        const [exported, parseError] = parseOfflineTransaction(text);
+
+        if (parseError) {
+            this.setState({
+                error: 'Not a valid key image export.',
+                result: '',
+            });
+
+            return;
+        }
+
+        this.setState({
+            working: true,
+            error: '',
+            result: '',
+        });
+
+        const [markedSpent, error] = await importKeyImages(exported);
+
+        this.setState({
+            error: error || '',
+            result: error ? '' : `Imported ${exported.keyImages.length} key images, ${markedSpent} newly spent outputs found.`,
+            working: false,
+        });
+    }
+
+    render() {
+        const textStyle = {
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            fontSize: 15,
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Key images
+                        </Text>
+
+                        {isViewWallet()
+                            ? <Text style={textStyle}>
+                                  A view only wallet can't tell when its funds have been spent, so its balance is too
+                                  high. Export the key images from your full wallet, under Settings, Key Images, and
+                                  import them here to fix it. Do this again after spending from your full wallet.
+                              </Text>
+                            : <Text style={textStyle}>
+                                  Export your key images to let a view only copy of this wallet see which of your
+                                  funds have been spent. Anyone with them can see when you spend your funds.
+                              </Text>
+                        }
+
+                        {isViewWallet() && Globals.keyImagesImported !== undefined &&
+                            <Text style={[textStyle, { marginTop: 10 }]}>
+                                Last imported key images were exported {new Date(Globals.keyImagesImported).toLocaleString()}.
+                            </Text>
+                        }
+                    </View>
+
+                    {isViewWallet() &&
+                        <LoadOfflineData
+                            name='key images'
+                            onLoad={(text) => this.import(text)}
+                            {...this.props}
+                        />
+                    }
+
+                    {!isViewWallet() && this.state.exported === undefined &&
+                        <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                            <RNEButton
+                                title={this.state.working ? 'Exporting...' : 'Export key images'}
+                                onPress={() => this.export()}
+                                disabled={this.state.working}
+                                color={this.props.screenProps.theme.primaryColour}
+                            />
+                        </View>
+                    }
+
+                    {this.state.exported !== undefined &&
+                        <ShowOfflineData
+                            transaction={this.state.exported}
+                            name='key images'
+                            {...this.props}
+                        />
+                    }
+
+                    {isViewWallet() && this.state.working &&
+                        <Text style={[textStyle, { marginHorizontal: 30, marginTop: 10 }]}>
+                            Importing key images, please wait...
+                        </Text>
+                    }
+
+                    {this.state.result !== '' &&
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 15, marginHorizontal: 30, marginVertical: 10 }}>
+                            {this.state.result}
+                        </Text>
+                    }
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30, marginVertical: 10 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+                </ScrollView>
+            </View>
+        );
+    }
+}
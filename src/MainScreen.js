@@ -19,27 +19,40 @@ import {
     AppState, Platform, Linking, ScrollView, RefreshControl, Dimensions,
 } from 'react-native';
 
+import { Button } from 'react-native-elements';
+
 import { prettyPrintAmount, LogLevel } from 'plenteum-wallet-backend';
 
 import Config from './Config';
 
 import { Styles } from './Styles';
-import { handleURI } from './Utilities';
+import { handleURI, isViewWallet } from './Utilities';
 import { ProgressBar } from './ProgressBar';
 import { saveToDatabase } from './Database';
 import { Globals, initGlobals } from './Globals';
 import { reportCaughtException } from './Sentry';
-import { processBlockOutputs, makePostRequest } from './NativeCode';
+import { processBlockOutputs } from './NativeCode';
 import { initBackgroundSync } from './BackgroundSync';
+import {
+    startNodeMonitor, getLastNodeSwitch, addNodeSwitchListener,
+    removeNodeSwitchListener, updatePublicNodeList,
+} from './Nodes';
 import { CopyButton, OneLineText } from './SharedComponents';
 import { coinsToFiat, getCoinPriceFromAPI } from './Currency';
+import { matchPaymentRequest, describePaymentRequest } from './PaymentRequests';
+import { applyKeyImages } from './KeyImages';
+import { startScheduledPayments } from './ScheduledPayments';
+import {
+    trackPendingTransactions, prunePendingTransactions, getPendingTransactions,
+} from './PendingTransactions';
 
 async function init(navigation) {
     Globals.wallet.scanCoinbaseTransactions(Globals.preferences.scanCoinbaseTransactions);
-    Globals.wallet.enableAutoOptimization(Globals.preferences.autoOptimize);
+    /* Optimizing needs to send transactions, which view wallets can't do */
+    Globals.wallet.enableAutoOptimization(Globals.preferences.autoOptimize && !isViewWallet());
 
     Globals.wallet.on('incomingtx', (transaction) => {
-        sendNotification(transaction);
+        sendNotification(transaction, matchPaymentRequest(transaction));
     });
 
     Globals.wallet.setLoggerCallback((prettyMessage, message) => {
@@ -57,13 +70,18 @@ async function init(navigation) {
     /* TODO: iOS support */
     if (Platform.OS === 'android') {
         Globals.wallet.setBlockOutputProcessFunc(processBlockOutputs);
-        /* Override with our native makePostRequest implementation which can
-           actually cancel requests part way through */
-        Config.defaultDaemon.makePostRequest = makePostRequest;
     }
 
+    /* Follow the transactions we send until they're in a block */
+    trackPendingTransactions();
+
     initGlobals();
 
+    startNodeMonitor();
+
+    /* Send scheduled payments as they come due */
+    startScheduledPayments(navigation);
+
     PushNotification.configure({
         onNotification: handleNotification,
 
@@ -89,7 +107,11 @@ function handleNotification(notification) {
     notification.finish(PushNotificationIOS.FetchResult.NoData);
 }
 
-export function sendNotification(transaction) {
+/**
+ * Notify the user of an incoming transaction. If it paid one of our payment
+ * requests, say which.
+ */
+export function sendNotification(transaction, paymentRequest) {
     /* Don't show notifications if disabled */
     if (!Globals.preferences.notificationsEnabled) {
         return;
@@ -100,9 +122,20 @@ export function sendNotification(transaction) {
         return;
     }
 
+    let title = 'Incoming transaction received!';
+    let message = `You were sent ${prettyPrintAmount(transaction.totalAmount(), Config)}`;
+
+    if (paymentRequest !== undefined) {
+        const name = paymentRequest.label || paymentRequest.paymentID.substr(0, 8);
+
+        title = `Payment request "${name}" was paid!`;
+        message = `You were sent ${prettyPrintAmount(transaction.totalAmount(), Config)}. ` +
+                  describePaymentRequest(paymentRequest);
+    }
+
     PushNotification.localNotification({
-        title: 'Incoming transaction received!',
-        message: `You were sent ${prettyPrintAmount(transaction.totalAmount(), Config)}`,
+        title,
+        message,
         data: JSON.stringify(transaction.hash),
         largeIcon: 'ic_notification_color',
         smallIcon: 'ic_notification_color',
@@ -113,15 +146,9 @@ export function sendNotification(transaction) {
  * Sync screen, balance
  */
 export class MainScreen extends React.Component {
-    static navigationOptions = ({ navigation, screenProps }) => ({
-        title: 'Home',
-        tabBarOptions: {
-            activeBackgroundColor: screenProps.theme.backgroundColour,
-            inactiveBackgroundColor: screenProps.theme.backgroundColour,
-            activeTintColor: screenProps.theme.primaryColour,
-            inactiveTintColor: screenProps.theme.slightlyMoreVisibleColour,
-        }
-    });
+    static navigationOptions = {
+        header: null,
+    };
 
     constructor(props) {
         super(props);
@@ -129,6 +156,7 @@ export class MainScreen extends React.Component {
         this.refresh = this.refresh.bind(this);
         this.handleURI = this.handleURI.bind(this);
         this.handleAppStateChange = this.handleAppStateChange.bind(this);
+        this.updatePending = this.updatePending.bind(this);
 
         const [unlockedBalance, lockedBalance] = Globals.wallet.getBalance();
 
@@ -136,9 +164,13 @@ export class MainScreen extends React.Component {
             addressOnly: false,
             unlockedBalance,
             lockedBalance,
+            pendingBalance: 0,
+            stuckTransactions: 0,
         }
 
-        this.updateBalance();
+        /* Mark anything our imported key images say is spent as spent
+           before showing the balance of a view wallet */
+        applyKeyImages().then(() => this.updateBalance());
 
         init(this.props.navigation);
 
@@ -149,9 +181,38 @@ export class MainScreen extends React.Component {
         Globals.wallet.on('createdtx', () => {
             this.updateBalance();
         });
+
+        /* Transactions can get confirmed, stuck, or cancelled by the backend
+           without a 'transaction' event */
+        Globals.wallet.on('heightchange', this.updatePending);
+    }
+
+    updatePending() {
+        prunePendingTransactions();
+
+        const pending = getPendingTransactions();
+
+        const pendingBalance = pending.reduce((total, item) => total + item.amount, 0);
+        const stuckTransactions = pending.filter((item) => item.stuck).length;
+
+        if (pendingBalance === this.state.pendingBalance && stuckTransactions === this.state.stuckTransactions) {
+            return;
+        }
+
+        const [unlockedBalance, lockedBalance] = Globals.wallet.getBalance();
+
+        this.setState({
+            unlockedBalance,
+            lockedBalance,
+            pendingBalance,
+            stuckTransactions,
+        });
     }
 
     async updateBalance() {
+        /* Don't need to wait for this, it's only used in the node screen */
+        updatePublicNodeList();
+
         const tmpPrice = await getCoinPriceFromAPI();
 
         if (tmpPrice !== undefined) {
@@ -169,6 +230,8 @@ export class MainScreen extends React.Component {
             lockedBalance,
             coinValue,
         });
+
+        this.updatePending();
     }
 
     handleURI(url) {
@@ -247,6 +310,8 @@ export class MainScreen extends React.Component {
                         <BalanceComponent
                             unlockedBalance={this.state.unlockedBalance}
                             lockedBalance={this.state.lockedBalance}
+                            pendingBalance={this.state.pendingBalance}
+                            stuckTransactions={this.state.stuckTransactions}
                             coinValue={this.state.coinValue}
                             {...this.props}
                         />
@@ -305,11 +370,33 @@ class AddressComponent extends React.Component {
                     {this.state.address}
                 </Text>
 
-                <CopyButton
-                    data={this.state.address}
-                    name='Address'
-                    {...this.props}
-                />
+                <View style={{ flexDirection: 'row', justifyContent: 'center' }}>
+                    <CopyButton
+                        data={this.state.address}
+                        name='Address'
+                        {...this.props}
+                    />
+
+                    <Button
+                        title='Request Payment'
+                        onPress={() => this.props.navigation.navigate('RequestPayment')}
+                        titleStyle={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            textDecorationLine: 'underline',
+                        }}
+                        type='clear'
+                    />
+
+                    <Button
+                        title='Addresses'
+                        onPress={() => this.props.navigation.navigate('Addresses')}
+                        titleStyle={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            textDecorationLine: 'underline',
+                        }}
+                        type='clear'
+                    />
+                </View>
             </View>
         );
     }
@@ -378,6 +465,14 @@ class BalanceComponent extends React.Component {
 
         return(
             <View style={{flex: 1, padding: 20, justifyContent: 'center', alignItems: 'center'}}>
+                    {isViewWallet() &&
+                        <Text style={[Styles.centeredText, { color: 'orange', fontSize: 15 }]}>
+                            {Globals.keyImagesImported === undefined
+                                ? 'WATCH ONLY - CAN\'T SEND, SPENDS NOT SHOWN'
+                                : `WATCH ONLY - SPENDS SHOWN UP TO ${new Date(Globals.keyImagesImported).toLocaleDateString()}`}
+                        </Text>
+                    }
+
                     <Text style={{ color: this.props.screenProps.theme.notVeryVisibleColour, fontSize: 15 }}>
                         TOTAL BALANCE
                     </Text>
@@ -392,6 +487,25 @@ class BalanceComponent extends React.Component {
                     >
                         {this.props.coinValue}
                     </Animatable.Text>
+
+                    {this.props.pendingBalance > 0 &&
+                        <Text
+                            style={{ color: this.props.stuckTransactions > 0 ? 'orange' : this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 13 }}
+                            onPress={() => this.props.navigation.navigate('Transactions')}
+                        >
+                            {prettyPrintAmount(this.props.pendingBalance, Config)} PENDING OUTGOING
+                        </Text>
+                    }
+
+                    {this.props.stuckTransactions > 0 &&
+                        <Text
+                            style={[Styles.centeredText, { color: 'orange', fontSize: 13 }]}
+                            onPress={() => this.props.navigation.navigate('Transactions')}
+                        >
+                            {this.props.stuckTransactions === 1 ? 'A TRANSACTION HASN\'T' : `${this.props.stuckTransactions} TRANSACTIONS HAVEN'T`} CONFIRMED
+                            AFTER {Config.pendingTransactionWarningBlocks} BLOCKS - TAP TO CHECK
+                        </Text>
+                    }
             </View>
         );
     }
@@ -412,9 +526,11 @@ class SyncComponent extends React.Component {
             networkHeight,
             progress: 0,
             percent: '0.00',
+            nodeSwitch: getLastNodeSwitch(),
         };
 
         this.updateSyncStatus = this.updateSyncStatus.bind(this);
+        this.updateNodeSwitch = this.updateNodeSwitch.bind(this);
 
         this.syncRef = (ref) => this.sync = ref;
     }
@@ -457,14 +573,23 @@ class SyncComponent extends React.Component {
         }, () => { if (justSynced) { this.sync.bounce(800) } });
     }
 
+    updateNodeSwitch(nodeSwitch) {
+        this.setState({
+            nodeSwitch,
+        });
+    }
+
     componentDidMount() {
         Globals.wallet.on('heightchange', this.updateSyncStatus);
+        addNodeSwitchListener(this.updateNodeSwitch);
     }
 
     componentWillUnmount() {
         if (Globals.wallet) {
             Globals.wallet.removeListener('heightchange', this.updateSyncStatus);
         }
+
+        removeNodeSwitchListener(this.updateNodeSwitch);
     }
 
     render() {
@@ -480,6 +605,14 @@ class SyncComponent extends React.Component {
                     style={{justifyContent: 'flex-end', alignItems: 'center', width: 300, marginTop: 10}}
                     {...this.props}
                 />
+                {this.state.nodeSwitch && <Text style={[Styles.centeredText, {
+                    color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                    fontSize: 12,
+                    marginTop: 10,
+                    marginHorizontal: 20,
+                }]}>
+                    {this.state.nodeSwitch.message}
+                </Text>}
             </View>
         );
     }
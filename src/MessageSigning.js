@@ -0,0 +1,94 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import Base58 from 'plenteum-utils/lib/base58';
+import PlenteumCrypto from 'plenteum-utils/lib/plenteum-crypto';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { unwrap } from './Ed25519';
+
+/* A signature is two 32 byte scalars */
+const SIGNATURE_LENGTH = 128;
+
+/* Slow to build, so only do it once */
+const crypto = PlenteumCrypto();
+
+/**
+ * The same hash the CryptoNote CLI wallets sign - the fast hash of the raw
+ * message bytes
+ */
+function getMessageHash(message) {
+    return CryptoUtils(Config).cnFastHash(Buffer.from(message, 'utf8').toString('hex'));
+}
+
+/**
+ * Sign a message with the spend key of our primary address, proving we own
+ * it. The signature follows the format the CryptoNote CLI wallets use, though
+ * it hasn't been checked against one.
+ *
+ * Returns [signature, undefined] or [undefined, error]
+ */
+export function signMessage(message) {
+    if (Globals.wallet.subWallets.isViewWallet) {
+        return [undefined, 'This wallet is view only, so it can\'t sign messages.'];
+    }
+
+    const [privateSpendKey] = Globals.wallet.getPrimaryAddressPrivateKeys();
+    const { publicSpendKey } = CryptoUtils(Config).decodeAddress(Globals.wallet.getPrimaryAddress());
+
+    try {
+        const signature = unwrap(crypto.crypto.generateSignature(
+            getMessageHash(message), publicSpendKey, privateSpendKey,
+        ));
+
+        return [Config.messageSignaturePrefix + Base58.encode(signature), undefined];
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to sign message: ' + err);
+        return [undefined, err.toString()];
+    }
+}
+
+/**
+ * Check a message was signed by the owner of the given address. Doesn't need
+ * the network, so works offline.
+ *
+ * Returns [valid, undefined] or [undefined, error]
+ */
+export function verifyMessage(message, address, signature) {
+    signature = signature.trim();
+
+    if (!signature.startsWith(Config.messageSignaturePrefix)) {
+        return [undefined, 'This is not a message signature.'];
+    }
+
+    let publicSpendKey;
+
+    try {
+        ({ publicSpendKey } = CryptoUtils(Config).decodeAddress(address.trim()));
+    } catch (err) {
+        return [undefined, 'This address is not valid.'];
+    }
+
+    let decoded;
+
+    try {
+        decoded = Base58.decode(signature.substr(Config.messageSignaturePrefix.length));
+    } catch (err) {
+        decoded = undefined;
+    }
+
+    if (!decoded || decoded.length !== SIGNATURE_LENGTH) {
+        return [undefined, 'This signature is corrupted.'];
+    }
+
+    try {
+        return [crypto.crypto.checkSignature(getMessageHash(message), publicSpendKey, decoded) === true, undefined];
+    } catch (err) {
+        return [false, undefined];
+    }
+}
@@ -0,0 +1,321 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import QRCode from 'react-native-qrcode-svg';
+
+import { View, Text, ScrollView, Share, Clipboard } from 'react-native';
+
+import { Input, Button } from 'react-native-elements';
+
+import Config from './Config';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { BottomButton, CopyButton } from './SharedComponents';
+import { signMessage, verifyMessage } from './MessageSigning';
+
+const inputProps = (theme) => {
+    return {
+        containerStyle: {
+            width: '90%',
+            marginLeft: 20,
+            marginBottom: 20,
+        },
+        inputContainerStyle: {
+            borderColor: theme.notVeryVisibleColour,
+            borderWidth: 1,
+            borderRadius: 2,
+        },
+        labelStyle: {
+            marginBottom: 5,
+            marginRight: 2,
+            color: theme.slightlyMoreVisibleColour,
+        },
+        inputStyle: {
+            color: theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        },
+        autoCapitalize: 'none',
+        autoCorrect: false,
+        multiline: true,
+    };
+};
+
+/**
+ * Sign a message with our spend key, to prove we own our address
+ */
+export class SignMessageScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            message: '',
+            signature: undefined,
+            error: '',
+        };
+    }
+
+    sign() {
+        const [signature, error] = signMessage(this.state.message);
+
+        this.setState({
+            signature,
+            error: error || '',
+        });
+    }
+
+    render() {
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Sign a message
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Prove you own your address by signing a message with it. Anyone with the message,
+                            your address, and the signature can check it, under Settings, Verify Signed Message.
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Message'}
+                        value={this.state.message}
+                        onChangeText={(text) => {
+                            this.setState({
+                                message: text,
+                                signature: undefined,
+                                error: '',
+                            });
+                        }}
+                    />
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+
+                    {this.state.signature !== undefined &&
+                        <View style={{ alignItems: 'center', marginBottom: 10 }}>
+                            <View style={{ padding: 5, backgroundColor: this.props.screenProps.theme.qrCode.backgroundColour }}>
+                                <QRCode
+                                    value={this.state.signature}
+                                    size={200}
+                                    backgroundColor={this.props.screenProps.theme.qrCode.backgroundColour}
+                                    color={this.props.screenProps.theme.qrCode.foregroundColour}
+                                />
+                            </View>
+
+                            <Text selectable style={[Styles.centeredText, {
+                                color: this.props.screenProps.theme.primaryColour,
+                                fontSize: 13,
+                                marginTop: 10,
+                                marginHorizontal: 20,
+                            }]}>
+                                {this.state.signature}
+                            </Text>
+
+                            <CopyButton
+                                data={this.state.signature}
+                                name='Signature'
+                                {...this.props}
+                            />
+
+                            <Button
+                                title='Share'
+                                onPress={() => {
+                                    Share.share({
+                                        title: `${Config.coinName} signed message`,
+                                        message: `Message: ${this.state.message}\n\n` +
+                                                 `Address: ${Globals.wallet.getPrimaryAddress()}\n\n` +
+                                                 `Signature: ${this.state.signature}`,
+                                    });
+                                }}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    textDecorationLine: 'underline',
+                                }}
+                                type="clear"
+                            />
+                        </View>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title="Sign"
+                    onPress={() => this.sign()}
+                    disabled={this.state.message === ''}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Check a message someone has signed with their address. Works offline.
+ */
+export class VerifyMessageScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            message: '',
+            address: '',
+            signature: '',
+            result: undefined,
+            error: '',
+        };
+    }
+
+    verify() {
+        const [valid, error] = verifyMessage(this.state.message, this.state.address, this.state.signature);
+
+        this.setState({
+            result: valid,
+            error: error || '',
+        });
+    }
+
+    render() {
+        const clearResult = {
+            result: undefined,
+            error: '',
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Verify signed message
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Check a message was signed by the owner of an address. This works with signatures from
+                            the {Config.coinName} CLI wallets too.
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Message'}
+                        value={this.state.message}
+                        onChangeText={(text) => {
+                            this.setState({
+                                message: text,
+                                ...clearResult,
+                            });
+                        }}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Address'}
+                        value={this.state.address}
+                        onChangeText={(text) => {
+                            this.setState({
+                                address: text,
+                                ...clearResult,
+                            });
+                        }}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Signature'}
+                        value={this.state.signature}
+                        onChangeText={(text) => {
+                            this.setState({
+                                signature: text,
+                                ...clearResult,
+                            });
+                        }}
+                    />
+
+                    <View style={{ flexDirection: 'row', marginHorizontal: 22, marginTop: -10, marginBottom: 10 }}>
+                        <Button
+                            title='Paste signature'
+                            onPress={async () => {
+                                this.setState({
+                                    signature: await Clipboard.getString(),
+                                    ...clearResult,
+                                });
+                            }}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                textDecorationLine: 'underline',
+                            }}
+                            type="clear"
+                        />
+
+                        <Button
+                            title='Scan signature'
+                            onPress={() => {
+                                this.props.navigation.navigate('QrScanner', {
+                                    setAddress: (signature) => {
+                                        this.setState({
+                                            signature,
+                                            ...clearResult,
+                                        });
+                                    },
+                                });
+                            }}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                textDecorationLine: 'underline',
+                            }}
+                            type="clear"
+                        />
+                    </View>
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+
+                    {this.state.result !== undefined &&
+                        <Text style={{
+                            color: this.state.result ? this.props.screenProps.theme.primaryColour : 'red',
+                            fontSize: 20,
+                            marginHorizontal: 30,
+                        }}>
+                            {this.state.result
+                                ? 'This message was signed by the owner of this address'
+                                : 'This signature is not valid for this message and address'}
+                        </Text>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title="Verify"
+                    onPress={() => this.verify()}
+                    disabled={this.state.address.trim() === '' || this.state.signature.trim() === ''}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
@@ -0,0 +1,376 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+/**
+ * Database migrations, in order. migrations[n] upgrades the database from
+ * version n to version n + 1. Never modify a migration once it has been
+ * released - add a new one to the end instead.
+ *
+ * Each migration is handed an SQLite transaction, and the version is bumped
+ * in the same transaction, so a migration is either applied fully, or not
+ * at all.
+ */
+export const migrations = [
+    /* Version 1: Initial tables, plus auto optimize and auth method prefs */
+    (tx) => {
+        /* We get JSON out from our wallet backend, and load JSON in from our
+           wallet backend - it's a little ugly, but it's faster to just read/write
+           json to the DB rather than structuring it. */
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS wallet (
+                id INTEGER PRIMARY KEY,
+                json TEXT
+            )`
+        );
+
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS preferences (
+                id INTEGER PRIMARY KEY,
+                currency TEXT,
+                notificationsenabled BOOLEAN,
+                scancoinbasetransactions BOOLEAN,
+                limitdata BOOLEAN,
+                theme TEXT,
+                pinconfirmation BOOLEAN
+            )`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                preferences
+            ADD
+                autooptimize BOOLEAN`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                preferences
+            ADD
+                authmethod TEXT`
+        );
+
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS payees (
+                nickname TEXT,
+                address TEXT,
+                paymentid TEXT
+            )`
+        );
+
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS transactiondetails (
+                hash TEXT,
+                memo TEXT,
+                address TEXT,
+                payee TEXT
+            )`
+        );
+
+        /* Enter initial wallet value that we're going to overwrite later via
+           primary key, provided it doesn't already exist */
+        tx.executeSql(
+            `INSERT OR IGNORE INTO wallet
+                (id, json)
+            VALUES
+                (0, '')`
+        );
+
+        /* Setup default preference values */
+        tx.executeSql(
+            `INSERT OR IGNORE INTO preferences (
+                id,
+                currency,
+                notificationsenabled,
+                scancoinbasetransactions,
+                limitdata,
+                theme,
+                pinconfirmation,
+                autooptimize,
+                authmethod
+            )
+            VALUES (
+                0,
+                'usd',
+                1,
+                0,
+                0,
+                'darkMode',
+                0,
+                1,
+                'hardware-auth'
+            )`
+        );
+
+        /* Set new auto optimize column if we had existing preferences */
+        tx.executeSql(
+            `UPDATE
+                preferences
+            SET
+                autooptimize = 1,
+                authmethod = 'hardware-auth'
+            WHERE
+                id = 0`
+        );
+    },
+
+    /* Version 2: Add wallet names, and scope payees + tx details to a wallet.
+       Existing data belongs to the wallet we had before, with id 0 */
+    (tx) => {
+        tx.executeSql(
+            `ALTER TABLE
+                wallet
+            ADD
+                name TEXT`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                payees
+            ADD
+                walletid INTEGER DEFAULT 0`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                transactiondetails
+            ADD
+                walletid INTEGER DEFAULT 0`
+        );
+
+        tx.executeSql(
+            `UPDATE
+                wallet
+            SET
+                name = 'Wallet 1'
+            WHERE
+                id = 0`
+        );
+    },
+
+    /* Version 3: Add the users chosen node. NULL means use the default */
+    (tx) => {
+        tx.executeSql(
+            `ALTER TABLE
+                preferences
+            ADD
+                nodehost TEXT`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                preferences
+            ADD
+                nodeport INTEGER`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                preferences
+            ADD
+                nodessl BOOLEAN`
+        );
+    },
+
+    /* Version 4: Nodes the user has added, to fail over to */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS nodes (
+                host TEXT,
+                port INTEGER,
+                ssl BOOLEAN,
+                PRIMARY KEY (host, port)
+            )`
+        );
+    },
+
+    /* Version 5: Cached copy of the public node list */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS publicnodes (
+                name TEXT,
+                host TEXT,
+                port INTEGER,
+                ssl BOOLEAN,
+                fee INTEGER
+            )`
+        );
+    },
+
+    /* Version 6: Payment requests we've handed out, so we can tell when
+       they're paid */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS payment_requests (
+                paymentid TEXT,
+                amount INTEGER,
+                label TEXT,
+                created INTEGER,
+                expiry INTEGER,
+                received INTEGER DEFAULT 0,
+                status TEXT,
+                hashes TEXT,
+                walletid INTEGER,
+                PRIMARY KEY (paymentid, walletid)
+            )`
+        );
+    },
+
+    /* Version 7: Inputs a view wallet has spent through offline signing -
+       it can't see its own spends, so we have to remember them */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS offlinespentinputs (
+                key TEXT,
+                walletid INTEGER,
+                PRIMARY KEY (key, walletid)
+            )`
+        );
+    },
+
+    /* Version 8: Key images exported from the full wallet, so a view wallet
+       can tell which of its outputs have been spent */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS keyimages (
+                key TEXT,
+                keyimage TEXT,
+                spent BOOLEAN,
+                spendheight INTEGER,
+                created INTEGER,
+                walletid INTEGER,
+                PRIMARY KEY (key, walletid)
+            )`
+        );
+    },
+
+    /* Version 9: The mixin, network fee and unlock time we sent a
+       transaction with. NULL for transactions sent before this */
+    (tx) => {
+        tx.executeSql(
+            `ALTER TABLE
+                transactiondetails
+            ADD
+                mixin INTEGER`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                transactiondetails
+            ADD
+                fee INTEGER`
+        );
+
+        tx.executeSql(
+            `ALTER TABLE
+                transactiondetails
+            ADD
+                unlocktime INTEGER`
+        );
+    },
+
+    /* Version 10: Payments to send in the future, once or repeatedly */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS scheduledpayments (
+                id INTEGER,
+                nickname TEXT,
+                address TEXT,
+                paymentid TEXT,
+                amount INTEGER,
+                memo TEXT,
+                frequency TEXT,
+                start INTEGER,
+                nextrun INTEGER,
+                lastattempt INTEGER,
+                lasthash TEXT,
+                lasterror TEXT,
+                reminded INTEGER,
+                walletid INTEGER,
+                PRIMARY KEY (id, walletid)
+            )`
+        );
+    },
+
+    /* Version 11: Transactions we've sent which aren't in a block yet, so we
+       can tell how long they've been waiting and send them again */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS pendingtransactions (
+                hash TEXT,
+                rawtransaction TEXT,
+                sentat INTEGER,
+                sentheight INTEGER,
+                walletid INTEGER,
+                PRIMARY KEY (hash, walletid)
+            )`
+        );
+    },
+
+    /* Version 12: Labels for the extra addresses (subwallets) we've made.
+       The addresses themselves are stored in the wallet. */
+    (tx) => {
+        tx.executeSql(
+            `CREATE TABLE IF NOT EXISTS addresslabels (
+                address TEXT,
+                label TEXT,
+                walletid INTEGER,
+                PRIMARY KEY (address, walletid)
+            )`
+        );
+    },
+
+    /* Version 13: The index each extra address' keys were made from, so
+       they can be made again when restoring from the seed or keys */
+    (tx) => {
+        tx.executeSql(
+            `ALTER TABLE
+                addresslabels
+            ADD
+                addressindex INTEGER`
+        );
+    },
+];
+
+/**
+ * The version of the database this version of the app creates
+ */
+export const latestDatabaseVersion = migrations.length;
+
+export async function getDatabaseVersion(DB) {
+    const [dbVersionData] = await DB.executeSql(
+        `PRAGMA user_version`,
+    );
+
+    if (dbVersionData && dbVersionData.rows && dbVersionData.rows.length >= 1) {
+        return dbVersionData.rows.item(0).user_version;
+    }
+
+    return 0;
+}
+
+/**
+ * Apply any migrations the database hasn't had yet. Throws if the database
+ * was made by a newer version of the app, since we don't know what it
+ * contains, and could corrupt it.
+ */
+export async function migrateDatabase(DB) {
+    const dbVersion = await getDatabaseVersion(DB);
+
+    if (dbVersion > latestDatabaseVersion) {
+        throw new Error(
+            `Database version ${dbVersion} is newer than the latest version ` +
+            `this app supports (${latestDatabaseVersion}). Please update the app.`
+        );
+    }
+
+    for (let version = dbVersion; version < latestDatabaseVersion; version++) {
+        await DB.transaction((tx) => {
+            migrations[version](tx);
+
+            tx.executeSql(
+                `PRAGMA user_version = ${version + 1}`
+            );
+        });
+    }
+}
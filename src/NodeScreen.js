@@ -0,0 +1,384 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import {
+    View, Text, ScrollView, Switch, Button as RNEButton,
+} from 'react-native';
+
+import { Input } from 'react-native-elements';
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+import ListItem from './ListItem';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { fromAtomic } from './Fee';
+import { toastPopUp } from './Utilities';
+import { BottomButton } from './SharedComponents';
+import {
+    getCurrentNode, getActiveNode, isDefaultNode, isSameNode, nodeToString,
+    swapNode, getPublicNodes, updatePublicNodeList,
+} from './Nodes';
+
+/**
+ * View the node we're connected to, and swap to a different one
+ */
+export class NodeScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        const node = getCurrentNode();
+
+        this.state = {
+            ...this.getNodeStatus(),
+            host: node.host,
+            port: node.port.toString(),
+            ssl: node.ssl,
+            hostError: '',
+            portError: '',
+            swapping: false,
+            publicNodes: [],
+            publicNodesError: undefined,
+            updatingPublicNodes: true,
+        };
+    }
+
+    componentDidMount() {
+        this.interval = setInterval(() => {
+            this.setState(this.getNodeStatus());
+        }, 5000);
+
+        (async () => {
+            /* Show the cached copy straight away, then update it if it's old */
+            this.setState({
+                publicNodes: await getPublicNodes(),
+            });
+
+            await this.updatePublicNodes(false);
+        })();
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+        clearInterval(this.interval);
+    }
+
+    async updatePublicNodes(force) {
+        this.setState({
+            updatingPublicNodes: true,
+        });
+
+        const publicNodesError = await updatePublicNodeList(force);
+        const publicNodes = await getPublicNodes();
+
+        if (this.unmounted) {
+            return;
+        }
+
+        this.setState({
+            publicNodes,
+            publicNodesError,
+            updatingPublicNodes: false,
+        });
+    }
+
+    describePublicNodes() {
+        if (this.state.updatingPublicNodes && this.state.publicNodes.length === 0) {
+            return 'Getting the public node list...';
+        }
+
+        if (this.state.publicNodesError !== undefined) {
+            return this.state.publicNodes.length === 0
+                ? `Couldn't get the public node list (${this.state.publicNodesError}). You can still enter a node yourself.`
+                : `Couldn't update the public node list (${this.state.publicNodesError}), so these may be out of date.`;
+        }
+
+        if (this.state.publicNodes.length === 0) {
+            return 'There are no public nodes listed right now. You can still enter a node yourself.';
+        }
+
+        return 'Tap a node to fill in its details. Some nodes charge a fee on each transaction you send.';
+    }
+
+    getNodeStatus() {
+        const [, nodeHeight, networkHeight] = Globals.wallet.getSyncStatus();
+        const [, nodeFee] = Globals.wallet.getNodeFee();
+
+        return {
+            currentNode: getCurrentNode(),
+            activeNode: getActiveNode(),
+            nodeHeight,
+            networkHeight,
+            nodeFee,
+        };
+    }
+
+    checkHost(host) {
+        if (host.trim() === '') {
+            return [false, 'Host cannot be blank.'];
+        }
+
+        if (host.includes('://')) {
+            return [false, 'Leave off the http:// or https:// - use the SSL toggle instead.'];
+        }
+
+        if (/[\s/:]/.test(host.trim())) {
+            return [false, 'Host should be a domain or IP address, for example node.example.com'];
+        }
+
+        return [true, ''];
+    }
+
+    checkPort(port) {
+        const portNum = Number(port);
+
+        if (!Number.isInteger(portNum) || portNum < 1 || portNum > 65535) {
+            return [false, 'Port must be a number between 1 and 65535.'];
+        }
+
+        return [true, ''];
+    }
+
+    async swapNode(node) {
+        this.setState({
+            swapping: true,
+        });
+
+        try {
+            await swapNode(node);
+            toastPopUp(`Swapped to ${nodeToString(node)}`);
+        } catch (err) {
+            Globals.logger.addLogMessage('Failed to swap node: ' + err);
+            toastPopUp('Failed to swap node!');
+        }
+
+        this.setState({
+            ...this.getNodeStatus(),
+            swapping: false,
+        });
+    }
+
+    render() {
+        const [hostValid] = this.checkHost(this.state.host);
+        const [portValid] = this.checkPort(this.state.port);
+
+        const newNode = {
+            host: this.state.host.trim(),
+            port: Number(this.state.port),
+            ssl: this.state.ssl,
+        };
+
+        const isCurrentNode = nodeToString(newNode) === nodeToString(this.state.currentNode);
+
+        const inputProps = {
+            containerStyle: {
+                width: '90%',
+                marginLeft: 20,
+                marginBottom: 20,
+            },
+            inputContainerStyle: {
+                borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                borderWidth: 1,
+                borderRadius: 2,
+            },
+            labelStyle: {
+                marginBottom: 5,
+                marginRight: 2,
+                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            },
+            inputStyle: {
+                color: this.props.screenProps.theme.primaryColour,
+                fontSize: 15,
+                marginLeft: 5
+            },
+            autoCapitalize: 'none',
+            autoCorrect: false,
+        };
+
+        const infoTextStyle = {
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            fontSize: 15,
+            marginBottom: 5,
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginTop: 60,
+                        marginHorizontal: 30,
+                        marginBottom: 30,
+                    }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Current node
+                        </Text>
+
+                        <Text style={[infoTextStyle, { color: this.props.screenProps.theme.primaryColour }]}>
+                            {nodeToString(this.state.currentNode)}
+                            {isDefaultNode(this.state.currentNode) ? ' (default)' : ''}
+                        </Text>
+
+                        {!isSameNode(this.state.activeNode, this.state.currentNode) &&
+                            <Text style={infoTextStyle}>
+                                This node is unhealthy, so we're using {nodeToString(this.state.activeNode)} for now.
+                            </Text>
+                        }
+
+                        <Text style={infoTextStyle}>
+                            Node height: {this.state.nodeHeight} / {this.state.networkHeight}
+                        </Text>
+
+                        <Text style={infoTextStyle}>
+                            Node fee: {this.state.nodeFee === 0
+                                ? 'None'
+                                : prettyPrintAmount(this.state.nodeFee, Config)}
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps}
+                        label={'Host'}
+                        value={this.state.host}
+                        onChangeText={(text) => {
+                            const [, hostError] = this.checkHost(text);
+
+                            this.setState({
+                                host: text,
+                                hostError,
+                            });
+                        }}
+                        errorMessage={this.state.hostError}
+                    />
+
+                    <Input
+                        {...inputProps}
+                        label={'Port'}
+                        keyboardType={'number-pad'}
+                        maxLength={5}
+                        value={this.state.port}
+                        onChangeText={(text) => {
+                            const [, portError] = this.checkPort(text);
+
+                            this.setState({
+                                port: text,
+                                portError,
+                            });
+                        }}
+                        errorMessage={this.state.portError}
+                    />
+
+                    <View style={{ flexDirection: 'row', marginRight: 20, marginLeft: 30, marginBottom: 20 }}>
+                        <Switch
+                            value={this.state.ssl}
+                            onValueChange={(value) => {
+                                this.setState({
+                                    ssl: value,
+                                });
+                            }}
+                            style={{ marginRight: 15 }}
+                        />
+
+                        <View style={{ flex: 1 }}>
+                            <Text style={{
+                                fontSize: 15,
+                                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            }}>
+                                Use SSL (https)
+                            </Text>
+                        </View>
+                    </View>
+
+                    <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                        <RNEButton
+                            title="Reset to default node"
+                            onPress={() => {
+                                const node = Config.defaultNode;
+
+                                this.setState({
+                                    host: node.host,
+                                    port: node.port.toString(),
+                                    ssl: node.ssl,
+                                    hostError: '',
+                                    portError: '',
+                                });
+
+                                this.swapNode(node);
+                            }}
+                            disabled={this.state.swapping || isDefaultNode(this.state.currentNode)}
+                            color={this.props.screenProps.theme.primaryColour}
+                        />
+                    </View>
+
+                    {Config.nodeListURL !== '' &&
+                        <View style={{ marginHorizontal: 20, marginTop: 20 }}>
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 20, marginLeft: 10 }}>
+                                Public nodes
+                            </Text>
+
+                            <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 14, marginLeft: 10, marginTop: 5 }}>
+                                {this.describePublicNodes()}
+                            </Text>
+
+                            {this.state.publicNodesError !== undefined &&
+                                <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 10}]}>
+                                    <RNEButton
+                                        title="Try again"
+                                        onPress={() => this.updatePublicNodes(true)}
+                                        disabled={this.state.updatingPublicNodes}
+                                        color={this.props.screenProps.theme.primaryColour}
+                                    />
+                                </View>
+                            }
+
+                            <View style={{ marginTop: 10 }}>
+                                {this.state.publicNodes.map((node) => (
+                                    <ListItem
+                                        key={nodeToString(node)}
+                                        title={node.name}
+                                        subtitle={`${nodeToString(node)}\nNode fee: ${node.fee === 0 ? 'None' : fromAtomic(node.fee) + ' ' + Config.ticker}`}
+                                        titleStyle={{
+                                            color: this.props.screenProps.theme.primaryColour,
+                                        }}
+                                        subtitleStyle={{
+                                            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                                        }}
+                                        onPress={() => {
+                                            this.setState({
+                                                host: node.host,
+                                                port: node.port.toString(),
+                                                ssl: node.ssl,
+                                                hostError: '',
+                                                portError: '',
+                                            });
+                                        }}
+                                    />
+                                ))}
+                            </View>
+                        </View>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title={this.state.swapping ? 'Swapping...' : 'Swap Node'}
+                    onPress={() => this.swapNode(newNode)}
+                    disabled={this.state.swapping || !hostValid || !portValid || isCurrentNode}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
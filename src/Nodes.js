@@ -0,0 +1,425 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+/* TODO: replace with node fetch */
+const request = require('request-promise-native');
+
+import * as _ from 'lodash';
+
+import { Platform } from 'react-native';
+
+import { Daemon } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { makePostRequest } from './NativeCode';
+
+import {
+    savePreferencesToDatabase, loadNodesFromDatabase, saveNodeToDatabase,
+    savePublicNodesToDatabase, loadPublicNodesFromDatabase,
+} from './Database';
+
+/* Latency, error rate and height of each node we've checked, keyed by
+   nodeToString() */
+const nodeHealth = {};
+
+/* The node we've failed over to, if the users chosen node is unhealthy */
+let failoverNode = undefined;
+
+/* The last time we swapped node automatically, so we can show it */
+let lastNodeSwitch = undefined;
+
+/* Functions to call when we swap node automatically */
+let nodeSwitchListeners = [];
+
+/* Don't want two health checks running side by side */
+let checkingNodes = false;
+
+/* When we last fetched the public node list, so we don't fetch it on every
+   balance update */
+let publicNodesLastUpdated = 0;
+
+/**
+ * The node the user has picked, or the default node if they haven't
+ */
+export function getCurrentNode() {
+    return Globals.preferences.node || Config.defaultNode;
+}
+
+/**
+ * The node we're actually using - this differs from getCurrentNode() when
+ * we've failed over to another node
+ */
+export function getActiveNode() {
+    return failoverNode || getCurrentNode();
+}
+
+export function isSameNode(a, b) {
+    return a.host === b.host && a.port === b.port && a.ssl === b.ssl;
+}
+
+export function isDefaultNode(node) {
+    return isSameNode(node, Config.defaultNode);
+}
+
+export function nodeToString(node) {
+    return `${node.ssl ? 'https://' : 'http://'}${node.host}:${node.port}`;
+}
+
+/**
+ * Make a daemon for the wallet backend to talk to the given node with
+ */
+export function makeDaemon(node) {
+    const daemon = new Daemon(node.host, node.port, undefined, node.ssl);
+
+    /* TODO: iOS support */
+    if (Platform.OS === 'android') {
+        /* Override with our native makePostRequest implementation which can
+           actually cancel requests part way through */
+        daemon.makePostRequest = makePostRequest;
+    }
+
+    return daemon;
+}
+
+/**
+ * Daemon for the node the user has picked, to hand to the wallet backend
+ */
+export function getDaemon() {
+    return makeDaemon(getCurrentNode());
+}
+
+/**
+ * Save the given node as the one to use, and if a wallet is open, swap it
+ * over to the new node.
+ */
+export async function swapNode(node) {
+    Globals.preferences.node = isDefaultNode(node) ? undefined : node;
+
+    failoverNode = undefined;
+
+    await savePreferencesToDatabase(Globals.preferences);
+
+    /* Remember it, so we can fail over to it later */
+    if (!Config.nodeList.some((n) => isSameNode(n, node))) {
+        await saveNodeToDatabase(node);
+    }
+
+    if (Globals.wallet !== undefined) {
+        Globals.logger.addLogMessage(`Swapping node to ${nodeToString(node)}`);
+        await Globals.wallet.swapNode(makeDaemon(node));
+    }
+}
+
+/**
+ * All the nodes we know of - the bundled list, those the user has added, and
+ * the public node list
+ */
+export async function getNodePool() {
+    const userNodes = await loadNodesFromDatabase();
+    const publicNodes = await loadPublicNodesFromDatabase();
+
+    return _.uniqBy(
+        [
+            getCurrentNode(),
+            ...Config.nodeList,
+            ...userNodes,
+            ...publicNodes.map(({ host, port, ssl }) => ({ host, port, ssl })),
+        ],
+        nodeToString,
+    );
+}
+
+/**
+ * The public node list, from our cached copy
+ */
+export async function getPublicNodes() {
+    return await loadPublicNodesFromDatabase();
+}
+
+/**
+ * Convert an entry in the public node list to our format, or undefined if
+ * it's not valid. The fee can be given as an atomic amount, or as
+ * { address, amount }
+ */
+function parsePublicNode(node) {
+    if (!_.isPlainObject(node) || !_.isString(node.url) || node.url.trim() === '') {
+        return undefined;
+    }
+
+    const port = Number(node.port);
+
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return undefined;
+    }
+
+    const fee = _.isPlainObject(node.fee) ? Number(node.fee.amount) : Number(node.fee);
+
+    return {
+        name: _.isString(node.name) && node.name !== '' ? node.name : node.url,
+        host: node.url.trim(),
+        port,
+        ssl: node.ssl === true,
+        fee: Number.isInteger(fee) && fee > 0 ? fee : 0,
+    };
+}
+
+/**
+ * Fetch the public node list, and cache it in the DB. If it fails, we keep
+ * using the previously cached copy.
+ *
+ * Returns an error message if we couldn't update it, or undefined
+ */
+export async function updatePublicNodeList(force = false) {
+    if (Config.nodeListURL === '') {
+        return undefined;
+    }
+
+    if (!force && Date.now() - publicNodesLastUpdated < Config.nodeListUpdateInterval) {
+        return undefined;
+    }
+
+    try {
+        const data = await request({
+            json: true,
+            method: 'GET',
+            timeout: Config.requestTimeout,
+            url: Config.nodeListURL,
+        });
+
+        if (!data || !_.isArray(data.nodes)) {
+            throw new Error('Node list is not in the expected format');
+        }
+
+        const nodes = _.uniqBy(
+            data.nodes.map(parsePublicNode).filter((node) => node !== undefined),
+            nodeToString,
+        );
+
+        if (nodes.length === 0) {
+            throw new Error('Node list does not contain any valid nodes');
+        }
+
+        await savePublicNodesToDatabase(nodes);
+
+        publicNodesLastUpdated = Date.now();
+
+        Globals.logger.addLogMessage(`Updated public node list, found ${nodes.length} nodes`);
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to get public node list: ' + err);
+        return err.message || err.toString();
+    }
+
+    return undefined;
+}
+
+export function getNodeHealth(node) {
+    const key = nodeToString(node);
+
+    if (nodeHealth[key] === undefined) {
+        nodeHealth[key] = {
+            checks: 0,
+            errors: 0,
+            latency: undefined,
+            height: 0,
+            networkHeight: 0,
+            online: false,
+        };
+    }
+
+    return nodeHealth[key];
+}
+
+async function checkNodeHealth(node) {
+    const health = getNodeHealth(node);
+
+    const startTime = Date.now();
+
+    health.checks++;
+
+    try {
+        const info = await request({
+            json: true,
+            method: 'GET',
+            timeout: Config.requestTimeout,
+            url: `${nodeToString(node)}/info`,
+        });
+
+        const latency = Date.now() - startTime;
+
+        /* Smooth it out, so one slow request doesn't count for too much */
+        health.latency = health.latency === undefined
+            ? latency
+            : health.latency * 0.7 + latency * 0.3;
+
+        health.height = info.height || 0;
+        health.networkHeight = info.network_height || 0;
+        health.online = true;
+    } catch (err) {
+        health.errors++;
+        health.online = false;
+    }
+}
+
+/**
+ * The highest height any node we know of has told us about
+ */
+function getNetworkHeight() {
+    let networkHeight = 0;
+
+    if (Globals.wallet !== undefined) {
+        networkHeight = Globals.wallet.getSyncStatus()[2];
+    }
+
+    for (const health of Object.values(nodeHealth)) {
+        if (health.online) {
+            networkHeight = Math.max(networkHeight, health.height, health.networkHeight);
+        }
+    }
+
+    return networkHeight;
+}
+
+/**
+ * Scores a node from its latency, how far behind the network it is, and how
+ * often it fails to respond. Lower is better. Returns Infinity if the node
+ * is unusable.
+ */
+export function scoreNode(node, networkHeight = getNetworkHeight()) {
+    const health = getNodeHealth(node);
+
+    if (!health.online) {
+        return Infinity;
+    }
+
+    const heightLag = Math.max(0, networkHeight - health.height);
+
+    if (heightLag > Config.maxNodeHeightLag) {
+        return Infinity;
+    }
+
+    const errorRate = health.errors / health.checks;
+
+    return health.latency + (heightLag * 1000) + (errorRate * 10000);
+}
+
+function unhealthyReason(node, networkHeight) {
+    const health = getNodeHealth(node);
+
+    if (!health.online) {
+        return 'it is not responding';
+    }
+
+    return `it is ${networkHeight - health.height} blocks behind the network`;
+}
+
+async function switchToNode(node, reason) {
+    const previousNode = getActiveNode();
+
+    failoverNode = isSameNode(node, getCurrentNode()) ? undefined : node;
+
+    const message = `Swapped node from ${nodeToString(previousNode)} to ${nodeToString(node)}, as ${reason}`;
+
+    Globals.logger.addLogMessage(message);
+
+    lastNodeSwitch = {
+        message,
+        timestamp: Date.now(),
+    };
+
+    await Globals.wallet.swapNode(makeDaemon(node));
+
+    for (const listener of nodeSwitchListeners) {
+        listener(lastNodeSwitch);
+    }
+}
+
+/**
+ * Checks the health of all the nodes we know of, and swaps to the healthiest
+ * if the node in use has gone down or fallen behind. If we previously failed
+ * over, swaps back to the users chosen node once it's healthy again.
+ */
+export async function checkNodes() {
+    if (checkingNodes || Globals.wallet === undefined) {
+        return;
+    }
+
+    checkingNodes = true;
+
+    try {
+        const pool = await getNodePool();
+
+        for (const node of pool) {
+            await checkNodeHealth(node);
+        }
+
+        /* Wallet may have been closed whilst we were checking */
+        if (Globals.wallet === undefined) {
+            return;
+        }
+
+        const networkHeight = getNetworkHeight();
+        const activeNode = getActiveNode();
+
+        if (scoreNode(activeNode, networkHeight) !== Infinity) {
+            if (failoverNode !== undefined && scoreNode(getCurrentNode(), networkHeight) !== Infinity) {
+                await switchToNode(getCurrentNode(), 'your chosen node is healthy again');
+            }
+
+            return;
+        }
+
+        const candidates = _.sortBy(
+            pool.filter((node) => !isSameNode(node, activeNode) &&
+                                  scoreNode(node, networkHeight) !== Infinity),
+            (node) => scoreNode(node, networkHeight),
+        );
+
+        if (candidates.length === 0) {
+            Globals.logger.addLogMessage(
+                `Node ${nodeToString(activeNode)} is unhealthy, as ` +
+                `${unhealthyReason(activeNode, networkHeight)}, but there are no healthy nodes to swap to.`
+            );
+
+            return;
+        }
+
+        await switchToNode(candidates[0], unhealthyReason(activeNode, networkHeight));
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to check node health: ' + err);
+    } finally {
+        checkingNodes = false;
+    }
+}
+
+/**
+ * Start watching the health of the node the open wallet is using
+ */
+export function startNodeMonitor() {
+    failoverNode = undefined;
+    lastNodeSwitch = undefined;
+
+    /* Requests to the node failed - don't wait for the next scheduled check */
+    Globals.wallet.on('disconnect', () => {
+        getNodeHealth(getActiveNode()).errors++;
+        checkNodes();
+    });
+
+    if (Globals.nodeHealthTimer === undefined) {
+        Globals.nodeHealthTimer = setInterval(checkNodes, Config.nodeHealthCheckInterval);
+    }
+}
+
+export function getLastNodeSwitch() {
+    return lastNodeSwitch;
+}
+
+export function addNodeSwitchListener(listener) {
+    nodeSwitchListeners.push(listener);
+}
+
+export function removeNodeSwitchListener(listener) {
+    nodeSwitchListeners = nodeSwitchListeners.filter((l) => l !== listener);
+}
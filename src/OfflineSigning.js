@@ -0,0 +1,365 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+import { generateKeyImage } from 'plenteum-wallet-backend/dist/lib/CryptoWrapper';
+import { splitAmountIntoDenominations } from 'plenteum-wallet-backend/dist/lib/Utilities';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { makeDaemon, getActiveNode } from './Nodes';
+import {
+    saveOfflineSpentInputsToDatabase, loadOfflineSpentInputsFromDatabase,
+} from './Database';
+
+/* Bump this if the format of the unsigned/signed transactions changes */
+const OFFLINE_TRANSACTION_VERSION = 1;
+
+/* How many characters of the transaction to put in each QR code. Bigger
+   codes are harder for the camera to read */
+const QR_CHUNK_SIZE = 300;
+
+/**
+ * Build a transaction for the (online, view only) wallet, without signing it.
+ * Since we don't have the private spend key, we can't generate key images, so
+ * we just collect everything the offline wallet needs to do it for us.
+ *
+ * payments is an array of [address, amountAtomic]. The dev fee, node fee and
+ * change are added here.
+ *
+ * Returns [unsignedTransaction, undefined] or [undefined, error]
+ */
+export async function createUnsignedTransaction(payments, devFeeAtomic, paymentID) {
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    const spentKeys = await loadOfflineSpentInputsFromDatabase();
+
+    payments = payments.slice();
+
+    /* Dev payment */
+    if (devFeeAtomic > 0) {
+        payments.push([Config.devFeeAddress, devFeeAtomic]);
+    }
+
+    const [feeAddress, feeAmount] = Globals.wallet.getNodeFee();
+
+    if (feeAmount > 0) {
+        payments.push([feeAddress, feeAmount]);
+    }
+
+    const fee = Config.minimumFee;
+
+    const totalAmount = _.sumBy(payments, ([, amount]) => amount) + fee;
+
+    /* View wallets never see their own spends, so skip anything we've
+       already spent with a previous offline transaction */
+    let availableInputs = [];
+
+    for (const subWallet of Globals.wallet.subWallets.subWallets.values()) {
+        availableInputs = availableInputs.concat(subWallet.getSpendableInputs(networkHeight));
+    }
+
+    availableInputs = _.shuffle(availableInputs.filter(
+        (input) => !spentKeys.includes(input.input.key)
+    ));
+
+    let foundMoney = 0;
+
+    const inputs = [];
+
+    for (const input of availableInputs) {
+        if (foundMoney >= totalAmount) {
+            break;
+        }
+
+        inputs.push(input.input);
+        foundMoney += input.input.amount;
+    }
+
+    if (foundMoney < totalAmount) {
+        return [undefined, 'Not enough unlocked funds to send this transaction.'];
+    }
+
+    const change = foundMoney - totalAmount;
+
+    if (change > 0) {
+        payments.push([Globals.wallet.getPrimaryAddress(), change]);
+    }
+
+    const mixin = Config.mixinLimits.getDefaultMixinByHeight(networkHeight);
+
+    const [randomOuts, randomOutsError] = await getRandomOuts(inputs, mixin);
+
+    if (randomOutsError) {
+        return [undefined, randomOutsError];
+    }
+
+    return [{
+        type: 'unsigned',
+        version: OFFLINE_TRANSACTION_VERSION,
+        coinName: Config.coinName,
+        address: Globals.wallet.getPrimaryAddress(),
+        fee,
+        paymentID,
+        mixin,
+        payments,
+        change,
+        inputs: _.sortBy(inputs, 'amount').map((input) => {
+            return {
+                amount: input.amount,
+                transactionPublicKey: input.transactionPublicKey,
+                transactionIndex: input.transactionIndex,
+                globalOutputIndex: input.globalOutputIndex,
+                key: input.key,
+            };
+        }),
+        randomOuts,
+    }, undefined];
+}
+
+/**
+ * Fetch the outputs to mix each input with from the daemon. The offline
+ * wallet can't do this itself.
+ *
+ * Returns [randomOuts, undefined] or [undefined, error], with randomOuts in
+ * the order of the inputs sorted by amount
+ */
+export async function getRandomOuts(inputs, mixin) {
+    if (mixin === 0) {
+        return [[], undefined];
+    }
+
+    const daemon = makeDaemon(getActiveNode());
+
+    await daemon.init();
+
+    /* Request one more than needed, in case we get our own output back */
+    const outs = await daemon.getRandomOutputsByAmount(
+        _.sortBy(inputs, 'amount').map((input) => input.amount), mixin + 1
+    );
+
+    const randomOuts = [];
+
+    for (const input of _.sortBy(inputs, 'amount')) {
+        const index = outs.findIndex(([amount, outputs]) => amount === input.amount && outputs.length >= mixin);
+
+        if (index === -1) {
+            return [undefined, `Failed to get enough outputs to mix with for an amount of ${input.amount}.`];
+        }
+
+        const [[, outputs]] = outs.splice(index, 1);
+
+        randomOuts.push(outputs.map(([globalIndex, key]) => {
+            return {
+                globalIndex,
+                key,
+            };
+        }));
+    }
+
+    return [randomOuts, undefined];
+}
+
+/**
+ * Check the unsigned transaction we have been handed is something we can
+ * sign with the wallet we have open
+ */
+export function validateUnsignedTransaction(unsigned) {
+    if (unsigned.type !== 'unsigned') {
+        return 'This is not an unsigned transaction.';
+    }
+
+    if (unsigned.version !== OFFLINE_TRANSACTION_VERSION) {
+        return 'This transaction was made by a different version of the wallet.';
+    }
+
+    if (unsigned.coinName !== Config.coinName) {
+        return `This is not a ${Config.coinName} transaction.`;
+    }
+
+    if (unsigned.address !== Globals.wallet.getPrimaryAddress()) {
+        return 'This transaction was made by a different wallet.';
+    }
+
+    if (Globals.wallet.subWallets.isViewWallet) {
+        return 'This wallet is view only, so it can\'t sign transactions.';
+    }
+
+    const inputAmount = _.sumBy(unsigned.inputs, 'amount');
+    const outputAmount = _.sumBy(unsigned.payments, ([, amount]) => amount);
+
+    if (inputAmount !== outputAmount + unsigned.fee) {
+        return 'The amounts in this transaction don\'t add up.';
+    }
+
+    return undefined;
+}
+
+/**
+ * Sign a transaction made by createUnsignedTransaction, on the offline device
+ * which has the private spend key.
+ *
+ * Returns [signedTransaction, undefined] or [undefined, error]
+ */
+export async function signTransaction(unsigned) {
+    const validationError = validateUnsignedTransaction(unsigned);
+
+    if (validationError) {
+        return [undefined, validationError];
+    }
+
+    const cryptoUtils = CryptoUtils(Config);
+
+    const [privateSpendKey, privateViewKey] = Globals.wallet.getPrimaryAddressPrivateKeys();
+    const { publicSpendKey } = cryptoUtils.decodeAddress(unsigned.address);
+
+    try {
+        const ourOutputs = await Promise.all(unsigned.inputs.map(async (input) => {
+            const [keyImage, privateEphemeral] = await generateKeyImage(
+                input.transactionPublicKey, privateViewKey, publicSpendKey,
+                privateSpendKey, input.transactionIndex, Config,
+            );
+
+            /* Make sure this is really our output, and we're not being tricked
+               into signing something else */
+            if (cryptoUtils.privateKeyToPublicKey(privateEphemeral) !== input.key) {
+                throw new Error('Transaction contains an input that does not belong to this wallet.');
+            }
+
+            return {
+                amount: input.amount,
+                globalIndex: input.globalOutputIndex,
+                index: input.transactionIndex,
+                input: {
+                    privateEphemeral,
+                },
+                key: input.key,
+                keyImage,
+            };
+        }));
+
+        const transfers = [];
+
+        for (const [address, amount] of unsigned.payments) {
+            const keys = cryptoUtils.decodeAddress(address);
+
+            for (const denomination of splitAmountIntoDenominations(amount)) {
+                transfers.push({
+                    amount: denomination,
+                    keys,
+                });
+            }
+        }
+
+        const tx = await cryptoUtils.createTransactionAsync(
+            transfers, ourOutputs, unsigned.randomOuts, unsigned.mixin,
+            unsigned.fee, unsigned.paymentID,
+        );
+
+        return [{
+            type: 'signed',
+            version: OFFLINE_TRANSACTION_VERSION,
+            coinName: Config.coinName,
+            hash: tx.hash,
+            rawTransaction: tx.rawTransaction,
+            spentKeys: unsigned.inputs.map((input) => input.key),
+        }, undefined];
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to sign offline transaction: ' + err);
+        return [undefined, err.toString()];
+    }
+}
+
+/**
+ * Send a transaction signed by the offline wallet to the network
+ *
+ * Returns [hash, undefined] or [undefined, error]
+ */
+export async function relayTransaction(signed) {
+    if (signed.type !== 'signed' || signed.coinName !== Config.coinName) {
+        return [undefined, 'This is not a signed transaction.'];
+    }
+
+    if (signed.version !== OFFLINE_TRANSACTION_VERSION) {
+        return [undefined, 'This transaction was made by a different version of the wallet.'];
+    }
+
+    try {
+        const daemon = makeDaemon(getActiveNode());
+
+        await daemon.init();
+
+        if (!await daemon.sendTransaction(signed.rawTransaction)) {
+            return [undefined, 'The node rejected the transaction. It may have already been sent.'];
+        }
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to relay offline transaction: ' + err);
+        return [undefined, 'Failed to send the transaction to the node.'];
+    }
+
+    await saveOfflineSpentInputsToDatabase(signed.spentKeys);
+
+    return [signed.hash, undefined];
+}
+
+/**
+ * Split an offline transaction into parts small enough to show as a
+ * sequence of QR codes, each prefixed with its position, e.g. 2/5:...
+ */
+export function toQrParts(transaction) {
+    const data = JSON.stringify(transaction);
+
+    const chunks = [];
+
+    for (let i = 0; i < data.length; i += QR_CHUNK_SIZE) {
+        chunks.push(data.slice(i, i + QR_CHUNK_SIZE));
+    }
+
+    return chunks.map((chunk, i) => `${i + 1}/${chunks.length}:${chunk}`);
+}
+
+/**
+ * Parse a single scanned QR part. Returns undefined if it's not one of ours.
+ */
+export function parseQrPart(part) {
+    const match = /^(\d+)\/(\d+):([\s\S]*)$/.exec(part);
+
+    if (!match) {
+        return undefined;
+    }
+
+    const index = Number(match[1]);
+    const total = Number(match[2]);
+
+    if (index < 1 || index > total) {
+        return undefined;
+    }
+
+    return {
+        index,
+        total,
+        data: match[3],
+    };
+}
+
+/**
+ * Turn a pasted/shared/scanned offline transaction back into an object.
+ * Returns [transaction, undefined] or [undefined, error]
+ */
+export function parseOfflineTransaction(text) {
+    try {
+        const transaction = JSON.parse(text.trim());
+
+        if (!transaction || typeof transaction !== 'object') {
+            return [undefined, 'Not a valid offline transaction.'];
+        }
+
+        return [transaction, undefined];
+    } catch (err) {
+        return [undefined, 'Not a valid offline transaction.'];
+    }
+}
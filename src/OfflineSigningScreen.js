@@ -0,0 +1,684 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import QRCode from 'react-native-qrcode-svg';
+import QRCodeScanner from 'react-native-qrcode-scanner';
+
+import {
+    View, Text, ScrollView, Share, Clipboard, Button as RNEButton,
+} from 'react-native';
+
+import { Input } from 'react-native-elements';
+
+import {
+    validateAddresses, validatePaymentID, WalletErrorCode, prettyPrintAmount,
+} from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { addFee } from './Fee';
+import { Authenticate } from './Authenticate';
+import { BottomButton, Hr } from './SharedComponents';
+import { delay, validAmount, splitIntegratedAddress, toastPopUp } from './Utilities';
+
+import {
+    createUnsignedTransaction, signTransaction, relayTransaction,
+    validateUnsignedTransaction, toQrParts, parseQrPart, parseOfflineTransaction,
+} from './OfflineSigning';
+
+/**
+ * Cycles through the parts of an offline transaction, one QR code at a time,
+ * so the other device can scan them all
+ */
+class AnimatedQrCode extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            index: 0,
+        };
+    }
+
+    componentDidMount() {
+        this.interval = setInterval(() => {
+            this.setState((state) => {
+                return {
+                    index: (state.index + 1) % this.props.parts.length,
+                };
+            });
+        }, 800);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.interval);
+    }
+
+    render() {
+        const index = this.state.index % this.props.parts.length;
+
+        return(
+            <View style={{ alignItems: 'center', marginBottom: 10 }}>
+                <View style={{ padding: 5, backgroundColor: this.props.screenProps.theme.qrCode.backgroundColour }}>
+                    <QRCode
+                        value={this.props.parts[index]}
+                        size={250}
+                        backgroundColor={this.props.screenProps.theme.qrCode.backgroundColour}
+                        color={this.props.screenProps.theme.qrCode.foregroundColour}
+                    />
+                </View>
+
+                <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 14, marginTop: 10 }}>
+                    Part {index + 1} of {this.props.parts.length}
+                </Text>
+            </View>
+        );
+    }
+}
+
+/**
+ * Scan or paste an offline transaction (or other data passed between the
+ * online and offline devices), and hand it to props.onLoad
+ */
+export class LoadOfflineData extends React.Component {
+    render() {
+        return(
+            <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                <RNEButton
+                    title={`Scan ${this.props.name} QR codes`}
+                    onPress={() => {
+                        this.props.navigation.navigate('AnimatedQrScanner', {
+                            onComplete: (text) => this.props.onLoad(text),
+                        });
+                    }}
+                    color={this.props.screenProps.theme.primaryColour}
+                />
+
+                <View style={{ height: 10 }}/>
+
+                <RNEButton
+                    title={`Paste ${this.props.name} from clipboard`}
+                    onPress={async () => {
+                        this.props.onLoad(await Clipboard.getString());
+                    }}
+                    color={this.props.screenProps.theme.primaryColour}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Show an offline transaction (or other data passed between the online and
+ * offline devices) as animated QR codes, or share it as a file
+ */
+export class ShowOfflineData extends React.Component {
+    render() {
+        const parts = toQrParts(this.props.transaction);
+
+        return(
+            <View>
+                <AnimatedQrCode parts={parts} {...this.props}/>
+
+                <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                    <RNEButton
+                        title={`Share ${this.props.name} as a file`}
+                        onPress={() => {
+                            Share.share({
+                                title: `${Config.coinName} ${this.props.name}`,
+                                message: JSON.stringify(this.props.transaction),
+                            });
+                        }}
+                        color={this.props.screenProps.theme.primaryColour}
+                    />
+                </View>
+            </View>
+        );
+    }
+}
+
+/**
+ * Scan a sequence of QR codes made by AnimatedQrCode, in any order
+ */
+export class AnimatedQrScannerScreen extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            parts: {},
+            total: 0,
+        };
+    }
+
+    onRead(code) {
+        const part = parseQrPart(code.data);
+
+        if (part === undefined) {
+            toastPopUp('Not an offline wallet QR code!');
+            return;
+        }
+
+        /* Started scanning a different transaction, throw away what we have */
+        const parts = part.total === this.state.total
+            ? { ...this.state.parts }
+            : {};
+
+        parts[part.index] = part.data;
+
+        if (Object.keys(parts).length === part.total) {
+            let text = '';
+
+            for (let i = 1; i <= part.total; i++) {
+                text += parts[i];
+            }
+
+            this.props.navigation.goBack();
+            this.props.navigation.state.params.onComplete(text);
+            return;
+        }
+
+        this.setState({
+            parts,
+            total: part.total,
+        });
+    }
+
+    render() {
+        return(
+            <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
+                <QRCodeScanner
+                    onRead={(code) => this.onRead(code)}
+                    reactivate={true}
+                    reactivateTimeout={300}
+                    cameraProps={{captureAudio: false}}
+                    topContent={
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 18 }}>
+                            {this.state.total === 0
+                                ? 'Point the camera at the QR codes'
+                                : `Scanned ${Object.keys(this.state.parts).length} of ${this.state.total} parts`}
+                        </Text>
+                    }
+                />
+            </View>
+        );
+    }
+}
+
+const inputProps = (theme) => {
+    return {
+        containerStyle: {
+            width: '90%',
+            marginLeft: 20,
+            marginBottom: 20,
+        },
+        inputContainerStyle: {
+            borderColor: theme.notVeryVisibleColour,
+            borderWidth: 1,
+            borderRadius: 2,
+        },
+        labelStyle: {
+            marginBottom: 5,
+            marginRight: 2,
+            color: theme.slightlyMoreVisibleColour,
+        },
+        inputStyle: {
+            color: theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        },
+        autoCapitalize: 'none',
+        autoCorrect: false,
+    };
+};
+
+/**
+ * Make a transaction with a view only wallet, to be signed on an offline
+ * device with the spend key, then send the signed transaction it gives back
+ */
+export class CreateUnsignedTransactionScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        const [unlockedBalance] = Globals.wallet.getBalance();
+
+        this.state = {
+            unlockedBalance,
+            address: '',
+            amount: '',
+            paymentID: '',
+            addressError: '',
+            amountError: '',
+            paymentIDError: '',
+            unsigned: undefined,
+            working: false,
+            error: '',
+            hash: '',
+        };
+    }
+
+    checkAddress(address) {
+        const addressError = validateAddresses([address.trim()], true, Config);
+
+        if (addressError.errorCode !== WalletErrorCode.SUCCESS) {
+            return [false, addressError.toString()];
+        }
+
+        return [true, ''];
+    }
+
+    checkPaymentID(paymentID, address) {
+        if (paymentID === '') {
+            return [true, ''];
+        }
+
+        if (address.trim().length === Config.integratedAddressLength) {
+            return [false, 'You can\'t use a payment ID with an integrated address.'];
+        }
+
+        const paymentIDError = validatePaymentID(paymentID);
+
+        if (paymentIDError.errorCode !== WalletErrorCode.SUCCESS) {
+            return [false, paymentIDError.toString()];
+        }
+
+        return [true, ''];
+    }
+
+    async create() {
+        this.setState({
+            working: true,
+            error: '',
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const [split] = splitIntegratedAddress(this.state.address.trim());
+
+        const amount = addFee(this.state.amount.replace(/,/g, ''));
+
+        const payments = [[split.address, amount.remainingAtomic]];
+
+        const paymentID = split.paymentID !== '' ? split.paymentID : this.state.paymentID;
+
+        const [unsigned, error] = await createUnsignedTransaction(payments, amount.devFeeAtomic, paymentID);
+
+        this.setState({
+            unsigned,
+            error: error || '',
+            working: false,
+        });
+    }
+
+    async relay(text) {
+        const [signed, parseError] = parseOfflineTransaction(text);
+
+        if (parseError) {
+            this.setState({
+                error: parseError,
+            });
+
+            return;
+        }
+
+        this.setState({
+            working: true,
+            error: '',
+        });
+
+        const [hash, error] = await relayTransaction(signed);
+
+        this.setState({
+            hash: hash || '',
+            error: error || '',
+            working: false,
+        });
+    }
+
+    renderForm() {
+        const [addressValid] = this.checkAddress(this.state.address);
+        const [amountValid] = validAmount(this.state.amount, this.state.unlockedBalance);
+        const [paymentIDValid] = this.checkPaymentID(this.state.paymentID, this.state.address);
+
+        return(
+            <View style={{ flex: 1 }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Create an unsigned transaction
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            This wallet can't sign transactions, so we'll make one for you to sign on an
+                            offline device which has your full wallet, under Settings, Sign Offline Transaction.
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Address'}
+                        multiline={true}
+                        value={this.state.address}
+                        onChangeText={(text) => {
+                            const [, addressError] = this.checkAddress(text);
+                            const [, paymentIDError] = this.checkPaymentID(this.state.paymentID, text);
+
+                            this.setState({
+                                address: text,
+                                addressError: text === '' ? '' : addressError,
+                                paymentIDError,
+                            });
+                        }}
+                        errorMessage={this.state.addressError}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={`Amount (${Config.ticker})`}
+                        keyboardType={'number-pad'}
+                        value={this.state.amount}
+                        onChangeText={(text) => {
+                            const [, amountError] = validAmount(text, this.state.unlockedBalance);
+
+                            this.setState({
+                                amount: text,
+                                amountError,
+                            });
+                        }}
+                        errorMessage={this.state.amountError}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Payment ID (optional)'}
+                        value={this.state.paymentID}
+                        onChangeText={(text) => {
+                            const [, paymentIDError] = this.checkPaymentID(text, this.state.address);
+
+                            this.setState({
+                                paymentID: text,
+                                paymentIDError,
+                            });
+                        }}
+                        errorMessage={this.state.paymentIDError}
+                    />
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title={this.state.working ? 'Creating...' : 'Create'}
+                    onPress={() => this.create()}
+                    disabled={this.state.working || !addressValid || !amountValid || !paymentIDValid}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+
+    render() {
+        let content;
+
+        if (this.state.unsigned === undefined) {
+            content = this.renderForm();
+        } else if (this.state.hash !== '') {
+            content =
+                <View style={{ marginTop: 60, marginHorizontal: 30 }}>
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 25, fontWeight: 'bold' }}>
+                        Transaction sent
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 13 }}>
+                        Transaction hash:
+                    </Text>
+
+                    <Text selectable style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 13 }}>
+                        {this.state.hash}
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 13, marginTop: 20 }}>
+                        As this wallet is view only, the amount sent won't be taken off your balance,
+                        but the funds used won't be spent again from this device.
+                    </Text>
+                </View>;
+        } else {
+            content =
+                <ScrollView style={{ flex: 1 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Sign it offline
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Scan these QR codes with your offline device, or share the transaction to it as a
+                            file. Then load the signed transaction it gives you back to send it.
+                        </Text>
+                    </View>
+
+                    <ShowOfflineData
+                        transaction={this.state.unsigned}
+                        name='unsigned transaction'
+                        {...this.props}
+                    />
+
+                    <View style={{ width: '100%', alignItems: 'center', marginVertical: 20 }}>
+                        <Hr width={'85%'}/>
+                    </View>
+
+                    <LoadOfflineData
+                        name='signed transaction'
+                        onLoad={(text) => this.relay(text)}
+                        {...this.props}
+                    />
+
+                    {this.state.working &&
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 15, marginHorizontal: 30, marginTop: 10 }}>
+                            Sending transaction, please wait...
+                        </Text>
+                    }
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30, marginVertical: 10 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+                </ScrollView>;
+        }
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                {content}
+            </View>
+        );
+    }
+}
+
+/**
+ * Sign a transaction made by a view only copy of this wallet. Meant to be
+ * used on a device which is kept offline.
+ */
+export class SignTransactionScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            unsigned: undefined,
+            signed: undefined,
+            signing: false,
+            error: '',
+        };
+    }
+
+    load(text) {
+        const [unsigned, parseError] = parseOfflineTransaction(text);
+
+        const error = parseError || validateUnsignedTransaction(unsigned);
+
+        this.setState({
+            unsigned: error ? undefined : unsigned,
+            signed: undefined,
+            error: error || '',
+        });
+    }
+
+    async sign() {
+        this.setState({
+            signing: true,
+            error: '',
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const [signed, error] = await signTransaction(this.state.unsigned);
+
+        this.setState({
+            signed,
+            error: error || '',
+            signing: false,
+        });
+    }
+
+    renderSummary() {
+        const textStyle = {
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            fontSize: 14,
+            marginBottom: 5,
+        };
+
+        const ourAddress = Globals.wallet.getPrimaryAddress();
+
+        return(
+            <View style={{ marginHorizontal: 30, marginBottom: 20 }}>
+                <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 20, marginBottom: 10 }}>
+                    Check the transaction
+                </Text>
+
+                {this.state.unsigned.payments
+                    .filter(([address]) => address !== ourAddress)
+                    .map(([address, amount], i) => (
+                        <View key={i} style={{ marginBottom: 10 }}>
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
+                                {prettyPrintAmount(amount, Config)}
+                            </Text>
+                            <Text style={textStyle}>
+                                to {address}{address === Config.devFeeAddress ? ' (dev fee)' : ''}
+                            </Text>
+                        </View>
+                    ))}
+
+                <Text style={textStyle}>
+                    Change returned to you: {prettyPrintAmount(this.state.unsigned.change, Config)}
+                </Text>
+
+                <Text style={textStyle}>
+                    Network fee: {prettyPrintAmount(this.state.unsigned.fee, Config)}
+                </Text>
+
+                {this.state.unsigned.paymentID !== undefined && this.state.unsigned.paymentID !== '' &&
+                    <Text style={textStyle}>
+                        Payment ID: {this.state.unsigned.paymentID}
+                    </Text>
+                }
+            </View>
+        );
+    }
+
+    render() {
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: this.state.unsigned && !this.state.signed ? 70 : 0 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Sign offline transaction
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Load a transaction made by a view only copy of this wallet, check it, and sign it.
+                            For the best security, keep this device offline.
+                        </Text>
+                    </View>
+
+                    {this.state.signed === undefined &&
+                        <LoadOfflineData
+                            name='unsigned transaction'
+                            onLoad={(text) => this.load(text)}
+                            {...this.props}
+                        />
+                    }
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30, marginVertical: 10 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+
+                    {this.state.unsigned !== undefined && this.state.signed === undefined &&
+                        <View style={{ marginTop: 20 }}>
+                            {this.renderSummary()}
+                        </View>
+                    }
+
+                    {this.state.signed !== undefined &&
+                        <View>
+                            <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15, marginHorizontal: 30, marginBottom: 20 }}>
+                                Signed! Scan these QR codes with your view only wallet, or share the transaction to
+                                it as a file, to send it.
+                            </Text>
+
+                            <ShowOfflineData
+                                transaction={this.state.signed}
+                                name='signed transaction'
+                                {...this.props}
+                            />
+                        </View>
+                    }
+                </ScrollView>
+
+                {this.state.unsigned !== undefined && this.state.signed === undefined &&
+                    <BottomButton
+                        title={this.state.signing ? 'Signing...' : 'Sign'}
+                        onPress={() => {
+                            if (Globals.preferences.authConfirmation) {
+                                Authenticate(
+                                    this.props.navigation,
+                                    'to sign the transaction',
+                                    () => {
+                                        this.props.navigation.navigate('SignTransaction');
+                                        this.sign();
+                                    }
+                                );
+                            } else {
+                                this.sign();
+                            }
+                        }}
+                        disabled={this.state.signing}
+                        {...this.props}
+                    />
+                }
+            </View>
+        );
+    }
+}
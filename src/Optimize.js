@@ -0,0 +1,158 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import { WalletErrorCode } from 'plenteum-wallet-backend';
+
+import { getMaxTxSize } from 'plenteum-wallet-backend/dist/lib/Utilities';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { getMixinLimits } from './AdvancedSend';
+
+/* The most bytes each part of a transaction can take up, so we never think
+   more inputs fit in a transaction than do. Varints are counted at their
+   largest - 10 bytes for amounts and unlock times, 3 for counts, and 5 for
+   ring member offsets, which covers global output indexes up to 2^35. */
+
+/* Version, unlock time, input and output counts, the length of extra, the
+   transaction public key, and a payment ID */
+const TRANSACTION_PREFIX_SIZE = 1 + 10 + 3 + 3 + 1 + 33 + 35;
+
+/* Amount, tag, and key */
+const OUTPUT_SIZE = 10 + 1 + 32;
+
+/* Amounts are split into an output for each digit, and fit in 20 digits.
+   A send pays the recipient, the dev fee, and the node fee, and sends the
+   change back to us. */
+const MAX_OUTPUTS = 20 * 4;
+
+/* Tag, amount, ring size, and key image */
+const INPUT_BASE_SIZE = 1 + 10 + 3 + 32;
+
+/* Each ring member's offset, and its part of the ring signature */
+const RING_MEMBER_SIZE = 5 + 64;
+
+/**
+ * The most bytes a transaction to a single recipient, taking numInputs
+ * inputs with the given mixin, can take up
+ */
+export function estimateTransactionSize(numInputs, mixin) {
+    return TRANSACTION_PREFIX_SIZE
+         + OUTPUT_SIZE * MAX_OUTPUTS
+         + numInputs * (INPUT_BASE_SIZE + RING_MEMBER_SIZE * (mixin + 1));
+}
+
+/**
+ * Summarises how fragmented the wallet is.
+ *
+ * Returns { count, lockedCount, buckets, maxInputs, fragmented }, where
+ * buckets is a list of { minimum, count, amount } for each power of ten the
+ * unlocked outputs fall in, smallest first, and fragmented is whether there
+ * are more unlocked outputs than fit in a single transaction
+ */
+export function getOutputStats() {
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    let spendable = [];
+    let count = 0;
+
+    for (const subWallet of Globals.wallet.subWallets.subWallets.values()) {
+        spendable = spendable.concat(subWallet.getSpendableInputs(networkHeight).map((input) => input.input));
+        count += subWallet.unspentInputs.length;
+    }
+
+    const buckets = _.sortBy(
+        _.map(
+            _.groupBy(spendable, (input) => String(input.amount).length),
+            (inputs, digits) => ({
+                minimum: 10 ** (Number(digits) - 1),
+                count: inputs.length,
+                amount: _.sumBy(inputs, 'amount'),
+            }),
+        ),
+        'minimum',
+    );
+
+    /* Allow for the biggest ring a send can use */
+    const [, maxMixin] = getMixinLimits();
+
+    const maxTxSize = getMaxTxSize(networkHeight, Config.blockTargetTime);
+
+    let maxInputs = 0;
+
+    while (estimateTransactionSize(maxInputs + 1, maxMixin) <= maxTxSize) {
+        maxInputs++;
+    }
+
+    return {
+        count,
+        lockedCount: count - spendable.length,
+        buckets,
+        maxInputs,
+        fragmented: spendable.length > maxInputs,
+    };
+}
+
+/**
+ * The most we can send in one transaction, including fees.
+ *
+ * The wallet picks the outputs to send at random, so if they don't all fit
+ * in one transaction, there's no amount we can be sure will send. Then the
+ * wallet is fragmented, and needs optimizing first.
+ *
+ * Returns [maxAtomic, false] or [undefined, true] if fragmented
+ */
+export function getMaxSendable() {
+    const { fragmented } = getOutputStats();
+
+    if (fragmented) {
+        return [undefined, true];
+    }
+
+    const [unlockedBalance] = Globals.wallet.getBalance();
+
+    return [unlockedBalance, false];
+}
+
+/**
+ * Every fusion transaction in the wallet, newest first, including ones not
+ * in a block yet
+ */
+export function getFusionTransactions() {
+    return Globals.wallet.getTransactions(undefined, undefined, true)
+                         .filter((tx) => tx.isFusionTransaction());
+}
+
+/**
+ * Send fusion transactions until the wallet is fully optimized, or
+ * shouldStop() returns true. onProgress(hash) is called after each one.
+ *
+ * Returns [hashes, undefined] or [hashes, error]. Running out of outputs to
+ * fuse is not an error.
+ */
+export async function optimizeWallet(onProgress, shouldStop) {
+    const hashes = [];
+
+    while (!shouldStop()) {
+        const [hash, error] = await Globals.wallet.sendFusionTransactionBasic();
+
+        if (error) {
+            if (error.errorCode === WalletErrorCode.FULLY_OPTIMIZED) {
+                break;
+            }
+
+            Globals.logger.addLogMessage('Failed to send fusion transaction: ' + error.toString());
+
+            return [hashes, error.toString()];
+        }
+
+        hashes.push(hash);
+        onProgress(hash);
+    }
+
+    return [hashes, undefined];
+}
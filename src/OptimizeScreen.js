@@ -0,0 +1,242 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import { View, Text, ScrollView } from 'react-native';
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { delay, isViewWallet } from './Utilities';
+import { BottomButton, CopyButton, Hr } from './SharedComponents';
+import { getOutputStats, getFusionTransactions, optimizeWallet } from './Optimize';
+
+/**
+ * Shows how fragmented the wallet is, and lets the user send fusion
+ * transactions to fix it
+ */
+export class OptimizeScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            stats: getOutputStats(),
+            fusions: getFusionTransactions(),
+            optimizing: false,
+            stopping: false,
+            sent: 0,
+            error: '',
+            result: '',
+        };
+
+        this.stop = false;
+        this.unmounted = false;
+    }
+
+    componentWillUnmount() {
+        /* Don't keep sending once they've left */
+        this.stop = true;
+        this.unmounted = true;
+    }
+
+    refresh() {
+        this.setState({
+            stats: getOutputStats(),
+            fusions: getFusionTransactions(),
+        });
+    }
+
+    async optimize() {
+        this.stop = false;
+
+        this.setState({
+            optimizing: true,
+            stopping: false,
+            sent: 0,
+            error: '',
+            result: '',
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const [hashes, error] = await optimizeWallet(
+            () => {
+                if (!this.unmounted) {
+                    this.setState({
+                        sent: this.state.sent + 1,
+                    });
+
+                    this.refresh();
+                }
+            },
+            () => this.stop,
+        );
+
+        if (this.unmounted) {
+            return;
+        }
+
+        this.setState({
+            optimizing: false,
+            stopping: false,
+            error: error || '',
+            result: hashes.length === 0 && !error
+                ? 'Your wallet is already optimized.'
+                : `Sent ${hashes.length} fusion transaction${hashes.length === 1 ? '' : 's'}. ` +
+                  'Once they are in a block, you may be able to optimize further.',
+        });
+
+        this.refresh();
+    }
+
+    render() {
+        const textStyle = {
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            fontSize: 15,
+            marginBottom: 5,
+        };
+
+        const headingStyle = {
+            color: this.props.screenProps.theme.primaryColour,
+            fontSize: 20,
+            marginTop: 10,
+            marginBottom: 10,
+        };
+
+        let buttonTitle = 'Optimize Now';
+
+        if (this.state.stopping) {
+            buttonTitle = 'Stopping...';
+        } else if (this.state.optimizing) {
+            buttonTitle = 'Stop';
+        }
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Optimize wallet
+                        </Text>
+
+                        <Text style={textStyle}>
+                            Your balance is made up of lots of smaller amounts, called outputs. The more of them
+                            there are, the less you can send in one go. Fusion transactions combine them into
+                            fewer, larger outputs, for free.
+                        </Text>
+
+                        <Text style={headingStyle}>
+                            Outputs
+                        </Text>
+
+                        <Text style={textStyle}>
+                            Unspent: {this.state.stats.count}
+                            {this.state.stats.lockedCount > 0 ? ` (${this.state.stats.lockedCount} still locked)` : ''}
+                        </Text>
+
+                        {this.state.stats.buckets.map((bucket) =>
+                            <Text key={bucket.minimum} style={textStyle}>
+                                {prettyPrintAmount(bucket.minimum, Config)} or more: {bucket.count},
+                                worth {prettyPrintAmount(bucket.amount, Config)}
+                            </Text>
+                        )}
+
+                        <Text style={headingStyle}>
+                            Largest send
+                        </Text>
+
+                        <Text style={textStyle}>
+                            {this.state.stats.fragmented
+                                ? `A single transaction can only hold around ${this.state.stats.maxInputs} outputs, ` +
+                                  'so optimize to be able to send your whole balance at once.'
+                                : 'Your whole unlocked balance fits in a single transaction.'}
+                        </Text>
+
+                        {isViewWallet() &&
+                            <Text style={[textStyle, { marginTop: 10 }]}>
+                                This wallet is view only, so it can't send fusion transactions. Optimize your full
+                                wallet instead.
+                            </Text>
+                        }
+
+                        {this.state.optimizing &&
+                            <Text style={[textStyle, { marginTop: 10 }]}>
+                                Optimizing, sent {this.state.sent} fusion transaction{this.state.sent === 1 ? '' : 's'} so far...
+                            </Text>
+                        }
+
+                        {this.state.result !== '' &&
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 15, marginTop: 10 }}>
+                                {this.state.result}
+                            </Text>
+                        }
+
+                        {this.state.error !== '' &&
+                            <Text style={{ color: 'red', fontSize: 15, marginTop: 10 }}>
+                                {this.state.error}
+                            </Text>
+                        }
+
+                        <Text style={headingStyle}>
+                            Fusion transactions
+                        </Text>
+
+                        {this.state.fusions.length === 0 &&
+                            <Text style={textStyle}>
+                                None yet.
+                            </Text>
+                        }
+                    </View>
+
+                    {this.state.fusions.map((tx) =>
+                        <View key={tx.hash} style={{ marginHorizontal: 30 }}>
+                            <Text selectable style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 13 }}>
+                                {tx.hash}
+                            </Text>
+
+                            <Text style={[textStyle, { fontSize: 13 }]}>
+                                {tx.blockHeight === 0 ? 'Processing' : `In block ${tx.blockHeight}`}
+                            </Text>
+
+                            <CopyButton
+                                data={tx.hash}
+                                name='Hash'
+                                {...this.props}
+                            />
+
+                            <Hr/>
+                        </View>
+                    )}
+                </ScrollView>
+
+                <BottomButton
+                    title={buttonTitle}
+                    onPress={() => {
+                        if (this.state.optimizing) {
+                            this.stop = true;
+
+                            this.setState({
+                                stopping: true,
+                            });
+                        } else {
+                            this.optimize();
+                        }
+                    }}
+                    disabled={isViewWallet() || this.state.stopping}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
@@ -0,0 +1,341 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import { View, Text, ScrollView, Share, Clipboard } from 'react-native';
+
+import { Input, Button } from 'react-native-elements';
+
+import {
+    validateAddresses, WalletErrorCode, prettyPrintAmount,
+} from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { BottomButton, CopyButton } from './SharedComponents';
+import { createPaymentProof, verifyPaymentProof } from './PaymentProofs';
+
+const inputProps = (theme) => {
+    return {
+        containerStyle: {
+            width: '90%',
+            marginLeft: 20,
+            marginBottom: 20,
+        },
+        inputContainerStyle: {
+            borderColor: theme.notVeryVisibleColour,
+            borderWidth: 1,
+            borderRadius: 2,
+        },
+        labelStyle: {
+            marginBottom: 5,
+            marginRight: 2,
+            color: theme.slightlyMoreVisibleColour,
+        },
+        inputStyle: {
+            color: theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        },
+        autoCapitalize: 'none',
+        autoCorrect: false,
+        multiline: true,
+    };
+};
+
+/**
+ * Make a proof that one of our transactions paid an address, to give to the
+ * recipient
+ */
+export class PaymentProofScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        const { address } = this.props.navigation.state.params;
+
+        this.state = {
+            address: address || '',
+            addressError: '',
+            proof: this.makeProof(address || ''),
+        };
+    }
+
+    checkAddress(address) {
+        const addressError = validateAddresses([address.trim()], true, Config);
+
+        if (addressError.errorCode !== WalletErrorCode.SUCCESS) {
+            return [false, addressError.toString()];
+        }
+
+        return [true, ''];
+    }
+
+    /**
+     * The proof is signed with a random nonce, so only make it when the
+     * address changes, not on every render
+     */
+    makeProof(address) {
+        const { hash, transactionPrivateKey } = this.props.navigation.state.params;
+
+        const [addressValid] = this.checkAddress(address);
+
+        if (!addressValid) {
+            return undefined;
+        }
+
+        const [proof] = createPaymentProof(hash, address.trim(), transactionPrivateKey);
+
+        return proof;
+    }
+
+    render() {
+        const { hash } = this.props.navigation.state.params;
+
+        const { proof } = this.state;
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Proof of payment
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Give this proof, the transaction hash and the address to the recipient, and they
+                            can check how much this transaction sent to their address, under Settings, Verify
+                            Proof of Payment. It only reveals this one transaction.
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Address paid'}
+                        value={this.state.address}
+                        onChangeText={(text) => {
+                            const [, addressError] = this.checkAddress(text);
+
+                            this.setState({
+                                address: text,
+                                addressError,
+                                proof: this.makeProof(text),
+                            });
+                        }}
+                        errorMessage={this.state.addressError}
+                    />
+
+                    {proof !== undefined &&
+                        <View style={{ marginHorizontal: 30 }}>
+                            <Text selectable style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 13 }}>
+                                {proof}
+                            </Text>
+
+                            <CopyButton
+                                data={proof}
+                                name='Proof of payment'
+                                {...this.props}
+                            />
+                        </View>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title="Share"
+                    onPress={() => {
+                        Share.share({
+                            title: `${Config.coinName} proof of payment`,
+                            message: `Transaction: ${hash}\nAddress: ${this.state.address.trim()}\nProof: ${proof}`,
+                        });
+                    }}
+                    disabled={proof === undefined}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Check a proof of payment someone has given us against the network
+ */
+export class VerifyPaymentProofScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            hash: '',
+            address: '',
+            proof: '',
+            verifying: false,
+            result: undefined,
+            error: '',
+        };
+    }
+
+    async verify() {
+        this.setState({
+            verifying: true,
+            result: undefined,
+            error: '',
+        });
+
+        const [result, error] = await verifyPaymentProof(
+            this.state.hash, this.state.address, this.state.proof,
+        );
+
+        this.setState({
+            result,
+            error: error || '',
+            verifying: false,
+        });
+    }
+
+    render() {
+        const textStyle = {
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            fontSize: 14,
+            marginBottom: 5,
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Verify proof of payment
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Check how much a transaction sent to an address, using a proof of payment from the sender.
+                            They should give you the transaction hash and address along with it.
+                        </Text>
+
+                        <Button
+                            title='Paste from clipboard'
+                            onPress={async () => {
+                                const text = await Clipboard.getString();
+
+                                /* Shared from the proof of payment screen, with
+                                   the hash and address included */
+                                const hash = /Transaction: *(\S+)/.exec(text);
+                                const address = /Address: *(\S+)/.exec(text);
+                                const proof = /Proof: *(\S+)/.exec(text);
+
+                                this.setState({
+                                    hash: hash ? hash[1] : this.state.hash,
+                                    address: address ? address[1] : this.state.address,
+                                    proof: proof ? proof[1] : text,
+                                    result: undefined,
+                                    error: '',
+                                });
+                            }}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                textDecorationLine: 'underline',
+                            }}
+                            containerStyle={{
+                                marginLeft: -8,
+                                alignItems: 'flex-start',
+                            }}
+                            type="clear"
+                        />
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Transaction hash'}
+                        value={this.state.hash}
+                        onChangeText={(text) => {
+                            this.setState({
+                                hash: text,
+                                result: undefined,
+                                error: '',
+                            });
+                        }}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Address paid'}
+                        value={this.state.address}
+                        onChangeText={(text) => {
+                            this.setState({
+                                address: text,
+                                result: undefined,
+                                error: '',
+                            });
+                        }}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Proof of payment'}
+                        value={this.state.proof}
+                        onChangeText={(text) => {
+                            this.setState({
+                                proof: text,
+                                result: undefined,
+                                error: '',
+                            });
+                        }}
+                    />
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+
+                    {this.state.result !== undefined &&
+                        <View style={{ marginHorizontal: 30 }}>
+                            <Text style={{
+                                color: this.state.result.amount > 0 ? this.props.screenProps.theme.primaryColour : 'red',
+                                fontSize: 20,
+                                marginBottom: 10,
+                            }}>
+                                {this.state.result.amount > 0
+                                    ? `Paid ${prettyPrintAmount(this.state.result.amount, Config)}`
+                                    : 'This transaction did not pay this address'}
+                            </Text>
+
+                            <Text style={textStyle}>
+                                To: {this.state.result.address}
+                            </Text>
+
+                            <Text style={textStyle}>
+                                Transaction: {this.state.result.hash}
+                            </Text>
+
+                            <Text style={textStyle}>
+                                Confirmations: {this.state.result.confirmations}
+                            </Text>
+                        </View>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title={this.state.verifying ? 'Verifying...' : 'Verify'}
+                    onPress={() => this.verify()}
+                    disabled={this.state.verifying || this.state.hash.trim() === '' || this.state.address.trim() === '' || this.state.proof.trim() === ''}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
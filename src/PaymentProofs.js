@@ -0,0 +1,341 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import Base58 from 'plenteum-utils/lib/base58';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+import { underivePublicKey } from 'plenteum-wallet-backend/dist/lib/CryptoWrapper';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { saveToDatabase } from './Database';
+import { nodeToString, getActiveNode } from './Nodes';
+import {
+    addKeys, isValidKey, isValidScalar, scMulSub, scalarmultKey, scalarmultBase,
+    hashToScalar, randomScalar,
+} from './Ed25519';
+
+/* rA, then the signature, c and r, each 32 bytes */
+const PROOF_LENGTH = 192;
+
+/* 8, as a little endian scalar */
+const EIGHT = '08' + '0'.repeat(62);
+
+/**
+ * The wallet backend throws away the private key of transactions it creates,
+ * but we need it to prove we made a payment. Store it in the wallet once the
+ * transaction has been sent.
+ */
+export function storeTransactionPrivateKey(hash, privateKey) {
+    Globals.wallet.subWallets.storeTxPrivateKey(privateKey, hash);
+
+    saveToDatabase(Globals.wallet).catch((err) => {
+        Globals.logger.addLogMessage('Failed to save wallet after storing transaction key: ' + err);
+    });
+}
+
+/**
+ * The private key of the transaction with the given hash, or undefined if we
+ * didn't send it from this wallet
+ */
+export function getTransactionPrivateKey(hash) {
+    return Globals.wallet.subWallets.transactionPrivateKeys.get(hash);
+}
+
+/**
+ * Prove the transaction with the given hash paid the given address. This
+ * signs with the transaction private key, rather than handing it over, and
+ * is in the same ProofV1 format as the Karbo wallets use:
+ *
+ * ProofV1 + Base58(rA || c || r)
+ *
+ * Where rA is the shared secret with the recipient, before the cofactor is
+ * applied, and (c, r) a signature that it was made with the same r as the
+ * transaction public key.
+ *
+ * Returns [proof, undefined] or [undefined, error]
+ */
+export function createPaymentProof(hash, address, transactionPrivateKey) {
+    try {
+        const { publicViewKey } = CryptoUtils(Config).decodeAddress(address);
+
+        const D = scalarmultKey(publicViewKey, transactionPrivateKey);
+
+        const k = randomScalar();
+
+        const X = scalarmultBase(k);
+        const Y = scalarmultKey(publicViewKey, k);
+
+        const c = hashToScalar(hash + D + X + Y);
+        const r = scMulSub(c, transactionPrivateKey, k);
+
+        return [Config.paymentProofPrefix + Base58.encode(D + c + r), undefined];
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to create proof of payment: ' + err);
+        return [undefined, err.toString()];
+    }
+}
+
+/**
+ * Returns [{ D, c, r }, undefined] or [undefined, error]
+ */
+export function parsePaymentProof(proof) {
+    proof = proof.trim();
+
+    if (!proof.startsWith(Config.paymentProofPrefix)) {
+        return [undefined, 'This is not a proof of payment.'];
+    }
+
+    let decoded;
+
+    try {
+        decoded = Base58.decode(proof.substr(Config.paymentProofPrefix.length));
+    } catch (err) {
+        decoded = undefined;
+    }
+
+    if (!decoded || decoded.length !== PROOF_LENGTH) {
+        return [undefined, 'This proof of payment is corrupted.'];
+    }
+
+    const D = decoded.substr(0, 64);
+    const c = decoded.substr(64, 64);
+    const r = decoded.substr(128, 64);
+
+    if (!isValidKey(D) || !isValidScalar(c) || !isValidScalar(r)) {
+        return [undefined, 'This proof of payment is corrupted.'];
+    }
+
+    return [{ D, c, r }, undefined];
+}
+
+function readVarint(hex, offset) {
+    let value = 0;
+    let shift = 0;
+
+    while (offset < hex.length) {
+        const byte = parseInt(hex.substr(offset, 2), 16);
+
+        offset += 2;
+
+        value += (byte & 0x7f) * (2 ** shift);
+        shift += 7;
+
+        if ((byte & 0x80) === 0) {
+            return [value, offset];
+        }
+    }
+
+    return [undefined, offset];
+}
+
+/**
+ * Pull the transaction public key out of the hex encoded tx extra
+ */
+export function getTransactionPublicKey(extra) {
+    let i = 0;
+
+    while (i < extra.length) {
+        const tag = extra.substr(i, 2).toLowerCase();
+
+        /* Padding */
+        if (tag === '00') {
+            i += 2;
+        /* Public key */
+        } else if (tag === '01') {
+            const publicKey = extra.substr(i + 2, 64);
+
+            return publicKey.length === 64 ? publicKey : undefined;
+        /* Nonce (payment ID, etc), merge mining, message/additional keys, and
+           the minergate tag. All prefixed with their length. */
+        } else if (tag === '02' || tag === '03' || tag === '04' || tag === 'de') {
+            const [length, offset] = readVarint(extra, i + 2);
+
+            if (length === undefined) {
+                return undefined;
+            }
+
+            i = offset + length * 2;
+        } else {
+            return undefined;
+        }
+    }
+
+    return undefined;
+}
+
+async function postJSON(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Get the transaction from the node. Conventional daemons have it under
+ * /json_rpc, blockchain cache APIs under /transaction/<hash>.
+ *
+ * Returns [{ publicKey, outputs, blockHeight }, undefined] or
+ * [undefined, error]. outputs is a list of { amount, key }, and blockHeight
+ * is undefined if it's not in a block yet.
+ */
+async function getTransaction(hash) {
+    const url = nodeToString(getActiveNode());
+
+    let reachedNode = false;
+
+    try {
+        const data = await postJSON(`${url}/json_rpc`, {
+            jsonrpc: '2.0',
+            method: 'f_transaction_json',
+            params: {
+                hash,
+            },
+        });
+
+        reachedNode = true;
+
+        if (data.result && data.result.tx) {
+            return [{
+                publicKey: getTransactionPublicKey(data.result.tx.extra),
+                outputs: data.result.tx.vout.map((output) => {
+                    return {
+                        amount: output.amount,
+                        key: output.target.data.key,
+                    };
+                }),
+                blockHeight: data.result.block ? data.result.block.height : undefined,
+            }, undefined];
+        }
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to get transaction from daemon: ' + err);
+    }
+
+    try {
+        const response = await fetch(`${url}/transaction/${hash}`);
+
+        if (response.ok) {
+            reachedNode = true;
+
+            const data = await response.json();
+
+            if (data.tx && data.outputs) {
+                return [{
+                    publicKey: data.tx.publicKey || getTransactionPublicKey(data.tx.extra || ''),
+                    outputs: data.outputs.map((output) => {
+                        return {
+                            amount: output.amount,
+                            key: output.key,
+                        };
+                    }),
+                    blockHeight: data.block ? data.block.height : undefined,
+                }, undefined];
+            }
+        } else if (response.status === 404) {
+            reachedNode = true;
+        }
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to get transaction from cache: ' + err);
+    }
+
+    return [
+        undefined,
+        reachedNode
+            ? 'Transaction not found. It may not be in a block yet.'
+            : 'Failed to get the transaction from the node.',
+    ];
+}
+
+/**
+ * Check a proof of payment against the transaction on the network.
+ *
+ * Returns [{ hash, address, amount, confirmations }, undefined] or
+ * [undefined, error]
+ */
+export async function verifyPaymentProof(hash, address, proof) {
+    hash = hash.trim().toLowerCase();
+    address = address.trim();
+
+    if (!/^[0-9a-f]{64}$/.test(hash)) {
+        return [undefined, 'This transaction hash is not valid.'];
+    }
+
+    const cryptoUtils = CryptoUtils(Config);
+
+    let publicViewKey;
+    let publicSpendKey;
+
+    try {
+        ({ publicViewKey, publicSpendKey } = cryptoUtils.decodeAddress(address));
+    } catch (err) {
+        return [undefined, 'This address is not valid.'];
+    }
+
+    const [parsed, parseError] = parsePaymentProof(proof);
+
+    if (parseError) {
+        return [undefined, parseError];
+    }
+
+    const { D, c, r } = parsed;
+
+    const [tx, txError] = await getTransaction(hash);
+
+    if (txError) {
+        return [undefined, txError];
+    }
+
+    if (!tx.publicKey || !isValidKey(tx.publicKey)) {
+        return [undefined, 'This transaction has no public key, so can\'t be proven.'];
+    }
+
+    try {
+        /* X = cR + rG, Y = cD + rA - if the proof was made with the
+           transaction private key, these are the points it signed */
+        const X = addKeys(scalarmultKey(tx.publicKey, c), scalarmultBase(r));
+        const Y = addKeys(scalarmultKey(D, c), scalarmultKey(publicViewKey, r));
+
+        if (X === undefined || Y === undefined || hashToScalar(hash + D + X + Y) !== c) {
+            return [undefined, 'This proof of payment is not for this transaction and address.'];
+        }
+
+        /* The same derivation the recipient gets from their private view key
+           and the transaction public key */
+        const derivation = scalarmultKey(D, EIGHT);
+
+        let amount = 0;
+
+        for (let i = 0; i < tx.outputs.length; i++) {
+            const spendKey = await underivePublicKey(derivation, i, tx.outputs[i].key, Config);
+
+            if (spendKey === publicSpendKey) {
+                amount += tx.outputs[i].amount;
+            }
+        }
+
+        const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+        return [{
+            hash,
+            address,
+            amount,
+            confirmations: tx.blockHeight !== undefined
+                ? Math.max(networkHeight - tx.blockHeight + 1, 0)
+                : 0,
+        }, undefined];
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to verify proof of payment: ' + err);
+        return [undefined, err.toString()];
+    }
+}
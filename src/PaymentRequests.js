@@ -0,0 +1,140 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+
+/**
+ * Start tracking a payment request, so we can mark it paid when a
+ * transaction with its payment ID arrives. amount is atomic, 0 if the
+ * request didn't ask for a specific amount. expiry is a unix timestamp in
+ * milliseconds, or 0 if it doesn't expire.
+ */
+export function addPaymentRequest(paymentID, amount, label, expiry) {
+    const existing = Globals.paymentRequests.find((r) => r.paymentID === paymentID);
+
+    /* Already shared this one - keep what's been paid so far */
+    const paymentRequest = {
+        received: 0,
+        status: 'open',
+        hashes: [],
+        created: Date.now(),
+        ...existing,
+        paymentID,
+        amount,
+        label,
+        expiry,
+    };
+
+    paymentRequest.status = paymentStatus(paymentRequest);
+
+    Globals.savePaymentRequest(paymentRequest);
+
+    return paymentRequest;
+}
+
+export function isExpired(paymentRequest) {
+    return paymentRequest.expiry !== 0 && paymentRequest.expiry < Date.now();
+}
+
+/**
+ * Open, partial, paid, or overpaid, depending on how much has been received
+ */
+function paymentStatus(paymentRequest) {
+    if (paymentRequest.received === 0) {
+        return 'open';
+    }
+
+    /* No amount given, anything counts */
+    if (paymentRequest.amount === 0 || paymentRequest.received === paymentRequest.amount) {
+        return 'paid';
+    }
+
+    return paymentRequest.received < paymentRequest.amount ? 'partial' : 'overpaid';
+}
+
+/**
+ * Status to display - open and partially paid requests can expire
+ */
+export function getPaymentRequestStatus(paymentRequest) {
+    if ((paymentRequest.status === 'open' || paymentRequest.status === 'partial') && isExpired(paymentRequest)) {
+        return 'expired';
+    }
+
+    return paymentRequest.status;
+}
+
+export function describePaymentRequest(paymentRequest) {
+    const amount = prettyPrintAmount(paymentRequest.amount, Config);
+    const received = prettyPrintAmount(paymentRequest.received, Config);
+
+    switch (getPaymentRequestStatus(paymentRequest)) {
+        case 'open': {
+            return 'Waiting for payment';
+        }
+        case 'partial': {
+            return `Partially paid, received ${received} of ${amount}`;
+        }
+        case 'paid': {
+            return `Paid, received ${received}`;
+        }
+        case 'overpaid': {
+            return `Overpaid, received ${received}, but only ${amount} was requested`;
+        }
+        case 'expired': {
+            return paymentRequest.received === 0
+                ? 'Expired without being paid'
+                : `Expired after receiving ${received} of ${amount}`;
+        }
+    }
+}
+
+/**
+ * Finds the open payment request this incoming transaction pays, if any,
+ * and records the payment against it. Returns the updated request, or
+ * undefined if it doesn't match one.
+ */
+export function matchPaymentRequest(transaction) {
+    if (!transaction.paymentID) {
+        return undefined;
+    }
+
+    const paymentRequest = Globals.paymentRequests.find((r) => r.paymentID === transaction.paymentID);
+
+    if (paymentRequest === undefined) {
+        return undefined;
+    }
+
+    /* Already counted this one */
+    if (paymentRequest.hashes.includes(transaction.hash)) {
+        return undefined;
+    }
+
+    if (getPaymentRequestStatus(paymentRequest) === 'expired') {
+        Globals.logger.addLogMessage(
+            `Transaction ${transaction.hash} matches payment request ${paymentRequest.paymentID}, but it has expired`
+        );
+
+        return undefined;
+    }
+
+    const updated = {
+        ...paymentRequest,
+        received: paymentRequest.received + transaction.totalAmount(),
+        hashes: [...paymentRequest.hashes, transaction.hash],
+    };
+
+    updated.status = paymentStatus(updated);
+
+    Globals.savePaymentRequest(updated);
+
+    Globals.logger.addLogMessage(
+        `Transaction ${transaction.hash} paid payment request ${paymentRequest.paymentID}, status is now ${updated.status}`
+    );
+
+    return updated;
+}
@@ -0,0 +1,166 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { saveToDatabase } from './Database';
+import { makeDaemon, getActiveNode } from './Nodes';
+
+/**
+ * Keep track of when the transaction with the given hash was sent, and the
+ * raw transaction, if we have it, so we can send it again
+ */
+export function addPendingTransaction(hash, rawTransaction) {
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    Globals.addPendingTransaction({
+        hash,
+        rawTransaction,
+        sentAt: Date.now(),
+        sentHeight: networkHeight,
+    });
+}
+
+/**
+ * Start keeping track of when the fusion transactions the wallet backend
+ * sends were sent. It throws the raw transactions away, so these can't be
+ * sent again. The transactions we send ourselves are added as we send them.
+ */
+export function trackPendingTransactions() {
+    Globals.wallet.on('createdfusiontx', (transaction) => addPendingTransaction(transaction.hash, undefined));
+}
+
+/**
+ * Forget about transactions which have made it into a block, or been
+ * cancelled
+ */
+export function prunePendingTransactions() {
+    const unconfirmed = Globals.wallet.subWallets.getLockedTransactionHashes();
+
+    for (const pending of Globals.pendingTransactions.slice()) {
+        if (!unconfirmed.includes(pending.hash)) {
+            Globals.removePendingTransaction(pending.hash);
+        }
+    }
+}
+
+/**
+ * Every transaction we've sent that isn't in a block yet, newest first.
+ *
+ * Returns a list of { transaction, amount, sentAt, blocksWaited, stuck,
+ * canRebroadcast }. sentAt and blocksWaited are undefined for transactions
+ * we didn't see being sent, like ones sent before updating.
+ */
+export function getPendingTransactions() {
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    return Globals.wallet.subWallets.getUnconfirmedTransactions().slice().reverse().map((transaction) => {
+        const pending = Globals.pendingTransactions.find((item) => item.hash === transaction.hash);
+
+        const blocksWaited = pending ? Math.max(networkHeight - pending.sentHeight, 0) : undefined;
+
+        return {
+            transaction,
+            /* Includes the fee. Zero for fusion transactions. */
+            amount: -transaction.totalAmount(),
+            sentAt: pending ? pending.sentAt : undefined,
+            blocksWaited,
+            stuck: blocksWaited >= Config.pendingTransactionWarningBlocks,
+            canRebroadcast: pending !== undefined && pending.rawTransaction !== undefined,
+        };
+    });
+}
+
+export function getPendingTransaction(hash) {
+    return getPendingTransactions().find((pending) => pending.transaction.hash === hash);
+}
+
+/**
+ * How much is on its way out of the wallet, fees included
+ */
+export function getPendingOutgoingAmount() {
+    return _.sumBy(getPendingTransactions(), 'amount');
+}
+
+/**
+ * Send a transaction that hasn't made it into a block to the node again.
+ *
+ * Returns [true, undefined] or [undefined, error]
+ */
+export async function rebroadcastTransaction(hash) {
+    const pending = Globals.pendingTransactions.find((item) => item.hash === hash);
+
+    if (pending === undefined || pending.rawTransaction === undefined) {
+        return [undefined, 'This transaction was not sent from this device, so it can\'t be sent again.'];
+    }
+
+    let success;
+
+    try {
+        const daemon = makeDaemon(getActiveNode());
+
+        await daemon.init();
+
+        success = await daemon.sendTransaction(pending.rawTransaction);
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to rebroadcast transaction: ' + err);
+        return [undefined, 'Failed to send the transaction to the node.'];
+    }
+
+    if (!success) {
+        return [undefined, 'The node rejected the transaction. It may still be waiting to go in a block, or its funds may have been spent.'];
+    }
+
+    /* Give it another Config.pendingTransactionWarningBlocks before warning
+       again. We keep when it was first sent. */
+    const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+    Globals.removePendingTransaction(hash);
+
+    Globals.addPendingTransaction({
+        ...pending,
+        sentHeight: networkHeight,
+    });
+
+    return [true, undefined];
+}
+
+/**
+ * Whether the node has forgotten about the transaction - it's not in a block,
+ * or waiting to go in one. If so, it won't confirm unless it's sent again.
+ */
+export async function isTransactionDropped(hash) {
+    try {
+        const daemon = makeDaemon(getActiveNode());
+
+        await daemon.init();
+
+        const unknown = await daemon.getCancelledTransactions([hash]);
+
+        return unknown.includes(hash);
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to get transaction status: ' + err);
+        return false;
+    }
+}
+
+/**
+ * Stop waiting for a transaction to go in a block, and make the funds it
+ * spent available again. If it does make it into a block after all, the
+ * wallet will pick it up as normal when syncing.
+ */
+export async function cancelPendingTransaction(hash) {
+    Globals.wallet.subWallets.removeCancelledTransaction(hash);
+
+    Globals.removePendingTransaction(hash);
+
+    try {
+        await saveToDatabase(Globals.wallet);
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to save wallet after cancelling transaction: ' + err);
+    }
+}
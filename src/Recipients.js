@@ -24,6 +24,7 @@ import List from './ListContainer';
 
 import { Styles } from './Styles';
 import { Globals } from './Globals';
+import { splitPayeeAddress, isViewWallet } from './Utilities';
 import { Hr, BottomButton } from './SharedComponents';
 
 export class RecipientsScreen extends React.Component {
@@ -362,7 +363,9 @@ export class ModifyPayeeScreen extends React.Component {
     constructor(props) {
         super(props);
 
-        const { address, nickname, paymentID } = this.props.navigation.state.params.payee;
+        /* Payees saved before we split integrated addresses may still have
+           one, show the address and payment ID separately */
+        const { address, nickname, paymentID } = splitPayeeAddress(this.props.navigation.state.params.payee);
 
         this.state = {
             address,
@@ -573,22 +576,29 @@ export class ModifyPayeeScreen extends React.Component {
                                 onChange={(text) => {
                                     const [valid, error] = isAddressValid(text);
 
+                                    const integrated = text.length === Config.integratedAddressLength;
+
                                     const shared = {
                                         address: text,
                                         addressError: error,
                                         addressValid: valid,
 
                                         /* Disable and reset payment ID if integrated address */
-                                        paymentID: text.length === Config.integratedAddressLength ? '' : this.state.paymentID,
-                                        paymentIDError: text.length === Config.integratedAddressLength ? '' : this.state.paymentIDError,
-                                        paymentIDValid: text.length === Config.integratedAddressLength ? true : this.state.paymentIDValid,
-                                        paymentIDEnabled: text.length !== Config.integratedAddressLength,
+                                        paymentID: integrated ? '' : this.state.paymentID,
+                                        paymentIDError: integrated ? '' : this.state.paymentIDError,
+                                        paymentIDValid: integrated ? true : this.state.paymentIDValid,
+                                        paymentIDEnabled: !integrated,
                                     };
 
                                     if (valid) {
+                                        /* Show the payment ID the integrated address contains */
+                                        const split = splitPayeeAddress({ address: text, paymentID: this.state.newPaymentID });
+
                                         this.setState({
-                                            newAddress: text,
                                             ...shared,
+                                            newAddress: text,
+                                            paymentID: integrated ? split.paymentID : shared.paymentID,
+                                            newPaymentID: split.paymentID,
                                         });
                                     } else {
                                         this.setState(shared);
@@ -674,6 +684,29 @@ export class ModifyPayeeScreen extends React.Component {
                             </Text>
                         }
                     </View>
+
+                    {!isViewWallet() &&
+                        <View style={{ marginHorizontal: 20, marginTop: 15 }}>
+                            <Button
+                                title='Schedule a payment'
+                                onPress={() => {
+                                    this.props.navigation.navigate('SchedulePayment', {
+                                        payee: {
+                                            nickname: this.state.initialNickname,
+                                            address: this.state.initialAddress,
+                                            paymentID: this.state.initialPaymentID,
+                                        },
+                                    });
+                                }}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    textDecorationLine: 'underline',
+                                    fontSize: 15,
+                                }}
+                                type="clear"
+                            />
+                        </View>
+                    }
                 </ScrollView>
 
                 <View style={{
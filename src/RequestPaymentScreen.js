@@ -0,0 +1,481 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import QRCode from 'react-native-qrcode-svg';
+
+import {
+    View, Text, ScrollView, Switch, Share, Alert, Button as RNEButton,
+} from 'react-native';
+
+import { Input } from 'react-native-elements';
+
+import { createIntegratedAddress } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+import Constants from './Constants';
+
+import ListItem from './ListItem';
+import List from './ListContainer';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { toAtomic, fromAtomic } from './Fee';
+import { BottomButton, CopyButton } from './SharedComponents';
+import { addPaymentRequest, describePaymentRequest } from './PaymentRequests';
+import {
+    createPaymentURI, generatePaymentID, prettyPrintUnixTimestamp,
+} from './Utilities';
+
+/**
+ * Build a payment request - a QR code and link containing our address, and
+ * optionally an amount, payment ID and label, for someone to pay us with.
+ */
+export class RequestPaymentScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            amount: '',
+            amountError: '',
+            fiatAmount: false,
+            usePaymentID: false,
+            integratedAddress: false,
+            paymentID: generatePaymentID(),
+            name: '',
+            expiryDays: Config.paymentRequestExpiryDays.toString(),
+            expiryError: '',
+        };
+    }
+
+    checkExpiry(expiryDays) {
+        if (expiryDays.trim() === '') {
+            return [true, ''];
+        }
+
+        const days = Number(expiryDays);
+
+        if (!Number.isInteger(days) || days < 1) {
+            return [false, 'Expiry must be a whole number of days, or blank for never.'];
+        }
+
+        return [true, ''];
+    }
+
+    /* Requests with a payment ID can be matched up with the payment, so
+       remember them */
+    trackRequest(amountAtomic) {
+        if (!this.state.usePaymentID) {
+            return;
+        }
+
+        const expiry = this.state.expiryDays.trim() === ''
+            ? 0
+            : Date.now() + Number(this.state.expiryDays) * 24 * 60 * 60 * 1000;
+
+        addPaymentRequest(this.state.paymentID, amountAtomic, this.state.name.trim(), expiry);
+    }
+
+    /* The price of one coin in the users chosen currency, if we have it */
+    getCoinPrice() {
+        const price = (Globals.coinPrice || {})[Globals.preferences.currency];
+
+        return price > 0 ? price : undefined;
+    }
+
+    getCurrency() {
+        return Constants.currencies.find((c) => c.ticker === Globals.preferences.currency);
+    }
+
+    /**
+     * Converts the entered amount to atomic units, converting from fiat if
+     * needed. Returns [amount, error], amount is 0 if none is entered.
+     */
+    getAmountAtomic(amount, fiatAmount) {
+        amount = amount.replace(/,/g, '');
+
+        if (amount.trim() === '') {
+            return [0, ''];
+        }
+
+        let numAmount = Number(amount);
+
+        if (isNaN(numAmount) || numAmount < 0) {
+            return [0, 'Amount is not a valid number!'];
+        }
+
+        if (fiatAmount) {
+            numAmount /= this.getCoinPrice();
+        }
+
+        const atomic = toAtomic(numAmount);
+
+        if (atomic < 1) {
+            return [0, 'Amount is below the minimum!'];
+        }
+
+        return [atomic, ''];
+    }
+
+    render() {
+        const address = Globals.wallet.getPrimaryAddress();
+
+        const [amountAtomic] = this.getAmountAtomic(this.state.amount, this.state.fiatAmount);
+
+        const coinPrice = this.getCoinPrice();
+        const currency = this.getCurrency();
+
+        let requestAddress = address;
+        let requestPaymentID = undefined;
+
+        if (this.state.usePaymentID) {
+            if (this.state.integratedAddress) {
+                requestAddress = createIntegratedAddress(address, this.state.paymentID, Config);
+            } else {
+                requestPaymentID = this.state.paymentID;
+            }
+        }
+
+        const uri = createPaymentURI(
+            requestAddress, amountAtomic, requestPaymentID, this.state.name.trim(),
+        );
+
+        const inputProps = {
+            containerStyle: {
+                width: '90%',
+                marginLeft: 20,
+                marginBottom: 20,
+            },
+            inputContainerStyle: {
+                borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                borderWidth: 1,
+                borderRadius: 2,
+            },
+            labelStyle: {
+                marginBottom: 5,
+                marginRight: 2,
+                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            },
+            inputStyle: {
+                color: this.props.screenProps.theme.primaryColour,
+                fontSize: 15,
+                marginLeft: 5
+            },
+        };
+
+        const toggleTextStyle = {
+            fontSize: 15,
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginTop: 60,
+                        marginHorizontal: 30,
+                        marginBottom: 20,
+                    }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Request a payment
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Anyone who scans this QR code, or opens the link, will have the details filled in for them.
+                        </Text>
+                    </View>
+
+                    <View style={{ alignItems: 'center', marginBottom: 10 }}>
+                        <View style={{ padding: 5, backgroundColor: this.props.screenProps.theme.qrCode.backgroundColour }}>
+                            <QRCode
+                                value={uri}
+                                size={200}
+                                backgroundColor={this.props.screenProps.theme.qrCode.backgroundColour}
+                                color={this.props.screenProps.theme.qrCode.foregroundColour}
+                            />
+                        </View>
+
+                        <Text style={[Styles.centeredText, {
+                            color: this.props.screenProps.theme.primaryColour,
+                            fontSize: 13,
+                            marginTop: 10,
+                            marginHorizontal: 20,
+                        }]}>
+                            {uri}
+                        </Text>
+
+                        <CopyButton
+                            data={uri}
+                            name='Payment link'
+                            {...this.props}
+                        />
+                    </View>
+
+                    <Input
+                        {...inputProps}
+                        label={this.state.fiatAmount
+                            ? `Amount (${currency.symbol})`
+                            : `Amount (${Config.ticker})`}
+                        keyboardType={'number-pad'}
+                        value={this.state.amount}
+                        onChangeText={(text) => {
+                            const [, amountError] = this.getAmountAtomic(text, this.state.fiatAmount);
+
+                            this.setState({
+                                amount: text,
+                                amountError,
+                            });
+                        }}
+                        errorMessage={this.state.amountError}
+                    />
+
+                    {this.state.fiatAmount && amountAtomic > 0 &&
+                        <Text style={[toggleTextStyle, { marginLeft: 30, marginTop: -10, marginBottom: 20 }]}>
+                            {fromAtomic(amountAtomic)} {Config.ticker}
+                        </Text>
+                    }
+
+                    {coinPrice !== undefined &&
+                        <View style={{ flexDirection: 'row', marginRight: 20, marginLeft: 30, marginBottom: 20 }}>
+                            <Switch
+                                value={this.state.fiatAmount}
+                                onValueChange={(value) => {
+                                    /* Keep the same amount in coins when swapping */
+                                    let amount = this.state.amount;
+
+                                    if (amountAtomic > 0) {
+                                        const coins = amountAtomic / (10 ** Config.decimalPlaces);
+
+                                        amount = value
+                                            ? (coins * coinPrice).toFixed(2)
+                                            : coins.toFixed(Config.decimalPlaces);
+                                    }
+
+                                    this.setState({
+                                        fiatAmount: value,
+                                        amount,
+                                        amountError: this.getAmountAtomic(amount, value)[1],
+                                    });
+                                }}
+                                style={{ marginRight: 15 }}
+                            />
+
+                            <View style={{ flex: 1 }}>
+                                <Text style={toggleTextStyle}>
+                                    Enter the amount in {currency.ticker.toUpperCase()}
+                                </Text>
+                            </View>
+                        </View>
+                    }
+
+                    <Input
+                        {...inputProps}
+                        label={'Label (Optional)'}
+                        value={this.state.name}
+                        onChangeText={(text) => {
+                            this.setState({
+                                name: text,
+                            });
+                        }}
+                    />
+
+                    <View style={{ flexDirection: 'row', marginRight: 20, marginLeft: 30, marginBottom: 20 }}>
+                        <Switch
+                            value={this.state.usePaymentID}
+                            onValueChange={(value) => {
+                                this.setState({
+                                    usePaymentID: value,
+                                });
+                            }}
+                            style={{ marginRight: 15 }}
+                        />
+
+                        <View style={{ flex: 1 }}>
+                            <Text style={toggleTextStyle}>
+                                Include a payment ID, so you can tell which payment this is
+                            </Text>
+                        </View>
+                    </View>
+
+                    {this.state.usePaymentID &&
+                        <View>
+                            <View style={{ flexDirection: 'row', marginRight: 20, marginLeft: 30, marginBottom: 20 }}>
+                                <Switch
+                                    value={this.state.integratedAddress}
+                                    onValueChange={(value) => {
+                                        this.setState({
+                                            integratedAddress: value,
+                                        });
+                                    }}
+                                    style={{ marginRight: 15 }}
+                                />
+
+                                <View style={{ flex: 1 }}>
+                                    <Text style={toggleTextStyle}>
+                                        Combine the payment ID and address into an integrated address
+                                    </Text>
+                                </View>
+                            </View>
+
+                            <Input
+                                {...inputProps}
+                                label={'Expires after (days, blank for never)'}
+                                keyboardType={'number-pad'}
+                                value={this.state.expiryDays}
+                                onChangeText={(text) => {
+                                    const [, expiryError] = this.checkExpiry(text);
+
+                                    this.setState({
+                                        expiryDays: text,
+                                        expiryError,
+                                    });
+                                }}
+                                errorMessage={this.state.expiryError}
+                            />
+
+                            <Text style={[toggleTextStyle, { marginHorizontal: 30, marginBottom: 10 }]}>
+                                Payment ID: {this.state.paymentID}
+                            </Text>
+
+                            <Text style={[toggleTextStyle, { marginHorizontal: 30, marginBottom: 10 }]}>
+                                Once shared, we'll let you know when this request is paid.
+                            </Text>
+
+                            <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                                <RNEButton
+                                    title="Generate a new payment ID"
+                                    onPress={() => {
+                                        this.setState({
+                                            paymentID: generatePaymentID(),
+                                        });
+                                    }}
+                                    color={this.props.screenProps.theme.primaryColour}
+                                />
+                            </View>
+                        </View>
+                    }
+
+                    <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                        <RNEButton
+                            title="View payment requests"
+                            onPress={() => this.props.navigation.navigate('PaymentRequests')}
+                            color={this.props.screenProps.theme.primaryColour}
+                        />
+                    </View>
+                </ScrollView>
+
+                <BottomButton
+                    title="Share"
+                    onPress={() => {
+                        this.trackRequest(amountAtomic);
+
+                        Share.share({
+                            title: `${Config.coinName} payment request`,
+                            message: uri,
+                        });
+                    }}
+                    disabled={this.state.amountError !== '' || (this.state.usePaymentID && this.state.expiryError !== '')}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Payment requests we've shared, and whether they've been paid
+ */
+export class PaymentRequestsScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            paymentRequests: Globals.paymentRequests,
+        };
+    }
+
+    removeRequest(paymentRequest) {
+        Alert.alert(
+            'Stop tracking payment request?',
+            'Payments to this request will no longer be recorded against it.',
+            [
+                {text: 'Remove', onPress: () => {
+                    Globals.removePaymentRequest(paymentRequest.paymentID);
+
+                    this.setState({
+                        paymentRequests: [...Globals.paymentRequests],
+                    });
+                }},
+                {text: 'Cancel', style: 'cancel'},
+            ],
+        );
+    }
+
+    render() {
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <View style={{
+                    alignItems: 'flex-start',
+                    justifyContent: 'flex-start',
+                    marginTop: 60,
+                    marginHorizontal: 30,
+                    marginBottom: 10,
+                }}>
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                        Payment requests
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                        {this.state.paymentRequests.length === 0
+                            ? 'Requests you share with a payment ID will show up here.'
+                            : 'Long press a request to stop tracking it.'}
+                    </Text>
+                </View>
+
+                <List style={{
+                    backgroundColor: this.props.screenProps.theme.backgroundColour,
+                    marginBottom: 10,
+                }}>
+                    {this.state.paymentRequests.map((paymentRequest) => (
+                        <ListItem
+                            key={paymentRequest.paymentID}
+                            title={paymentRequest.label || paymentRequest.paymentID}
+                            subtitle={
+                                (paymentRequest.amount === 0
+                                    ? 'Any amount'
+                                    : `${fromAtomic(paymentRequest.amount)} ${Config.ticker}`) +
+                                ` - created ${prettyPrintUnixTimestamp(paymentRequest.created / 1000)}\n` +
+                                describePaymentRequest(paymentRequest)
+                            }
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                            }}
+                            subtitleStyle={{
+                                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            }}
+                            onLongPress={() => this.removeRequest(paymentRequest)}
+                        />
+                    ))}
+                </List>
+            </View>
+        );
+    }
+}
@@ -0,0 +1,397 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import { View, Text, ScrollView, Share, Clipboard } from 'react-native';
+
+import { Input, Button } from 'react-native-elements';
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { toAtomic } from './Fee';
+import { delay } from './Utilities';
+import { BottomButton, CopyButton } from './SharedComponents';
+import { createReserveProof, verifyReserveProof } from './ReserveProofs';
+
+const inputProps = (theme) => {
+    return {
+        containerStyle: {
+            width: '90%',
+            marginLeft: 20,
+            marginBottom: 20,
+        },
+        inputContainerStyle: {
+            borderColor: theme.notVeryVisibleColour,
+            borderWidth: 1,
+            borderRadius: 2,
+        },
+        labelStyle: {
+            marginBottom: 5,
+            marginRight: 2,
+            color: theme.slightlyMoreVisibleColour,
+        },
+        inputStyle: {
+            color: theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        },
+        autoCapitalize: 'none',
+        autoCorrect: false,
+    };
+};
+
+/**
+ * Prove we own at least a given amount, without giving away any keys
+ */
+export class ReserveProofScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            amount: '',
+            amountError: '',
+            message: '',
+            proof: undefined,
+            creating: false,
+            error: '',
+        };
+    }
+
+    checkAmount(amount) {
+        if (amount === '') {
+            return [true, ''];
+        }
+
+        const numAmount = Number(amount.replace(/,/g, ''));
+
+        if (isNaN(numAmount) || numAmount < 0) {
+            return [false, 'Amount is not a number!'];
+        }
+
+        return [true, ''];
+    }
+
+    async create() {
+        this.setState({
+            creating: true,
+            proof: undefined,
+            error: '',
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const amount = this.state.amount === ''
+            ? 0
+            : toAtomic(Number(this.state.amount.replace(/,/g, '')));
+
+        const [proof, error] = await createReserveProof(amount, this.state.message);
+
+        this.setState({
+            proof,
+            error: error || '',
+            creating: false,
+        });
+    }
+
+    render() {
+        const [amountValid] = this.checkAmount(this.state.amount);
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Prove your reserves
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Create a proof that you own at least this much, for an auditor to check. It doesn't
+                            reveal your keys, but anyone with it can see when the funds in it are spent.
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={`Amount (${Config.ticker}) - leave blank to prove your whole balance`}
+                        keyboardType={'number-pad'}
+                        value={this.state.amount}
+                        onChangeText={(text) => {
+                            const [, amountError] = this.checkAmount(text);
+
+                            this.setState({
+                                amount: text,
+                                amountError,
+                                proof: undefined,
+                            });
+                        }}
+                        errorMessage={this.state.amountError}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Message (optional) - e.g. the auditor and date'}
+                        value={this.state.message}
+                        onChangeText={(text) => {
+                            this.setState({
+                                message: text,
+                                proof: undefined,
+                            });
+                        }}
+                    />
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+
+                    {this.state.proof !== undefined &&
+                        <View style={{ marginHorizontal: 30 }}>
+                            <Text selectable numberOfLines={6} style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 13 }}>
+                                {this.state.proof}
+                            </Text>
+
+                            <CopyButton
+                                data={this.state.proof}
+                                name='Reserve proof'
+                                {...this.props}
+                            />
+
+                            <Button
+                                title='Share'
+                                onPress={() => {
+                                    Share.share({
+                                        title: `${Config.coinName} reserve proof`,
+                                        message: this.state.proof,
+                                    });
+                                }}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    textDecorationLine: 'underline',
+                                }}
+                                containerStyle={{
+                                    marginLeft: -8,
+                                    alignItems: 'flex-start',
+                                }}
+                                type="clear"
+                            />
+                        </View>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title={this.state.creating ? 'Creating...' : 'Create Proof'}
+                    onPress={() => this.create()}
+                    disabled={this.state.creating || !amountValid}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Check a reserve proof someone has given us against the chain
+ */
+export class VerifyReserveProofScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            proof: '',
+            verifying: false,
+            progress: '',
+            result: undefined,
+            error: '',
+        };
+
+        this.cancelled = false;
+    }
+
+    componentWillUnmount() {
+        /* Stop fetching blocks if they leave the screen */
+        this.cancelled = true;
+    }
+
+    async verify() {
+        this.cancelled = false;
+
+        this.setState({
+            verifying: true,
+            result: undefined,
+            error: '',
+            progress: 'Checking signatures...',
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        const [result, error] = await verifyReserveProof(this.state.proof, (blocksChecked, blocksToCheck) => {
+            if (this.cancelled) {
+                return;
+            }
+
+            this.setState({
+                progress: `Checking for spends, block ${blocksChecked} of ${blocksToCheck}...`,
+            });
+        }, () => this.cancelled);
+
+        if (this.cancelled) {
+            return;
+        }
+
+        this.setState({
+            result,
+            error: error || '',
+            verifying: false,
+            progress: '',
+        });
+    }
+
+    render() {
+        const textStyle = {
+            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            fontSize: 14,
+            marginBottom: 5,
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Verify reserve proof
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Check how much someone owns using their reserve proof. This has to look through the
+                            blocks since their funds were received, up to the last 30 days, so it may take a while.
+                        </Text>
+
+                        <Button
+                            title='Paste from clipboard'
+                            onPress={async () => {
+                                this.setState({
+                                    proof: await Clipboard.getString(),
+                                    result: undefined,
+                                    error: '',
+                                });
+                            }}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                textDecorationLine: 'underline',
+                            }}
+                            containerStyle={{
+                                marginLeft: -8,
+                                alignItems: 'flex-start',
+                            }}
+                            type="clear"
+                        />
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Reserve proof'}
+                        multiline={true}
+                        numberOfLines={4}
+                        value={this.state.proof}
+                        onChangeText={(text) => {
+                            this.setState({
+                                proof: text,
+                                result: undefined,
+                                error: '',
+                            });
+                        }}
+                    />
+
+                    {this.state.progress !== '' &&
+                        <Text style={[textStyle, { marginHorizontal: 30 }]}>
+                            {this.state.progress}
+                        </Text>
+                    }
+
+                    {this.state.error !== '' &&
+                        <Text style={{ color: 'red', fontSize: 15, marginHorizontal: 30 }}>
+                            {this.state.error}
+                        </Text>
+                    }
+
+                    {this.state.result !== undefined &&
+                        <View style={{ marginHorizontal: 30 }}>
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 20, marginBottom: 10 }}>
+                                {this.state.result.unspent > 0 || this.state.result.unverified === 0
+                                    ? `Proves ${prettyPrintAmount(this.state.result.unspent, Config)} unspent`
+                                    : `${prettyPrintAmount(this.state.result.unverified, Config)} unverified`}
+                            </Text>
+
+                            {this.state.result.message !== '' &&
+                                <Text style={textStyle}>
+                                    Message: {this.state.result.message}
+                                </Text>
+                            }
+
+                            <Text style={textStyle}>
+                                Outputs: {this.state.result.outputs}
+                            </Text>
+
+                            {this.state.result.unverified > 0 &&
+                                <Text style={[textStyle, { color: 'orange' }]}>
+                                    {prettyPrintAmount(this.state.result.unverified, Config)} is unverified. It's in
+                                    outputs older than 30 days, and only spends since block
+                                    {' ' + this.state.result.scannedFromHeight} were checked, so it may have been
+                                    spent before then.
+                                </Text>
+                            }
+
+                            {this.state.result.spentOutputs > 0 &&
+                                <Text style={[textStyle, { color: 'orange' }]}>
+                                    {this.state.result.spentOutputs} of the outputs, worth
+                                    {' ' + prettyPrintAmount(this.state.result.spent, Config)},
+                                    have already been spent.
+                                </Text>
+                            }
+                        </View>
+                    }
+                </ScrollView>
+
+                <BottomButton
+                    title={this.state.verifying ? 'Cancel' : 'Verify'}
+                    onPress={() => {
+                        if (this.state.verifying) {
+                            this.cancelled = true;
+
+                            this.setState({
+                                verifying: false,
+                                progress: '',
+                                error: 'Verification was cancelled.',
+                            });
+                        } else {
+                            this.verify();
+                        }
+                    }}
+                    disabled={!this.state.verifying && this.state.proof.trim() === ''}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
@@ -0,0 +1,290 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import * as _ from 'lodash';
+
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+import { generateKeyImage } from 'plenteum-wallet-backend/dist/lib/CryptoWrapper';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { makeDaemon, getActiveNode } from './Nodes';
+import { generateRingSignatures, checkRingSignatures } from './Ed25519';
+
+/* Bump this if the format of reserve proofs changes */
+const RESERVE_PROOF_VERSION = 1;
+
+/* How many blocks to fetch at once when checking for spends */
+const BLOCKS_PER_REQUEST = 100;
+
+/**
+ * The hash each output in a reserve proof signs, tying the signatures to the
+ * message and to every output in the proof
+ */
+function getProofHash(message, outputs) {
+    const data = Buffer.from(message, 'utf8').toString('hex')
+               + outputs.map((output) => output.key).join('');
+
+    return CryptoUtils(Config).cnFastHash(data);
+}
+
+/**
+ * Prove we own at least amount (atomic) of unspent funds, by signing over
+ * enough of our unspent outputs with their private keys. Each signature
+ * includes the outputs key image, so the verifier can check it's not
+ * been spent. Pass an amount of 0 to prove the whole balance.
+ *
+ * Returns [proof, undefined] or [undefined, error]
+ */
+export async function createReserveProof(amount, message) {
+    if (Globals.wallet.subWallets.isViewWallet) {
+        return [undefined, 'This wallet is view only, so it can\'t prove it owns its funds.'];
+    }
+
+    const privateViewKey = Globals.wallet.getPrivateViewKey();
+
+    let inputs = [];
+
+    for (const subWallet of Globals.wallet.subWallets.subWallets.values()) {
+        inputs = inputs.concat(subWallet.unspentInputs.map((input) => [input, subWallet]));
+    }
+
+    /* Use the biggest first, so the proof is as short as possible */
+    inputs = _.sortBy(inputs, ([input]) => -input.amount);
+
+    if (amount > 0) {
+        let total = 0;
+
+        inputs = _.takeWhile(inputs, ([input]) => {
+            const needMore = total < amount;
+            total += input.amount;
+            return needMore;
+        });
+
+        if (total < amount) {
+            return [undefined, 'You don\'t have that much unspent in this wallet.'];
+        }
+    }
+
+    if (inputs.length === 0) {
+        return [undefined, 'This wallet has no unspent funds to prove.'];
+    }
+
+    try {
+        const outputs = [];
+        const privateKeys = [];
+
+        for (const [input, subWallet] of inputs) {
+            const [keyImage, privateEphemeral] = await generateKeyImage(
+                input.transactionPublicKey, privateViewKey,
+                subWallet.publicSpendKey, subWallet.privateSpendKey,
+                input.transactionIndex, Config,
+            );
+
+            outputs.push({
+                hash: input.parentTransactionHash,
+                index: input.transactionIndex,
+                amount: input.amount,
+                key: input.key,
+                keyImage,
+            });
+
+            privateKeys.push(privateEphemeral);
+        }
+
+        const proofHash = getProofHash(message, outputs);
+
+        for (let i = 0; i < outputs.length; i++) {
+            /* A ring signature with just our key in the ring is an ordinary
+               signature, plus the key image */
+            const [signature] = generateRingSignatures(
+                proofHash, outputs[i].keyImage, [outputs[i].key], privateKeys[i], 0,
+            );
+
+            outputs[i].signature = signature;
+        }
+
+        const proof = {
+            version: RESERVE_PROOF_VERSION,
+            coinName: Config.coinName,
+            message,
+            outputs,
+        };
+
+        return [
+            Config.reserveProofPrefix + Buffer.from(JSON.stringify(proof), 'utf8').toString('base64'),
+            undefined,
+        ];
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to create reserve proof: ' + err);
+        return [undefined, err.toString()];
+    }
+}
+
+/**
+ * Returns [proof, undefined] or [undefined, error]
+ */
+export function parseReserveProof(text) {
+    text = text.trim();
+
+    if (!text.startsWith(Config.reserveProofPrefix)) {
+        return [undefined, 'This is not a reserve proof.'];
+    }
+
+    try {
+        const proof = JSON.parse(
+            Buffer.from(text.substr(Config.reserveProofPrefix.length), 'base64').toString('utf8')
+        );
+
+        if (proof.version !== RESERVE_PROOF_VERSION || proof.coinName !== Config.coinName) {
+            return [undefined, 'This reserve proof was made by a different version of the wallet.'];
+        }
+
+        if (!_.isArray(proof.outputs) || proof.outputs.length === 0 || typeof proof.message !== 'string') {
+            return [undefined, 'This reserve proof is corrupted.'];
+        }
+
+        return [proof, undefined];
+    } catch (err) {
+        return [undefined, 'This reserve proof is corrupted.'];
+    }
+}
+
+/**
+ * Check a reserve proof against the chain. The signatures prove whoever made
+ * it owns the outputs, the daemon tells us the outputs exist, and we look
+ * through the blocks since they were made to see if their key images have
+ * been spent.
+ *
+ * The last part can take a while, so progress is reported with
+ * onProgress(blocksChecked, blocksToCheck), and it stops as soon as
+ * isCancelled() returns true. At most Config.reserveProofMaxScanBlocks are
+ * checked - scannedFromHeight in the result is where we started. Outputs
+ * from before then which we didn't see spent count towards unverified, not
+ * unspent, since they may have been spent before we started looking.
+ *
+ * Returns [{ message, total, unspent, unverified, spent, outputs,
+ * spentOutputs, scannedFromHeight, outputsHeight }, undefined] or
+ * [undefined, error]
+ */
+export async function verifyReserveProof(text, onProgress = () => {}, isCancelled = () => false) {
+    const [proof, parseError] = parseReserveProof(text);
+
+    if (parseError) {
+        return [undefined, parseError];
+    }
+
+    const proofHash = getProofHash(proof.message, proof.outputs);
+
+    if (_.uniqBy(proof.outputs, 'keyImage').length !== proof.outputs.length) {
+        return [undefined, 'This reserve proof includes the same output more than once.'];
+    }
+
+    for (const output of proof.outputs) {
+        if (!checkRingSignatures(proofHash, output.keyImage, [output.key], [output.signature])) {
+            return [undefined, 'This reserve proof has an invalid signature.'];
+        }
+    }
+
+    const daemon = makeDaemon(getActiveNode());
+
+    /* The height of the block each transaction in the proof is in */
+    const heights = {};
+
+    try {
+        await daemon.init();
+
+        for (const [hash, outputs] of Object.entries(_.groupBy(proof.outputs, 'hash'))) {
+            const data = await daemon.makePostRequest('/json_rpc', {
+                jsonrpc: '2.0',
+                method: 'f_transaction_json',
+                params: {
+                    hash,
+                },
+            });
+
+            if (!data.result || !data.result.tx || !data.result.block) {
+                return [undefined, `Transaction ${hash} was not found.`];
+            }
+
+            for (const output of outputs) {
+                const onChain = data.result.tx.vout[output.index];
+
+                if (!onChain || onChain.target.data.key !== output.key || onChain.amount !== output.amount) {
+                    return [undefined, `Transaction ${hash} does not contain the output in the proof.`];
+                }
+            }
+
+            heights[hash] = data.result.block.height;
+        }
+    } catch (err) {
+        Globals.logger.addLogMessage('Failed to get transactions for reserve proof: ' + err);
+        return [undefined, 'Failed to get the transactions from the node.'];
+    }
+
+    const keyImages = new Set(proof.outputs.map((output) => output.keyImage));
+    const spentKeyImages = new Set();
+
+    const networkHeight = daemon.getNetworkBlockCount();
+
+    const outputsHeight = _.min(Object.values(heights));
+
+    /* Don't make thousands of requests for old outputs */
+    const scannedFromHeight = Math.max(outputsHeight, networkHeight - Config.reserveProofMaxScanBlocks);
+
+    const blocksToCheck = Math.max(networkHeight - scannedFromHeight, 0);
+
+    let startHeight = scannedFromHeight;
+
+    /* Look for our key images in every block since the outputs were made */
+    while (startHeight <= networkHeight) {
+        if (isCancelled()) {
+            return [undefined, 'Verification was cancelled.'];
+        }
+
+        onProgress(startHeight - scannedFromHeight, blocksToCheck);
+
+        let blocks;
+
+        try {
+            [blocks] = await daemon.getWalletSyncData([], startHeight, 0, BLOCKS_PER_REQUEST);
+        } catch (err) {
+            Globals.logger.addLogMessage('Failed to get blocks for reserve proof: ' + err);
+            blocks = [];
+        }
+
+        if (blocks.length === 0) {
+            return [undefined, 'Failed to get blocks from the node to check for spends.'];
+        }
+
+        for (const block of blocks) {
+            for (const transaction of block.transactions) {
+                for (const input of transaction.keyInputs) {
+                    if (keyImages.has(input.keyImage)) {
+                        spentKeyImages.add(input.keyImage);
+                    }
+                }
+            }
+        }
+
+        startHeight = _.last(blocks).blockHeight + 1;
+    }
+
+    const [spent, notSpent] = _.partition(proof.outputs, (output) => spentKeyImages.has(output.keyImage));
+
+    const [unspent, unverified] = _.partition(notSpent, (output) => heights[output.hash] >= scannedFromHeight);
+
+    return [{
+        message: proof.message,
+        total: _.sumBy(proof.outputs, 'amount'),
+        unspent: _.sumBy(unspent, 'amount'),
+        unverified: _.sumBy(unverified, 'amount'),
+        spent: _.sumBy(spent, 'amount'),
+        outputs: proof.outputs.length,
+        spentOutputs: spentKeyImages.size,
+        scannedFromHeight,
+        outputsHeight,
+    }, undefined];
+}
@@ -0,0 +1,335 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import PushNotification from 'react-native-push-notification';
+
+import { Alert, AppState } from 'react-native';
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import { Globals } from './Globals';
+import { addFee } from './Fee';
+import { sendTransactionWithOptions } from './AdvancedSend';
+import { Authenticate } from './Authenticate';
+import { isViewWallet, validAmount, toastPopUp } from './Utilities';
+
+/* How often to check for scheduled payments that need sending while the app
+   is open */
+const CHECK_FREQUENCY = 1000 * 60;
+
+/* How long to wait before trying a failed payment again */
+const RETRY_DELAY = 1000 * 60 * 60;
+
+const DAY = 1000 * 60 * 60 * 24;
+
+export const frequencies = {
+    once: 'Once',
+    daily: 'Every day',
+    weekly: 'Every week',
+    monthly: 'Every month',
+};
+
+/* Stops two runs sending the same payment twice */
+let running = false;
+
+/* The user said not now to sending the payments that are due - don't keep
+   asking until they next open the app */
+let postponed = false;
+
+/* Whether we're watching for the app coming back to the foreground */
+let listening = false;
+
+/**
+ * When the nth payment after start is due. Monthly payments stay on the
+ * same day of the month, or the last day of shorter months.
+ */
+function getOccurrence(start, frequency, n) {
+    if (frequency === 'daily') {
+        return start + n * DAY;
+    }
+
+    if (frequency === 'weekly') {
+        return start + n * DAY * 7;
+    }
+
+    const date = new Date(start);
+    const day = date.getDate();
+
+    date.setDate(1);
+    date.setMonth(date.getMonth() + n);
+
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+    date.setDate(Math.min(day, daysInMonth));
+
+    return date.getTime();
+}
+
+/**
+ * The first time this payment is due after now, or undefined if it doesn't
+ * repeat. If we missed some, they're skipped rather than all sent at once.
+ */
+function getNextRun(payment) {
+    if (payment.frequency === 'once') {
+        return undefined;
+    }
+
+    const now = Date.now();
+
+    let n = 1;
+
+    while (getOccurrence(payment.start, payment.frequency, n) <= now) {
+        n++;
+    }
+
+    return getOccurrence(payment.start, payment.frequency, n);
+}
+
+/**
+ * Schedule a payment of amount (atomic, what the recipient gets) to a
+ * payee, first sent at start (a unix timestamp in milliseconds)
+ */
+export function addScheduledPayment(payee, amount, memo, frequency, start) {
+    const payment = {
+        id: Date.now(),
+        nickname: payee.nickname,
+        address: payee.address,
+        paymentID: payee.paymentID || '',
+        amount,
+        memo,
+        frequency,
+        start,
+        nextRun: start,
+        lastAttempt: 0,
+        lastHash: '',
+        lastError: '',
+        reminded: 0,
+    };
+
+    Globals.saveScheduledPayment(payment);
+
+    return payment;
+}
+
+/**
+ * Payments that are due, and haven't failed too recently to try again
+ */
+export function getDueScheduledPayments() {
+    const now = Date.now();
+
+    return Globals.scheduledPayments.filter((payment) =>
+        payment.nextRun <= now && payment.lastAttempt + RETRY_DELAY <= now
+    );
+}
+
+function isSynced() {
+    const [walletHeight, localDaemonHeight, networkHeight] = Globals.wallet.getSyncStatus();
+
+    return networkHeight !== 0 && (walletHeight >= localDaemonHeight || walletHeight >= networkHeight);
+}
+
+/**
+ * Let the user know how a payment went. Uses a notification in the
+ * background, and a toast otherwise.
+ */
+function notify(title, message) {
+    if (AppState.currentState !== 'background') {
+        toastPopUp(title);
+        return;
+    }
+
+    if (!Globals.preferences.notificationsEnabled) {
+        return;
+    }
+
+    PushNotification.localNotification({
+        title,
+        message,
+        largeIcon: 'ic_notification_color',
+        smallIcon: 'ic_notification_color',
+    });
+}
+
+/**
+ * Send a scheduled payment now, and work out when it's next due.
+ *
+ * Returns [hash, undefined] or [undefined, error]
+ */
+async function runScheduledPayment(payment) {
+    const feeInfo = addFee(payment.amount / (10 ** Config.decimalPlaces));
+
+    const [unlockedBalance] = Globals.wallet.getBalance();
+
+    let hash;
+    let error;
+
+    const [enoughFunds, fundsError] = validAmount(feeInfo.original, unlockedBalance);
+
+    if (!enoughFunds) {
+        error = fundsError;
+    } else {
+        const payments = [[payment.address, feeInfo.remainingAtomic]];
+
+        if (feeInfo.devFeeAtomic > 0) {
+            payments.push([Config.devFeeAddress, feeInfo.devFeeAtomic]);
+        }
+
+        [hash, error] = await sendTransactionWithOptions(payments, payment.paymentID);
+    }
+
+    const name = `${prettyPrintAmount(payment.amount, Config)} to ${payment.nickname}`;
+
+    if (error) {
+        Globals.logger.addLogMessage('Failed to send scheduled payment: ' + error.toString());
+
+        Globals.saveScheduledPayment({
+            ...payment,
+            lastAttempt: Date.now(),
+            lastError: error.toString(),
+        });
+
+        notify(`Scheduled payment of ${name} failed`, error.toString());
+
+        return [undefined, error.toString()];
+    }
+
+    Globals.addTransactionDetails({
+        hash,
+        memo: payment.memo,
+        address: payment.address,
+        payee: payment.nickname,
+    });
+
+    const nextRun = getNextRun(payment);
+
+    if (nextRun === undefined) {
+        Globals.removeScheduledPayment(payment.id);
+    } else {
+        Globals.saveScheduledPayment({
+            ...payment,
+            nextRun,
+            lastAttempt: Date.now(),
+            lastHash: hash,
+            lastError: '',
+        });
+    }
+
+    notify(`Scheduled payment of ${name} sent`, `Transaction hash: ${hash}`);
+
+    return [hash, undefined];
+}
+
+/**
+ * Send every payment that's due. Needs the wallet to be synced, so we don't
+ * try and spend funds we've already spent.
+ */
+export async function runDueScheduledPayments() {
+    if (running || isViewWallet() || !isSynced()) {
+        return;
+    }
+
+    running = true;
+
+    try {
+        for (const payment of getDueScheduledPayments()) {
+            await runScheduledPayment(payment);
+        }
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Called from the background sync. We can't ask for the users PIN here, so
+ * if they want to confirm every send, just remind them to open the app.
+ */
+export async function runDueScheduledPaymentsInBackground() {
+    if (!Globals.preferences.authConfirmation) {
+        await runDueScheduledPayments();
+        return;
+    }
+
+    for (const payment of getDueScheduledPayments()) {
+        /* Only remind once each time it's due */
+        if (payment.reminded === payment.nextRun) {
+            continue;
+        }
+
+        Globals.saveScheduledPayment({
+            ...payment,
+            reminded: payment.nextRun,
+        });
+
+        notify(
+            `Scheduled payment to ${payment.nickname} is due`,
+            'Open the app to confirm sending it.',
+        );
+    }
+}
+
+/**
+ * Check for due payments while the app is open, asking the user to confirm
+ * first if they've turned that on
+ */
+function checkScheduledPayments(navigation) {
+    if (running || postponed || AppState.currentState !== 'active') {
+        return;
+    }
+
+    const due = getDueScheduledPayments();
+
+    if (due.length === 0 || isViewWallet() || !isSynced()) {
+        return;
+    }
+
+    if (!Globals.preferences.authConfirmation) {
+        runDueScheduledPayments();
+        return;
+    }
+
+    /* Don't ask again while the alert is up */
+    postponed = true;
+
+    Alert.alert(
+        'Scheduled payments due',
+        `${due.length} scheduled payment${due.length === 1 ? ' is' : 's are'} due. Send now?`,
+        [
+            {text: 'Send', onPress: () => {
+                Authenticate(
+                    navigation,
+                    'to send your scheduled payments',
+                    () => {
+                        navigation.navigate('Main');
+                        postponed = false;
+                        runDueScheduledPayments();
+                    }
+                );
+            }},
+            {text: 'Later', style: 'cancel'},
+        ],
+    );
+}
+
+/**
+ * Start checking for due payments while the app is open
+ */
+export function startScheduledPayments(navigation) {
+    if (!listening) {
+        /* Ask again for payments they put off, now they're back */
+        AppState.addEventListener('change', (state) => {
+            if (state === 'active') {
+                postponed = false;
+            }
+        });
+
+        listening = true;
+    }
+
+    /* Don't launch if already started */
+    if (Globals.scheduledPaymentsTimer === undefined) {
+        Globals.scheduledPaymentsTimer = setInterval(() => checkScheduledPayments(navigation), CHECK_FREQUENCY);
+    }
+}
@@ -0,0 +1,318 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import moment from 'moment';
+
+import { View, Text, ScrollView, Alert } from 'react-native';
+
+import { Input, Button } from 'react-native-elements';
+
+import { prettyPrintAmount } from 'plenteum-wallet-backend';
+
+import Config from './Config';
+
+import ListItem from './ListItem';
+import List from './ListContainer';
+
+import { Globals } from './Globals';
+import { toAtomic } from './Fee';
+import { BottomButton } from './SharedComponents';
+import { addScheduledPayment, frequencies } from './ScheduledPayments';
+import { prettyPrintUnixTimestamp, toastPopUp } from './Utilities';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const inputProps = (theme) => {
+    return {
+        containerStyle: {
+            width: '90%',
+            marginLeft: 20,
+            marginBottom: 20,
+        },
+        inputContainerStyle: {
+            borderColor: theme.notVeryVisibleColour,
+            borderWidth: 1,
+            borderRadius: 2,
+        },
+        labelStyle: {
+            marginBottom: 5,
+            marginRight: 2,
+            color: theme.slightlyMoreVisibleColour,
+        },
+        inputStyle: {
+            color: theme.primaryColour,
+            fontSize: 15,
+            marginLeft: 5
+        },
+        autoCapitalize: 'none',
+        autoCorrect: false,
+    };
+};
+
+/**
+ * Set up a payment to a payee, sent later, once or repeatedly
+ */
+export class SchedulePaymentScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            amount: '',
+            amountError: '',
+            memo: '',
+            frequency: 'monthly',
+            start: moment().format(DATE_FORMAT),
+            startError: '',
+        };
+    }
+
+    checkAmount(amount) {
+        const numAmount = Number(amount.replace(/,/g, ''));
+
+        if (amount === '' || isNaN(numAmount)) {
+            return [false, 'Amount is not a number!'];
+        }
+
+        if (toAtomic(numAmount) < 1) {
+            return [false, 'Amount is below minimum send!'];
+        }
+
+        return [true, ''];
+    }
+
+    checkStart(start) {
+        const date = moment(start, DATE_FORMAT, true);
+
+        if (!date.isValid()) {
+            return [false, `Date should look like ${moment().format(DATE_FORMAT)}`];
+        }
+
+        if (date.isBefore(moment(), 'day')) {
+            return [false, 'Date is in the past!'];
+        }
+
+        return [true, ''];
+    }
+
+    schedule() {
+        const { payee } = this.props.navigation.state.params;
+
+        /* Start of the day they picked - if that's today, it goes out straight away */
+        const start = moment(this.state.start, DATE_FORMAT, true).startOf('day').valueOf();
+
+        addScheduledPayment(
+            payee,
+            toAtomic(Number(this.state.amount.replace(/,/g, ''))),
+            this.state.memo,
+            this.state.frequency,
+            start,
+        );
+
+        toastPopUp('Payment scheduled');
+
+        this.props.navigation.goBack();
+    }
+
+    render() {
+        const { payee } = this.props.navigation.state.params;
+
+        const [amountValid] = this.checkAmount(this.state.amount);
+        const [startValid] = this.checkStart(this.state.start);
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <ScrollView style={{ flex: 1, marginBottom: 70 }}>
+                    <View style={{ marginTop: 60, marginHorizontal: 30, marginBottom: 20 }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Schedule a payment to {payee.nickname}
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            It will be sent when it's due, in the background or next time you open the app. If you
+                            confirm transactions with your PIN, you'll be asked for it first.
+                        </Text>
+                    </View>
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={`${payee.nickname} gets (${Config.ticker})`}
+                        keyboardType={'number-pad'}
+                        value={this.state.amount}
+                        onChangeText={(text) => {
+                            const [, amountError] = this.checkAmount(text);
+
+                            this.setState({
+                                amount: text,
+                                amountError,
+                            });
+                        }}
+                        errorMessage={this.state.amountError}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={'Notes (Optional)'}
+                        value={this.state.memo}
+                        onChangeText={(text) => {
+                            this.setState({
+                                memo: text,
+                            });
+                        }}
+                    />
+
+                    <Input
+                        {...inputProps(this.props.screenProps.theme)}
+                        label={`First payment on (${DATE_FORMAT})`}
+                        value={this.state.start}
+                        onChangeText={(text) => {
+                            const [, startError] = this.checkStart(text);
+
+                            this.setState({
+                                start: text,
+                                startError,
+                            });
+                        }}
+                        errorMessage={this.state.startError}
+                    />
+
+                    <View style={{ flexDirection: 'row', flexWrap: 'wrap', marginHorizontal: 22 }}>
+                        {Object.keys(frequencies).map((frequency) =>
+                            <Button
+                                key={frequency}
+                                title={frequencies[frequency]}
+                                onPress={() => {
+                                    this.setState({
+                                        frequency,
+                                    });
+                                }}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    fontSize: 13,
+                                    textDecorationLine: this.state.frequency === frequency ? 'none' : 'underline',
+                                    fontWeight: this.state.frequency === frequency ? 'bold' : 'normal',
+                                }}
+                                buttonStyle={{
+                                    borderColor: this.props.screenProps.theme.primaryColour,
+                                }}
+                                type={this.state.frequency === frequency ? 'outline' : 'clear'}
+                                containerStyle={{ marginRight: 5, marginBottom: 5 }}
+                            />
+                        )}
+                    </View>
+                </ScrollView>
+
+                <BottomButton
+                    title="Schedule"
+                    onPress={() => this.schedule()}
+                    disabled={!amountValid || !startValid}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Payments we've scheduled, and how they went last time
+ */
+export class ScheduledPaymentsScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            scheduledPayments: Globals.scheduledPayments,
+        };
+    }
+
+    removePayment(payment) {
+        Alert.alert(
+            'Cancel scheduled payment?',
+            `No more payments will be sent to ${payment.nickname} for this schedule.`,
+            [
+                {text: 'Cancel Payment', onPress: () => {
+                    Globals.removeScheduledPayment(payment.id);
+
+                    this.setState({
+                        scheduledPayments: [...Globals.scheduledPayments],
+                    });
+                }},
+                {text: 'Keep', style: 'cancel'},
+            ],
+        );
+    }
+
+    describePayment(payment) {
+        let description = `${frequencies[payment.frequency]}, next on ${prettyPrintUnixTimestamp(payment.nextRun / 1000)}`;
+
+        if (payment.lastError !== '') {
+            description += `\nLast attempt failed: ${payment.lastError}`;
+        } else if (payment.lastHash !== '') {
+            description += `\nLast sent ${prettyPrintUnixTimestamp(payment.lastAttempt / 1000)}`;
+        }
+
+        return description;
+    }
+
+    render() {
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <View style={{
+                    alignItems: 'flex-start',
+                    justifyContent: 'flex-start',
+                    marginTop: 60,
+                    marginHorizontal: 30,
+                    marginBottom: 10,
+                }}>
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                        Scheduled payments
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                        {this.state.scheduledPayments.length === 0
+                            ? 'Schedule a payment from a recipient in your address book.'
+                            : 'Long press a payment to cancel it.'}
+                    </Text>
+                </View>
+
+                <List style={{
+                    backgroundColor: this.props.screenProps.theme.backgroundColour,
+                    marginBottom: 10,
+                }}>
+                    {this.state.scheduledPayments.map((payment) => (
+                        <ListItem
+                            key={payment.id}
+                            title={`${prettyPrintAmount(payment.amount, Config)} to ${payment.nickname}`}
+                            subtitle={this.describePayment(payment)}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                            }}
+                            subtitleStyle={{
+                                color: payment.lastError !== ''
+                                    ? 'red'
+                                    : this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            }}
+                            onLongPress={() => this.removePayment(payment)}
+                        />
+                    ))}
+                </List>
+            </View>
+        );
+    }
+}
@@ -15,9 +15,11 @@ import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityI
 import SimpleLineIcons from 'react-native-vector-icons/SimpleLineIcons';
 
 import {
-    View, FlatList, Alert, Text, Linking, ScrollView, Platform
+    View, FlatList, Alert, Text, Linking, ScrollView, Platform,
 } from 'react-native';
 
+import { Input, Button } from 'react-native-elements';
+
 import NetInfo from "@react-native-community/netinfo";
 
 import Config from './Config';
@@ -27,10 +29,13 @@ import Constants from './Constants';
 
 import { Styles } from './Styles';
 import { Globals } from './Globals';
+import { writeBackupFile } from './Backup';
 import { Authenticate } from './Authenticate';
-import { SeedComponent, CopyButton } from './SharedComponents';
-import { savePreferencesToDatabase, setHaveWallet } from './Database';
-import { navigateWithDisabledBack, toastPopUp, getArrivalTime } from './Utilities';
+import { SeedComponent, CopyButton, BottomButton } from './SharedComponents';
+import { savePreferencesToDatabase, removeWalletFromDatabase, getCurrentWalletId } from './Database';
+import {
+    navigateWithDisabledBack, toastPopUp, getArrivalTime, delay, isViewWallet,
+} from './Utilities';
 
 export class FaqScreen extends React.Component {
     static navigationOptions = {
@@ -239,6 +244,7 @@ export class ExportKeysScreen extends React.Component {
             privateSpendKey,
             privateViewKey,
             mnemonicSeed,
+            viewOnly: isViewWallet(),
         }
     }
 
@@ -271,20 +277,60 @@ export class ExportKeysScreen extends React.Component {
                 <ScrollView style={{
                     flex: 1,
                 }}>
-                    <View style={{
-                        alignItems: 'flex-start',
-                        justifyContent: 'flex-start',
-                        marginTop: 60,
-                        marginLeft: 30,
-                    }}>
-                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
-                            Mnemonic Seed:
-                        </Text>
+                    {this.state.viewOnly &&
+                        <View style={{
+                            alignItems: 'flex-start',
+                            justifyContent: 'flex-start',
+                            marginTop: 60,
+                            marginLeft: 30,
+                        }}>
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                                Address:
+                            </Text>
 
-                        {this.state.mnemonicSeed === undefined ? noSeedComponent : seedComponent}
-                    </View>
+                            <Text style={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                marginRight: 20,
+                                marginBottom: 10,
+                                fontSize: 16,
+                            }}>
+                                This is a view only wallet, so it has no mnemonic seed or private spend
+                                key. Your address and private view key will restore it as a view only wallet.
+                            </Text>
 
-                    <View style={{
+                            <Text style={{
+                                fontSize: 12,
+                                marginRight: 30,
+                                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            }}>
+                                {Globals.wallet.getPrimaryAddress()}
+                            </Text>
+
+                            <CopyButton
+                                data={Globals.wallet.getPrimaryAddress()}
+                                name='Address'
+                                style={{ marginLeft: 0 }}
+                                {...this.props}
+                            />
+                        </View>
+                    }
+
+                    {!this.state.viewOnly &&
+                        <View style={{
+                            alignItems: 'flex-start',
+                            justifyContent: 'flex-start',
+                            marginTop: 60,
+                            marginLeft: 30,
+                        }}>
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                                Mnemonic Seed:
+                            </Text>
+
+                            {this.state.mnemonicSeed === undefined ? noSeedComponent : seedComponent}
+                        </View>
+                    }
+
+                    {!this.state.viewOnly && <View style={{
                         alignItems: 'flex-start',
                         justifyContent: 'flex-start',
                         marginTop: 10,
@@ -316,7 +362,7 @@ export class ExportKeysScreen extends React.Component {
                             {...this.props}
                         />
 
-                    </View>
+                    </View>}
 
                     <View style={{
                         alignItems: 'flex-start',
@@ -351,12 +397,217 @@ export class ExportKeysScreen extends React.Component {
                         />
 
                     </View>
+
+                    <View style={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginTop: 10,
+                        marginLeft: 30,
+                        marginBottom: 20,
+                    }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                            Reserve Proofs:
+                        </Text>
+
+                        <Text style={{
+                            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            marginRight: 20,
+                            fontSize: 14,
+                        }}>
+                            Prove you own at least an amount, for example for an audit, without sharing these keys.
+                        </Text>
+
+                        {!this.state.viewOnly &&
+                            <Button
+                                title='Prove your reserves'
+                                onPress={() => this.props.navigation.navigate('ReserveProof')}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    textDecorationLine: 'underline',
+                                }}
+                                containerStyle={{
+                                    marginLeft: -8,
+                                }}
+                                type="clear"
+                            />
+                        }
+
+                        <Button
+                            title='Verify a reserve proof'
+                            onPress={() => this.props.navigation.navigate('VerifyReserveProof')}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                textDecorationLine: 'underline',
+                            }}
+                            containerStyle={{
+                                marginLeft: -8,
+                            }}
+                            type="clear"
+                        />
+                    </View>
                 </ScrollView>
             </View>
         );
     }
 }
 
+export class ExportBackupScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            password: '',
+            confirmPassword: '',
+            passwordError: '',
+            creatingBackup: false,
+        };
+    }
+
+    checkErrors(password, confirmPassword) {
+        let passwordError = '';
+
+        if (password !== '' && password.length < 8) {
+            passwordError = 'Password must be at least 8 characters.';
+        } else if (confirmPassword !== '' && password !== confirmPassword) {
+            passwordError = 'Passwords do not match.';
+        }
+
+        this.setState({
+            password,
+            confirmPassword,
+            passwordError,
+        });
+    }
+
+    async exportBackup() {
+        this.setState({
+            creatingBackup: true,
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        try {
+            const [path, error] = await writeBackupFile(this.state.password);
+
+            if (error) {
+                Alert.alert(
+                    'Failed to create backup',
+                    error,
+                    [
+                        {text: 'OK'},
+                    ]
+                );
+            } else {
+                Alert.alert(
+                    'Backup saved',
+                    `Your backup was saved to ${path}\n\nCopy it somewhere safe, off this device. ` +
+                    'To restore it, put the file back in the same folder and choose "Restore from backup" when opening the app.',
+                    [
+                        {text: 'OK'},
+                    ]
+                );
+            }
+        } catch (err) {
+            Globals.logger.addLogMessage('Failed to create backup: ' + err);
+
+            Alert.alert(
+                'Failed to create backup',
+                err.toString(),
+                [
+                    {text: 'OK'},
+                ]
+            );
+        }
+
+        this.setState({
+            creatingBackup: false,
+        });
+    }
+
+    render() {
+        const inputProps = {
+            containerStyle: {
+                width: '90%',
+                marginLeft: 20,
+                marginBottom: 30,
+            },
+            inputContainerStyle: {
+                borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                borderWidth: 1,
+                borderRadius: 2,
+            },
+            labelStyle: {
+                marginBottom: 5,
+                marginRight: 2,
+                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+            },
+            inputStyle: {
+                color: this.props.screenProps.theme.primaryColour,
+                fontSize: 15,
+                marginLeft: 5
+            },
+            secureTextEntry: true,
+            autoCapitalize: 'none',
+        };
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <View style={{
+                    alignItems: 'flex-start',
+                    justifyContent: 'flex-start',
+                    marginTop: 60,
+                    marginHorizontal: 30,
+                }}>
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                        Backup your wallet
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15, marginBottom: 30 }}>
+                        This saves a backup file of your wallet, recipients, transaction notes and settings, encrypted with the password below,
+                        to your {Platform.OS === 'android' ? 'Downloads folder' : 'app folder in the Files app'}.
+                        You'll need the password to restore it - it cannot be recovered if you forget it.
+                    </Text>
+                </View>
+
+                <Input
+                    {...inputProps}
+                    label={'Backup password'}
+                    value={this.state.password}
+                    onChangeText={(text) => this.checkErrors(text, this.state.confirmPassword)}
+                />
+
+                <Input
+                    {...inputProps}
+                    label={'Confirm backup password'}
+                    value={this.state.confirmPassword}
+                    onChangeText={(text) => this.checkErrors(this.state.password, text)}
+                    errorMessage={this.state.passwordError}
+                />
+
+                <BottomButton
+                    title={this.state.creatingBackup ? 'Encrypting...' : 'Create Backup'}
+                    onPress={() => this.exportBackup()}
+                    disabled={
+                        this.state.creatingBackup ||
+                        this.state.password === '' ||
+                        this.state.passwordError !== '' ||
+                        this.state.password !== this.state.confirmPassword
+                    }
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
+
 export class SwapCurrencyScreen extends React.Component {
     static navigationOptions = {
         title: '',
@@ -470,6 +721,126 @@ export class SettingsScreen extends React.Component {
                                     }
                                 },
                             },
+                            {
+                                title: 'Backup Wallet',
+                                description: 'Create an encrypted backup of everything',
+                                icon: {
+                                    iconName: 'backup-restore',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => {
+                                    if (Globals.preferences.authConfirmation) {
+                                        Authenticate(
+                                            this.props.navigation,
+                                            'to backup your wallet',
+                                            () => {
+                                                this.props.navigation.dispatch(navigateWithDisabledBack('Settings'));
+                                                this.props.navigation.navigate('ExportBackup');
+                                            }
+                                        );
+                                    } else {
+                                        this.props.navigation.navigate('ExportBackup');
+                                    }
+                                },
+                            },
+                            {
+                                title: 'Integrated Addresses',
+                                description: 'Create or decode an integrated address',
+                                icon: {
+                                    iconName: 'qrcode-edit',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('IntegratedAddress') },
+                            },
+                            {
+                                title: 'Export Transactions',
+                                description: 'Export your transaction history as CSV or JSON',
+                                icon: {
+                                    iconName: 'file-export',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('ExportTransactions') },
+                            },
+                            {
+                                title: 'Sign Offline Transaction',
+                                description: 'Sign a transaction made by a view only copy of this wallet',
+                                icon: {
+                                    iconName: 'file-document-edit',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('SignTransaction') },
+                                requiresSpendKey: true,
+                            },
+                            {
+                                title: 'Key Images',
+                                description: isViewWallet()
+                                    ? 'Import key images to show spent funds'
+                                    : 'Export key images for a view only wallet',
+                                icon: {
+                                    iconName: 'key-change',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('KeyImages') },
+                            },
+                            {
+                                title: 'Verify Proof of Payment',
+                                description: 'Check a payment someone says they sent you',
+                                icon: {
+                                    iconName: 'receipt',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('VerifyPaymentProof') },
+                            },
+                            {
+                                title: 'Sign Message',
+                                description: 'Prove you own your address',
+                                icon: {
+                                    iconName: 'pen',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => {
+                                    if (Globals.preferences.authConfirmation) {
+                                        Authenticate(
+                                            this.props.navigation,
+                                            'to sign a message',
+                                            () => {
+                                                this.props.navigation.dispatch(navigateWithDisabledBack('Settings'));
+                                                this.props.navigation.navigate('SignMessage');
+                                            }
+                                        );
+                                    } else {
+                                        this.props.navigation.navigate('SignMessage');
+                                    }
+                                },
+                                requiresSpendKey: true,
+                            },
+                            {
+                                title: 'Verify Signed Message',
+                                description: 'Check a message was signed by an address',
+                                icon: {
+                                    iconName: 'check-decagram',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('VerifyMessage') },
+                            },
+                            {
+                                title: 'Switch Wallet',
+                                description: 'Create, import, and switch between wallets',
+                                icon: {
+                                    iconName: 'wallet',
+                                    IconType: Entypo,
+                                },
+                                onClick: () => { this.props.navigation.navigate('Wallets') },
+                            },
+                            {
+                                title: 'Swap Node',
+                                description: 'Use a different node to sync your wallet',
+                                icon: {
+                                    iconName: 'server-network',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('ChooseNode') },
+                            },
                             {
                                 title: 'Swap Currency',
                                 description: 'Swap your wallet display currency',
@@ -540,6 +911,27 @@ export class SettingsScreen extends React.Component {
                                 },
                                 checkbox: true,
                                 checked: this.state.autoOptimize,
+                                /* Optimizing sends fusion transactions */
+                                requiresSpendKey: true,
+                            },
+                            {
+                                title: 'Optimize Wallet',
+                                description: 'See your outputs, and send fusion transactions',
+                                icon: {
+                                    iconName: 'merge',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('Optimize') },
+                            },
+                            {
+                                title: 'Scheduled Payments',
+                                description: 'View and cancel scheduled payments',
+                                icon: {
+                                    iconName: 'calendar-clock',
+                                    IconType: MaterialCommunityIcons,
+                                },
+                                onClick: () => { this.props.navigation.navigate('ScheduledPayments') },
+                                requiresSpendKey: true,
                             },
                             {
                                 title: 'Limit data',
@@ -752,7 +1144,7 @@ export class SettingsScreen extends React.Component {
                                 },
                                 onClick: () => {},
                             },
-                        ]}
+                        ].filter((item) => !item.requiresSpendKey || !isViewWallet())}
                         keyExtractor={item => item.title}
                         renderItem={({item}) => (
                             <ListItem
@@ -797,7 +1189,7 @@ function deleteWallet(navigation) {
                     /* Disabling saving */
                     clearInterval(Globals.backgroundSaveTimer);
 
-                    await setHaveWallet(false);
+                    await removeWalletFromDatabase(getCurrentWalletId());
 
                     Globals.wallet.stop();
 
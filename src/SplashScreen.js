@@ -11,6 +11,7 @@ import { View, Alert } from 'react-native';
 import Config from './Config';
 
 import { Globals } from './Globals';
+import { getDaemon } from './Nodes';
 import { Spinner } from './Spinner';
 import { FadeView } from './FadeView';
 import { Authenticate } from './Authenticate';
@@ -50,7 +51,7 @@ async function tryLoadWallet(navigation) {
         }
 
         const [wallet, walletError] = WalletBackend.loadWalletFromJSON(
-            Config.defaultDaemon, walletData, Config
+            getDaemon(), walletData, Config
         );
 
         if (walletError) {
@@ -8,8 +8,12 @@ import Ionicons from 'react-native-vector-icons/Ionicons';
 
 import TextTicker from 'react-native-text-ticker';
 
+import moment from 'moment';
+
 import { Header } from 'react-native-elements';
-import { View, Text, FlatList, Button, Linking, ScrollView } from 'react-native';
+import {
+    View, Text, FlatList, Button, Linking, ScrollView, Switch, Share, Alert,
+} from 'react-native';
 import { prettyPrintAmount } from 'plenteum-wallet-backend';
 
 import Config from './Config';
@@ -19,8 +23,84 @@ import Constants from './Constants';
 
 import { Styles } from './Styles';
 import { Globals } from './Globals';
-import { coinsToFiat } from './Currency';
-import { prettyPrintUnixTimestamp, prettyPrintDate } from './Utilities';
+import { coinsToFiat, coinsToFiatValue } from './Currency';
+import { BottomButton } from './SharedComponents';
+import { getWalletAddresses, transactionInvolvesAddress } from './Addresses';
+import { getTransactionPrivateKey } from './PaymentProofs';
+import {
+    getPendingTransaction, rebroadcastTransaction, isTransactionDropped,
+    cancelPendingTransaction,
+} from './PendingTransactions';
+import {
+    prettyPrintUnixTimestamp, prettyPrintDate, delay, toCsvRow, toastPopUp,
+} from './Utilities';
+
+function atomicToString(amount) {
+    return (amount / (10 ** Config.decimalPlaces)).toFixed(Config.decimalPlaces);
+}
+
+/**
+ * Gets every transaction in the wallet, with the details we stored when
+ * sending it, in a format suitable for exporting.
+ */
+export async function getTransactionsForExport(includeFusions, includeFiat) {
+    const transactions = Globals.wallet.getTransactions(undefined, undefined, includeFusions);
+
+    const rows = [];
+
+    for (const tx of transactions) {
+        const outgoing = tx.totalAmount() < 0;
+
+        /* Transactions sent to multiple recipients have an entry for each */
+        const txDetails = Globals.transactionDetails.filter((x) => x.hash === tx.hash);
+
+        /* Outgoing total includes the fee, take it off so it's only counted once */
+        const amount = outgoing ? tx.totalAmount() + tx.fee : tx.totalAmount();
+
+        const row = {
+            date: tx.timestamp === 0 ? '' : new Date(tx.timestamp * 1000).toISOString(),
+            blockHeight: tx.blockHeight,
+            hash: tx.hash,
+            amount: atomicToString(amount),
+            fee: atomicToString(outgoing ? tx.fee : 0),
+            paymentID: tx.paymentID,
+            fusion: tx.isFusionTransaction(),
+            payee: txDetails.map((x) => x.payee).filter((x) => x).join('; '),
+            memo: txDetails.map((x) => x.memo).filter((x) => x).join('; '),
+            address: txDetails.map((x) => x.address).filter((x) => x).join('; '),
+        };
+
+        if (includeFiat) {
+            /* Signed like amount, in the currency named in fiatCurrency, so
+               it can be summed in a spreadsheet */
+            row.fiatValue = coinsToFiatValue(amount, Globals.preferences.currency);
+            row.fiatCurrency = Globals.preferences.currency.toUpperCase();
+        }
+
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+export function transactionsToCSV(rows, includeFiat) {
+    const columns = [
+        'date', 'blockHeight', 'hash', 'amount', 'fee', 'paymentID', 'fusion',
+        'payee', 'memo', 'address',
+    ];
+
+    if (includeFiat) {
+        columns.push('fiatValue', 'fiatCurrency');
+    }
+
+    const lines = [toCsvRow(columns)];
+
+    for (const row of rows) {
+        lines.push(toCsvRow(columns.map((column) => row[column])));
+    }
+
+    return lines.join('\n');
+}
 
 class ItemDescription extends React.Component {
     constructor(props) {
@@ -64,7 +144,22 @@ export class TransactionDetailsScreen extends React.Component {
 
         const tx = props.navigation.state.params.transaction;
 
-        const txDetails = Globals.transactionDetails.find((x) => x.hash === tx.hash);
+        /* Transactions sent to multiple recipients have an entry for each */
+        const allTxDetails = Globals.transactionDetails.filter((x) => x.hash === tx.hash);
+
+        let txDetails = allTxDetails[0];
+
+        if (allTxDetails.length > 1) {
+            txDetails = {
+                payee: allTxDetails.map((x) => x.payee).join(', '),
+                memo: allTxDetails.filter((x) => x.memo)
+                                  .map((x) => `${x.payee}: ${x.memo}`)
+                                  .join(', '),
+                address: undefined,
+                mixin: allTxDetails[0].mixin,
+                unlockTime: allTxDetails[0].unlockTime,
+            };
+        }
 
         if (txDetails && txDetails.memo === '') {
             txDetails.memo = undefined;
@@ -78,8 +173,16 @@ export class TransactionDetailsScreen extends React.Component {
             address: txDetails ? txDetails.address : undefined,
             payee: txDetails ? txDetails.payee : undefined,
             memo: txDetails ? txDetails.memo : undefined,
+            mixin: txDetails ? txDetails.mixin : undefined,
+            unlockTime: txDetails ? txDetails.unlockTime : undefined,
+            /* Only have this if we sent the transaction from this wallet */
+            transactionPrivateKey: getTransactionPrivateKey(tx.hash),
+            ...this.getStatus(tx),
+            rebroadcasting: false,
         };
 
+        this.updateStatus = this.updateStatus.bind(this);
+
         (async () => {
             const coinValue = await coinsToFiat(
                 this.state.amount,
@@ -90,9 +193,94 @@ export class TransactionDetailsScreen extends React.Component {
                 coinValue,
             });
         })();
+
+    }
+
+    componentDidMount() {
+        Globals.wallet.on('heightchange', this.updateStatus);
+    }
+
+    componentWillUnmount() {
+        Globals.wallet.removeListener('heightchange', this.updateStatus);
+    }
+
+    /**
+     * How many confirmations the transaction has, or how long it's been
+     * waiting for one
+     */
+    getStatus(tx) {
+        const [, , networkHeight] = Globals.wallet.getSyncStatus();
+
+        return {
+            pending: tx.timestamp === 0 ? getPendingTransaction(tx.hash) : undefined,
+            confirmations: tx.timestamp === 0 ? 0 : Math.max(networkHeight - tx.blockHeight + 1, 0),
+        };
+    }
+
+    updateStatus() {
+        let tx = this.state.transaction;
+
+        /* Pick up the confirmed version once it's in a block */
+        if (!this.state.complete) {
+            tx = Globals.wallet.getTransaction(tx.hash) || tx;
+        }
+
+        this.setState({
+            transaction: tx,
+            complete: tx.timestamp !== 0,
+            ...this.getStatus(tx),
+        });
+    }
+
+    async rebroadcast() {
+        this.setState({
+            rebroadcasting: true,
+        });
+
+        const [, error] = await rebroadcastTransaction(this.state.transaction.hash);
+
+        this.setState({
+            rebroadcasting: false,
+        });
+
+        if (error) {
+            Alert.alert(
+                'Failed to send again',
+                error,
+                [
+                    {text: 'OK'},
+                ]
+            );
+        } else {
+            toastPopUp('Transaction sent again');
+            this.updateStatus();
+        }
+    }
+
+    async cancel() {
+        const dropped = await isTransactionDropped(this.state.transaction.hash);
+
+        Alert.alert(
+            'Cancel Transaction?',
+            (dropped
+                ? 'The network no longer has this transaction, so it won\'t confirm unless sent again. '
+                : 'This transaction may still be waiting to go in a block. If it makes it into one, it will show up again, ' +
+                  'and anything you send with the same funds in the meantime will fail. ') +
+            'Cancelling makes the funds it spent available again.',
+            [
+                {text: 'Cancel Transaction', onPress: async () => {
+                    await cancelPendingTransaction(this.state.transaction.hash);
+                    toastPopUp('Transaction cancelled');
+                    this.props.navigation.goBack();
+                }},
+                {text: 'Keep Waiting', style: 'cancel'},
+            ],
+        );
     }
 
     render() {
+        const { pending } = this.state;
+
         return(
             <View style={{
                 flex: 1,
@@ -139,6 +327,18 @@ export class TransactionDetailsScreen extends React.Component {
                             {...this.props}
                         />}
 
+                        {this.state.mixin !== undefined && <ItemDescription
+                            title='Mixin'
+                            item={this.state.mixin.toString()}
+                            {...this.props}
+                        />}
+
+                        {this.state.unlockTime > 0 && <ItemDescription
+                            title='Unlocks At Block'
+                            item={this.state.unlockTime.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",")}
+                            {...this.props}
+                        />}
+
                         <ItemDescription
                             title='Value'
                             item={this.state.coinValue}
@@ -159,7 +359,7 @@ export class TransactionDetailsScreen extends React.Component {
 
                         <ItemDescription
                             title='State'
-                            item={this.state.complete ? 'Complete' : 'Processing'}
+                            item={this.state.complete ? 'Complete' : 'Waiting to go in a block'}
                             {...this.props}
                         />
 
@@ -168,6 +368,23 @@ export class TransactionDetailsScreen extends React.Component {
                             item={this.state.transaction.blockHeight.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",")}
                             {...this.props}
                         />}
+
+                        <ItemDescription
+                            title='Confirmations'
+                            item={this.state.confirmations.toString()}
+                            {...this.props}
+                        />
+
+                        {pending && pending.sentAt !== undefined && <ItemDescription
+                            title='Waiting For'
+                            item={`${moment.duration(Date.now() - pending.sentAt).humanize()}, ${pending.blocksWaited} block${pending.blocksWaited === 1 ? '' : 's'} since sent`}
+                            {...this.props}
+                        />}
+
+                        {pending && pending.stuck && <Text style={{ color: 'orange', fontSize: 15, marginTop: 10 }}>
+                            This transaction hasn't made it into a block after {Config.pendingTransactionWarningBlocks} blocks.
+                            You can try sending it again, or cancel it to use the funds for something else.
+                        </Text>}
                         
                         <ItemDescription
                             title='Hash'
@@ -182,6 +399,37 @@ export class TransactionDetailsScreen extends React.Component {
                         />}
                     </ScrollView>
 
+                    {pending && pending.canRebroadcast && <View style={[Styles.buttonContainer, {width: '100%', marginBottom: 10 }]}>
+                        <Button
+                            title={this.state.rebroadcasting ? 'Sending...' : 'Send Again'}
+                            onPress={() => this.rebroadcast()}
+                            disabled={this.state.rebroadcasting}
+                            color={this.props.screenProps.theme.primaryColour}
+                        />
+                    </View>}
+
+                    {pending && <View style={[Styles.buttonContainer, {width: '100%', marginBottom: 10 }]}>
+                        <Button
+                            title='Cancel Transaction'
+                            onPress={() => this.cancel()}
+                            color='red'
+                        />
+                    </View>}
+
+                    {this.state.transactionPrivateKey !== undefined && <View style={[Styles.buttonContainer, {width: '100%', marginBottom: 10 }]}>
+                        <Button
+                            title='Prove Payment'
+                            onPress={() => {
+                                this.props.navigation.navigate('PaymentProof', {
+                                    hash: this.state.transaction.hash,
+                                    address: this.state.address,
+                                    transactionPrivateKey: this.state.transactionPrivateKey,
+                                });
+                            }}
+                            color={this.props.screenProps.theme.primaryColour}
+                        />
+                    </View>}
+
                     {this.state.complete && <View style={[Styles.buttonContainer, {width: '100%', marginBottom: 20 }]}>
                         <Button
                             title='View on Block Explorer'
@@ -212,15 +460,14 @@ export class TransactionsScreen extends React.Component {
 
         const [walletHeight, localHeight, networkHeight] = Globals.wallet.getSyncStatus();
 
-        /* Don't display fusions, and display newest first */
-        const transactions = Globals.wallet.getTransactions(0, Constants.numTransactionsPerPage, false);
-
         this.state = {
-            numTransactions: Globals.wallet.getNumTransactions(),
-            transactions,
+            ...this.getTransactionsPage(0, undefined),
+            walletTransactions: Globals.wallet.getNumTransactions(),
             walletHeight,
             networkHeight,
             pageNum: 0,
+            /* Only show transactions to or from this address, if set */
+            address: undefined,
         };
 
         /* Only update transactions list when transaction is sent/received.
@@ -238,25 +485,45 @@ export class TransactionsScreen extends React.Component {
         });
 
         this.changePage = this.changePage.bind(this);
+        this.changeAddress = this.changeAddress.bind(this);
     }
 
-    updateTransactions() {
-        /* Don't display fusions */
-        const transactions = Globals.wallet.getTransactions(
-            this.state.pageNum * Constants.numTransactionsPerPage,
-            Constants.numTransactionsPerPage,
-            false
+    /* Don't display fusions, and display newest first */
+    getTransactionsPage(pageNum, address) {
+        const startIndex = pageNum * Constants.numTransactionsPerPage;
+
+        if (address === undefined) {
+            return {
+                numTransactions: Globals.wallet.getNumTransactions(),
+                transactions: Globals.wallet.getTransactions(startIndex, Constants.numTransactionsPerPage, false),
+            };
+        }
+
+        const transactions = Globals.wallet.getTransactions(undefined, undefined, false).filter(
+            (transaction) => transactionInvolvesAddress(transaction, address)
         );
 
+        return {
+            numTransactions: transactions.length,
+            transactions: transactions.slice(startIndex, startIndex + Constants.numTransactionsPerPage),
+        };
+    }
+
+    updateTransactions() {
         this.setState({
-            numTransactions: Globals.wallet.getNumTransactions(),
-            transactions,
+            ...this.getTransactionsPage(this.state.pageNum, this.state.address),
+            walletTransactions: Globals.wallet.getNumTransactions(),
         });
     }
 
     tick() {
         const numTransactions = Globals.wallet.getNumTransactions();
 
+        /* A pending transaction we sent was cancelled */
+        if (numTransactions !== this.state.walletTransactions) {
+            this.updateTransactions();
+        }
+
         /* If we have no transactions, update the heights, to display the
            not sent / not synced msg */
         if (numTransactions === 0) {
@@ -286,6 +553,13 @@ export class TransactionsScreen extends React.Component {
             pageNum,
         }, this.updateTransactions);
     }
+
+    changeAddress(address) {
+        this.setState({
+            address,
+            pageNum: 0,
+        }, this.updateTransactions);
+    }
     
     render() {
         const syncedMsg = this.state.walletHeight + 10 >= this.state.networkHeight ? 
@@ -301,7 +575,7 @@ export class TransactionsScreen extends React.Component {
             </View>;
 
         return(
-            this.state.numTransactions === 0 ?
+            this.state.walletTransactions === 0 ?
                 noTransactions 
              : <TransactionList
                 {...this.props}
@@ -309,6 +583,8 @@ export class TransactionsScreen extends React.Component {
                 numTransactions={this.state.numTransactions}
                 transactions={this.state.transactions}
                 changePage={this.changePage}
+                address={this.state.address}
+                changeAddress={this.changeAddress}
             />
         );
     }
@@ -350,7 +626,36 @@ class TransactionList extends React.Component {
     }
 
     getMaxPage() {
-        return Math.ceil(this.props.numTransactions / Constants.numTransactionsPerPage);
+        return Math.max(Math.ceil(this.props.numTransactions / Constants.numTransactionsPerPage), 1);
+    }
+
+    /* Only worth showing if they've made more addresses */
+    renderAddressFilter() {
+        const addresses = getWalletAddresses();
+
+        if (addresses.length <= 1) {
+            return null;
+        }
+
+        const options = [
+            { address: undefined, label: 'All addresses' },
+            ...addresses,
+        ];
+
+        return(
+            <ScrollView horizontal={true} style={{ flexGrow: 0, marginHorizontal: 10, marginBottom: 5 }}>
+                {options.map((option) =>
+                    <Button
+                        key={option.address || 'all'}
+                        title={option.label}
+                        onPress={() => this.props.changeAddress(option.address)}
+                        color={this.props.address === option.address
+                            ? this.props.screenProps.theme.primaryColour
+                            : this.props.screenProps.theme.slightlyMoreVisibleColour}
+                    />
+                )}
+            </ScrollView>
+        );
     }
 
     render() {
@@ -392,6 +697,8 @@ class TransactionList extends React.Component {
                     backgroundColor={this.props.screenProps.theme.backgroundColour}
                 />
 
+                {this.renderAddressFilter()}
+
                 <List style={{
                     backgroundColor: this.props.screenProps.theme.backgroundColour,
                 }}>
@@ -423,3 +730,134 @@ class TransactionList extends React.Component {
         )
     }
 }
+
+/**
+ * Export the transaction history, for accounting
+ */
+export class ExportTransactionsScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            includeFusions: false,
+            includeFiat: false,
+            exporting: false,
+        };
+    }
+
+    async exportTransactions(format) {
+        this.setState({
+            exporting: true,
+        });
+
+        /* Wait for UI to load before blocking thread */
+        await delay(500);
+
+        try {
+            const rows = await getTransactionsForExport(
+                this.state.includeFusions, this.state.includeFiat,
+            );
+
+            const data = format === 'csv'
+                ? transactionsToCSV(rows, this.state.includeFiat)
+                : JSON.stringify(rows, null, 4);
+
+            await Share.share({
+                title: `${Config.coinName} transactions (${format.toUpperCase()})`,
+                message: data,
+            });
+        } catch (err) {
+            Globals.logger.addLogMessage('Failed to export transactions: ' + err);
+
+            Alert.alert(
+                'Failed to export transactions',
+                err.toString(),
+                [
+                    {text: 'OK'},
+                ]
+            );
+        }
+
+        this.setState({
+            exporting: false,
+        });
+    }
+
+    render() {
+        const toggles = [
+            {
+                key: 'includeFusions',
+                description: 'Include fusion transactions',
+            },
+            {
+                key: 'includeFiat',
+                description: `Include the value in ${Globals.preferences.currency.toUpperCase()}, at the current price`,
+            },
+        ];
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <View style={{
+                    alignItems: 'flex-start',
+                    justifyContent: 'flex-start',
+                    marginTop: 60,
+                    marginHorizontal: 30,
+                }}>
+                    <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 10 }}>
+                        Export transactions
+                    </Text>
+
+                    <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15, marginBottom: 30 }}>
+                        Exports the transactions in your wallet, along with any notes and recipients you've saved.
+                    </Text>
+                </View>
+
+                {toggles.map((toggle) => (
+                    <View key={toggle.key} style={{ flexDirection: 'row', marginRight: 20, marginLeft: 25, marginBottom: 20 }}>
+                        <Switch
+                            value={this.state[toggle.key]}
+                            onValueChange={(value) => {
+                                this.setState({
+                                    [toggle.key]: value,
+                                });
+                            }}
+                            style={{ marginRight: 15 }}
+                        />
+
+                        <View style={{ flex: 1 }}>
+                            <Text style={{
+                                fontSize: 15,
+                                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            }}>
+                                {toggle.description}
+                            </Text>
+                        </View>
+                    </View>
+                ))}
+
+                <View style={[Styles.buttonContainer, {alignItems: 'stretch', width: '100%', marginTop: 5, marginBottom: 5}]}>
+                    <Button
+                        title="Export as JSON"
+                        onPress={() => this.exportTransactions('json')}
+                        disabled={this.state.exporting}
+                        color={this.props.screenProps.theme.primaryColour}
+                    />
+                </View>
+
+                <BottomButton
+                    title={this.state.exporting ? 'Exporting...' : 'Export as CSV'}
+                    onPress={() => this.exportTransactions('csv')}
+                    disabled={this.state.exporting}
+                    {...this.props}
+                />
+            </View>
+        );
+    }
+}
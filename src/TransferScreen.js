@@ -36,11 +36,16 @@ import { Styles } from './Styles';
 import { Globals } from './Globals';
 import { Authenticate } from './Authenticate';
 import { Hr, BottomButton } from './SharedComponents';
-import { removeFee, toAtomic, fromAtomic, addFee } from './Fee';
+import {
+    sendTransactionWithOptions, getMixinLimits, getDefaultMixin, checkMixin,
+    checkFee, checkUnlockTime,
+} from './AdvancedSend';
+import { getMaxSendable } from './Optimize';
+import { removeFee, toAtomic, fromAtomic, addFee, withNetworkFee } from './Fee';
 
 import {
     getArrivalTime, navigateWithDisabledBack, delay, toastPopUp, handleURI,
-    validAmount,
+    validAmount, splitIntegratedAddress, splitPayeeAddress, isViewWallet,
 } from './Utilities';
 
 export class QrScannerScreen extends React.Component {
@@ -69,12 +74,12 @@ class AmountInput extends React.Component {
     }
 
     render() {
-        return(
+        const input =
             <Input
                 containerStyle={{
                     width: '90%',
                     marginLeft: 20,
-                    marginBottom: this.props.marginBottom || 0,
+                    marginBottom: this.props.onMax ? 0 : (this.props.marginBottom || 0),
                 }}
                 inputContainerStyle={{
                     borderColor: this.props.screenProps.theme.notVeryVisibleColour,
@@ -101,7 +106,28 @@ class AmountInput extends React.Component {
                 errorMessage={this.props.errorMessage}
                 value={this.props.value}
                 onChangeText={(text) => this.props.onChangeText(text)}
-            />
+            />;
+
+        if (!this.props.onMax) {
+            return input;
+        }
+
+        return(
+            <View style={{ width: '100%', marginBottom: this.props.marginBottom || 0 }}>
+                {input}
+
+                <View style={{ marginLeft: '70%' }}>
+                    <Button
+                        title="Send Max"
+                        onPress={() => this.props.onMax()}
+                        titleStyle={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            textDecorationLine: 'underline',
+                        }}
+                        type="clear"
+                    />
+                </View>
+            </View>
         );
     }
 }
@@ -110,7 +136,7 @@ const CrossIcon = passMeFurther => (
     <HeaderButton {...passMeFurther} IconComponent={AntDesign} iconSize={23} color='red'/>
 );
 
-class CrossButton extends React.Component {
+export class CrossButton extends React.Component {
     constructor(props) {
         super(props);
     }
@@ -155,10 +181,10 @@ export class TransferScreen extends React.Component {
             lockedBalance,
             errMsg: '',
             continueEnabled: false,
-            unlockedBalanceHuman: fromAtomic(unlockedBalance),
             youSendAmount: '',
             recipientGetsAmount: '',
             feeInfo: {},
+            fragmented: false,
         }
     }
     
@@ -168,12 +194,25 @@ export class TransferScreen extends React.Component {
         this.setState({
             unlockedBalance,
             lockedBalance,
-            unlockedBalanceHuman: fromAtomic(unlockedBalance),
         });
     }
 
-    checkErrors(amount) {
-        const [valid, error] = validAmount(amount, this.state.unlockedBalance);
+    /**
+     * Checks the amount we send, with fees, is covered by our balance, and
+     * the recipient still gets something once the fees are taken off
+     */
+    checkErrors() {
+        const feeInfo = this.state.feeInfo;
+
+        let [valid, error] = validAmount(
+            feeInfo.original === undefined ? this.state.youSendAmount : feeInfo.original,
+            this.state.unlockedBalance,
+        );
+
+        if (valid && feeInfo.remainingAtomic < 1) {
+            valid = false;
+            error = 'Amount is too small to cover the fees!';
+        }
 
         this.setState({
             continueEnabled: valid,
@@ -181,6 +220,30 @@ export class TransferScreen extends React.Component {
         });
     }
 
+    /**
+     * Send as much as we can in one transaction, after fees. If the wallet
+     * needs optimizing first, say so instead.
+     */
+    sendMax() {
+        const [maxSendable, fragmented] = getMaxSendable();
+
+        this.setState({
+            fragmented,
+        });
+
+        if (fragmented) {
+            return;
+        }
+
+        const amount = fromAtomic(maxSendable);
+
+        this.setState({
+            youSendAmount: amount,
+        });
+
+        this.convertSentToReceived(amount);
+    }
+
     convertSentToReceived(amount) {
         if (amount !== undefined && amount !== null) {
             amount = amount.replace(/,/g, '');
@@ -199,7 +262,7 @@ export class TransferScreen extends React.Component {
         this.setState({
             recipientGetsAmount: result,
             feeInfo,
-        }, () => { this.checkErrors(this.state.recipientGetsAmount) });
+        }, () => { this.checkErrors() });
     }
 
     convertReceivedToSent(amount) {
@@ -220,7 +283,7 @@ export class TransferScreen extends React.Component {
         this.setState({
             youSendAmount: result,
             feeInfo
-        }, () => { this.checkErrors(this.state.youSendAmount) });
+        }, () => { this.checkErrors() });
     }
 
     componentDidMount() {
@@ -260,11 +323,10 @@ export class TransferScreen extends React.Component {
                         onChangeText={(text) => {
                             this.setState({
                                 youSendAmount: text,
+                                fragmented: false,
                             });
 
                             this.convertSentToReceived(text);
-
-                            this.checkErrors(text);
                         }}
                         errorMessage={this.state.errMsg}
                         marginBottom={40}
@@ -277,33 +339,37 @@ export class TransferScreen extends React.Component {
                         onChangeText={(text) => {
                             this.setState({
                                 recipientGetsAmount: text,
+                                fragmented: false,
                             });
 
                             this.convertReceivedToSent(text);
-                            this.checkErrors(text);
                         }}
+                        onMax={() => this.sendMax()}
                         {...this.props}
                     />
 
-                    <View style={{ marginLeft: '70%' }}>
-                        <Button
-                            title="Send Max"
-                            onPress={() => {
-                                this.setState({
-                                    youSendAmount: this.state.unlockedBalanceHuman,
-                                });
-
-                                this.convertSentToReceived(this.state.unlockedBalanceHuman);
+                    {this.state.fragmented &&
+                        <View style={{ marginHorizontal: 30 }}>
+                            <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                                Your wallet is made up of too many small amounts to send all of it in one
+                                transaction. Optimize your wallet first to send your whole balance.
+                            </Text>
 
-                                this.checkErrors(this.state.unlockedBalanceHuman);
-                            }}
-                            titleStyle={{
-                                color: this.props.screenProps.theme.primaryColour,
-                                textDecorationLine: 'underline',
-                            }}
-                            type="clear"
-                        />
-                    </View>
+                            <Button
+                                title="Optimize"
+                                onPress={() => this.props.navigation.navigate('Optimize')}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    textDecorationLine: 'underline',
+                                }}
+                                containerStyle={{
+                                    marginLeft: -8,
+                                    alignItems: 'flex-start',
+                                }}
+                                type="clear"
+                            />
+                        </View>
+                    }
 
                     <Text style={{
                         color: this.props.screenProps.theme.primaryColour,
@@ -481,14 +547,18 @@ export class NewPayeeScreen extends React.Component {
             return [false, errorMessage];
         }
 
-        /* Disable payment ID and wipe input if integrated address */
+        /* Disable payment ID, and show the one in the integrated address */
         if (address.length === Config.integratedAddressLength) {
+            const [split] = splitIntegratedAddress(address);
+
             await this.setState({
-                paymentID: '',
+                paymentID: split ? split.paymentID : '',
                 paymentIDEnabled: false,
             });
-        } else {
-            this.setState({
+        } else if (!this.state.paymentIDEnabled) {
+            /* No longer an integrated address, wipe its payment ID */
+            await this.setState({
+                paymentID: '',
                 paymentIDEnabled: true,
             });
         }
@@ -686,11 +756,11 @@ export class NewPayeeScreen extends React.Component {
                     <BottomButton
                         title="Continue"
                         onPress={() => {
-                            const payee = {
+                            const payee = splitPayeeAddress({
                                 nickname: this.state.nickname,
                                 address: this.state.address,
                                 paymentID: this.state.paymentID,
-                            };
+                            });
 
                             /* Add payee to global payee store */
                             Globals.addPayee(payee);
@@ -762,6 +832,69 @@ class ModifyMemo extends React.Component {
     }
 }
 
+class AdvancedOptions extends React.Component {
+    constructor(props) {
+        super(props);
+    }
+
+    render() {
+        const inputProps = {
+            containerStyle: {
+                width: '100%',
+                marginBottom: 15,
+            },
+            inputContainerStyle: {
+                borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                borderWidth: 1,
+                borderRadius: 2,
+                width: '100%',
+                height: 30,
+            },
+            labelStyle: {
+                marginBottom: 5,
+                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                fontSize: 13,
+                fontWeight: 'normal',
+            },
+            inputStyle: {
+                color: this.props.screenProps.theme.primaryColour,
+                fontSize: 14,
+            },
+            keyboardType: 'number-pad',
+        };
+
+        const [minMixin, maxMixin] = getMixinLimits();
+
+        return(
+            <View style={{ width: '100%' }}>
+                <Input
+                    {...inputProps}
+                    label={`Mixin (${minMixin} to ${maxMixin}) - higher is more private, but costs more to send`}
+                    value={this.props.mixin}
+                    onChangeText={(text) => this.props.onChange('mixin', text, checkMixin(text))}
+                    errorMessage={this.props.mixinError}
+                />
+
+                <Input
+                    {...inputProps}
+                    label={`Network fee (${Config.ticker})`}
+                    value={this.props.fee}
+                    onChangeText={(text) => this.props.onChange('fee', text, checkFee(text))}
+                    errorMessage={this.props.feeError}
+                />
+
+                <Input
+                    {...inputProps}
+                    label={'Unlock at block height - leave blank to unlock straight away'}
+                    value={this.props.unlockTime}
+                    onChangeText={(text) => this.props.onChange('unlockTime', text, checkUnlockTime(text))}
+                    errorMessage={this.props.unlockTimeError}
+                />
+            </View>
+        );
+    }
+}
+
 export class ConfirmScreen extends React.Component {
     static navigationOptions = ({ navigation }) => {
         return {
@@ -777,10 +910,58 @@ export class ConfirmScreen extends React.Component {
         this.state = {
             memo: '',
             modifyMemo: false,
+            showAdvanced: false,
+            mixin: String(getDefaultMixin()),
+            mixinError: '',
+            fee: fromAtomic(this.props.navigation.state.params.amount.networkFeeAtomic),
+            feeError: '',
+            unlockTime: '',
+            unlockTimeError: '',
+        }
+    }
+
+    /**
+     * The amount, with our chosen network fee, if it's valid
+     */
+    getAmount() {
+        const amount = this.props.navigation.state.params.amount;
+
+        const [feeValid] = checkFee(this.state.fee);
+
+        if (!feeValid) {
+            return amount;
+        }
+
+        return withNetworkFee(amount, toAtomic(Number(this.state.fee.replace(/,/g, ''))));
+    }
+
+    /**
+     * Whether we can send with the advanced options as they are, and the
+     * error to show if not
+     */
+    checkAdvanced() {
+        const [mixinValid] = checkMixin(this.state.mixin);
+        const [feeValid] = checkFee(this.state.fee);
+        const [unlockTimeValid] = checkUnlockTime(this.state.unlockTime);
+
+        if (!mixinValid || !feeValid || !unlockTimeValid) {
+            return [false, ''];
         }
+
+        const [unlockedBalance] = Globals.wallet.getBalance();
+
+        if (this.getAmount().originalAtomic > unlockedBalance) {
+            return [false, 'Not enough funds available to pay this fee!'];
+        }
+
+        return [true, ''];
     }
 
     render() {
+        const amount = this.getAmount();
+
+        const [advancedValid, advancedError] = this.checkAdvanced();
+
         return(
             <View style={{ flex: 1, backgroundColor: this.props.screenProps.theme.backgroundColour }}>
                 <View style={{
@@ -804,7 +985,7 @@ export class ConfirmScreen extends React.Component {
                     }}>
                         <Text style={{ fontSize: 13, color: this.props.screenProps.theme.slightlyMoreVisibleColour }}>
                             <Text style={{ color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold' }}>
-                                {prettyPrintAmount(this.props.navigation.state.params.amount.remainingAtomic, Config)}{' '}
+                                {prettyPrintAmount(amount.remainingAtomic, Config)}{' '}
                             </Text>
                             will reach{' '}
                             <Text style={{ color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold' }}>
@@ -958,7 +1139,7 @@ export class ConfirmScreen extends React.Component {
                         </Text>
 
                         <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
-                            {prettyPrintAmount(this.props.navigation.state.params.amount.originalAtomic, Config)}
+                            {prettyPrintAmount(amount.originalAtomic, Config)}
                         </Text>
 
                         <Text style={{ marginBottom: 5, marginTop: 20, color: this.props.screenProps.theme.slightlyMoreVisibleColour }}>
@@ -966,7 +1147,7 @@ export class ConfirmScreen extends React.Component {
                         </Text>
 
                         <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
-                            {prettyPrintAmount(this.props.navigation.state.params.amount.remainingAtomic, Config)}
+                            {prettyPrintAmount(amount.remainingAtomic, Config)}
                         </Text>
 
                         <Text style={{ marginBottom: 5, marginTop: 20, color: this.props.screenProps.theme.slightlyMoreVisibleColour }}>
@@ -974,42 +1155,99 @@ export class ConfirmScreen extends React.Component {
                         </Text>
 
                         <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
-                            {prettyPrintAmount(this.props.navigation.state.params.amount.networkFeeAtomic, Config)}
+                            {prettyPrintAmount(amount.networkFeeAtomic, Config)}
                         </Text>
 
-                        {this.props.navigation.state.params.amount.devFeeAtomic > 0 &&
+                        {amount.devFeeAtomic > 0 &&
                         <View>
                             <Text style={{ marginBottom: 5, marginTop: 20, color: this.props.screenProps.theme.slightlyMoreVisibleColour }}>
                                 Developer fee
                             </Text>
 
                             <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
-                                {prettyPrintAmount(this.props.navigation.state.params.amount.devFeeAtomic, Config)}
+                                {prettyPrintAmount(amount.devFeeAtomic, Config)}
                             </Text>
                         </View>}
 
-                        {this.props.navigation.state.params.amount.nodeFeeAtomic > 0 &&
+                        {amount.nodeFeeAtomic > 0 &&
                         <View>
                             <Text style={{ marginBottom: 5, marginTop: 20, color: this.props.screenProps.theme.slightlyMoreVisibleColour }}>
                                 Node fee
                             </Text>
 
                             <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
-                                {prettyPrintAmount(this.props.navigation.state.params.amount.nodeFeeAtomic, Config)}
+                                {prettyPrintAmount(amount.nodeFeeAtomic, Config)}
                             </Text>
                         </View>}
 
-                        {this.props.navigation.state.params.amount.totalFeeAtomic > this.props.navigation.state.params.amount.networkFeeAtomic &&
+                        {amount.totalFeeAtomic > amount.networkFeeAtomic &&
                         <View>
                             <Text style={{ marginBottom: 5, marginTop: 20, color: this.props.screenProps.theme.slightlyMoreVisibleColour }}>
                                 Total fee
                             </Text>
 
                             <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
-                                {prettyPrintAmount(this.props.navigation.state.params.amount.totalFeeAtomic, Config)}
+                                {prettyPrintAmount(amount.totalFeeAtomic, Config)}
                             </Text>
                         </View>}
 
+                        <View style={{
+                            flexDirection: 'row',
+                            alignItems: 'center',
+                            marginTop: 15,
+                            width: '100%',
+                            justifyContent: 'space-between'
+                        }}>
+                            <Text style={{ fontSize: 15, color: this.props.screenProps.theme.primaryColour, fontWeight: 'bold' }}>
+                                Advanced
+                            </Text>
+
+                            <Button
+                                title={this.state.showAdvanced ? 'Hide' : 'Change'}
+                                onPress={() => {
+                                    this.setState({
+                                        showAdvanced: !this.state.showAdvanced,
+                                    });
+                                }}
+                                titleStyle={{
+                                    color: this.props.screenProps.theme.primaryColour,
+                                    fontSize: 13
+                                }}
+                                type="clear"
+                            />
+                        </View>
+
+                        <View style={{ borderWidth: 0.7, borderColor: 'lightgrey', width: '100%', marginBottom: 20 }}/>
+
+                        {this.state.showAdvanced ?
+                            <AdvancedOptions
+                                mixin={this.state.mixin}
+                                mixinError={this.state.mixinError}
+                                fee={this.state.fee}
+                                feeError={this.state.feeError}
+                                unlockTime={this.state.unlockTime}
+                                unlockTimeError={this.state.unlockTimeError}
+                                onChange={(name, value, [, error]) => {
+                                    this.setState({
+                                        [name]: value,
+                                        [name + 'Error']: error,
+                                    });
+                                }}
+                                {...this.props}
+                            />
+                            :
+                            <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 16 }}>
+                                Mixin {this.state.mixin}
+                                {this.state.unlockTime !== '' ? `, unlocks at block ${this.state.unlockTime}` : ''}
+                            </Text>
+                        }
+
+                        {advancedError !== '' &&
+                            <Text style={{ color: 'red', fontSize: 13, marginTop: 10 }}>
+                                {advancedError}
+                            </Text>
+                        }
+
                     </View>
                 </ScrollView>
 
@@ -1017,11 +1255,13 @@ export class ConfirmScreen extends React.Component {
                     title="Send Transaction"
                     onPress={() => {
                         const params = {
-                            amount: this.props.navigation.state.params.amount,
+                            amount,
                             address: this.props.navigation.state.params.payee.address,
                             paymentID: this.props.navigation.state.params.payee.paymentID,
                             nickname: this.props.navigation.state.params.payee.nickname,
                             memo: this.state.memo,
+                            mixin: Number(this.state.mixin),
+                            unlockTime: this.state.unlockTime === '' ? 0 : Number(this.state.unlockTime),
                         };
 
                         if (Globals.preferences.authConfirmation) {
@@ -1042,6 +1282,7 @@ export class ConfirmScreen extends React.Component {
                             this.props.navigation.navigate('SendTransaction', {...params});
                         }
                     }}
+                    disabled={!advancedValid}
                     {...this.props}
                 />
             </View>
@@ -1069,6 +1310,49 @@ export class ChoosePayeeScreen extends React.Component {
     };
 
     render() {
+        if (isViewWallet()) {
+            return(
+                <View style={{
+                    backgroundColor: this.props.screenProps.theme.backgroundColour,
+                    flex: 1,
+                }}>
+                    <View style={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                        marginLeft: 30,
+                        marginTop: 60,
+                        marginRight: 10,
+                    }}>
+                        <Text style={{ color: this.props.screenProps.theme.primaryColour, fontSize: 25, marginBottom: 30 }}>
+                            View only wallet
+                        </Text>
+
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 16 }}>
+                            This wallet was imported with just its private view key, so it can't sign
+                            transactions. You can make a transaction here and sign it on an offline device
+                            which has your full wallet, or import this wallet with its seed or private
+                            spend key to send directly.
+                        </Text>
+                    </View>
+
+                    <Button
+                        title='Create an unsigned transaction'
+                        onPress={() => this.props.navigation.navigate('CreateUnsignedTransaction')}
+                        titleStyle={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            textDecorationLine: 'underline',
+                        }}
+                        containerStyle={{
+                            marginLeft: 22,
+                            marginTop: 20,
+                            alignItems: 'flex-start',
+                        }}
+                        type="clear"
+                    />
+                </View>
+            );
+        }
+
         return(
             <View style={{
                 backgroundColor: this.props.screenProps.theme.backgroundColour,
@@ -1108,6 +1392,30 @@ export class ChoosePayeeScreen extends React.Component {
                         }}
                         type="clear"
                     />
+
+                    <Button
+                        title='Send to multiple recipients'
+                        onPress={() => {
+                            this.props.navigation.navigate('BatchSend');
+                        }}
+                        titleStyle={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            textDecorationLine: 'underline',
+                        }}
+                        type="clear"
+                    />
+
+                    <Button
+                        title='Import payments from CSV'
+                        onPress={() => {
+                            this.props.navigation.navigate('CsvImport');
+                        }}
+                        titleStyle={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            textDecorationLine: 'underline',
+                        }}
+                        type="clear"
+                    />
                 </View>
 
                 <View style={{ 
@@ -1178,7 +1486,10 @@ export class SendTransactionScreen extends React.Component {
             paymentID: this.props.navigation.state.params.paymentID,
             nickname: this.props.navigation.state.params.nickname,
             memo: this.props.navigation.state.params.memo,
+            mixin: this.props.navigation.state.params.mixin,
+            unlockTime: this.props.navigation.state.params.unlockTime,
             homeEnabled: false,
+            tooManyInputs: false,
         }
 
         /* Send the tx in the background (it's async) */
@@ -1199,16 +1510,19 @@ export class SendTransactionScreen extends React.Component {
             payments.push([Config.devFeeAddress, this.state.amount.devFeeAtomic]);
         }
 
-        /* Leaving everything else as default, minus payments and paymentID */
-        const [hash, error] = await Globals.wallet.sendTransactionAdvanced(
-            payments, undefined, undefined, this.state.paymentID, undefined,
-            undefined,
-        );
+        const [hash, error] = await sendTransactionWithOptions(payments, this.state.paymentID, {
+            mixin: this.state.mixin,
+            fee: this.state.amount.networkFeeAtomic,
+            unlockTime: this.state.unlockTime,
+        });
 
         if (error) {
             this.setState({
                 errMsg: error.toString(),
                 homeEnabled: true,
+                /* Sending the max can still need more inputs than fit in a
+                   transaction, since the wallet picks them at random */
+                tooManyInputs: error.errorCode === WalletErrorCode.TOO_MANY_INPUTS_TO_FIT_IN_BLOCK,
             });
         } else {
             this.setState({
@@ -1221,6 +1535,9 @@ export class SendTransactionScreen extends React.Component {
                 memo: this.state.memo,
                 address: this.state.address,
                 payee: this.state.nickname,
+                mixin: this.state.mixin,
+                fee: this.state.amount.networkFeeAtomic,
+                unlockTime: this.state.unlockTime,
             });
         }
     }
@@ -1258,6 +1575,32 @@ export class SendTransactionScreen extends React.Component {
                 <Text style={{ fontSize: 13 }}>
                     {this.state.errMsg}
                 </Text>
+
+                {this.state.tooManyInputs &&
+                    <View style={{ marginTop: 15 }}>
+                        <Text style={{ color: this.props.screenProps.theme.slightlyMoreVisibleColour, fontSize: 15 }}>
+                            Your wallet is made up of too many small amounts to send this much in one
+                            transaction. Optimize your wallet, then try again.
+                        </Text>
+
+                        <Button
+                            title="Optimize"
+                            onPress={() => {
+                                this.props.navigation.dispatch(navigateWithDisabledBack('ChoosePayee'));
+                                this.props.navigation.navigate('Optimize');
+                            }}
+                            titleStyle={{
+                                color: this.props.screenProps.theme.primaryColour,
+                                textDecorationLine: 'underline',
+                            }}
+                            containerStyle={{
+                                marginLeft: -8,
+                                alignItems: 'flex-start',
+                            }}
+                            type="clear"
+                        />
+                    </View>
+                }
             </View>;
 
         const success =
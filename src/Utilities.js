@@ -4,6 +4,8 @@
 
 import React from 'react';
 
+import crypto from 'crypto';
+
 import moment from 'moment';
 
 import { Text, Platform, ToastAndroid, Alert } from 'react-native';
@@ -14,6 +16,10 @@ import {
     validateAddresses, WalletErrorCode, validatePaymentID, prettyPrintAmount,
 } from 'plenteum-wallet-backend';
 
+/* Not exported from the index, but it's what the backend uses to decode
+   addresses when validating them */
+import { CryptoUtils } from 'plenteum-wallet-backend/dist/lib/CnUtils';
+
 import * as Qs from 'query-string';
 
 import Config from './Config';
@@ -26,6 +32,14 @@ export function delay(ms: number) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Whether the open wallet is view only - it can see incoming funds, but
+ * can't send.
+ */
+export function isViewWallet() {
+    return Globals.wallet !== undefined && Globals.wallet.subWallets.isViewWallet;
+}
+
 export function toastPopUp(message) {
     /* IOS doesn't have toast support */
     /* TODO */
@@ -107,6 +121,18 @@ export function getArrivalTime() {
 }
 
 export function handleURI(data, navigation) {
+    if (isViewWallet()) {
+        Alert.alert(
+            'Cannot send transaction',
+            'This is a view only wallet, so it can\'t send transactions.',
+            [
+                {text: 'OK'},
+            ]
+        );
+
+        return;
+    }
+
     const result = parseURI(data);
 
     if (!result.valid) {
@@ -125,6 +151,74 @@ export function handleURI(data, navigation) {
     }
 }
 
+/**
+ * Builds a URI requesting payment to the given address, which parseURI()
+ * can read back. amount is atomic, and everything but the address is
+ * optional.
+ */
+export function createPaymentURI(address, amount, paymentID, name) {
+    const params = Qs.stringify({
+        amount: amount ? amount : undefined,
+        paymentid: paymentID ? paymentID : undefined,
+        name: name ? name : undefined,
+    });
+
+    return Config.uriPrefix + address + (params === '' ? '' : '?' + params);
+}
+
+/**
+ * A random 64 char hex payment ID
+ */
+export function generatePaymentID() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Splits an integrated address into the standard address and payment ID it
+ * contains. Standard addresses are returned as is, with an empty payment ID.
+ *
+ * Returns [{ address, paymentID }, undefined] or [undefined, error]
+ */
+export function splitIntegratedAddress(address) {
+    const addressError = validateAddresses([address], true, Config);
+
+    if (addressError.errorCode !== WalletErrorCode.SUCCESS) {
+        return [undefined, addressError.toString()];
+    }
+
+    if (address.length !== Config.integratedAddressLength) {
+        return [{ address, paymentID: '' }, undefined];
+    }
+
+    const parsed = CryptoUtils(Config).decodeAddress(address);
+
+    return [
+        {
+            address: CryptoUtils(Config).encodeAddress(parsed.publicViewKey, parsed.publicSpendKey),
+            paymentID: parsed.paymentId,
+        },
+        undefined,
+    ];
+}
+
+/**
+ * If the payee was given an integrated address, store the standard address
+ * and payment ID separately, so we can show both.
+ */
+export function splitPayeeAddress(payee) {
+    const [split] = splitIntegratedAddress(payee.address);
+
+    if (split === undefined || split.paymentID === '') {
+        return payee;
+    }
+
+    return {
+        ...payee,
+        address: split.address,
+        paymentID: split.paymentID,
+    };
+}
+
 export function parseURI(qrData) {
     /* It's a URI, try and get the data from it */
     if (qrData.startsWith(Config.uriPrefix)) {
@@ -213,11 +307,11 @@ export function parseURI(qrData) {
             }
         }
 
-        const newPayee = {
+        const newPayee = splitPayeeAddress({
             nickname: name,
             address: address,
             paymentID: paymentID || '',
-        }
+        });
 
         const existingPayee = Globals.payees.find((p) => p.nickname === name);
         
@@ -229,7 +323,7 @@ export function parseURI(qrData) {
                 return {
                     paymentID: paymentID || '',
                     address,
-                    amount: amountNonAtomic.toString(),
+                    amount: amountNonAtomic ? amountNonAtomic.toString() : undefined,
                     suggestedAction: 'NewPayee',
                     valid: true,
                 };
@@ -300,3 +394,32 @@ export function validAmount(amount, unlockedBalance) {
 
     return [true, ''];
 }
+
+/**
+ * Whether a spreadsheet would run the field as a formula. Numbers, like
+ * negative amounts, are left alone.
+ */
+function looksLikeFormula(str) {
+    return /^[=+\-@\t\r]/.test(str) && isNaN(Number(str));
+}
+
+/**
+ * Joins the fields into a line of CSV, quoting them if needed. Text which a
+ * spreadsheet would run as a formula, like a memo of =HYPERLINK(...), is
+ * prefixed with ' so it shows as text instead.
+ */
+export function toCsvRow(fields) {
+    return fields.map((field) => {
+        let str = field === undefined || field === null ? '' : field.toString();
+
+        if (looksLikeFormula(str)) {
+            str = `'${str}`;
+        }
+
+        if (/[",\r\n]/.test(str)) {
+            return `"${str.replace(/"/g, '""')}"`;
+        }
+
+        return str;
+    }).join(',');
+}
@@ -0,0 +1,529 @@
+// Copyright (C) 2019, Zpalmtree
+//
+// Please see the included LICENSE file for more information.
+
+import React from 'react';
+
+import SimpleLineIcons from 'react-native-vector-icons/SimpleLineIcons';
+import MaterialIcons from 'react-native-vector-icons/MaterialIcons';
+
+import {
+    View, Text, ScrollView, FlatList, TouchableWithoutFeedback, Alert,
+    Button as RNEButton,
+} from 'react-native';
+
+import { NavigationEvents } from 'react-navigation';
+
+import { Input } from 'react-native-elements';
+
+import ListItem from './ListItem';
+import List from './ListContainer';
+
+import { Styles } from './Styles';
+import { Globals } from './Globals';
+import { Authenticate } from './Authenticate';
+import { Hr } from './SharedComponents';
+import { navigateWithDisabledBack, toastPopUp } from './Utilities';
+
+import {
+    loadWalletsFromDatabase, renameWalletInDatabase, removeWalletFromDatabase,
+    setCurrentWallet, getCurrentWalletId, saveToDatabase,
+    loadPreferencesFromDatabase,
+} from './Database';
+
+/**
+ * Stop syncing and saving the currently open wallet, and unload it
+ */
+export async function closeWallet() {
+    /* Disabling saving */
+    clearInterval(Globals.backgroundSaveTimer);
+
+    await saveToDatabase(Globals.wallet);
+
+    Globals.wallet.stop();
+
+    Globals.reset();
+}
+
+/**
+ * Make the given wallet the one we open, and load its preferences
+ */
+async function selectWallet(walletId) {
+    await setCurrentWallet(walletId);
+
+    const prefs = await loadPreferencesFromDatabase();
+
+    if (prefs !== undefined) {
+        Globals.preferences = prefs;
+    }
+
+    if (Globals.updateTheme) {
+        Globals.updateTheme();
+    }
+}
+
+/**
+ * Close the current wallet, and head back to the login screen to open the
+ * given wallet. Pass undefined to create or import a new wallet instead.
+ */
+export async function switchWallet(navigation, walletId) {
+    await closeWallet();
+
+    if (walletId === undefined) {
+        await setCurrentWallet(undefined);
+    } else {
+        await selectWallet(walletId);
+    }
+
+    /* Splash screen will either request auth and open the wallet, or send us
+       to the create/import screen */
+    navigation.navigate('Login');
+}
+
+class WalletList extends React.Component {
+    constructor(props) {
+        super(props);
+    }
+
+    render() {
+        return(
+            <List style={{
+                marginBottom: 20,
+                backgroundColor: this.props.screenProps.theme.backgroundColour
+            }}>
+                <FlatList
+                    extraData={this.props.index}
+                    data={this.props.wallets}
+                    keyExtractor={item => item.id.toString()}
+                    renderItem={({item}) => (
+                        <ListItem
+                            title={item.name}
+                            subtitle={this.props.currentWalletId === item.id ? 'Currently open' : 'Tap to open'}
+                            leftIcon={
+                                <View style={{
+                                    width: 50,
+                                    height: 50,
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    backgroundColor: this.props.screenProps.theme.iconColour,
+                                    borderRadius: 45
+                                }}>
+                                    <Text style={[Styles.centeredText, {
+                                        fontSize: 30,
+                                        color: this.props.screenProps.theme.primaryColour,
+                                    }]}>
+                                        {item.name[0].toUpperCase()}
+                                    </Text>
+                                </View>
+                            }
+                            rightIcon={this.props.currentWalletId === item.id &&
+                                <View style={{width: 30, alignItems: 'center', justifyContent: 'center', marginRight: 10}}>
+                                    <MaterialIcons name={'check'} size={25} color={this.props.screenProps.theme.primaryColour}/>
+                                </View>
+                            }
+                            titleStyle={{
+                                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            }}
+                            subtitleStyle={{
+                                color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            }}
+                            onPress={() => this.props.onPress(item)}
+                            onLongPress={() => this.props.onLongPress && this.props.onLongPress(item)}
+                        />
+                    )}
+                />
+            </List>
+        );
+    }
+}
+
+/**
+ * Switch between, add, rename, and delete wallets
+ */
+export class WalletsScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            wallets: [],
+            index: 0,
+        };
+
+        this.loadWallets = this.loadWallets.bind(this);
+    }
+
+    async loadWallets() {
+        const wallets = await loadWalletsFromDatabase();
+
+        this.setState(prevState => ({
+            wallets,
+            index: prevState.index + 1,
+        }));
+    }
+
+    openWallet(wallet) {
+        if (wallet.id === getCurrentWalletId()) {
+            this.props.navigation.navigate('ModifyWallet', { wallet });
+            return;
+        }
+
+        Alert.alert(
+            'Switch Wallet?',
+            `Are you sure you want to switch to ${wallet.name}?`,
+            [
+                {text: 'Switch', onPress: () => switchWallet(this.props.navigation, wallet.id)},
+                {text: 'Cancel', style: 'cancel'},
+            ],
+        );
+    }
+
+    render() {
+        return(
+            <View style={{
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+                flex: 1,
+                alignItems: 'flex-start',
+                justifyContent: 'flex-start',
+            }}>
+                <NavigationEvents onWillFocus={this.loadWallets}/>
+
+                <ScrollView
+                    style={{
+                        flex: 1,
+                        marginLeft: 30,
+                        marginTop: 60,
+                    }}
+                    contentContainerStyle={{
+                        alignItems: 'flex-start',
+                        justifyContent: 'flex-start',
+                    }}
+                >
+                    <TouchableWithoutFeedback
+                        onPress={() => {
+                            Alert.alert(
+                                'Add Wallet?',
+                                'Your current wallet will be closed, so you can create or import another.',
+                                [
+                                    {text: 'Continue', onPress: () => switchWallet(this.props.navigation, undefined)},
+                                    {text: 'Cancel', style: 'cancel'},
+                                ],
+                            );
+                        }}
+                    >
+                        <View style={{
+                            flexDirection: 'row',
+                            alignItems: 'flex-start',
+                            justifyContent: 'flex-start',
+                            flex: 1,
+                        }}>
+                            <View style={{
+                                height: 37,
+                                width: 37,
+                                borderWidth: 1,
+                                borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                                borderRadius: 45,
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                            }}>
+                                <SimpleLineIcons
+                                    name={'wallet'}
+                                    size={24}
+                                    color={this.props.screenProps.theme.slightlyMoreVisibleColour}
+                                    padding={5}
+                                />
+                            </View>
+
+                            <Text style={{
+                                marginLeft: 15,
+                                color: this.props.screenProps.theme.primaryColour,
+                                fontSize: 24
+                            }}>
+                                Add a wallet
+                            </Text>
+                        </View>
+                    </TouchableWithoutFeedback>
+
+                    <Hr width={'100%'}/>
+
+                    <View style={{
+                        backgroundColor: this.props.screenProps.theme.backgroundColour,
+                        flex: 1,
+                        marginRight: 15,
+                    }}>
+                        <Text style={{
+                            color: this.props.screenProps.theme.primaryColour,
+                            fontSize: 24,
+                            marginTop: 30,
+                        }}>
+                            Your wallets
+                        </Text>
+
+                        <Text style={{
+                            color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                            marginTop: 5,
+                        }}>
+                            Long press a wallet to rename or delete it.
+                        </Text>
+
+                        <WalletList
+                            wallets={this.state.wallets}
+                            index={this.state.index}
+                            currentWalletId={getCurrentWalletId()}
+                            onPress={(wallet) => this.openWallet(wallet)}
+                            onLongPress={(wallet) => this.props.navigation.navigate('ModifyWallet', { wallet })}
+                            {...this.props}
+                        />
+                    </View>
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+/**
+ * Rename or delete a wallet
+ */
+export class ModifyWalletScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        const { wallet } = this.props.navigation.state.params;
+
+        this.state = {
+            wallet,
+            name: wallet.name,
+            nameError: '',
+        };
+    }
+
+    checkName(name) {
+        if (name.trim() === '') {
+            return [false, 'Name cannot be blank.'];
+        }
+
+        return [true, ''];
+    }
+
+    deleteWallet() {
+        const isCurrentWallet = this.state.wallet.id === getCurrentWalletId();
+
+        Alert.alert(
+            'Delete Wallet?',
+            `Are you sure you want to delete ${this.state.wallet.name}? If your seed is not backed up, your funds will be lost!`,
+            [
+                {text: 'Delete', onPress: () => {
+                    (async () => {
+                        if (isCurrentWallet) {
+                            await closeWallet();
+                        }
+
+                        await removeWalletFromDatabase(this.state.wallet.id);
+
+                        toastPopUp(`${this.state.wallet.name} deleted`);
+
+                        if (isCurrentWallet) {
+                            /* And head back to the wallet choose screen */
+                            this.props.navigation.navigate('Login');
+                        } else {
+                            this.props.navigation.goBack();
+                        }
+                    })();
+                }},
+                {text: 'Cancel', style: 'cancel'},
+            ],
+        );
+    }
+
+    render() {
+        const [nameValid] = this.checkName(this.state.name);
+
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <View style={{
+                    alignItems: 'flex-start',
+                    justifyContent: 'flex-start',
+                    marginTop: 60,
+                    marginLeft: 30,
+                }}>
+                    <Text style={{
+                        color: this.props.screenProps.theme.primaryColour,
+                        fontSize: 25,
+                        marginBottom: 25,
+                        fontWeight: 'bold',
+                    }}>
+                        Modify Wallet
+                    </Text>
+                </View>
+
+                <Input
+                    containerStyle={{
+                        width: '90%',
+                        marginLeft: 20,
+                    }}
+                    inputContainerStyle={{
+                        borderColor: this.props.screenProps.theme.notVeryVisibleColour,
+                        borderWidth: 1,
+                        borderRadius: 2,
+                    }}
+                    label={'Wallet name'}
+                    labelStyle={{
+                        marginBottom: 5,
+                        marginRight: 2,
+                        color: this.props.screenProps.theme.slightlyMoreVisibleColour,
+                    }}
+                    inputStyle={{
+                        color: this.props.screenProps.theme.primaryColour,
+                        fontSize: 20,
+                        marginLeft: 5
+                    }}
+                    value={this.state.name}
+                    onChangeText={(text) => {
+                        const [, nameError] = this.checkName(text);
+
+                        this.setState({
+                            name: text,
+                            nameError,
+                        });
+                    }}
+                    errorMessage={this.state.nameError}
+                />
+
+                <View style={{
+                    marginHorizontal: 30,
+                    flex: 1,
+                }}>
+                    <View style={{
+                        alignItems: 'stretch',
+                        width: '100%',
+                        bottom: 85,
+                        position: 'absolute',
+                        borderRadius: 10,
+                    }}>
+                        <RNEButton
+                            title='Update'
+                            onPress={() => {
+                                (async () => {
+                                    await renameWalletInDatabase(this.state.wallet.id, this.state.name.trim());
+                                    this.props.navigation.goBack();
+                                })();
+                            }}
+                            color={this.props.screenProps.theme.primaryColour}
+                            disabled={!nameValid}
+                        />
+                    </View>
+                </View>
+
+                <View style={{
+                    marginHorizontal: 30,
+                    flex: 1,
+                }}>
+                    <View style={{
+                        alignItems: 'stretch',
+                        width: '100%',
+                        bottom: 30,
+                        position: 'absolute',
+                        borderRadius: 10,
+                    }}>
+                        <RNEButton
+                            title='Delete'
+                            onPress={() => {
+                                if (Globals.preferences.authConfirmation) {
+                                    Authenticate(
+                                        this.props.navigation,
+                                        'to delete your wallet',
+                                        () => {
+                                            this.props.navigation.navigate('ModifyWallet');
+                                            this.deleteWallet();
+                                        }
+                                    );
+                                } else {
+                                    this.deleteWallet();
+                                }
+                            }}
+                            color='red'
+                        />
+                    </View>
+                </View>
+            </View>
+        );
+    }
+}
+
+/**
+ * Pick one of our existing wallets to open, from the login screens
+ */
+export class OpenWalletScreen extends React.Component {
+    static navigationOptions = {
+        title: '',
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            wallets: [],
+            index: 0,
+        };
+
+        (async () => {
+            const wallets = await loadWalletsFromDatabase();
+
+            this.setState(prevState => ({
+                wallets,
+                index: prevState.index + 1,
+            }));
+        })();
+    }
+
+    render() {
+        return(
+            <View style={{
+                flex: 1,
+                backgroundColor: this.props.screenProps.theme.backgroundColour,
+            }}>
+                <View style={{
+                    alignItems: 'flex-start',
+                    justifyContent: 'flex-start',
+                    marginTop: 60,
+                    marginLeft: 30,
+                    marginRight: 15,
+                    flex: 1,
+                }}>
+                    <Text style={{
+                        color: this.props.screenProps.theme.primaryColour,
+                        fontSize: 25,
+                        marginBottom: 20,
+                    }}>
+                        Which wallet would you like to open?
+                    </Text>
+
+                    <WalletList
+                        wallets={this.state.wallets}
+                        index={this.state.index}
+                        currentWalletId={undefined}
+                        onPress={(wallet) => {
+                            (async () => {
+                                await selectWallet(wallet.id);
+
+                                /* Splash screen will request auth then open it */
+                                this.props.navigation.dispatch(navigateWithDisabledBack('Splash'));
+                            })();
+                        }}
+                        {...this.props}
+                    />
+                </View>
+            </View>
+        );
+    }
+}